@@ -15,7 +15,17 @@ var CONFIG = {
     DASHBOARD: "Dashboard",  // Main dashboard display sheet
     TICKERS: "Tickers",      // Sheet containing ticker definitions
     TEMP: "TempCalc",        // Hidden sheet for temporary calculations
-    AUDIT: "Audit"           // Added for audit purposes
+    AUDIT: "Audit",          // Lineage of every price field, one row per run, ticker and field
+    HOLIDAYS: "Holidays",    // Ad-hoc exchange closures and openings
+    SETTINGS: "Settings",    // Key/value dashboard settings
+    PRICE_CACHE: "PriceCache", // Hidden cache of settled daily bars
+    HOLDINGS: "Holdings",    // Optional positions (quantity, average cost) per ticker
+    TRANSACTIONS: "Transactions", // Optional ledger of buys, sells and dividends
+    CORPORATE_ACTIONS: "CorporateActions", // Manual dividends and splits for total returns
+    ALERTS: "Alerts",        // Optional threshold alert rules checked after each update
+    NOTIFICATIONS: "Notifications", // Optional Slack, Teams or JSON webhooks notified after each update
+    SNAPSHOTS: "Snapshots",  // Prices and returns of every completed run
+    SNAPSHOT_COMPARISON: "SnapshotCompare" // Latest run compared with an earlier one
   },
   
   /**
@@ -54,6 +64,16 @@ var CONFIG = {
     WARNING: "주의"            // Warning indicator
   },
   
+  /**
+   * Provenance of each dashboard price
+   */
+  PRICE_QUALITY: {
+    EXACT: 'exact',               // Close of the requested trading day (or the provider's current quote)
+    NEAREST: 'nearest',           // Close of an earlier trading day near the requested date
+    INTERPOLATED: 'interpolated', // Linear interpolation between the closes around the requested date
+    MISSING: 'missing'            // No price available
+  },
+  
   /**
    * Temporary cells used for formula calculations
    */
@@ -72,6 +92,189 @@ var CONFIG = {
     MONTHLY: 30             // One month period
   },
   
+  /**
+   * Return periods that can be shown on the dashboard, keyed by the code used in the Settings sheet
+   * key: property name in the prices/returns objects, header: dashboard column header
+   */
+  PERIODS: {
+    '1D':   { key: 'daily',      header: '일간 변화' },
+    '1W':   { key: 'weekly',     header: '주간 변화' },
+    '1M':   { key: 'monthly',    header: '월간 변화' },
+    'MTD':  { key: 'mtd',        header: 'MTD 변화' },
+    'QTD':  { key: 'qtd',        header: 'QTD 변화' },
+    '3M':   { key: 'threeMonth', header: '3개월 변화' },
+    '6M':   { key: 'sixMonth',   header: '6개월 변화' },
+    'YTD':  { key: 'ytd',        header: 'YTD 변화' },
+    '1Y':   { key: 'oneYear',    header: '1년 변화' },
+    '3Y':   { key: 'threeYear',  header: '3년 변화' },
+    '5Y':   { key: 'fiveYear',   header: '5년 변화' },
+    'ITD':  { key: 'inception',  header: '설정 이후' },
+    'HIGH': { key: 'high',       header: '최고가 대비' },
+    'LOW':  { key: 'low',        header: '최저가 대비' }
+  },
+  
+  /**
+   * Periods that compare the current price with a 52-week level rather than a past price,
+   * so they have no anchor date and are never annualized
+   */
+  PRICE_LEVEL_PERIODS: ['HIGH', 'LOW'],
+  
+  /**
+   * Periods shown when the Settings sheet does not specify RETURN_PERIODS
+   */
+  DEFAULT_PERIODS: ['1W', '1M', 'YTD', 'HIGH', 'LOW'],
+  
+  /**
+   * Periods shown as annualized returns (CAGR) when the Settings sheet does not specify ANNUALIZED_PERIODS
+   * Periods shorter than a year are always shown as cumulative returns
+   */
+  DEFAULT_ANNUALIZED_PERIODS: ['3Y', '5Y', 'ITD'],
+  
+  /**
+   * Daily history lookups
+   */
+  HISTORY: {
+    MAX_GAP_DAYS: 7,        // A period price may come from a trading day at most this many days before the anchor date
+    BUFFER_DAYS: 10,        // Extra days fetched before the earliest anchor date to cover holidays
+    MIN_TRADING_DAYS_PER_YEAR: 240, // Fewest trading days a market has in a year, to turn a number of closes into calendar days
+    MAX_INTERPOLATION_DAYS: 31 // Widest gap between two closes that may be interpolated across
+  },
+  
+  /**
+   * Currencies and FX conversion
+   */
+  CURRENCY: {
+    BASE: 'KRW',                       // Base currency when the Settings sheet does not specify BASE_CURRENCY
+    FX_SOURCES: ['yahoo', 'google'],   // FX rate providers in fallback order
+    // Currency assumed when neither the Tickers sheet nor the provider reports one
+    MARKET_DEFAULTS: { kr: 'KRW', us: 'USD', cn: 'CNY', hk: 'HKD', eu: 'EUR' },
+    // Prices quoted in a currency's minor unit (e.g. London prices in pence)
+    MINOR_UNITS: {
+      GBp: { currency: 'GBP', factor: 0.01 },
+      GBX: { currency: 'GBP', factor: 0.01 },
+      ZAc: { currency: 'ZAR', factor: 0.01 },
+      ILA: { currency: 'ILS', factor: 0.01 }
+    },
+    // Sheet number formats for prices; other currencies use '#,##0.00'
+    NUMBER_FORMATS: {
+      KRW: '"₩"#,##0',
+      JPY: '"¥"#,##0',
+      USD: '"$"#,##0.00',
+      EUR: '"€"#,##0.00',
+      GBP: '"£"#,##0.00',
+      HKD: '"HK$"#,##0.00',
+      CNY: '"CN¥"#,##0.00'
+    }
+  },
+  
+  /**
+   * Benchmarks used for the "vs 벤치마크" columns
+   */
+  BENCHMARKS: {
+    // Benchmark of a ticker whose Tickers sheet row leaves the 벤치마크 column blank, by market region
+    DEFAULTS: {
+      kr: { symbol: 'KOSPI', sources: ['naver'] },
+      us: { symbol: '^GSPC', sources: ['yahoo'] },
+      cn: { symbol: '000001.SS', sources: ['yahoo'] },
+      hk: { symbol: '^HSI', sources: ['yahoo'] },
+      eu: { symbol: '^STOXX50E', sources: ['yahoo'] }
+    },
+    NONE: ['-', '없음', 'none']          // 벤치마크 values that turn the comparison off for a ticker
+  },
+  
+  /**
+   * Risk metrics over the 52-week window (volatility, max drawdown, Sharpe ratio, beta)
+   */
+  RISK: {
+    TRADING_DAYS_PER_YEAR: 252, // Daily figures are annualized with this many trading days
+    MIN_OBSERVATIONS: 20,       // Fewest daily returns a metric is calculated from
+    RISK_FREE_RATE: 3.0         // Annual risk-free rate (%) when the Settings sheet does not specify RISK_FREE_RATE
+  },
+  
+  /**
+   * Technical indicators calculated from the daily closes of the price history
+   */
+  TECHNICAL: {
+    DEFAULT_MOVING_AVERAGES: ['SMA50', 'SMA200'], // Moving averages when the Settings sheet does not specify MOVING_AVERAGES
+    RSI_PERIOD: 14,                               // Days in the RSI (Wilder's smoothing)
+    RSI_OVERBOUGHT: 70,                           // RSI at or above this is shown as overbought
+    RSI_OVERSOLD: 30,                             // RSI at or below this is shown as oversold
+    CROSSOVER: { FAST: 50, SLOW: 200 },           // Simple moving averages compared for golden/death crosses
+    CROSSOVER_LOOKBACK_DAYS: 250,                 // Trading days searched back for the last golden/death cross
+    RECENT_CROSS_DAYS: 20,                        // A cross within this many trading days is flagged as new
+    MAX_WINDOW: 1000                              // Longest moving average window, in trading days
+  },
+  
+  /**
+   * Dividends and splits used for total returns
+   */
+  CORPORATE_ACTIONS: {
+    SOURCE: 'yahoo'         // Provider whose dividend and split events are used; the others do not report them
+  },
+  
+  /**
+   * Webhook notifications (Notifications sheet)
+   */
+  NOTIFICATIONS: {
+    TOP_MOVERS: 3           // Gainers and losers listed in the update summary
+  },
+  
+  /**
+   * Run history (Snapshots sheet)
+   */
+  SNAPSHOTS: {
+    MAX_ROWS: 100000        // Oldest snapshot rows are deleted beyond this to stay clear of the sheet cell limit
+  },
+  
+  /**
+   * Price lineage log (Audit sheet)
+   */
+  AUDIT: {
+    RETENTION_DAYS: 30,     // Default for the AUDIT_RETENTION_DAYS setting
+    MAX_ROWS: 200000        // Oldest audit rows are deleted beyond this whatever the retention window
+  },
+  
+  /**
+   * Ticker tape page served by the web app (?view=tape)
+   */
+  TICKER_TAPE: {
+    REFRESH_SECONDS: 300,   // Default interval between refreshes of the page data
+    MIN_REFRESH_SECONDS: 60 // Shorter intervals requested with the refresh parameter are raised to this
+  },
+  
+  /**
+   * Price history cache (PriceCache sheet + CacheService hot tier)
+   */
+  PRICE_CACHE: {
+    HOT_TTL_SECONDS: 6 * 60 * 60, // CacheService entries expire after 6 hours
+    HOT_MAX_BYTES: 90 * 1024      // CacheService rejects values over 100KB
+  },
+  
+  /**
+   * Parallel HTTP fetching with UrlFetchApp.fetchAll
+   */
+  FETCH: {
+    BATCH_SIZE: 20          // Requests sent together in one fetchAll call
+  },
+  
+  /**
+   * Resumable dashboard updates
+   * Apps Script stops an execution after 6 minutes, so a run pauses before that
+   * and a trigger continues it from the last processed ticker
+   */
+  UPDATE: {
+    TIME_BUDGET_MS: 4.5 * 60 * 1000,    // Stop starting new tickers after this much time
+    FINALIZE_RESERVE_MS: 60 * 1000,     // Time left in the budget needed to run the totals, alerts, snapshot and notifications
+    CONTINUATION_DELAY_MS: 60 * 1000     // Delay before the continuation trigger runs
+  },
+  
+  /**
+   * Scheduled refreshes after market closes
+   */
+  SCHEDULER: {
+    CLOSE_DELAY_MINUTES: 10              // Default schedule time after a market's close
+  },
+  
   /**
    * Retry settings for data fetching
    */
@@ -8,10 +8,12 @@
 class DateCalculator {
   /**
    * @param {Date} referenceDate - The reference date for calculations
+   * @param {string} [marketRegion] - Market region whose holiday calendar is applied (weekends only if omitted)
    */
-  constructor(referenceDate) {
+  constructor(referenceDate, marketRegion) {
     this.referenceDate = referenceDate;
-    Logger.log(`DateCalculator 초기화 - 참조일: ${this.formatDate(referenceDate)}`);
+    this.marketRegion = marketRegion || null;
+    Logger.log(`DateCalculator 초기화 - 참조일: ${this.formatDate(referenceDate)}${this.marketRegion ? `, 시장: ${this.marketRegion}` : ''}`);
     
     // Store the current date for sanity checks
     this.currentDate = new Date();
@@ -26,6 +28,18 @@ class DateCalculator {
     return this.referenceDate;
   }
   
+  /**
+   * Get a calculator with the same reference date that skips the given market's holidays
+   * @param {string} marketRegion - Market region code (kr, us, cn, hk, eu)
+   * @return {DateCalculator} Market-aware date calculator
+   */
+  forMarket(marketRegion) {
+    if (marketRegion === this.marketRegion) {
+      return this;
+    }
+    return new DateCalculator(this.referenceDate, marketRegion);
+  }
+  
   /**
    * Get a date that is specified number of weeks ago from the reference date
    * @param {number} weeks - Number of weeks ago
@@ -92,6 +106,90 @@ class DateCalculator {
     return ytdDate;
   }
   
+  /**
+   * Get the trading date before the reference date (base for the daily return)
+   * @return {Date} Previous trading date
+   */
+  getPreviousTradingDate() {
+    const previousDate = this.getLastTradingDate(this.getPastDate(1));
+    Logger.log(`이전 거래일: ${this.formatDate(previousDate)}`);
+    return previousDate;
+  }
+  
+  /**
+   * Get the start date of the current month (base for the MTD return)
+   * @return {Date} Last trading date on or before the first day of the month
+   */
+  getMonthStartDate() {
+    const baseDate = this.referenceDate > this.currentDate ? this.currentDate : this.referenceDate;
+    const firstDayOfMonth = new Date(baseDate.getFullYear(), baseDate.getMonth(), 1);
+    
+    const mtdDate = this.getLastTradingDate(firstDayOfMonth);
+    Logger.log(`월초 날짜: ${this.formatDate(mtdDate)}`);
+    return mtdDate;
+  }
+  
+  /**
+   * Get the start date of the current quarter (base for the QTD return)
+   * @return {Date} Last trading date on or before the first day of the quarter
+   */
+  getQuarterStartDate() {
+    const baseDate = this.referenceDate > this.currentDate ? this.currentDate : this.referenceDate;
+    const quarterStartMonth = Math.floor(baseDate.getMonth() / 3) * 3;
+    const firstDayOfQuarter = new Date(baseDate.getFullYear(), quarterStartMonth, 1);
+    
+    const qtdDate = this.getLastTradingDate(firstDayOfQuarter);
+    Logger.log(`분기초 날짜: ${this.formatDate(qtdDate)}`);
+    return qtdDate;
+  }
+  
+  /**
+   * Get a date that is specified number of years ago from the reference date
+   * @param {number} years - Number of years ago
+   * @return {Date} Date from years ago
+   */
+  getDateYearsAgo(years) {
+    return this.getDateMonthsAgo(years * 12);
+  }
+  
+  /**
+   * Get the inception date adjusted to a trading date (base for the since-inception return)
+   * @param {Date} inceptionDate - Inception date from the Tickers sheet
+   * @return {Date|null} Trading date on or before the inception date, or null if not set
+   */
+  getInceptionDate(inceptionDate) {
+    if (!(inceptionDate instanceof Date) || isNaN(inceptionDate.getTime())) {
+      Logger.log('시작일이 설정되지 않아 설정 이후 수익률을 계산할 수 없습니다.');
+      return null;
+    }
+    return this.getLastTradingDate(new Date(inceptionDate));
+  }
+  
+  /**
+   * Get the anchor date for a return period
+   * @param {string} periodCode - Period code from CONFIG.PERIODS (e.g. '1D', 'MTD', '3Y', 'ITD')
+   * @param {Object} [options] - Ticker-specific options
+   * @param {Date} [options.inceptionDate] - Inception date for the 'ITD' period
+   * @return {Date|null} Anchor date, or null if the period has no date (HIGH) or cannot be resolved
+   */
+  getPeriodStartDate(periodCode, options = {}) {
+    switch (periodCode) {
+      case '1D': return this.getPreviousTradingDate();
+      case '1W': return this.getDateWeeksAgo(1);
+      case '1M': return this.getDateMonthsAgo(1);
+      case 'MTD': return this.getMonthStartDate();
+      case 'QTD': return this.getQuarterStartDate();
+      case '3M': return this.getDateMonthsAgo(3);
+      case '6M': return this.getDateMonthsAgo(6);
+      case 'YTD': return this.getYearStartDate();
+      case '1Y': return this.getDateYearsAgo(1);
+      case '3Y': return this.getDateYearsAgo(3);
+      case '5Y': return this.getDateYearsAgo(5);
+      case 'ITD': return this.getInceptionDate(options.inceptionDate);
+      default: return null;
+    }
+  }
+  
   /**
    * Get a date in the past
    * @param {number} daysAgo - Number of days in the past
@@ -127,18 +225,40 @@ class DateCalculator {
     let attempts = 0;
     let originalDate = new Date(date);
     
-    while (this.isWeekend(date) && attempts < 7) {
+    // Long holiday runs (e.g. Chinese Spring Festival) can span more than a week
+    while (!this.isTradingDay(date) && attempts < 15) {
       date = new Date(date.getTime() - 24 * 60 * 60 * 1000); // Go back one day
       attempts++;
     }
     
     if (date.getTime() !== originalDate.getTime()) {
-      Logger.log(`주말 조정: ${this.formatDate(originalDate)} → ${this.formatDate(date)}`);
+      Logger.log(`휴장일 조정: ${this.formatDate(originalDate)} → ${this.formatDate(date)}`);
     }
     
     return date;
   }
   
+  /**
+   * Check if a date is a trading day (not a weekend or a holiday of the bound market)
+   * @param {Date} date - The date to check
+   * @return {boolean} True if the date is a trading day
+   */
+  isTradingDay(date) {
+    if (this.isWeekend(date)) {
+      return false;
+    }
+    
+    if (this.marketRegion) {
+      const holidayName = getHolidayCalendar().getHolidayName(this.marketRegion, date);
+      if (holidayName) {
+        Logger.log(`${this.formatDate(date)}은(는) 휴장일입니다 (${holidayName})`);
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
   /**
    * Check if a date is a weekend
    * @param {Date} date - The date to check
@@ -223,7 +343,6 @@ class MarketTimeManager {
       'kr': {
         name: '한국',
         timezone: 'Asia/Seoul',
-        offset: 9, // GMT+9
         openTime: 9, // 9:00 AM
         closeTime: 15.5, // 3:30 PM (15:30)
         tradingDays: [1, 2, 3, 4, 5] // Monday to Friday
@@ -231,7 +350,6 @@ class MarketTimeManager {
       'us': {
         name: '미국',
         timezone: 'America/New_York',
-        offset: -5, // EST (GMT-5) - may need seasonal adjustment for DST
         openTime: 9.5, // 9:30 AM
         closeTime: 16, // 4:00 PM
         tradingDays: [1, 2, 3, 4, 5] // Monday to Friday
@@ -239,15 +357,20 @@ class MarketTimeManager {
       'cn': {
         name: '중국',
         timezone: 'Asia/Shanghai',
-        offset: 8, // GMT+8
         openTime: 9.5, // 9:30 AM
         closeTime: 15, // 3:00 PM
         tradingDays: [1, 2, 3, 4, 5] // Monday to Friday
       },
+      'hk': {
+        name: '홍콩',
+        timezone: 'Asia/Hong_Kong',
+        openTime: 9.5, // 9:30 AM
+        closeTime: 16, // 4:00 PM
+        tradingDays: [1, 2, 3, 4, 5] // Monday to Friday
+      },
       'eu': {
         name: '유럽',
         timezone: 'Europe/London',
-        offset: 0, // GMT (may need seasonal adjustment for DST)
         openTime: 8, // 8:00 AM (approx. for major European markets)
         closeTime: 16.5, // 4:30 PM (approx.)
         tradingDays: [1, 2, 3, 4, 5] // Monday to Friday
@@ -277,11 +400,21 @@ class MarketTimeManager {
         return 'kr';
       }
       
+      // Provider-formatted Korean symbols (Yahoo .KS/.KQ, Google KRX:/KOSDAQ:)
+      if (/\.(KS|KQ)$/.test(symbol) || /^(KRX|KOSDAQ):/.test(symbol)) {
+        return 'kr';
+      }
+      
       // Chinese symbols often end with .SS or .SZ
-      if (symbol.endsWith('.SS') || symbol.endsWith('.SZ') || symbol.endsWith('.HK')) {
+      if (symbol.endsWith('.SS') || symbol.endsWith('.SZ')) {
         return 'cn';
       }
       
+      // Hong Kong symbols trade on HKEX with its own holiday calendar
+      if (symbol.endsWith('.HK')) {
+        return 'hk';
+      }
+      
       // European symbols often include specific exchanges
       if (symbol.includes('.PA') || symbol.includes('.L') || symbol.includes('.F') || 
           symbol.includes('.MC') || symbol.includes('.AS') || symbol.includes('.MI')) {
@@ -292,9 +425,37 @@ class MarketTimeManager {
     return region;
   }
   
+  /**
+   * Get the wall-clock time of a market at a given instant
+   * The market's IANA timezone is used, so daylight saving transitions are applied.
+   * @param {string} marketRegion - Market region code (kr, us, cn, hk, eu)
+   * @param {Date} date - The instant to convert
+   * @returns {Date} Date whose local fields (year, month, day, hours, minutes) are the market's wall-clock time
+   */
+  getMarketLocalTime(marketRegion, date) {
+    const market = this.markets[marketRegion];
+    if (!market) return new Date(date.getTime());
+    
+    const parts = Utilities.formatDate(date, market.timezone, 'yyyy-MM-dd HH:mm').split(/[- :]/).map(Number);
+    return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4]);
+  }
+  
+  /**
+   * Get the timezone abbreviation currently in effect for a market (e.g. EST/EDT, GMT/BST)
+   * @param {string} marketRegion - Market region code
+   * @param {Date} [date] - The instant to check (defaults to now)
+   * @returns {string} Timezone abbreviation or empty string for unknown markets
+   */
+  getTimezoneAbbreviation(marketRegion, date) {
+    const market = this.markets[marketRegion];
+    if (!market) return '';
+    
+    return Utilities.formatDate(date || new Date(), market.timezone, 'z');
+  }
+  
   /**
    * Check if a market is open at a specific time
-   * @param {string} marketRegion - Market region code (kr, us, cn, eu)
+   * @param {string} marketRegion - Market region code (kr, us, cn, hk, eu)
    * @param {Date} checkDate - Date to check
    * @returns {boolean} True if the market is open
    */
@@ -302,15 +463,11 @@ class MarketTimeManager {
     const market = this.markets[marketRegion];
     if (!market) return false;
     
-    // Convert check date to market timezone
-    const marketDate = new Date(checkDate.getTime());
-    const localOffset = -checkDate.getTimezoneOffset() / 60;
-    const hourDiff = market.offset - localOffset;
-    marketDate.setHours(marketDate.getHours() + hourDiff);
+    // Convert check date to market local time
+    const marketDate = this.getMarketLocalTime(marketRegion, checkDate);
     
     // Check if it's a trading day
-    const dayOfWeek = marketDate.getDay();
-    if (!market.tradingDays.includes(dayOfWeek)) {
+    if (!this.isTradingDay(marketRegion, marketDate)) {
       return false;
     }
     
@@ -321,7 +478,7 @@ class MarketTimeManager {
   
   /**
    * Get the most recent trading day for a market
-   * @param {string} marketRegion - Market region code (kr, us, cn, eu)
+   * @param {string} marketRegion - Market region code (kr, us, cn, hk, eu)
    * @param {Date} referenceDate - Reference date
    * @returns {Object} Date object with information about the most recent trading day
    */
@@ -336,19 +493,12 @@ class MarketTimeManager {
       };
     }
     
-    // Convert reference date to market timezone
-    const marketDate = new Date(referenceDate.getTime());
-    const localOffset = -referenceDate.getTimezoneOffset() / 60;
-    const hourDiff = market.offset - localOffset;
-    marketDate.setHours(marketDate.getHours() + hourDiff);
-    
-    const now = new Date();
-    const marketNow = new Date(now.getTime());
-    marketNow.setHours(marketNow.getHours() + hourDiff);
+    // Convert reference date and now to market local time
+    const marketDate = this.getMarketLocalTime(marketRegion, referenceDate);
+    const marketNow = this.getMarketLocalTime(marketRegion, new Date());
     
     // Check if today is a trading day
-    const dayOfWeek = marketDate.getDay();
-    const isTradingDay = market.tradingDays.includes(dayOfWeek);
+    const isTradingDay = this.isTradingDay(marketRegion, marketDate);
     
     // Check market hours
     const marketHours = marketNow.getHours() + (marketNow.getMinutes() / 60);
@@ -366,23 +516,19 @@ class MarketTimeManager {
     // Adjust based on market status
     if (!isTradingDay) {
       // Go back to the last trading day
-      const daysToSubtract = this.getDaysToLastTradingDay(dayOfWeek, market.tradingDays);
+      const holidayName = getHolidayCalendar().getHolidayName(marketRegion, marketDate);
+      const daysToSubtract = this.getDaysToLastTradingDay(marketRegion, marketDate);
       marketDate.setDate(marketDate.getDate() - daysToSubtract);
       
       result.date = new Date(marketDate);
       result.isToday = false;
       result.isCurrent = false;
-      result.message = `${market.name} 시장 최근 거래일 (${daysToSubtract}일 전)`;
+      result.message = holidayName
+        ? `${market.name} 시장 휴장일 (${holidayName}) - 최근 거래일 (${daysToSubtract}일 전)`
+        : `${market.name} 시장 최근 거래일 (${daysToSubtract}일 전)`;
     } else if (isBeforeOpen) {
       // Market hasn't opened yet today, use previous close
-      marketDate.setDate(marketDate.getDate() - 1);
-      
-      // Adjust if previous day is not a trading day
-      let prevDayOfWeek = marketDate.getDay();
-      if (!market.tradingDays.includes(prevDayOfWeek)) {
-        const daysToSubtract = this.getDaysToLastTradingDay(prevDayOfWeek, market.tradingDays);
-        marketDate.setDate(marketDate.getDate() - daysToSubtract);
-      }
+      marketDate.setDate(marketDate.getDate() - this.getDaysToLastTradingDay(marketRegion, marketDate));
       
       result.date = new Date(marketDate);
       result.isToday = false;
@@ -390,14 +536,7 @@ class MarketTimeManager {
       result.message = `${market.name} 시장 이전 거래일 (장 개장 전)`;
     } else if (!isAfterClose && result.isToday) {
       // Market is open but hasn't closed yet, use previous close
-      marketDate.setDate(marketDate.getDate() - 1);
-      
-      // Adjust if previous day is not a trading day
-      let prevDayOfWeek = marketDate.getDay();
-      if (!market.tradingDays.includes(prevDayOfWeek)) {
-        const daysToSubtract = this.getDaysToLastTradingDay(prevDayOfWeek, market.tradingDays);
-        marketDate.setDate(marketDate.getDate() - daysToSubtract);
-      }
+      marketDate.setDate(marketDate.getDate() - this.getDaysToLastTradingDay(marketRegion, marketDate));
       
       result.date = new Date(marketDate);
       result.isToday = false;
@@ -422,19 +561,57 @@ class MarketTimeManager {
   }
   
   /**
-   * Calculate days to subtract to get to the last trading day
-   * @param {number} currentDay - Current day of week (0-6)
-   * @param {Array} tradingDays - Array of trading days
+   * Get the most recent closing bell of a market at or before an instant
+   * @param {string} marketRegion - Market region code
+   * @param {Date} [date] - The instant to check (defaults to now)
+   * @returns {Date} Closing time as market wall-clock time (comparable with getMarketLocalTime results)
+   */
+  getLastCloseTime(marketRegion, date = new Date()) {
+    const market = this.markets[marketRegion];
+    const localTime = this.getMarketLocalTime(marketRegion, date);
+    const closeHour = Math.floor(market.closeTime);
+    const closeMinute = Math.round((market.closeTime - closeHour) * 60);
+    const close = new Date(localTime.getFullYear(), localTime.getMonth(), localTime.getDate(), closeHour, closeMinute);
+    
+    if (close > localTime) {
+      close.setDate(close.getDate() - 1);
+    }
+    for (let i = 0; i < 15 && !this.isTradingDay(marketRegion, close); i++) {
+      close.setDate(close.getDate() - 1);
+    }
+    
+    return close;
+  }
+  
+  /**
+   * Check if a date is a trading day for a market (trading weekday and not an exchange holiday)
+   * @param {string} marketRegion - Market region code
+   * @param {Date} date - Date in market local time
+   * @returns {boolean} True if the market trades on that date
+   */
+  isTradingDay(marketRegion, date) {
+    const market = this.markets[marketRegion];
+    if (!market || !market.tradingDays.includes(date.getDay())) {
+      return false;
+    }
+    return !getHolidayCalendar().isHoliday(marketRegion, date);
+  }
+  
+  /**
+   * Calculate days to subtract to get to the last trading day before the given date
+   * @param {string} marketRegion - Market region code
+   * @param {Date} date - Date in market local time
    * @returns {number} Days to subtract
    * @private
    */
-  getDaysToLastTradingDay(currentDay, tradingDays) {
+  getDaysToLastTradingDay(marketRegion, date) {
     let daysToSubtract = 1;
-    let checkDay = (currentDay - 1 + 7) % 7;
+    const checkDate = new Date(date.getTime());
+    checkDate.setDate(checkDate.getDate() - 1);
     
-    while (!tradingDays.includes(checkDay) && daysToSubtract < 10) {
+    while (!this.isTradingDay(marketRegion, checkDate) && daysToSubtract < 15) {
       daysToSubtract++;
-      checkDay = (checkDay - 1 + 7) % 7;
+      checkDate.setDate(checkDate.getDate() - 1);
     }
     
     return daysToSubtract;
@@ -1,4 +1,6 @@
 // Mock Google Apps Script's global objects and functions
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
 
 // Mock Logger
 global.Logger = {
@@ -15,6 +17,18 @@ global.Utilities = {
     if (format === 'yyyy-MM-dd') {
       return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
     }
+    if (format === 'yyyy-MM-dd HH:mm') {
+      // Wall-clock time in an IANA timezone, including daylight saving transitions
+      const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+      }).formatToParts(d).map(part => [part.type, part.value]));
+      return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+    }
+    if (format === 'z') {
+      return new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'short' })
+        .formatToParts(d).find(part => part.type === 'timeZoneName').value;
+    }
     return d.toISOString();
   },
 };
@@ -69,4 +83,13 @@ global.SS = {
 // Mock diagnostic function
 global.isDiagnosticModeEnabled = vi.fn().mockReturnValue(false);
 
-export { HttpResponse }; 
\ No newline at end of file
+// Load Apps Script source files into one shared scope, as the Apps Script runtime does,
+// and return the requested top-level declarations
+const repoRoot = resolve(__dirname, '../..');
+
+function loadGasScripts(files, names) {
+  const source = files.map(file => readFileSync(resolve(repoRoot, file), 'utf8')).join('\n');
+  return new Function(`${source}\nreturn { ${names.join(', ')} };`)();
+}
+
+export { HttpResponse, loadGasScripts };
@@ -0,0 +1,105 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+// Settings sheet with only ALERT_EMAIL filled in
+const settingsSheet = {
+  getLastRow: () => 2,
+  getRange: () => ({ getValues: () => [['ALERT_EMAIL', 'me@example.com, team@example.com']] })
+};
+global.SS = { getSheetByName: name => (name === 'Settings' ? settingsSheet : null) };
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+global.MailApp = { sendEmail: vi.fn(), getRemainingDailyQuota: vi.fn(() => 100) };
+
+const {
+  parseAlertRule, readAlertMetrics, evaluateAlertRules, buildAlertDigestHtml, sendAlertDigest
+} = loadGasScripts(
+  ['Config.js', 'services/PriceService.js', 'services/SettingsService.js', 'services/AlertService.js'],
+  ['parseAlertRule', 'readAlertMetrics', 'evaluateAlertRules', 'buildAlertDigestHtml', 'sendAlertDigest']
+);
+
+// Rule from the ticker, metric, condition and value cells and a 상태 cell
+const rule = (cells, state = '') => parseAlertRule([...cells, '', '', '', state]);
+
+const weeklyDrop = (state) => rule(['*', '1W', '<', -5], state);
+
+describe('AlertService', () => {
+  beforeEach(() => {
+    MailApp.sendEmail.mockClear();
+  });
+
+  it('parses rules by period code or header, condition name and value', () => {
+    expect(parseAlertRule(['aapl', '주간 변화', '미만', '-5%', '', '', '', 'AAPL=Y'])).toMatchObject({
+      ticker: 'AAPL', metric: '1W', operator: 'LT', threshold: -5, enabled: true, label: '1W < -5', state: { AAPL: true }
+    });
+    expect(parseAlertRule(['*', 'ytd', '돌파', 0, 'N', '', '', ''])).toMatchObject({ operator: 'CROSSES', enabled: false });
+    expect(parseAlertRule(['*', 'VOLUME', '>', 1, '', '', '', ''])).toBeNull();
+    expect(parseAlertRule(['*', '1W', '=', 1, '', '', '', ''])).toBeNull();
+  });
+
+  it('reads returns in percent and the distance from the 52-week levels from a dashboard row', () => {
+    const columnMap = { CURRENT: 1, HIGH: 2, LOW: 3, RANGE: 4, PERIODS: [{ code: '1W', column: 5 }, { code: 'YTD', column: 6 }] };
+
+    expect(readAlertMetrics([98, 100, 50, 0.96, -0.062, 'N/A'], columnMap)).toEqual({
+      PRICE: 98, HIGH: expect.closeTo(-2, 10), LOW: expect.closeTo(96, 10), RANGE: 96, '1W': expect.closeTo(-6.2, 10)
+    });
+  });
+
+  it('fires a comparison once until the condition stops holding', () => {
+    const tickers = value => [{ ticker: 'AAPL', name: 'Apple', metrics: { '1W': value } }];
+
+    const first = evaluateAlertRules([weeklyDrop('')], tickers(-6));
+    expect(first.alerts).toHaveLength(1);
+    expect(first.alerts[0]).toMatchObject({ ticker: 'AAPL', value: -6 });
+    expect(first.states).toEqual([{ AAPL: true }]);
+
+    // Still below -5%: no new alert
+    expect(evaluateAlertRules([weeklyDrop('AAPL=Y')], tickers(-8)).alerts).toHaveLength(0);
+
+    // Recovered, then dropped again
+    expect(evaluateAlertRules([weeklyDrop('AAPL=Y')], tickers(1)).states).toEqual([{ AAPL: false }]);
+    expect(evaluateAlertRules([weeklyDrop('AAPL=N')], tickers(-5.5)).alerts).toHaveLength(1);
+
+    // Missing values keep the previous state
+    expect(evaluateAlertRules([weeklyDrop('AAPL=Y')], [{ ticker: 'AAPL', metrics: {} }]).states).toEqual([{ AAPL: true }]);
+  });
+
+  it('fires a crossing only when the value moves past the threshold in the rule\'s direction', () => {
+    const ytd = value => [{ ticker: 'MSFT', name: 'Microsoft', metrics: { YTD: value } }];
+    const crosses = state => rule(['MSFT', 'YTD', '돌파', 0], state);
+    const crossesBelow = state => rule(['MSFT', 'YTD', '하향 돌파', 0], state);
+
+    expect(evaluateAlertRules([crosses('')], ytd(2)).alerts).toHaveLength(0);
+    expect(evaluateAlertRules([crosses('MSFT=N')], ytd(2)).alerts[0]).toMatchObject({ direction: 'above' });
+    expect(evaluateAlertRules([crossesBelow('MSFT=N')], ytd(2)).alerts).toHaveLength(0);
+    expect(evaluateAlertRules([crossesBelow('MSFT=Y')], ytd(-1)).alerts[0]).toMatchObject({ direction: 'below' });
+  });
+
+  it('only evaluates a rule for its own ticker', () => {
+    const tickers = [
+      { ticker: 'AAPL', metrics: { '1W': -9 } },
+      { ticker: 'MSFT', metrics: { '1W': -9 } }
+    ];
+
+    const { alerts } = evaluateAlertRules([rule(['msft', '1W', '<', -5])], tickers);
+
+    expect(alerts.map(alert => alert.ticker)).toEqual(['MSFT']);
+  });
+
+  it('emails one digest to the ALERT_EMAIL recipients', () => {
+    const alerts = evaluateAlertRules([weeklyDrop('')], [{ ticker: 'AAPL', name: 'A&B <Co>', metrics: { '1W': -6.2 } }]).alerts;
+
+    expect(sendAlertDigest(alerts, new Date(2025, 4, 20))).toBe(true);
+    expect(MailApp.sendEmail).toHaveBeenCalledTimes(1);
+
+    const message = MailApp.sendEmail.mock.calls[0][0];
+    expect(message.to).toBe('me@example.com,team@example.com');
+    expect(message.subject).toBe('[대시보드 알림] 1건 - AAPL');
+    expect(message.htmlBody).toContain('A&amp;B &lt;Co&gt;');
+    expect(message.htmlBody).toContain('-6.20%');
+    expect(buildAlertDigestHtml(alerts, new Date(2025, 4, 20))).toContain('기준일 2025-05-20');
+
+    expect(sendAlertDigest([], new Date(2025, 4, 20))).toBe(false);
+    expect(MailApp.sendEmail).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+const properties = new Map();
+global.PropertiesService = {
+  getScriptProperties: () => ({
+    getProperty: (key) => (properties.has(key) ? properties.get(key) : null),
+    setProperty: (key, value) => properties.set(key, value)
+  })
+};
+
+// Dashboard sheet whose rows are set by each test; no Settings sheet, so the default layout applies
+let dashboardValues;
+const dashboardSheet = {
+  getLastRow: () => dashboardValues.length,
+  getRange: (row, column, rows, columns) => ({
+    getValues: () => dashboardValues.slice(row - 1, row - 1 + rows).map(values => values.slice(column - 1, column - 1 + columns))
+  })
+};
+global.SS = { getSheetByName: name => (name === 'Dashboard' ? dashboardSheet : null) };
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+// Collaborators outside the API module
+global.getReferenceDate = () => new Date('2025-05-20T03:00:00Z');
+global.isHoldingsModeEnabled = () => false;
+global.lookupSymbol = vi.fn();
+global.getLockStatus = vi.fn(() => ({ locked: true, user: 'me@example.com', time: null, isStale: false }));
+global.getUpdateCheckpoint = vi.fn(() => null);
+
+const { handleApiRequest, getDashboardLayout, getDisplaySettings } = loadGasScripts(
+  [
+    'Config.js', 'utils/HolidayCalendar.js', 'DateUtils.js', 'services/providers/ProviderFactory.js',
+    'services/SettingsService.js', 'services/DashboardService.js', 'services/ApiService.js'
+  ],
+  ['handleApiRequest', 'getDashboardLayout', 'getDisplaySettings']
+);
+
+const TOKEN = 'secret-token';
+const request = (parameter) => handleApiRequest({ parameter: Object.assign({ token: TOKEN }, parameter) });
+
+// Dashboard rows in the default layout (1W, 1M, YTD, HIGH, LOW with benchmark columns)
+const { headers, columnMap } = getDashboardLayout(null, null, false, getDisplaySettings());
+const dashboardRow = (name, ticker, source, current, returns, info = '') => {
+  const values = new Array(headers.length).fill('');
+  values[columnMap.NAME - 1] = name;
+  values[columnMap.TICKER - 1] = ticker;
+  values[columnMap.SOURCE - 1] = source;
+  values[columnMap.CURRENT - 1] = current;
+  columnMap.PERIODS.forEach((period, i) => { values[period.column - 1] = returns[i]; });
+  values[columnMap.INFO - 1] = info;
+  values[columnMap.LAST_UPDATED - 1] = '2025-05-20 12:00:00';
+  return values;
+};
+
+describe('ApiService', () => {
+  beforeEach(() => {
+    properties.clear();
+    properties.set('apiToken', TOKEN);
+    lookupSymbol.mockReset();
+
+    const headerRow = headers.slice();
+    headerRow[columnMap.INFO - 1] = '정보\n(기준일: 2025-05-20)';
+    dashboardValues = [
+      headerRow,
+      dashboardRow('Apple', 'AAPL', 'YAHOO, GOOGLE', 190.5, [0.012, -0.03, 0.1, -0.05, 0.4]),
+      dashboardRow('삼성전자', '005930', 'NAVER', 58000, [0.02, 'N/A', -0.01, -0.2, 0.1]),
+      dashboardRow('Tencent', '0700.HK', 'YAHOO', 'N/A', ['', '', '', '', ''], '오류: 가격 없음'),
+      // Totals row without a ticker
+      ['합계', '', ''].concat(new Array(headers.length - 3).fill(''))
+    ];
+  });
+
+  it('rejects requests without the issued token', () => {
+    expect(request({ token: 'wrong-token' })).toEqual({
+      ok: false, error: { code: 'UNAUTHORIZED', message: '유효한 API 토큰이 필요합니다.' }
+    });
+
+    // The API stays closed until a token is issued
+    properties.clear();
+    expect(request({ token: '' }).error.code).toBe('UNAUTHORIZED');
+  });
+
+  it('serves the dashboard rows with returns in percent', () => {
+    const response = request({});
+
+    expect(response).toMatchObject({ ok: true, action: 'dashboard' });
+    expect(response.data).toMatchObject({ referenceDate: '2025-05-20', periods: ['1W', '1M', 'YTD', 'HIGH', 'LOW'], count: 3 });
+    expect(response.data.rows[0]).toMatchObject({
+      name: 'Apple', ticker: 'AAPL', sources: ['yahoo', 'google'], region: 'us', current: 190.5,
+      totalReturns: null, risk: null, info: null, lastUpdated: '2025-05-20 12:00:00'
+    });
+    expect(response.data.rows[0].returns['1W']).toBeCloseTo(1.2, 10);
+    expect(response.data.rows[1].returns['1M']).toBeNull();
+    expect(response.data.rows[2]).toMatchObject({ current: null, info: '오류: 가격 없음' });
+  });
+
+  it('filters the dashboard rows by source, region and ticker', () => {
+    const tickers = parameter => request(parameter).data.rows.map(row => row.ticker);
+
+    expect(tickers({ source: 'naver' })).toEqual(['005930']);
+    expect(tickers({ region: 'US, hk' })).toEqual(['AAPL', '0700.HK']);
+    expect(tickers({ source: 'yahoo', region: 'hk' })).toEqual(['0700.HK']);
+    expect(tickers({ ticker: 'aapl,005930' })).toEqual(['AAPL', '005930']);
+  });
+
+  it('reports a dashboard laid out with other settings', () => {
+    dashboardValues[0][columnMap.PERIODS[0].column - 1] = '일간 변화';
+
+    expect(request({ action: 'dashboard' }).error.code).toBe('LAYOUT_MISMATCH');
+  });
+
+  it('looks up a symbol and reports lookup errors', () => {
+    lookupSymbol.mockReturnValue({ symbol: 'MSFT', current: 420, weekly: 1.5, error: null });
+    expect(request({ action: 'lookup', symbol: 'MSFT' }).data).toMatchObject({ source: 'yahoo', symbol: 'MSFT', current: 420 });
+    expect(lookupSymbol).toHaveBeenCalledWith('MSFT', 'yahoo');
+
+    lookupSymbol.mockReturnValue({ symbol: 'NOPE', error: '조회 중 오류가 발생했습니다: 404' });
+    expect(request({ action: 'lookup', symbol: 'NOPE', source: 'naver' }).error.code).toBe('LOOKUP_FAILED');
+    expect(request({ action: 'lookup', symbol: 'MSFT', source: 'bloomberg' }).error.code).toBe('BAD_REQUEST');
+  });
+
+  it('reports the lock and paused run status and rejects unknown actions', () => {
+    getUpdateCheckpoint.mockReturnValueOnce({ runId: 'run-1', nextIndex: 4, startedAt: new Date(0), markets: null });
+
+    expect(request({ action: 'status' }).data).toMatchObject({
+      lock: { locked: true, user: 'me@example.com' },
+      pausedRun: { runId: 'run-1', nextIndex: 4 }
+    });
+    expect(request({ action: 'delete' }).error.code).toBe('UNKNOWN_ACTION');
+  });
+});
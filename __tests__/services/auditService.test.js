@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+// Audit sheet whose timestamps are set by each test, and a Settings sheet with the retention window
+let auditTimestamps = [];
+const auditRange = { setValues: vi.fn(), setNumberFormat: vi.fn(), clearContent: vi.fn() };
+const auditSheet = {
+  getLastRow: () => auditTimestamps.length + 1,
+  getMaxRows: () => 1000,
+  getRange: vi.fn(row => Object.assign({
+    getValues: () => (row === 1 ? [AUDIT_HEADERS] : auditTimestamps.map(timestamp => [timestamp]))
+  }, auditRange)),
+  insertRowsAfter: vi.fn(),
+  deleteRows: vi.fn()
+};
+const settingsSheet = {
+  getLastRow: () => 2,
+  getRange: () => ({ getValues: () => [['AUDIT_RETENTION_DAYS', 7]] })
+};
+global.SS = {
+  getSheetByName: name => ({ Audit: auditSheet, Settings: settingsSheet })[name] || null
+};
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const {
+  AUDIT_HEADERS, logAuditData, buildAuditRows, pruneAuditData, getLineageFields, findLatestAuditRunId, buildAuditFilterFormula
+} = loadGasScripts(
+  ['Config.js', 'utils/SpreadsheetUtils.js', 'services/PriceService.js', 'services/RiskService.js',
+    'services/SettingsService.js', 'services/AuditService.js'],
+  ['AUDIT_HEADERS', 'logAuditData', 'buildAuditRows', 'pruneAuditData', 'getLineageFields', 'findLatestAuditRunId',
+    'buildAuditFilterFormula']
+);
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    auditSheet.deleteRows.mockClear();
+    auditSheet.getRange.mockClear();
+    auditRange.setNumberFormat.mockClear();
+  });
+
+  it('writes a summary row and one lineage row per price field', () => {
+    const loggedAt = new Date(2025, 4, 20, 18);
+    const referenceDate = new Date(2025, 4, 20);
+    const weekAgo = new Date(2025, 4, 13);
+    const rows = buildAuditRows({
+      runId: '20250520-180000',
+      symbol: 'AAPL',
+      name: 'Apple',
+      source: 'yahoo',
+      sources: ['yahoo', 'google'],
+      fetchDate: referenceDate,
+      referenceDate: referenceDate,
+      method: 'Yahoo Finance API',
+      notes: '시장: 미국',
+      prices: {
+        periods: ['1W', 'HIGH'],
+        current: 190,
+        high: 200,
+        low: null,
+        weekly: 180,
+        providers: { current: 'yahoo', high: 'yahoo', low: null, weekly: 'google' },
+        quality: {
+          current: { flag: 'exact' },
+          high: { flag: 'exact' },
+          low: { flag: 'missing' },
+          weekly: { flag: 'nearest', date: new Date(2025, 4, 12) }
+        },
+        lineage: {
+          current: { requestedDate: referenceDate, matchedDate: referenceDate, sources: ['https://q/AAPL'], latencyMs: 120 },
+          weekly: {
+            requestedDate: weekAgo, matchedDate: new Date(2025, 4, 12),
+            sources: ['https://h/AAPL (일괄 요청)', '=GOOGLEFINANCE("NASDAQ:AAPL", "all")'], latencyMs: 3
+          }
+        }
+      },
+      returns: { weekly: 0.0556, high: -0.05 },
+      risk: null
+    }, loggedAt);
+
+    expect(rows.map(row => row[4])).toEqual(['summary', 'current', 'high', 'low', 'weekly']);
+    expect(rows[0]).toEqual([
+      '20250520-180000', loggedAt, 'AAPL', 'Apple', 'summary', '요약', '', '', '', 'YAHOO → GOOGLE',
+      referenceDate, referenceDate, '', 'Yahoo Finance API', '시장: 미국'
+    ]);
+    expect(rows[1].slice(5)).toEqual(['현재가', 190, '', 'exact', 'YAHOO', referenceDate, referenceDate, 120, 'https://q/AAPL', '']);
+    expect(rows[2].slice(6, 8)).toEqual([200, -0.05]);
+    expect(rows[3].slice(6, 15)).toEqual(['', '', 'missing', '없음', '', '', '', '', '52주 최저가: 가격 데이터 없음']);
+    expect(rows[4].slice(5)).toEqual([
+      '주간 기준가', 180, 0.0556, 'nearest', 'GOOGLE', weekAgo, new Date(2025, 4, 12), 3,
+      'https://h/AAPL (일괄 요청)\n=GOOGLEFINANCE("NASDAQ:AAPL", "all")',
+      '주간 기준가: 2025-05-12 종가 사용 (가장 가까운 이전 거래일)'
+    ]);
+  });
+
+  it('grows a full sheet and keeps the run IDs of the new rows as text', () => {
+    auditTimestamps = new Array(998).fill(new Date(2025, 4, 20));
+
+    logAuditData({ runId: '20250520-180000', symbol: 'AAPL', name: 'Apple', source: 'yahoo', prices: { periods: [] } });
+
+    // Row 1000 is the last row of the grid; the summary and the current/high/low rows need three more
+    expect(auditSheet.insertRowsAfter).toHaveBeenCalledWith(1000, 3);
+    expect(auditSheet.getRange).toHaveBeenCalledWith(1000, 1, 4, 1);
+    expect(auditRange.setNumberFormat).toHaveBeenCalledWith('@');
+  });
+
+  it('deletes the rows older than the retention window', () => {
+    const now = new Date(2025, 4, 20, 12);
+    auditTimestamps = [new Date(2025, 4, 1), new Date(2025, 4, 12), new Date(2025, 4, 14), new Date(2025, 4, 20)];
+
+    expect(pruneAuditData(now)).toBe(2);
+    expect(auditSheet.deleteRows).toHaveBeenCalledWith(2, 2);
+
+    auditTimestamps = [new Date(2025, 4, 19)];
+    expect(pruneAuditData(now)).toBe(0);
+    expect(auditSheet.deleteRows).toHaveBeenCalledTimes(1);
+  });
+
+  it('maps a dashboard cell to the fields of its latest run and filters them', () => {
+    const columnMap = {
+      CURRENT: 4, HIGH: 5, LOW: 6, RANGE: 7,
+      PERIODS: [{ code: '1W', key: 'weekly', column: 8, totalColumn: null, excessColumn: 9 }],
+      BASE_PERIODS: null,
+      INFO: 10
+    };
+
+    expect(getLineageFields(columnMap, 4)).toEqual(['summary', 'current']);
+    expect(getLineageFields(columnMap, 7)).toEqual(['summary', 'current', 'high', 'low']);
+    expect(getLineageFields(columnMap, 9)).toEqual(['summary', 'current', 'weekly']);
+    expect(getLineageFields(columnMap, 10)).toBeNull();
+
+    const values = [['run-1', null, 'AAPL'], ['run-2', null, 'MSFT'], ['run-2', null, 'AAPL'], ['run-3', null, 'MSFT']];
+    expect(findLatestAuditRunId(values, 'AAPL')).toBe('run-2');
+    expect(findLatestAuditRunId(values, 'TSLA')).toBeNull();
+
+    expect(buildAuditFilterFormula('run-2', 'A"B', ['summary', 'current'])).toBe(
+      '=AND($A2="run-2", $C2="A""B", OR($E2="summary", $E2="current"))'
+    );
+    expect(buildAuditFilterFormula('run-2', 'AAPL', null)).toBe('=AND($A2="run-2", $C2="AAPL")');
+  });
+});
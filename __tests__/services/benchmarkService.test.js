@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const { resolveBenchmark, calculateExcessReturns } = loadGasScripts(
+  ['Config.js', 'utils/HolidayCalendar.js', 'DateUtils.js', 'services/BenchmarkService.js'],
+  ['resolveBenchmark', 'calculateExcessReturns']
+);
+
+describe('BenchmarkService', () => {
+  it('defaults to the main index of the ticker\'s market', () => {
+    expect(resolveBenchmark({ ticker: '005930', source: 'naver', sources: ['naver'] }))
+      .toEqual({ symbol: 'KOSPI', sources: ['naver'] });
+    expect(resolveBenchmark({ ticker: 'AAPL', source: 'yahoo', sources: ['yahoo'] }))
+      .toEqual({ symbol: '^GSPC', sources: ['yahoo'] });
+    expect(resolveBenchmark({ ticker: '0700.HK', source: 'yahoo', sources: ['yahoo'] }))
+      .toEqual({ symbol: '^HSI', sources: ['yahoo'] });
+  });
+
+  it('uses the sources of a benchmark listed in the Tickers sheet', () => {
+    const tickers = [
+      { ticker: 'QQQ', source: 'google', sources: ['google', 'yahoo'] },
+      { ticker: 'AAPL', source: 'yahoo', sources: ['yahoo'], benchmarkSymbol: 'qqq' },
+      { ticker: 'MSFT', source: 'yahoo', sources: ['yahoo'], benchmarkSymbol: 'KOSDAQ' }
+    ];
+
+    expect(resolveBenchmark(tickers[1], tickers)).toEqual({ symbol: 'QQQ', sources: ['google', 'yahoo'] });
+    expect(resolveBenchmark(tickers[2], tickers)).toEqual({ symbol: 'KOSDAQ', sources: ['naver'] });
+  });
+
+  it('leaves out indexes and tickers whose benchmark is turned off', () => {
+    expect(resolveBenchmark({ ticker: 'KOSPI', source: 'naver', sources: ['naver'] })).toBeNull();
+    expect(resolveBenchmark({ ticker: 'AAPL', source: 'yahoo', sources: ['yahoo'], benchmarkSymbol: '-' })).toBeNull();
+    expect(resolveBenchmark({ ticker: 'AAPL', source: 'yahoo', sources: ['yahoo'], benchmarkSymbol: '없음' })).toBeNull();
+  });
+
+  it('subtracts the benchmark return per period', () => {
+    const returns = { weekly: 3, ytd: 12.5, oneYear: 20, high: -4, annualized: { weekly: false, ytd: false, oneYear: true, high: false } };
+    const benchmarkReturns = { weekly: 1, ytd: null, oneYear: 15, high: -2, annualized: { weekly: false, ytd: false, oneYear: false, high: false } };
+
+    const excess = calculateExcessReturns(returns, benchmarkReturns);
+
+    expect(excess.weekly).toBeCloseTo(2, 10);
+    expect(excess.ytd).toBeNull();
+    // An annualized return is not compared with a cumulative one
+    expect(excess.oneYear).toBeNull();
+    expect(excess.high).toBe(-2);
+    expect(calculateExcessReturns(returns, null)).toBeNull();
+  });
+});
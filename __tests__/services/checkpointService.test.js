@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.UPDATE = { TIME_BUDGET_MS: 270000, CONTINUATION_DELAY_MS: 60000 };
+
+const properties = new Map();
+global.PropertiesService = {
+  getScriptProperties: () => ({
+    getProperty: (key) => (properties.has(key) ? properties.get(key) : null),
+    setProperty: (key, value) => properties.set(key, value),
+    setProperties: (values) => Object.entries(values).forEach(([key, value]) => properties.set(key, value)),
+    deleteProperty: (key) => properties.delete(key)
+  })
+};
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const {
+  startUpdateRun, getUpdateCheckpoint, saveUpdateCheckpoint, clearUpdateCheckpoint,
+  hasTimeRemaining, scheduleUpdateContinuation, getLiveUpdateCheckpoint
+} = loadGasScripts(
+  ['services/LockService.js', 'services/CheckpointService.js'],
+  ['startUpdateRun', 'getUpdateCheckpoint', 'saveUpdateCheckpoint', 'clearUpdateCheckpoint',
+    'hasTimeRemaining', 'scheduleUpdateContinuation', 'getLiveUpdateCheckpoint']
+);
+
+describe('CheckpointService', () => {
+  beforeEach(() => {
+    properties.clear();
+  });
+
+  it('stores the run ID and the next ticker index', () => {
+    const run = startUpdateRun();
+    saveUpdateCheckpoint(run.runId, 12);
+
+    const checkpoint = getUpdateCheckpoint();
+    expect(checkpoint.runId).toBe(run.runId);
+    expect(checkpoint.nextIndex).toBe(12);
+    expect(checkpoint.startedAt.getTime()).toBe(run.startedAt.getTime());
+  });
+
+  it('has no checkpoint after the run is cleared', () => {
+    startUpdateRun();
+    clearUpdateCheckpoint();
+    expect(getUpdateCheckpoint()).toBeNull();
+  });
+
+  it('reports whether the time budget allows another ticker', () => {
+    expect(hasTimeRemaining(Date.now() - 60000)).toBe(true);
+    expect(hasTimeRemaining(Date.now() - 270000)).toBe(false);
+  });
+
+  it('keeps the reserve for the steps after the ticker loop', () => {
+    expect(hasTimeRemaining(Date.now() - 180000, 60000)).toBe(true);
+    expect(hasTimeRemaining(Date.now() - 220000, 60000)).toBe(false);
+  });
+
+  it('replaces an existing continuation trigger', () => {
+    const existing = { getHandlerFunction: () => 'continuePerformanceDashboardUpdate' };
+    const other = { getHandlerFunction: () => 'onOpen' };
+    const builder = { timeBased: vi.fn(), after: vi.fn(), create: vi.fn() };
+    builder.timeBased.mockReturnValue(builder);
+    builder.after.mockReturnValue(builder);
+    global.ScriptApp = {
+      getProjectTriggers: () => [existing, other],
+      deleteTrigger: vi.fn(),
+      newTrigger: vi.fn().mockReturnValue(builder)
+    };
+
+    scheduleUpdateContinuation();
+
+    expect(ScriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+    expect(ScriptApp.deleteTrigger).toHaveBeenCalledWith(existing);
+    expect(ScriptApp.newTrigger).toHaveBeenCalledWith('continuePerformanceDashboardUpdate');
+    expect(builder.after).toHaveBeenCalledWith(60000);
+    expect(builder.create).toHaveBeenCalled();
+  });
+
+  it('refreshes the heartbeat and the update lock on every save', () => {
+    properties.set('updateInProgress', 'true');
+    properties.set('lastUpdateTime', '0');
+    const run = startUpdateRun();
+
+    saveUpdateCheckpoint(run.runId, 3);
+
+    expect(Date.now() - getUpdateCheckpoint().heartbeatAt.getTime()).toBeLessThan(1000);
+    expect(Date.now() - parseInt(properties.get('lastUpdateTime'), 10)).toBeLessThan(1000);
+  });
+
+  it('clears a checkpoint without a heartbeat or a continuation trigger', () => {
+    const continuation = { getHandlerFunction: () => 'continuePerformanceDashboardUpdate' };
+    global.ScriptApp = { getProjectTriggers: vi.fn(() => []) };
+    const run = startUpdateRun();
+
+    // Saved just now: a live run
+    expect(getLiveUpdateCheckpoint().runId).toBe(run.runId);
+
+    // Silent for longer than the budget plus the continuation delay, but a trigger will resume it
+    properties.set('updateRunHeartbeat', String(Date.now() - 400000));
+    ScriptApp.getProjectTriggers.mockReturnValue([continuation]);
+    expect(getLiveUpdateCheckpoint().runId).toBe(run.runId);
+
+    // Silent and nothing scheduled: the execution was killed
+    ScriptApp.getProjectTriggers.mockReturnValue([]);
+    expect(getLiveUpdateCheckpoint()).toBeNull();
+    expect(getUpdateCheckpoint()).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const {
+  parseSplitRatio, parseCorporateActionRow, mergeCorporateActions, getUnadjustedSplits,
+  adjustPricesForSplits, calculateReturns, calculateTotalReturns
+} = loadGasScripts(
+  [
+    'Config.js', 'services/providers/BaseProvider.js', 'services/providers/ProviderFactory.js',
+    'services/PriceService.js', 'utils/SpreadsheetUtils.js', 'services/CorporateActionService.js'
+  ],
+  ['parseSplitRatio', 'parseCorporateActionRow', 'mergeCorporateActions', 'getUnadjustedSplits',
+    'adjustPricesForSplits', 'calculateReturns', 'calculateTotalReturns']
+);
+
+const day = (n) => new Date(2025, 0, n);
+
+// One bar per calendar day from 2025-01-01 with the given closes
+const barsFrom = (closes) => closes.map((close, i) => ({ date: day(1 + i), close }));
+
+// Prices for a one-month period starting on day 1 and ending on day 20
+const monthPrices = (start, current) => ({
+  current,
+  periods: ['1M', 'HIGH'],
+  monthly: start,
+  high: current,
+  dates: { current: day(20), monthly: day(1) },
+  quality: { monthly: { flag: 'exact', date: day(1) } }
+});
+
+describe('CorporateActionService', () => {
+  it('reads split ratios as new shares per old share', () => {
+    expect(parseSplitRatio('2:1')).toBe(2);
+    expect(parseSplitRatio('1/10')).toBeCloseTo(0.1, 10);
+    expect(parseSplitRatio(3)).toBe(3);
+    expect(parseSplitRatio('1:1')).toBeNull();
+    expect(parseSplitRatio('abc')).toBeNull();
+  });
+
+  it('parses CorporateActions sheet rows', () => {
+    const columns = { symbol: 0, date: 1, type: 2, value: 3 };
+
+    expect(parseCorporateActionRow(['aapl', '2025-01-05', '배당', '0.25'], columns))
+      .toEqual({ symbol: 'AAPL', date: day(5), type: 'dividend', value: 0.25, adjusted: false });
+    expect(parseCorporateActionRow(['005930', '2025-01-11', 'Split', '50:1'], columns))
+      .toMatchObject({ type: 'split', value: 50 });
+    expect(parseCorporateActionRow(['AAPL', '2025-01-05', '매수', '10'], columns)).toBeNull();
+    expect(parseCorporateActionRow(['AAPL', '2025-01-05', '배당', '-1'], columns)).toBeNull();
+  });
+
+  it('lets a manual row replace the provider action of the same type and day', () => {
+    const provider = [
+      { date: day(5), type: 'dividend', value: 0.24, adjusted: true },
+      { date: day(9), type: 'split', value: 4, adjusted: true }
+    ];
+    const manual = [
+      { date: day(5), type: 'dividend', value: 0.25, adjusted: false },
+      { date: day(2), type: 'dividend', value: 0.1, adjusted: false }
+    ];
+
+    expect(mergeCorporateActions(provider, manual).map(action => [action.date.getDate(), action.value]))
+      .toEqual([[2, 0.1], [5, 0.25], [9, 4]]);
+  });
+
+  it('applies only the splits the history has not absorbed', () => {
+    const split = { date: day(11), type: 'split', value: 2, adjusted: false };
+    const unadjusted = barsFrom([...Array(10).fill(100), ...Array(10).fill(50)]);
+    const adjusted = barsFrom(Array(20).fill(50));
+
+    expect(getUnadjustedSplits(unadjusted, [split])).toEqual([split]);
+    expect(getUnadjustedSplits(adjusted, [split])).toEqual([]);
+
+    const prices = monthPrices(100, 55);
+    expect(adjustPricesForSplits(prices, { bars: unadjusted, actions: [split] })).toEqual([split]);
+    expect(prices.monthly).toBe(50);
+    expect(calculateReturns(prices).monthly).toBeCloseTo(10, 10);
+  });
+
+  it('reinvests dividends paid after the period start at the previous close', () => {
+    const history = {
+      bars: barsFrom(Array(20).fill(100)),
+      actions: [
+        { date: day(1), type: 'dividend', value: 5, adjusted: true },
+        { date: day(5), type: 'dividend', value: 2, adjusted: true }
+      ]
+    };
+    const prices = monthPrices(100, 110);
+
+    const totalReturns = calculateTotalReturns(prices, calculateReturns(prices), history);
+
+    // The dividend on the start day is already out of the start price
+    expect(totalReturns.monthly).toBeCloseTo((110 * 1.02 / 100 - 1) * 100, 10);
+    expect(totalReturns.dividends.monthly).toBe(1);
+    expect(totalReturns.high).toBeNull();
+    expect(calculateTotalReturns(prices, calculateReturns(prices), null)).toBeNull();
+  });
+
+  it('restates a dividend paid before a split to the current share count', () => {
+    const history = {
+      bars: barsFrom([...Array(10).fill(100), ...Array(10).fill(50)]),
+      actions: [
+        { date: day(5), type: 'dividend', value: 4, adjusted: false },
+        { date: day(11), type: 'split', value: 2, adjusted: false }
+      ]
+    };
+    const prices = monthPrices(100, 55);
+    adjustPricesForSplits(prices, history);
+
+    const totalReturns = calculateTotalReturns(prices, calculateReturns(prices), history);
+
+    // 4 per old share is 2 per current share, reinvested at the restated close of 50
+    expect(totalReturns.monthly).toBeCloseTo((55 * 1.04 / 50 - 1) * 100, 10);
+  });
+});
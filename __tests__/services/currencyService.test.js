@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+
+const {
+  resolveTickerCurrency, normalizeCurrency, getFxSymbol, createFxRateLookup,
+  getFxRates, calculateBaseCurrencyReturns, formatPrice
+} = loadGasScripts(
+  ['Config.js', 'services/providers/BaseProvider.js', 'services/providers/ProviderFactory.js',
+    'services/PriceService.js', 'services/CurrencyService.js'],
+  ['resolveTickerCurrency', 'normalizeCurrency', 'getFxSymbol', 'createFxRateLookup',
+    'getFxRates', 'calculateBaseCurrencyReturns', 'formatPrice']
+);
+
+const provider = (source, currency) => ({ source, getCurrency: () => currency });
+
+describe('CurrencyService', () => {
+  it('prefers the configured currency, then the provider, then the market default', () => {
+    const yahoo = provider('yahoo', 'HKD');
+
+    expect(resolveTickerCurrency({ ticker: '0700.HK', currency: 'USD' }, [yahoo], 'hk')).toBe('USD');
+    expect(resolveTickerCurrency({ ticker: '0700.HK' }, [provider('google', null), yahoo], 'hk')).toBe('HKD');
+    expect(resolveTickerCurrency({ ticker: 'AAPL' }, [provider('google', null)], 'us')).toBe('USD');
+  });
+
+  it('builds Yahoo and GOOGLEFINANCE FX pair symbols', () => {
+    expect(getFxSymbol('yahoo', 'USD', 'KRW')).toBe('KRW=X');
+    expect(getFxSymbol('yahoo', 'HKD', 'KRW')).toBe('HKDKRW=X');
+    expect(getFxSymbol('google', 'EUR', 'KRW')).toBe('CURRENCY:EURKRW');
+    expect(getFxSymbol('naver', 'USD', 'KRW')).toBeNull();
+  });
+
+  it('scales prices quoted in a minor unit', () => {
+    expect(normalizeCurrency('GBp')).toEqual({ currency: 'GBP', factor: 0.01 });
+    expect(normalizeCurrency('usd')).toEqual({ currency: 'USD', factor: 1 });
+    expect(createFxRateLookup('GBP', new Date(2025, 0, 1), new Date(2025, 4, 16))('GBp', new Date(2025, 4, 16))).toBe(0.01);
+  });
+
+  it('compounds the price and FX moves into the base-currency return', () => {
+    const prices = {
+      current: 110,
+      high: 120,
+      weekly: 100,
+      periods: ['1W', 'HIGH'],
+      dates: { current: new Date(2025, 4, 16), weekly: new Date(2025, 4, 9) }
+    };
+    const rates = { 9: 1300, 16: 1430 };
+    prices.fx = getFxRates(prices, 'USD', 'KRW', (currency, date) => rates[date.getDate()]);
+
+    const returns = calculateBaseCurrencyReturns(prices);
+
+    expect(prices.fx).toEqual({ currency: 'USD', base: 'KRW', current: 1430, weekly: 1300 });
+    expect(returns.weekly).toBeCloseTo(21, 6);
+    // The 52-week high is converted at the current rate, so its comparison is unchanged
+    expect(returns.high).toBeCloseTo((110 / 120 - 1) * 100, 6);
+  });
+
+  it('formats prices with the currency decimals', () => {
+    expect(formatPrice(71234.4, 'KRW')).toBe('71234 KRW');
+    expect(formatPrice(189.456, 'USD')).toBe('189.46 USD');
+    expect(formatPrice(189.456)).toBe('189.46');
+  });
+});
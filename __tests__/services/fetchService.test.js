@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.FETCH = { BATCH_SIZE: 2 };
+
+const { prefetchRequests, fetchUrl, clearPrefetchedResponses } = loadGasScripts(
+  ['services/FetchService.js'],
+  ['prefetchRequests', 'fetchUrl', 'clearPrefetchedResponses']
+);
+
+describe('FetchService', () => {
+  beforeEach(() => {
+    clearPrefetchedResponses();
+    UrlFetchApp.fetch.mockReset();
+    UrlFetchApp.fetchAll = vi.fn(batch => batch.map(request => mockHttpResponse(200, `body of ${request.url}`)));
+  });
+
+  it('downloads unique requests in batches of the configured size', () => {
+    const stored = prefetchRequests([
+      { url: 'https://a' }, { url: 'https://b' }, { url: 'https://a' }, { url: 'https://c' }
+    ]);
+
+    expect(stored).toBe(3);
+    expect(UrlFetchApp.fetchAll).toHaveBeenCalledTimes(2);
+    expect(UrlFetchApp.fetchAll.mock.calls[0][0]).toEqual([
+      { url: 'https://a', muteHttpExceptions: true },
+      { url: 'https://b', muteHttpExceptions: true }
+    ]);
+  });
+
+  it('serves prefetched responses and fetches anything else on demand', () => {
+    prefetchRequests([{ url: 'https://a' }]);
+    UrlFetchApp.fetch.mockReturnValue(mockHttpResponse(200, 'fetched'));
+
+    expect(fetchUrl('https://a').getContentText()).toBe('body of https://a');
+    expect(fetchUrl('https://b', { muteHttpExceptions: true }).getContentText()).toBe('fetched');
+    expect(UrlFetchApp.fetch).toHaveBeenCalledWith('https://b', { muteHttpExceptions: true });
+  });
+
+  it('skips URLs that were already prefetched', () => {
+    prefetchRequests([{ url: 'https://a' }]);
+    prefetchRequests([{ url: 'https://a' }, { url: 'https://b' }]);
+
+    expect(UrlFetchApp.fetchAll.mock.calls[1][0].map(request => request.url)).toEqual(['https://b']);
+  });
+
+  it('falls back to individual fetches when a batch fails', () => {
+    UrlFetchApp.fetchAll = vi.fn(() => { throw new Error('Address unavailable'); });
+    UrlFetchApp.fetch.mockReturnValue(mockHttpResponse(200, 'fetched'));
+
+    expect(prefetchRequests([{ url: 'https://a' }])).toBe(0);
+    expect(fetchUrl('https://a').getContentText()).toBe('fetched');
+  });
+});
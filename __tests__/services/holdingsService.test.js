@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.SHEETS = { HOLDINGS: 'Holdings' };
+
+const { loadHoldings, joinHoldings, calculatePosition, summarizePositions } = loadGasScripts(
+  ['utils/SpreadsheetUtils.js', 'services/HoldingsService.js'],
+  ['loadHoldings', 'joinHoldings', 'calculatePosition', 'summarizePositions']
+);
+
+function mockHoldingsSheet(rows) {
+  SS.getSheetByName.mockImplementation(name => (name === 'Holdings' ? {
+    getLastRow: () => rows.length,
+    getLastColumn: () => rows[0].length,
+    getRange: () => ({ getValues: () => rows })
+  } : null));
+}
+
+describe('HoldingsService', () => {
+  beforeEach(() => {
+    SS.getSheetByName.mockReset();
+  });
+
+  it('merges the accounts of a ticker into one position with a weighted average cost', () => {
+    mockHoldingsSheet([
+      ['계좌', '티커', '수량', '평균 단가', '통화'],
+      ['ISA', '005930', 10, 50000, 'krw'],
+      ['연금', '005930', 30, '70,000', 'KRW'],
+      ['해외', 'aapl', 5, '', 'USD'],
+      ['', '', '', '', '']
+    ]);
+
+    const holdings = loadHoldings();
+
+    expect(holdings['005930']).toMatchObject({ quantity: 40, costBasis: 2600000, averageCost: 65000, currency: 'KRW' });
+    expect(holdings['005930'].accounts).toEqual(['ISA', '연금']);
+    expect(holdings.AAPL).toMatchObject({ quantity: 5, costBasis: null, averageCost: null });
+  });
+
+  it('has no holdings without a Holdings sheet', () => {
+    SS.getSheetByName.mockReturnValue(null);
+    expect(loadHoldings()).toEqual({});
+  });
+
+  it('joins holdings to tickers case-insensitively', () => {
+    const tickers = joinHoldings([{ ticker: 'aapl' }, { ticker: 'MSFT' }], { AAPL: { quantity: 5 } });
+    expect(tickers[0].holding).toEqual({ quantity: 5 });
+    expect(tickers[1].holding).toBeUndefined();
+  });
+
+  it('calculates market value and unrealized P&L', () => {
+    expect(calculatePosition({ quantity: 10, costBasis: 1000 }, 120)).toEqual({
+      marketValue: 1200, costBasis: 1000, pnl: 200, pnlPercent: 20
+    });
+    expect(calculatePosition({ quantity: 10, costBasis: null }, 120)).toMatchObject({ marketValue: 1200, pnl: null, pnlPercent: null });
+    expect(calculatePosition({ quantity: 10, costBasis: 1000 }, null)).toBeNull();
+  });
+
+  it('converts a position into the base currency', () => {
+    expect(calculatePosition({ quantity: 10, costBasis: 1000 }, 120, 1300)).toEqual({
+      marketValue: 1560000, costBasis: 1300000, pnl: 260000, pnlPercent: 20
+    });
+    expect(calculatePosition({ quantity: 10, costBasis: 1000 }, 120, null)).toBeNull();
+  });
+
+  it('totals positions and weights each row by market value', () => {
+    const summary = summarizePositions([
+      { marketValue: 300, costBasis: 200, pnl: 100 },
+      null,
+      { marketValue: 100, costBasis: null, pnl: null }
+    ]);
+
+    expect(summary.weights).toEqual([75, null, 25]);
+    expect(summary).toMatchObject({ marketValue: 400, costBasis: 200, pnl: 100, pnlPercent: 50 });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+// Notifications sheet with a channel of each type; the JSON channel only receives alerts
+const notificationRows = [
+  ['채널', '웹훅 URL', '보낼 내용', '사용', '메모', '마지막 전송'],
+  ['slack', 'https://hooks.slack.test/T1', '', '', '', ''],
+  ['teams', 'https://teams.test/workflow', '업데이트', '', '', ''],
+  ['json', 'https://receiver.test/hook', '알림', '', '', ''],
+  ['slack', 'https://hooks.slack.test/T2', '', 'N', '', '']
+];
+const writes = {};
+const notificationsSheet = {
+  getLastRow: () => notificationRows.length,
+  getRange: (row, column) => ({
+    getValues: () => notificationRows,
+    setValue: value => { writes[`${row},${column}`] = value; }
+  })
+};
+global.SS = { getSheetByName: name => (name === 'Notifications' ? notificationsSheet : null) };
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const {
+  NotificationChannelFactory, parseNotificationChannel, summarizeDashboardRows, sendNotifications, parseAlertRule
+} = loadGasScripts(
+  [
+    'Config.js', 'services/PriceService.js', 'services/AlertService.js',
+    'services/notifications/BaseChannel.js', 'services/notifications/SlackChannel.js',
+    'services/notifications/TeamsChannel.js', 'services/notifications/JsonChannel.js',
+    'services/notifications/ChannelFactory.js', 'services/NotificationService.js'
+  ],
+  ['NotificationChannelFactory', 'parseNotificationChannel', 'summarizeDashboardRows', 'sendNotifications', 'parseAlertRule']
+);
+
+// Local stand-in for the webhook endpoints: records each POST and answers with the status set for its URL
+let requests;
+let statuses;
+const webhookServer = (url, options) => {
+  requests.push({ url, method: options.method, contentType: options.contentType, body: JSON.parse(options.payload) });
+  return mockHttpResponse(statuses[url] || 200, statuses[url] ? 'invalid_token' : 'ok');
+};
+
+const summary = {
+  status: 'success',
+  runId: 'run-1',
+  referenceDate: new Date('2025-05-20T00:00:00Z'),
+  total: 3,
+  updated: 2,
+  failed: [{ ticker: 'BAD', name: 'Bad <Co>', message: '가격 없음' }],
+  moverPeriod: '1D',
+  gainers: [{ ticker: 'AAPL', name: 'Apple', value: 5.2 }],
+  losers: [{ ticker: 'MSFT', name: 'Microsoft', value: -1.5 }],
+  alertCount: 1,
+  error: null
+};
+
+const alert = {
+  rule: parseAlertRule(['*', '1W', '<', -5, '', '', '', '']),
+  ticker: 'AAPL',
+  name: 'Apple',
+  value: -6.2,
+  direction: 'below'
+};
+
+const channel = type => new NotificationChannelFactory().getChannel(type, 'https://example.test/hook');
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    requests = [];
+    statuses = {};
+    Object.keys(writes).forEach(key => delete writes[key]);
+    UrlFetchApp.fetch.mockImplementation(webhookServer);
+  });
+
+  it('builds a Slack mrkdwn summary with escaped names', () => {
+    const { text } = channel('slack').buildSummaryPayload(summary);
+
+    expect(text.split('\n')).toEqual([
+      '*✅ 대시보드 업데이트 완료 (기준일 2025-05-20)*',
+      '업데이트 2/3개 · 실패 1개 · 알림 1건',
+      '*상승 상위 (1D)*: Apple (AAPL) +5.20%',
+      '*하락 상위 (1D)*: Microsoft (MSFT) -1.50%',
+      '• 실패: Bad &lt;Co&gt; (BAD) - 가격 없음'
+    ]);
+    expect(channel('slack').buildAlertsPayload([alert], summary.referenceDate).text)
+      .toBe('*🔔 대시보드 알림 1건* (기준일 2025-05-20)\n• Apple (AAPL): 1W &lt; -5 → -6.20%');
+  });
+
+  it('builds a Teams Adaptive Card and a generic JSON payload', () => {
+    const message = channel('teams').buildSummaryPayload(summary);
+    const card = message.attachments[0];
+
+    expect(message.type).toBe('message');
+    expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.content.type).toBe('AdaptiveCard');
+    expect(card.content.body[1].facts).toContainEqual({ title: '상승 상위 (1D)', value: 'Apple (AAPL) +5.20%' });
+
+    expect(channel('json').buildSummaryPayload(summary)).toMatchObject({
+      event: 'update', status: 'success', runId: 'run-1', referenceDate: '2025-05-20', total: 3, updated: 2, alertCount: 1
+    });
+    expect(channel('json').buildAlertsPayload([alert], summary.referenceDate)).toEqual({
+      event: 'alerts',
+      referenceDate: '2025-05-20',
+      alerts: [{ ticker: 'AAPL', name: 'Apple', rule: '1W < -5', metric: '1W', value: -6.2, direction: null }]
+    });
+  });
+
+  it('reports a failed update without counts', () => {
+    const failure = Object.assign({}, summary, {
+      status: 'error', total: 0, updated: 0, failed: [], gainers: [], losers: [], alertCount: 0, error: '시간 초과'
+    });
+
+    expect(channel('slack').buildSummaryPayload(failure).text)
+      .toBe('*❌ 대시보드 업데이트 실패 (기준일 2025-05-20)*\n*오류*: 시간 초과');
+    expect(channel('teams').buildSummaryPayload(failure).attachments[0].content.body.map(block => block.type))
+      .toEqual(['TextBlock', 'TextBlock']);
+  });
+
+  it('parses channel rows and rejects unknown types, URLs and events', () => {
+    expect(parseNotificationChannel(['Slack', 'https://hooks.slack.test/T1', '', '', '', ''])).toEqual({
+      type: 'slack', url: 'https://hooks.slack.test/T1', events: ['SUMMARY', 'ALERTS'], enabled: true
+    });
+    expect(parseNotificationChannel(['webhook', 'https://receiver.test', 'alerts', 'N', '', ''])).toMatchObject({
+      events: ['ALERTS'], enabled: false
+    });
+    expect(parseNotificationChannel(['discord', 'https://discord.test', '', '', '', ''])).toBeNull();
+    expect(parseNotificationChannel(['slack', 'hooks.slack.test', '', '', '', ''])).toBeNull();
+    expect(parseNotificationChannel(['slack', 'https://hooks.slack.test', '매일', '', '', ''])).toBeNull();
+  });
+
+  it('summarizes failures and the top movers of the first return period', () => {
+    const columnMap = { INFO: 3, PERIODS: [{ code: 'HIGH', column: 1 }, { code: '1D', column: 2 }] };
+    const rows = [
+      [-0.1, 0.052, ''],
+      [-0.2, -0.015, ''],
+      [-0.3, 0.01, '오류: 가격 없음'],
+      [-0.4, 0.011, '⚠️ 일부 기간 N/A'],
+      [-0.5, 'N/A', '']
+    ];
+    const tickers = ['AAPL', 'MSFT', 'BAD', 'NVDA', 'NEW'].map(ticker => ({ ticker, name: ticker }));
+
+    const result = summarizeDashboardRows(rows, columnMap, tickers, 1);
+
+    expect(result).toMatchObject({
+      total: 5, updated: 4, moverPeriod: '1D', failed: [{ ticker: 'BAD', name: 'BAD', message: '가격 없음' }]
+    });
+    expect(result.gainers).toEqual([{ ticker: 'AAPL', name: 'AAPL', value: expect.closeTo(5.2, 10) }]);
+    expect(result.losers).toEqual([{ ticker: 'MSFT', name: 'MSFT', value: expect.closeTo(-1.5, 10) }]);
+  });
+
+  it('posts JSON to the enabled channels of the event and records each outcome', () => {
+    statuses['https://teams.test/workflow'] = 403;
+
+    const delivered = sendNotifications('SUMMARY', ch => ch.buildSummaryPayload(summary));
+
+    expect(delivered).toBe(1);
+    expect(requests.map(request => request.url)).toEqual(['https://hooks.slack.test/T1', 'https://teams.test/workflow']);
+    expect(requests[0]).toMatchObject({ method: 'post', contentType: 'application/json; charset=utf-8' });
+    expect(requests[0].body.text).toContain('대시보드 업데이트 완료');
+    expect(writes['2,6']).toMatch(/ 성공$/);
+    expect(writes['3,6']).toMatch(/ 실패: Microsoft Teams 웹훅 응답 오류 \(403\): invalid_token$/);
+    expect(writes['4,6']).toBeUndefined();
+
+    requests = [];
+    expect(sendNotifications('ALERTS', ch => ch.buildAlertsPayload([alert], summary.referenceDate))).toBe(2);
+    expect(requests.map(request => request.body.event)).toEqual([undefined, 'alerts']);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const {
+  loadTransactions, calculateTimeWeightedReturn, calculateMoneyWeightedReturn,
+  calculatePortfolioPerformance, getPortfolioQuantities, DateCalculator
+} = loadGasScripts(
+  ['Config.js', 'utils/SpreadsheetUtils.js', 'utils/HolidayCalendar.js', 'DateUtils.js',
+    'services/PriceService.js', 'services/TransactionService.js', 'services/PerformanceService.js'],
+  ['loadTransactions', 'calculateTimeWeightedReturn', 'calculateMoneyWeightedReturn',
+    'calculatePortfolioPerformance', 'getPortfolioQuantities', 'DateCalculator']
+);
+
+// Monday 2025-05-12, Wednesday 2025-05-14 and Friday 2025-05-16
+const MON = new Date(2025, 4, 12);
+const WED = new Date(2025, 4, 14);
+const FRI = new Date(2025, 4, 16);
+
+const buy = (date, quantity, price) => ({ date, symbol: 'AAA', type: 'BUY', quantity, price, amount: quantity * price, fee: 0 });
+const closes = (byDay) => (symbol, date) => byDay[date.getDate()];
+
+function mockTransactionsSheet(rows) {
+  SS.getSheetByName.mockImplementation(name => (name === 'Transactions' ? {
+    getLastRow: () => rows.length,
+    getLastColumn: () => rows[0].length,
+    getRange: () => ({ getValues: () => rows })
+  } : null));
+}
+
+describe('PerformanceService', () => {
+  beforeEach(() => {
+    SS.getSheetByName.mockReset();
+  });
+
+  it('reads the ledger, deriving missing amounts and skipping incomplete rows', () => {
+    mockTransactionsSheet([
+      ['날짜', '티커', '구분', '수량', '가격', '금액', '수수료'],
+      ['2025-05-14', 'aaa', '매도', 5, 110, '', 10],
+      [MON, 'AAA', 'buy', 10, 100, '', 5],
+      ['2025-05-16', 'AAA', '배당', '', '', 30, ''],
+      ['2025-05-16', 'AAA', '이체', 1, 1, 1, '']
+    ]);
+
+    const transactions = loadTransactions();
+
+    expect(transactions.map(t => [t.type, t.amount])).toEqual([['BUY', 1005], ['SELL', 540], ['DIVIDEND', 30]]);
+    expect(getPortfolioQuantities(transactions, FRI)).toEqual({ AAA: 5 });
+  });
+
+  it('chains sub-period returns so a mid-period contribution does not change the TWR', () => {
+    const transactions = [buy(MON, 10, 100), buy(WED, 10, 110)];
+    const getClose = closes({ 12: 100, 14: 110, 16: 121 });
+
+    expect(calculateTimeWeightedReturn(transactions, MON, FRI, getClose)).toBeCloseTo(21, 6);
+    expect(calculateMoneyWeightedReturn(transactions, MON, FRI, getClose)).toBeCloseTo(21, 4);
+  });
+
+  it('weights the MWR by the money invested when buying a dip', () => {
+    const transactions = [buy(MON, 10, 100), buy(WED, 10, 50)];
+    const getClose = closes({ 12: 100, 14: 50, 16: 100 });
+
+    // -1000 at the start, -500 halfway and +2000 at the end: 1000x² + 500x = 2000 with x = √(1 + r)
+    expect(calculateTimeWeightedReturn(transactions, MON, FRI, getClose)).toBeCloseTo(0, 6);
+    expect(calculateMoneyWeightedReturn(transactions, MON, FRI, getClose)).toBeCloseTo(40.69, 2);
+  });
+
+  it('returns null when a held symbol has no close', () => {
+    const transactions = [buy(MON, 10, 100)];
+
+    expect(calculateTimeWeightedReturn(transactions, MON, FRI, () => null)).toBeNull();
+    expect(calculateMoneyWeightedReturn(transactions, MON, FRI, () => null)).toBeNull();
+  });
+
+  it('uses the dashboard period anchors and starts ITD before the first transaction', () => {
+    SS.getSheetByName.mockReturnValue(null);
+    const transactions = [buy(MON, 10, 95), buy(WED, 10, 50)];
+    const getClose = closes({ 12: 100, 14: 50, 16: 100 });
+    const dateCalculator = new DateCalculator(new Date(2025, 4, 16, 18, 0));
+
+    const performance = calculatePortfolioPerformance(transactions, dateCalculator, { periods: ['1W', 'ITD', 'HIGH'] }, getClose);
+
+    // Friday 2025-05-09 is both a week before the reference date and the trading day before the first buy
+    expect(performance.startDates['1W']).toEqual(new Date(2025, 4, 9));
+    expect(performance.startDates.ITD).toEqual(new Date(2025, 4, 9));
+    // The first buy earns its move from 95 to the close of 100, then the position halves and doubles
+    expect(performance.twr.weekly).toBeCloseTo((100 / 95 - 1) * 100, 6);
+    expect(performance.twr.inception).toBeCloseTo(performance.twr.weekly, 6);
+    expect(performance.mwr.weekly).toBeGreaterThan(performance.twr.weekly);
+    expect(performance.twr.high).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.HISTORY = { MAX_GAP_DAYS: 7, BUFFER_DAYS: 10 };
+global.CONFIG.PRICE_CACHE = { HOT_TTL_SECONDS: 60, HOT_MAX_BYTES: 90 * 1024 };
+global.CONFIG.SHEETS = { HOLIDAYS: 'Holidays', PRICE_CACHE: 'PriceCache' };
+
+const hotCache = new Map();
+global.CacheService = {
+  getScriptCache: () => ({
+    get: (key) => (hotCache.has(key) ? hotCache.get(key) : null),
+    put: (key, value) => hotCache.set(key, value),
+    removeAll: (keys) => keys.forEach(key => hotCache.delete(key))
+  })
+};
+
+// Minimal in-memory sheet supporting the ranges the cache uses; like Sheets, writes below the grid fail
+function createFakeSheet() {
+  const rows = [];
+  const range = (row, column, numRows, numColumns) => ({
+    setValues: (values) => {
+      if (row - 1 + values.length > sheet.maxRows) throw new Error('Range is outside the sheet');
+      values.forEach((value, i) => { rows[row - 1 + i] = value.slice(); });
+    },
+    getValues: () => rows.slice(row - 1, row - 1 + numRows),
+    clearContent: () => rows.splice(row - 1, numRows),
+    setFontWeight: vi.fn(),
+    setNumberFormat: vi.fn()
+  });
+  const sheet = {
+    rows,
+    maxRows: 1000,
+    getRange: (row, column, numRows = 1, numColumns = 1) => range(row, column, numRows, numColumns),
+    getLastRow: () => rows.length,
+    getMaxRows: () => sheet.maxRows,
+    insertRowsAfter: vi.fn((afterRow, count) => { sheet.maxRows += count; }),
+    setFrozenRows: vi.fn(),
+    hideSheet: vi.fn()
+  };
+  return sheet;
+}
+
+// Each load is a fresh script execution with an empty in-memory cache index
+function loadExecution() {
+  const { DataProvider, purgePriceCache } = loadGasScripts(
+    [
+      'utils/HolidayCalendar.js', 'DateUtils.js', 'utils/SpreadsheetUtils.js', 'services/PriceCacheService.js',
+      'services/FetchService.js',
+      'services/providers/BaseProvider.js', 'services/providers/ProviderFactory.js'
+    ],
+    ['DataProvider', 'purgePriceCache']
+  );
+
+  class StubProvider extends DataProvider {
+    constructor(bars) {
+      super();
+      this.name = 'Stub';
+      this.source = 'yahoo';
+      this.bars = bars;
+      this.fetchHistory = vi.fn(() => this.bars);
+    }
+  }
+
+  return { StubProvider, purgePriceCache };
+}
+
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, adjClose: close, volume: 100 });
+const key = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('price history cache', () => {
+  let cacheSheet;
+
+  beforeEach(() => {
+    hotCache.clear();
+    cacheSheet = null;
+    SS.getSheetByName.mockImplementation(name => (name === 'PriceCache' ? cacheSheet : null));
+    SS.insertSheet.mockImplementation(() => {
+      cacheSheet = createFakeSheet();
+      return cacheSheet;
+    });
+
+    // Tuesday 2025-05-20 18:00 in New York: the US session has closed but the day is not settled
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-05-20T22:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('caches settled bars but not the market\'s current day', () => {
+    const { StubProvider } = loadExecution();
+    const provider = new StubProvider([bar('2025-05-16', 100), bar('2025-05-19', 101), bar('2025-05-20', 102)]);
+
+    const history = provider.getHistory('SPY', new Date(2025, 4, 15), new Date(2025, 4, 20));
+
+    expect(history.map(item => item.close)).toEqual([100, 101, 102]);
+    expect(cacheSheet.hideSheet).toHaveBeenCalled();
+    expect(cacheSheet.rows.slice(1).map(row => [row[0], row[1], row[5]])).toEqual([
+      ['YAHOO|SPY', '2025-05-16', 100],
+      ['YAHOO|SPY', '2025-05-19', 101]
+    ]);
+  });
+
+  it('serves a covered range from the cache sheet without fetching', () => {
+    const first = new (loadExecution().StubProvider)([bar('2025-05-15', 99), bar('2025-05-16', 100), bar('2025-05-19', 101)]);
+    first.getHistory('SPY', new Date(2025, 4, 15), new Date(2025, 4, 19));
+
+    // A later execution with an expired hot tier reads the sheet
+    hotCache.clear();
+    const provider = new (loadExecution().StubProvider)([]);
+    const history = provider.getHistory('SPY', new Date(2025, 4, 15), new Date(2025, 4, 19));
+
+    expect(provider.fetchHistory).not.toHaveBeenCalled();
+    expect(history.map(item => item.close)).toEqual([99, 100, 101]);
+  });
+
+  it('downloads only the trading days after the last cached bar', () => {
+    const { StubProvider } = loadExecution();
+    const provider = new StubProvider([bar('2025-05-14', 98), bar('2025-05-15', 99)]);
+    provider.getHistory('SPY', new Date(2025, 4, 14), new Date(2025, 4, 15));
+
+    provider.bars = [bar('2025-05-16', 100), bar('2025-05-19', 101)];
+    const history = provider.getHistory('SPY', new Date(2025, 4, 14), new Date(2025, 4, 19));
+
+    expect(key(provider.fetchHistory.mock.calls[1][1])).toEqual([2025, 5, 16]);
+    expect(history.map(item => item.close)).toEqual([98, 99, 100, 101]);
+  });
+
+  it('refetches the whole range when the cache starts too late', () => {
+    const { StubProvider } = loadExecution();
+    const provider = new StubProvider([bar('2025-05-16', 100)]);
+    provider.getHistory('SPY', new Date(2025, 4, 16), new Date(2025, 4, 16));
+
+    provider.getHistory('SPY', new Date(2025, 3, 1), new Date(2025, 4, 16));
+
+    expect(key(provider.fetchHistory.mock.calls[1][1])).toEqual([2025, 4, 1]);
+  });
+
+  it('grows a full cache sheet before appending', () => {
+    const { StubProvider } = loadExecution();
+    const provider = new StubProvider([bar('2025-05-14', 98), bar('2025-05-15', 99)]);
+    provider.getHistory('SPY', new Date(2025, 4, 14), new Date(2025, 4, 15));
+    cacheSheet.maxRows = cacheSheet.rows.length;
+
+    provider.bars = [bar('2025-05-16', 100), bar('2025-05-19', 101)];
+    provider.getHistory('SPY', new Date(2025, 4, 14), new Date(2025, 4, 19));
+
+    expect(cacheSheet.insertRowsAfter).toHaveBeenCalledWith(3, 2);
+    expect(cacheSheet.rows.slice(1).map(row => row[1])).toEqual(['2025-05-14', '2025-05-15', '2025-05-16', '2025-05-19']);
+  });
+
+  it('purges a symbol across provider formats', () => {
+    const { StubProvider, purgePriceCache } = loadExecution();
+    const provider = new StubProvider([bar('2025-05-16', 100)]);
+    provider.getHistory('SPY', new Date(2025, 4, 16), new Date(2025, 4, 16));
+    provider.getHistory('005930.KS', new Date(2025, 4, 16), new Date(2025, 4, 16));
+
+    expect(purgePriceCache('005930')).toBe(1);
+    expect(cacheSheet.rows.slice(1).map(row => row[0])).toEqual(['YAHOO|SPY']);
+  });
+});
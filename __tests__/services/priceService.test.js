@@ -0,0 +1,246 @@
+import { describe, it, expect } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+global.MarketTimeManager = class {
+  getMarketRegion() { return 'US'; }
+  getMostRecentTradingDay(region, date) { return date; }
+};
+global.isDiagnosticModeEnabled = () => false;
+global.enableDiagnosticMode = () => {};
+global.parsePeriodCodes = codes => codes;
+
+// Providers created by DataProviderFactory; each test sets the prices they answer with
+const providerStub = (name, source) => class {
+  constructor() {
+    this.name = name;
+    this.source = source;
+  }
+  getHistory() { return []; }
+};
+global.YahooFinanceProvider = providerStub('Yahoo', 'yahoo');
+global.GoogleFinanceProvider = providerStub('Google', 'google');
+
+const {
+  calculateReturns, calculateAnnualizedReturn, getPeriodYears, getPrices, DataProviderFactory,
+  fetchPriceWithFallback, interpolatePeriodPrice, describePriceQuality, calculateRangePosition,
+  getLineageEntry, fetchUrl
+} = loadGasScripts(
+  ['Config.js', 'services/FetchService.js', 'services/providers/BaseProvider.js', 'services/providers/ProviderFactory.js',
+    'services/PriceService.js'],
+  ['calculateReturns', 'calculateAnnualizedReturn', 'getPeriodYears', 'getPrices', 'DataProviderFactory',
+    'fetchPriceWithFallback', 'interpolatePeriodPrice', 'describePriceQuality', 'calculateRangePosition',
+    'getLineageEntry', 'fetchUrl']
+);
+
+describe('calculateAnnualizedReturn', () => {
+  it('compounds the cumulative return over the actual period length', () => {
+    // 2020-05-20 → 2025-05-20 is 1826 days; doubling over ~5 years is ~14.87% a year
+    const result = calculateAnnualizedReturn(200, 100, new Date(2020, 4, 20), new Date(2025, 4, 20));
+    expect(result).toBeCloseTo(14.87, 2);
+  });
+
+  it('equals the cumulative return over exactly one year', () => {
+    const start = new Date(2024, 0, 1);
+    const end = new Date(start.getTime() + 365.25 * 24 * 60 * 60 * 1000);
+    expect(calculateAnnualizedReturn(110, 100, start, end)).toBeCloseTo(10, 6);
+  });
+
+  it('annualizes losses', () => {
+    const result = calculateAnnualizedReturn(50, 100, new Date(2022, 0, 3), new Date(2025, 0, 3));
+    expect(result).toBeCloseTo(-20.62, 1);
+  });
+
+  it('returns null for missing dates or prices', () => {
+    expect(calculateAnnualizedReturn(110, 100, null, new Date())).toBeNull();
+    expect(calculateAnnualizedReturn(110, null, new Date(2020, 0, 1), new Date())).toBeNull();
+    expect(calculateAnnualizedReturn(0, 100, new Date(2020, 0, 1), new Date(2025, 0, 1))).toBeNull();
+  });
+});
+
+describe('calculateReturns', () => {
+  const end = new Date(2025, 4, 20);
+  const prices = {
+    current: 150,
+    weekly: 145,
+    threeYear: 100,
+    inception: 120,
+    periods: ['1W', '3Y', 'ITD'],
+    dates: {
+      current: end,
+      weekly: new Date(2025, 4, 13),
+      threeYear: new Date(2022, 4, 20),
+      inception: new Date(2025, 0, 2)
+    }
+  };
+
+  it('returns cumulative returns when nothing is annualized', () => {
+    const returns = calculateReturns(prices);
+    expect(returns.weekly).toBeCloseTo(3.448, 3);
+    expect(returns.threeYear).toBeCloseTo(50, 6);
+    expect(returns.annualized).toEqual({ weekly: false, threeYear: false, inception: false });
+  });
+
+  it('annualizes configured periods of at least a year', () => {
+    const returns = calculateReturns(prices, { annualizedPeriods: ['3Y', 'ITD'] });
+    const years = getPeriodYears(prices.dates.threeYear, end);
+    expect(returns.threeYear).toBeCloseTo((Math.pow(1.5, 1 / years) - 1) * 100, 6);
+    expect(returns.annualized.threeYear).toBe(true);
+  });
+
+  it('keeps cumulative returns for periods shorter than a year', () => {
+    const returns = calculateReturns(prices, { annualizedPeriods: ['3Y', 'ITD'] });
+    expect(returns.inception).toBeCloseTo(25, 6);
+    expect(returns.annualized.inception).toBe(false);
+  });
+
+  it('returns null for every period without prices', () => {
+    expect(calculateReturns(null, { periods: ['1W', 'HIGH'] })).toEqual({
+      weekly: null,
+      high: null,
+      annualized: { weekly: false, high: false }
+    });
+  });
+
+  it('measures the distance from the 52-week low like the distance from the high', () => {
+    const returns = calculateReturns({ current: 90, high: 120, low: 60, periods: ['HIGH', 'LOW'] });
+    expect(returns.high).toBeCloseTo(-25, 6);
+    expect(returns.low).toBeCloseTo(50, 6);
+  });
+});
+
+describe('calculateRangePosition', () => {
+  it('places the current price between the 52-week low (0) and high (100)', () => {
+    expect(calculateRangePosition({ current: 90, high: 120, low: 60 })).toBeCloseTo(50, 6);
+    expect(calculateRangePosition({ current: 125, high: 120, low: 60 })).toBe(100);
+  });
+
+  it('has no position without a usable range', () => {
+    expect(calculateRangePosition({ current: 90, high: 90, low: 90 })).toBeNull();
+    expect(calculateRangePosition({ current: 90, high: 120, low: 'N/A' })).toBeNull();
+  });
+});
+
+describe('provider fallback', () => {
+  const yahoo = { name: 'Yahoo', source: 'yahoo' };
+  const google = { name: 'Google', source: 'google' };
+
+  it('parses a source list in priority order without duplicates', () => {
+    expect(DataProviderFactory.parseSources('Naver, yahoo,,NAVER ,google,yahoo')).toEqual(['naver', 'yahoo', 'google']);
+    expect(DataProviderFactory.parseSources(['yahoo', 'Google', 'yahoo'])).toEqual(['yahoo', 'google']);
+    expect(DataProviderFactory.parseSources('')).toEqual([]);
+  });
+
+  it('falls through to the next provider when one throws', () => {
+    const result = fetchPriceWithFallback([yahoo, google], 'AAPL', 'test', provider => {
+      if (provider.source === 'yahoo') throw new Error('HTTP 429');
+      return 190;
+    });
+
+    expect(result).toMatchObject({ value: 190, source: 'google' });
+  });
+
+  it('treats 0, NaN and the no-data marker as missing', () => {
+    for (const missing of [0, NaN, CONFIG.STATUS.NO_DATA]) {
+      expect(fetchPriceWithFallback([yahoo], 'AAPL', 'test', () => missing)).toMatchObject({ value: null, source: null });
+      expect(fetchPriceWithFallback([yahoo, google], 'AAPL', 'test', provider => (provider.source === 'yahoo' ? missing : 190)))
+        .toMatchObject({ value: 190, source: 'google' });
+    }
+  });
+
+  it('records the provider that actually supplied each price', () => {
+    const referenceDate = new Date(2025, 4, 20);
+    const dateCalculator = {
+      getReferenceDate: () => referenceDate,
+      forMarket: () => ({ getPeriodStartDate: () => new Date(2025, 4, 13), getLastTradingDate: date => date })
+    };
+    Object.assign(YahooFinanceProvider.prototype, {
+      getPrice: () => { throw new Error('HTTP 429'); },
+      getHighPrice: () => 200,
+      getLowPrice: () => 0,
+      getHistoricalPrice: () => CONFIG.STATUS.NO_DATA
+    });
+    Object.assign(GoogleFinanceProvider.prototype, {
+      getPrice: () => 190,
+      getHighPrice: () => 210,
+      getLowPrice: () => 150,
+      getHistoricalPrice: () => 180
+    });
+
+    const prices = getPrices('AAPL', 'yahoo,google', dateCalculator, { periods: ['1W'] });
+
+    expect(prices).toMatchObject({ current: 190, high: 200, low: 150, weekly: 180 });
+    expect(prices.providers).toEqual({ current: 'google', high: 'yahoo', low: 'google', weekly: 'google' });
+  });
+});
+
+describe('price quality', () => {
+  const yahoo = { name: 'Yahoo', source: 'yahoo' };
+  const google = { name: 'Google', source: 'google' };
+
+  it('flags plain provider values as exact and keeps the quality a fetcher reports', () => {
+    expect(fetchPriceWithFallback([yahoo], 'AAPL', 'test', () => 100)).toMatchObject({ value: 100, quality: 'exact' });
+
+    const date = new Date(2025, 4, 2);
+    const result = fetchPriceWithFallback([yahoo], 'AAPL', 'test', () => ({ value: 99, quality: 'nearest', date }));
+    expect(result).toMatchObject({ value: 99, source: 'yahoo', quality: 'nearest', date });
+  });
+
+  it('reports a price as missing when no provider has one', () => {
+    const result = fetchPriceWithFallback([yahoo, google], 'AAPL', 'test', () => 'N/A');
+    expect(result).toMatchObject({ value: null, source: null, quality: 'missing' });
+  });
+
+  it('interpolates between the closes around a gap, never from the current price', () => {
+    const histories = {
+      yahoo: [],
+      google: [{ date: new Date(2025, 3, 1), close: 100 }, { date: new Date(2025, 3, 21), close: 120 }]
+    };
+    const loader = (provider) => histories[provider.source];
+
+    const result = interpolatePeriodPrice([yahoo, google], 'AAPL', new Date(2025, 3, 11), loader);
+
+    expect(result).toMatchObject({ value: 110, source: 'google', quality: 'interpolated' });
+    expect(result.range).toEqual({ from: new Date(2025, 3, 1), to: new Date(2025, 3, 21) });
+    expect(interpolatePeriodPrice([yahoo], 'AAPL', new Date(2025, 3, 11), loader).quality).toBe('missing');
+  });
+
+  it('records the URLs of every provider tried and the date each price matched', () => {
+    UrlFetchApp.fetch.mockReturnValue(mockHttpResponse(200, ''));
+    const result = fetchPriceWithFallback([yahoo, google], 'AAPL', 'test', provider => {
+      fetchUrl(`https://${provider.source}.example/AAPL`);
+      return provider.source === 'google' ? 101 : null;
+    });
+
+    expect(result).toMatchObject({ value: 101, source: 'google', sources: ['https://yahoo.example/AAPL', 'https://google.example/AAPL'] });
+    expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+
+    const requested = new Date(2025, 4, 9);
+    const bar = new Date(2025, 4, 8);
+    expect(getLineageEntry(result, requested)).toEqual({
+      requestedDate: requested, matchedDate: requested, sources: result.sources, latencyMs: result.latencyMs
+    });
+    expect(getLineageEntry({ quality: 'nearest', date: bar }, requested).matchedDate).toBe(bar);
+    expect(getLineageEntry({ quality: 'nearest', date: null }, requested).matchedDate).toBeNull();
+  });
+
+  it('explains every price that is not exact', () => {
+    const prices = {
+      periods: ['1W', '1M', 'YTD'],
+      quality: {
+        current: { flag: 'exact' },
+        high: { flag: 'exact' },
+        weekly: { flag: 'nearest', date: new Date(2025, 4, 2) },
+        monthly: { flag: 'interpolated', range: { from: new Date(2025, 3, 1), to: new Date(2025, 3, 21) } },
+        ytd: { flag: 'missing' }
+      }
+    };
+
+    expect(describePriceQuality(prices)).toEqual([
+      '주간 기준가: 2025-05-02 종가 사용 (가장 가까운 이전 거래일)',
+      '월간 기준가: 2025-04-01~2025-04-21 종가로 보간한 추정치',
+      'YTD 기준가: 가격 데이터 없음'
+    ]);
+  });
+});
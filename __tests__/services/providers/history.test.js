@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadGasScripts } from '../../mocks/google-apps-script';
+
+global.CONFIG.HISTORY = { MAX_GAP_DAYS: 7, BUFFER_DAYS: 10 };
+global.CONFIG.PRICE_CACHE = { HOT_TTL_SECONDS: 60, HOT_MAX_BYTES: 90 * 1024 };
+global.CONFIG.SHEETS = { HOLIDAYS: 'Holidays', PRICE_CACHE: 'PriceCache' };
+global.CONFIG.FETCH = { BATCH_SIZE: 20 };
+global.CacheService = { getScriptCache: () => ({ get: () => null, put: vi.fn(), removeAll: vi.fn() }) };
+
+const { DataProvider, YahooFinanceProvider, NaverFinanceProvider, prefetchRequests, clearPrefetchedResponses } = loadGasScripts(
+  [
+    'utils/HolidayCalendar.js', 'DateUtils.js', 'services/PriceCacheService.js', 'services/FetchService.js',
+    'services/providers/BaseProvider.js', 'services/providers/YahooProvider.js', 'services/providers/NaverProvider.js'
+  ],
+  ['DataProvider', 'YahooFinanceProvider', 'NaverFinanceProvider', 'prefetchRequests', 'clearPrefetchedResponses']
+);
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+class StubProvider extends DataProvider {
+  constructor(bars) {
+    super();
+    this.name = 'Stub';
+    this.source = 'stub';
+    this.bars = bars;
+  }
+
+  fetchHistory() {
+    return this.bars;
+  }
+}
+
+beforeEach(() => {
+  SS.getSheetByName.mockReturnValue(null);
+});
+
+describe('DataProvider.getHistory', () => {
+  it('normalizes, de-duplicates, clips and sorts bars', () => {
+    const provider = new StubProvider([
+      { date: '2025.05.20', open: '1,010', high: '1,050', low: '990', close: '1,020', volume: '12,000' },
+      { date: '2025-05-16', close: 1000 },
+      { date: '2025-05-19', close: 0 },
+      { date: '2025-05-16', close: 1005 },
+      { date: '2025-05-09', close: 950 },
+      { date: 'not a date', close: 1 }
+    ]);
+
+    const history = provider.getHistory('TEST', new Date(2025, 4, 12), new Date(2025, 4, 20));
+
+    expect(history.map(bar => ymd(bar.date))).toEqual([[2025, 5, 16], [2025, 5, 20]]);
+    expect(history[0]).toMatchObject({ close: 1005, adjClose: 1005, open: null, volume: null });
+    expect(history[1]).toMatchObject({ open: 1010, high: 1050, low: 990, close: 1020, adjClose: 1020, volume: 12000 });
+  });
+});
+
+describe('DataProvider history lookups', () => {
+  const history = [
+    { date: new Date(2025, 4, 2), high: 110, low: 95, close: 100 },
+    { date: new Date(2025, 4, 7), high: null, low: null, close: 120 },
+    { date: new Date(2025, 4, 8), high: 115, low: 101, close: 105 }
+  ];
+
+  it('uses the last bar on or before the target date', () => {
+    // 2025-05-05 and 05-06 are KRX holidays
+    expect(DataProvider.findBarOnOrBefore(history, new Date(2025, 4, 6), 7).close).toBe(100);
+    expect(DataProvider.findBarOnOrBefore(history, new Date(2025, 4, 7, 15, 30), 7).close).toBe(120);
+  });
+
+  it('returns null when the closest bar is too far away or the date precedes the history', () => {
+    expect(DataProvider.findBarOnOrBefore(history, new Date(2025, 4, 20), 7)).toBeNull();
+    expect(DataProvider.findBarOnOrBefore(history, new Date(2025, 3, 30), 7)).toBeNull();
+  });
+
+  it('takes the highest high, using the close when the high is missing', () => {
+    expect(DataProvider.getHighestPrice(history, new Date(2025, 4, 1), 7)).toBe(120);
+    expect(DataProvider.getHighestPrice(history, new Date(2025, 4, 8), 7)).toBe(115);
+  });
+
+  it('takes the lowest low, using the close when the low is missing', () => {
+    expect(DataProvider.getLowestPrice(history, new Date(2025, 4, 1), 7)).toBe(95);
+    expect(DataProvider.getLowestPrice(history, new Date(2025, 4, 7), 7)).toBe(101);
+    expect(DataProvider.getLowestPrice(history.slice(1, 2), new Date(2025, 4, 7), 7)).toBe(120);
+  });
+
+  it('does not report a high for a window the history does not cover', () => {
+    expect(DataProvider.getHighestPrice(history, new Date(2025, 3, 1), 7)).toBeNull();
+    expect(DataProvider.getHighestPrice(history, new Date(2025, 3, 1))).toBe(120);
+  });
+});
+
+describe('YahooFinanceProvider.fetchHistory', () => {
+  beforeEach(() => {
+    UrlFetchApp.fetch.mockReset();
+  });
+
+  it('requests one chart range and maps timestamps, quotes and adjusted closes', () => {
+    UrlFetchApp.fetch.mockReturnValue(mockHttpResponse(200, JSON.stringify({
+      chart: {
+        result: [{
+          meta: { exchangeTimezoneName: 'America/New_York' },
+          timestamp: [1747315800, 1747402200],
+          indicators: {
+            quote: [{ open: [10, 11], high: [12, 13], low: [9, 10], close: [11, null], volume: [100, 200] }],
+            adjclose: [{ adjclose: [10.5, null] }]
+          }
+        }]
+      }
+    })));
+
+    const provider = new YahooFinanceProvider();
+    const history = provider.getHistory('SPY', new Date(2025, 4, 1), new Date(2025, 4, 20));
+
+    expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    expect(UrlFetchApp.fetch.mock.calls[0][0]).toMatch(/chart\/SPY\?interval=1d&period1=\d+&period2=\d+$/);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ open: 10, high: 12, low: 9, close: 11, adjClose: 10.5, volume: 100 });
+  });
+
+  it('reads dividend and split events from the chart API', () => {
+    UrlFetchApp.fetch.mockReturnValue(mockHttpResponse(200, JSON.stringify({
+      chart: {
+        result: [{
+          meta: { exchangeTimezoneName: 'America/New_York' },
+          events: {
+            dividends: { 1747315800: { amount: 0.26, date: 1747315800 } },
+            splits: { 1717767000: { date: 1717767000, numerator: 10, denominator: 1, splitRatio: '10:1' } }
+          }
+        }]
+      }
+    })));
+
+    const provider = new YahooFinanceProvider();
+    const actions = provider.getCorporateActions('NVDA', new Date(2024, 0, 1), new Date(2025, 4, 20));
+
+    expect(UrlFetchApp.fetch.mock.calls[0][0]).toMatch(/chart\/NVDA\?interval=1mo&period1=\d+&period2=\d+&events=div%2Csplits$/);
+    expect(actions).toEqual([
+      { date: new Date(2024, 5, 7), type: 'split', value: 10, adjusted: true },
+      { date: new Date(2025, 4, 15), type: 'dividend', value: 0.26, adjusted: true }
+    ]);
+  });
+
+  it('uses a prefetched chart response for the range it described', () => {
+    const provider = new YahooFinanceProvider();
+    const from = new Date(2025, 4, 1);
+    const to = new Date(2025, 4, 20);
+    const requests = provider.buildRequests('SPY', new Date(), from, to);
+
+    UrlFetchApp.fetchAll = vi.fn(batch => batch.map(() => mockHttpResponse(200, JSON.stringify({
+      chart: { result: [{ meta: { exchangeTimezoneName: 'UTC' }, timestamp: [1747315800], indicators: { quote: [{ close: [11] }] } }] }
+    }))));
+    prefetchRequests(requests);
+    const history = provider.getHistory('SPY', from, to);
+    clearPrefetchedResponses();
+
+    expect(requests.map(request => request.url)).toEqual([expect.stringContaining('range=1d'), expect.stringContaining('period1=')]);
+    expect(UrlFetchApp.fetch).not.toHaveBeenCalled();
+    expect(history.map(bar => bar.close)).toEqual([11]);
+  });
+
+  it('returns no bars for an API error', () => {
+    UrlFetchApp.fetch.mockReturnValue(mockHttpResponse(200, JSON.stringify({
+      chart: { result: null, error: { description: 'No data found' } }
+    })));
+
+    expect(new YahooFinanceProvider().getHistory('XXX', new Date(2025, 4, 1), new Date(2025, 4, 20))).toEqual([]);
+  });
+});
+
+describe('NaverFinanceProvider.fetchHistory', () => {
+  const entry = (date, close) => ({
+    localTradedAt: `${date}T15:30:00+09:00`,
+    openPrice: close, highPrice: close, lowPrice: close, closePrice: close.toLocaleString('en-US'),
+    accumulatedTradingVolume: 1000
+  });
+
+  beforeEach(() => {
+    UrlFetchApp.fetch.mockReset();
+  });
+
+  it('pages the mobile price API until the range start is reached', () => {
+    const provider = new NaverFinanceProvider();
+    provider.historyPageSize = 2;
+
+    UrlFetchApp.fetch
+      .mockReturnValueOnce(mockHttpResponse(200, JSON.stringify([entry('2025-05-20', 56000), entry('2025-05-19', 55500)])))
+      .mockReturnValueOnce(mockHttpResponse(200, JSON.stringify([entry('2025-05-16', 55000), entry('2025-05-15', 54800)])))
+      .mockReturnValueOnce(mockHttpResponse(200, JSON.stringify([entry('2025-05-14', 54000)])));
+
+    const history = provider.getHistory('005930', new Date(2025, 4, 16), new Date(2025, 4, 20));
+
+    expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+    expect(UrlFetchApp.fetch.mock.calls[0][0]).toContain('/api/stock/005930/price?pageSize=2&page=1');
+    expect(history.map(bar => bar.close)).toEqual([55000, 55500, 56000]);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+
+const {
+  calculateRiskMetrics, calculateVolatility, calculateMaxDrawdown, calculateBeta, calculateDailyReturns
+} = loadGasScripts(
+  ['Config.js', 'services/RiskService.js'],
+  ['calculateRiskMetrics', 'calculateVolatility', 'calculateMaxDrawdown', 'calculateBeta', 'calculateDailyReturns']
+);
+
+// One bar per calendar day from 2025-01-01 with the given closes
+const barsFrom = (closes, startDay = 1) => closes.map((close, i) => ({ date: new Date(2025, 0, startDay + i), close }));
+
+// Closes alternating +2% and -1% moves
+const zigzag = (count) => {
+  const closes = [100];
+  for (let i = 1; i < count; i++) {
+    closes.push(closes[i - 1] * (i % 2 ? 1.02 : 0.99));
+  }
+  return closes;
+};
+
+describe('RiskService', () => {
+  it('annualizes the sample standard deviation of daily returns', () => {
+    // Returns of +1% and -1% have a sample standard deviation of √(4/3)% over four days
+    expect(calculateVolatility([0.01, -0.01, 0.01, -0.01])).toBeCloseTo(Math.sqrt(4 / 3 * 252), 6);
+    expect(calculateVolatility([0.01])).toBeNull();
+  });
+
+  it('measures the largest fall from a running peak', () => {
+    expect(calculateMaxDrawdown(barsFrom([100, 120, 90, 110, 130, 117]))).toBeCloseTo(-25, 10);
+    expect(calculateMaxDrawdown(barsFrom([100, 101, 102]))).toBe(0);
+  });
+
+  it('calculates beta on the days both series have a return', () => {
+    const benchmark = barsFrom(zigzag(40));
+    // Twice the benchmark's daily moves, with one extra day the benchmark did not trade
+    const tickerCloses = [100];
+    calculateDailyReturns(benchmark).forEach((r, i) => tickerCloses.push(tickerCloses[i] * (1 + 2 * r.value)));
+    const ticker = barsFrom(tickerCloses).concat([{ date: new Date(2025, 0, 41), close: tickerCloses[39] * 1.05 }]);
+
+    expect(calculateBeta(calculateDailyReturns(ticker), calculateDailyReturns(benchmark))).toBeCloseTo(2, 10);
+    expect(calculateBeta(calculateDailyReturns(ticker), [])).toBeNull();
+  });
+
+  it('leaves metrics empty without enough history', () => {
+    const metrics = calculateRiskMetrics(barsFrom(zigzag(10)), [], 3);
+
+    expect(metrics).toEqual({ volatility: null, maxDrawdown: null, sharpe: null, beta: null, observations: 9 });
+  });
+
+  it('subtracts the risk-free rate from the annualized mean return for the Sharpe ratio', () => {
+    const bars = barsFrom(zigzag(41));
+    const values = calculateDailyReturns(bars).map(r => r.value);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const metrics = calculateRiskMetrics(bars, bars, 3);
+
+    expect(metrics.sharpe).toBeCloseTo((mean * 252 * 100 - 3) / metrics.volatility, 10);
+    expect(metrics.beta).toBeCloseTo(1, 10);
+    expect(metrics.maxDrawdown).toBeCloseTo(-1, 10);
+  });
+});
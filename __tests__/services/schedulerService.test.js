@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.SHEETS = { HOLIDAYS: 'Holidays' };
+global.CONFIG.SCHEDULER = { CLOSE_DELAY_MINUTES: 10 };
+
+const properties = new Map();
+global.PropertiesService = {
+  getScriptProperties: () => ({
+    getProperty: (key) => (properties.has(key) ? properties.get(key) : null),
+    setProperty: (key, value) => properties.set(key, value)
+  })
+};
+
+const {
+  addRefreshSchedule, removeRefreshSchedule, getRefreshSchedules, getMarketsClosedSince,
+  getTickerMarkets, markMarketsRefreshed, getLastMarketRefreshTimes
+} = loadGasScripts(
+  ['utils/HolidayCalendar.js', 'DateUtils.js', 'services/SchedulerService.js'],
+  ['addRefreshSchedule', 'removeRefreshSchedule', 'getRefreshSchedules', 'getMarketsClosedSince',
+    'getTickerMarkets', 'markMarketsRefreshed', 'getLastMarketRefreshTimes']
+);
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+describe('SchedulerService', () => {
+  let triggers;
+  let builder;
+
+  beforeEach(() => {
+    properties.clear();
+    SS.getSheetByName.mockReturnValue(null);
+
+    triggers = [];
+    builder = {};
+    ['timeBased', 'atHour', 'nearMinute', 'everyDays', 'inTimezone'].forEach(method => {
+      builder[method] = vi.fn().mockReturnValue(builder);
+    });
+    builder.create = vi.fn(() => {
+      const id = `trigger-${triggers.length + 1}`;
+      const trigger = { getUniqueId: () => id, getHandlerFunction: () => 'runScheduledRefresh' };
+      triggers.push(trigger);
+      return trigger;
+    });
+    global.ScriptApp = {
+      newTrigger: vi.fn().mockReturnValue(builder),
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: vi.fn(trigger => triggers.splice(triggers.indexOf(trigger), 1))
+    };
+  });
+
+  it('schedules a daily trigger after the market close in the market timezone', () => {
+    const schedule = addRefreshSchedule('kr');
+
+    expect(ScriptApp.newTrigger).toHaveBeenCalledWith('runScheduledRefresh');
+    expect(builder.atHour).toHaveBeenCalledWith(15);
+    expect(builder.nearMinute).toHaveBeenCalledWith(40);
+    expect(builder.inTimezone).toHaveBeenCalledWith('Asia/Seoul');
+    expect(getRefreshSchedules()).toEqual([schedule]);
+  });
+
+  it('accepts an explicit time and rejects an invalid one', () => {
+    addRefreshSchedule('us', '16:30');
+    expect(builder.atHour).toHaveBeenCalledWith(16);
+    expect(builder.nearMinute).toHaveBeenCalledWith(30);
+    expect(builder.inTimezone).toHaveBeenCalledWith('America/New_York');
+
+    expect(() => addRefreshSchedule('us', '25:00')).toThrow();
+    expect(() => addRefreshSchedule('mars')).toThrow();
+  });
+
+  it('removes a schedule together with its trigger', () => {
+    const first = addRefreshSchedule('kr');
+    const second = addRefreshSchedule('us');
+
+    expect(removeRefreshSchedule(first.id)).toBe(true);
+    expect(triggers).toHaveLength(1);
+    expect(getRefreshSchedules()).toEqual([second]);
+  });
+
+  it('refreshes only the markets that closed since their last refresh', () => {
+    // Tuesday 2025-05-20 15:45 KST = 02:45 New York time
+    const now = utc('2025-05-20T06:45:00');
+    markMarketsRefreshed(['kr', 'us'], utc('2025-05-19T22:00:00'));
+
+    expect(getMarketsClosedSince(getLastMarketRefreshTimes(), ['kr', 'us'], now)).toEqual(['kr']);
+  });
+
+  it('refreshes markets that were never refreshed', () => {
+    expect(getMarketsClosedSince({}, ['us'], utc('2025-05-20T06:45:00'))).toEqual(['us']);
+  });
+
+  it('groups tickers by the market of their primary source', () => {
+    const tickers = [
+      { ticker: '005930', source: 'naver' },
+      { ticker: 'AAPL', source: 'yahoo' },
+      { ticker: 'KOSPI', source: 'naver' }
+    ];
+
+    expect(getTickerMarkets(tickers)).toEqual(['kr', 'us']);
+  });
+});
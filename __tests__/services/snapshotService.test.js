@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+// Snapshots sheet whose rows are set by each test
+let snapshotValues = [];
+const setNumberFormat = vi.fn();
+const snapshotsSheet = {
+  getLastRow: () => snapshotValues.length + 1,
+  getMaxRows: () => 1000,
+  getRange: vi.fn(() => ({
+    getValues: () => snapshotValues,
+    setValues: rows => snapshotValues.push(...rows),
+    setNumberFormat: setNumberFormat
+  })),
+  insertRowsAfter: vi.fn()
+};
+global.SS = { getSheetByName: name => (name === 'Snapshots' ? snapshotsSheet : null) };
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const {
+  buildSnapshotRows, recordSnapshot, loadSnapshots, selectSnapshotPair, compareSnapshots, getSnapshotPeriodCodes
+} = loadGasScripts(
+  ['Config.js', 'utils/SpreadsheetUtils.js', 'services/SnapshotService.js'],
+  ['buildSnapshotRows', 'recordSnapshot', 'loadSnapshots', 'selectSnapshotPair', 'compareSnapshots', 'getSnapshotPeriodCodes']
+);
+
+const columnMap = {
+  NAME: 1, TICKER: 2, SOURCE: 3, CURRENT: 4, HIGH: 5, LOW: 6,
+  PERIODS: [{ code: '1W', column: 7 }, { code: 'HIGH', column: 8 }]
+};
+
+// Snapshots sheet row with the given 1W return (as on the dashboard) and no other returns
+const snapshotRow = (runId, day, ticker, current, weekly) => {
+  const returns = getSnapshotPeriodCodes().map(code => (code === '1W' && weekly !== null ? weekly : ''));
+  return [runId, new Date(2025, 4, day, 18), new Date(2025, 4, day), ticker, ticker, 'YAHOO', current, 0, 0].concat(returns);
+};
+
+describe('SnapshotService', () => {
+  it('keeps the priced ticker rows of the dashboard with a column per period', () => {
+    const savedAt = new Date(2025, 4, 20, 18);
+    const referenceDate = new Date(2025, 4, 20);
+    const rows = buildSnapshotRows([
+      ['Apple', 'AAPL', 'YAHOO', 190, 200, 150, 0.012, -0.05],
+      ['Broken', 'BAD', 'YAHOO', 'N/A', '', '', '', ''],
+      ['합계', '', '', '', '', '', '', '']
+    ], columnMap, '20250520-180000', savedAt, referenceDate);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].slice(0, 9)).toEqual(['20250520-180000', savedAt, referenceDate, 'Apple', 'AAPL', 'YAHOO', 190, 200, 150]);
+
+    const codes = getSnapshotPeriodCodes();
+    expect(rows[0][9 + codes.indexOf('1W')]).toBe(0.012);
+    expect(rows[0][9 + codes.indexOf('HIGH')]).toBe(-0.05);
+    expect(rows[0][9 + codes.indexOf('YTD')]).toBe('');
+  });
+
+  it('records only the rows of the markets in the run', () => {
+    snapshotValues = [];
+    const dashboardSheet = {
+      getRange: () => ({
+        getValues: () => [
+          ['Apple', 'AAPL', 'YAHOO', 190, 200, 150, 0.012, -0.05],
+          ['Samsung', '005930', 'NAVER', 70000, 80000, 60000, 0.02, -0.1]
+        ]
+      })
+    };
+
+    recordSnapshot(dashboardSheet, columnMap, [true, false], 'run-1', new Date(2025, 4, 20));
+
+    expect(snapshotValues.map(row => row[4])).toEqual(['AAPL']);
+  });
+
+  it('grows a full sheet and formats the appended rows', () => {
+    snapshotValues = new Array(998).fill([]);
+    setNumberFormat.mockClear();
+    const dashboardSheet = {
+      getRange: () => ({
+        getValues: () => [
+          ['Apple', 'AAPL', 'YAHOO', 190, 200, 150, 0.012, -0.05],
+          ['Microsoft', 'MSFT', 'YAHOO', 420, 450, 300, 0.02, -0.07]
+        ]
+      })
+    };
+
+    recordSnapshot(dashboardSheet, columnMap, [true, true], 'run-2', new Date(2025, 4, 20));
+
+    const periodCount = getSnapshotPeriodCodes().length;
+    expect(snapshotsSheet.insertRowsAfter).toHaveBeenCalledWith(1000, 1);
+    expect(snapshotsSheet.getRange).toHaveBeenCalledWith(1000, 1, 2, 1);
+    expect(snapshotsSheet.getRange).toHaveBeenCalledWith(1000, 10, 2, periodCount);
+    expect(setNumberFormat.mock.calls).toEqual([['@'], ['0.00%']]);
+  });
+
+  it('groups the sheet rows by run and picks the run to compare with', () => {
+    snapshotValues = [
+      snapshotRow('run-1', 1, 'AAPL', 180, 0.01),
+      snapshotRow('run-2', 8, 'AAPL', 185, 0.02),
+      snapshotRow('run-3', 15, 'AAPL', 190, 0.03)
+    ];
+    const runs = loadSnapshots();
+
+    expect(runs.map(run => run.runId)).toEqual(['run-1', 'run-2', 'run-3']);
+    expect(runs[0].rows[0]).toMatchObject({ ticker: 'AAPL', current: 180, returns: { '1W': 1 } });
+
+    expect(selectSnapshotPair(runs).previous.runId).toBe('run-2');
+    expect(selectSnapshotPair(runs, new Date(2025, 4, 7)).previous.runId).toBe('run-1');
+    expect(selectSnapshotPair(runs, new Date(2025, 3, 30))).toBeNull();
+    expect(selectSnapshotPair(runs.slice(0, 1))).toBeNull();
+  });
+
+  it('ranks tickers by the first return period and reports rank and return changes', () => {
+    snapshotValues = [
+      snapshotRow('run-1', 1, 'AAPL', 100, 0.05),
+      snapshotRow('run-1', 1, 'MSFT', 200, 0.01),
+      snapshotRow('run-1', 1, 'GONE', 50, 0.02),
+      snapshotRow('run-2', 8, 'AAPL', 90, -0.02),
+      snapshotRow('run-2', 8, 'MSFT', 220, 0.03),
+      snapshotRow('run-2', 8, 'NEW', 10, null)
+    ];
+    const [previous, current] = loadSnapshots();
+
+    const comparison = compareSnapshots(current, previous);
+
+    expect(comparison).toMatchObject({ rankPeriod: '1W', periods: ['1W'], removed: ['GONE'] });
+    expect(comparison.rows.map(row => row.ticker)).toEqual(['MSFT', 'AAPL', 'NEW']);
+
+    const [msft, aapl, added] = comparison.rows;
+    expect(msft).toMatchObject({ rank: 1, previousRank: 3, rankChange: 2, isNew: false });
+    expect(msft.priceChange).toBeCloseTo(10, 10);
+    expect(msft.returns[0].change).toBeCloseTo(2, 10);
+    expect(aapl).toMatchObject({ rank: 2, previousRank: 1, rankChange: -1 });
+    expect(aapl.returns[0].change).toBeCloseTo(-7, 10);
+    expect(added).toMatchObject({ rank: null, previousRank: null, rankChange: null, priceChange: null, isNew: true });
+    expect(added.returns[0]).toEqual({ code: '1W', value: null, previous: null, change: null });
+  });
+});
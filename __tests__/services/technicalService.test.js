@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+
+const {
+  calculateTechnicalIndicators, calculateSma, calculateEma, calculateRsi, calculateCrossover,
+  describeCrossover, parseMovingAverages, getTechnicalHistoryDays, getTickerHistoryOptions, getPriceDates
+} = loadGasScripts(
+  ['Config.js', 'services/PriceService.js', 'services/SettingsService.js', 'services/TechnicalService.js'],
+  ['calculateTechnicalIndicators', 'calculateSma', 'calculateEma', 'calculateRsi', 'calculateCrossover',
+    'describeCrossover', 'parseMovingAverages', 'getTechnicalHistoryDays', 'getTickerHistoryOptions', 'getPriceDates']
+);
+
+const range = (count, value) => Array.from({ length: count }, (_, i) => value(i));
+
+describe('TechnicalService', () => {
+  it('reads SMA and EMA windows from the setting', () => {
+    expect(parseMovingAverages('sma50, EMA20, 200, SMA50, WMA10, SMA5000')).toEqual([
+      { type: 'SMA', window: 50, label: 'SMA50' },
+      { type: 'EMA', window: 20, label: 'EMA20' },
+      { type: 'SMA', window: 200, label: 'SMA200' }
+    ]);
+  });
+
+  it('extends the daily history to the longest window and the crossover look-back', () => {
+    const referenceDate = new Date(2025, 4, 20);
+    const dateCalculator = {
+      getReferenceDate: () => referenceDate,
+      forMarket: () => ({ getPeriodStartDate: () => new Date(2025, 4, 13), getLastTradingDate: date => date })
+    };
+    const historyFrom = periodOptions =>
+      getPriceDates(dateCalculator, 'US', ['1W'], getTickerHistoryOptions({ ticker: 'AAPL' }, periodOptions)).historyFrom;
+
+    expect(getTechnicalHistoryDays(parseMovingAverages('SMA50, SMA200'))).toBe(450);
+    expect(getTechnicalHistoryDays(parseMovingAverages('SMA50, EMA600'))).toBe(600);
+
+    // Without technical indicators the 52-week window sets the start, less the holiday buffer
+    expect(historyFrom({ periods: ['1W'] })).toEqual(new Date(2024, 4, 10));
+    // 600 closes take 913 calendar days at 240 trading days a year
+    expect(historyFrom({ periods: ['1W'], showTechnicalIndicators: true, movingAverages: parseMovingAverages('EMA600') }))
+      .toEqual(new Date(2022, 10, 9));
+  });
+
+  it('averages the last closes and weights recent closes more in the EMA', () => {
+    const closes = [1, 2, 3, 4, 5, 6];
+
+    expect(calculateSma(closes, 3)).toBe(5);
+    expect(calculateSma(closes, 7)).toBeNull();
+    // Seeded with the average of 1..3 (2), then 4, 5 and 6 each weighted by 0.5
+    expect(calculateEma(closes, 3)).toBeCloseTo(5, 10);
+  });
+
+  it('compares the current price with each moving average', () => {
+    const indicators = calculateTechnicalIndicators(range(10, () => 100), 110, parseMovingAverages('SMA5, EMA5, SMA20'));
+
+    expect(indicators.movingAverages.SMA5).toEqual({ value: 100, distance: expect.closeTo(10, 10) });
+    expect(indicators.movingAverages.EMA5.distance).toBeCloseTo(10, 10);
+    expect(indicators.movingAverages.SMA20).toEqual({ value: null, distance: null });
+  });
+
+  it('calculates the RSI with Wilder smoothing', () => {
+    // Alternating +2 and -1 moves: the first 14 changes average 1 gain and 0.5 loss
+    const closes = [100];
+    for (let i = 1; i <= 14; i++) {
+      closes.push(closes[i - 1] + (i % 2 ? 2 : -1));
+    }
+
+    expect(calculateRsi(closes)).toBeCloseTo(100 - 100 / 3, 10);
+    expect(calculateRsi(closes.slice(0, 14))).toBeNull();
+    expect(calculateRsi(range(20, i => 100 + i))).toBe(100);
+  });
+
+  it('reports a golden cross and how long ago the averages crossed', () => {
+    // Falling for 30 days, then rising for 5: the 3-day average overtakes the 10-day average
+    const closes = range(30, i => 200 - i).concat(range(5, i => 171 + 5 * (i + 1)));
+
+    // The 3-day average moved above the 10-day average three closes before the last one
+    expect(calculateCrossover(closes, 3, 10)).toEqual({ status: 'golden', daysAgo: 3 });
+    expect(calculateCrossover(range(30, i => 200 - i), 3, 10)).toEqual({ status: 'death', daysAgo: null });
+    expect(calculateCrossover(closes.slice(0, 9), 3, 10)).toBeNull();
+  });
+
+  it('describes recent and older crosses', () => {
+    expect(describeCrossover({ status: 'golden', daysAgo: 0 })).toBe('골든크로스 (오늘)');
+    expect(describeCrossover({ status: 'death', daysAgo: 3 })).toBe('데드크로스 (3일 전)');
+    expect(describeCrossover({ status: 'death', daysAgo: 100 })).toBe('데드크로스');
+    expect(describeCrossover(null)).toBe('N/A');
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.SpreadsheetApp = { getActiveSpreadsheet: () => global.SS };
+global.Session = { getScriptTimeZone: () => 'Asia/Seoul' };
+
+const { parseTickerTapeOptions, buildTickerTapeData } = loadGasScripts(
+  [
+    'Config.js', 'services/PriceService.js', 'services/SettingsService.js', 'services/UIService.js',
+    'services/TickerTapeService.js'
+  ],
+  ['parseTickerTapeOptions', 'buildTickerTapeData']
+);
+
+// Dashboard data as returned by getApiDashboard()
+const dashboard = {
+  referenceDate: '2025-05-20',
+  periods: ['1W', '1M', 'YTD', 'HIGH', 'LOW'],
+  count: 2,
+  rows: [
+    { name: 'Apple', ticker: 'AAPL', current: 190.5, returns: { '1W': 1.2, '1M': -3, YTD: 0, HIGH: -5, LOW: 40 } },
+    { name: '삼성전자', ticker: '005930', current: null, returns: { '1W': null, '1M': 2, YTD: -1, HIGH: -20, LOW: 10 } }
+  ]
+};
+
+describe('TickerTapeService', () => {
+  it('parses the tickers, periods and refresh interval of the page URL', () => {
+    expect(parseTickerTapeOptions({ token: 't', tickers: 'AAPL,005930', periods: 'ytd, 1w, 2W', refresh: '30' })).toEqual({
+      token: 't', tickers: 'AAPL,005930', periods: ['YTD', '1W'], refreshSeconds: 60
+    });
+    expect(parseTickerTapeOptions({})).toEqual({ token: '', tickers: '', periods: null, refreshSeconds: 300 });
+  });
+
+  it('shows the requested periods that are on the dashboard, colored like the dashboard cells', () => {
+    const data = buildTickerTapeData(dashboard, ['YTD', '1D', '1W']);
+
+    expect(data.referenceDate).toBe('2025-05-20');
+    expect(data.periods).toEqual([{ code: 'YTD', header: 'YTD 변화' }, { code: '1W', header: '주간 변화' }]);
+    expect(data.items).toEqual([
+      {
+        name: 'Apple', ticker: 'AAPL', price: '190.50',
+        returns: [{ text: '0.00%', color: '#000000' }, { text: '+1.20%', color: '#388E3C' }]
+      },
+      {
+        name: '삼성전자', ticker: '005930', price: 'N/A',
+        returns: [{ text: '-1.00%', color: '#D32F2F' }, { text: 'N/A', color: '#9E9E9E' }]
+      }
+    ]);
+  });
+
+  it('shows every dashboard period by default', () => {
+    expect(buildTickerTapeData(dashboard, null).periods.map(period => period.code)).toEqual(dashboard.periods);
+  });
+});
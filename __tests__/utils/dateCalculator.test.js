@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.SHEETS = { HOLIDAYS: 'Holidays' };
+
+const { DateCalculator } = loadGasScripts(
+  ['utils/HolidayCalendar.js', 'DateUtils.js'],
+  ['DateCalculator']
+);
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('DateCalculator period anchors', () => {
+  let calculator;
+
+  beforeEach(() => {
+    SS.getSheetByName.mockReturnValue(null);
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2025, 4, 20, 18, 0));
+    // Tuesday 2025-05-20, KRX calendar
+    calculator = new DateCalculator(new Date(2025, 4, 20, 18, 0), 'kr');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('resolves the previous trading day for 1D', () => {
+    expect(ymd(calculator.getPeriodStartDate('1D'))).toEqual([2025, 5, 19]);
+  });
+
+  it('anchors MTD on the last trading day on or before the first of the month', () => {
+    // 2025-05-01 is 근로자의 날, so the anchor falls back to 2025-04-30
+    expect(ymd(calculator.getPeriodStartDate('MTD'))).toEqual([2025, 4, 30]);
+  });
+
+  it('anchors QTD on the start of the quarter', () => {
+    expect(ymd(calculator.getPeriodStartDate('QTD'))).toEqual([2025, 4, 1]);
+  });
+
+  it('counts multi-month and multi-year periods back from the reference date', () => {
+    expect(ymd(calculator.getPeriodStartDate('3M'))).toEqual([2025, 2, 20]);
+    expect(ymd(calculator.getPeriodStartDate('6M'))).toEqual([2024, 11, 20]);
+    expect(ymd(calculator.getPeriodStartDate('1Y'))).toEqual([2024, 5, 20]);
+    // 2022-05-20 was a Friday, 2020-05-20 a Wednesday
+    expect(ymd(calculator.getPeriodStartDate('3Y'))).toEqual([2022, 5, 20]);
+    expect(ymd(calculator.getPeriodStartDate('5Y'))).toEqual([2020, 5, 20]);
+  });
+
+  it('uses the ticker inception date for ITD', () => {
+    // 2024-06-06 is 현충일
+    expect(ymd(calculator.getPeriodStartDate('ITD', { inceptionDate: new Date(2024, 5, 6) }))).toEqual([2024, 6, 5]);
+    expect(calculator.getPeriodStartDate('ITD', {})).toBeNull();
+  });
+
+  it('has no anchor date for HIGH', () => {
+    expect(calculator.getPeriodStartDate('HIGH')).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.SHEETS = { HOLIDAYS: 'Holidays' };
+
+const { HolidayCalendar, DateCalculator, MarketTimeManager } = loadGasScripts(
+  ['utils/HolidayCalendar.js', 'DateUtils.js'],
+  ['HolidayCalendar', 'DateCalculator', 'MarketTimeManager']
+);
+
+const holidayKeys = (calendar, region, year) => Object.keys(calendar.getHolidays(region, year)).sort();
+
+describe('HolidayCalendar', () => {
+  let calendar;
+
+  beforeEach(() => {
+    SS.getSheetByName.mockReturnValue(null);
+    calendar = new HolidayCalendar();
+  });
+
+  it('generates KRX holidays including lunar and substitute holidays', () => {
+    expect(holidayKeys(calendar, 'kr', 2025)).toEqual([
+      '2025-01-01',
+      '2025-01-28', '2025-01-29', '2025-01-30', // 설날
+      '2025-03-01', '2025-03-03',               // 삼일절 + 대체휴일
+      '2025-05-01', '2025-05-05', '2025-05-06', // 근로자의 날, 어린이날/부처님오신날 + 대체휴일
+      '2025-06-06', '2025-08-15',
+      '2025-10-03', '2025-10-05', '2025-10-06', '2025-10-07', '2025-10-08', // 개천절, 추석 + 대체휴일
+      '2025-10-09', '2025-12-25', '2025-12-31'
+    ]);
+  });
+
+  it('moves the KRX year-end closing to the last weekday', () => {
+    // 2022-12-31 was a Saturday
+    expect(calendar.getHolidayName('kr', new Date(2022, 11, 30))).toBe('연말 휴장일');
+  });
+
+  it('generates NYSE holidays with observed dates', () => {
+    expect(holidayKeys(calendar, 'us', 2021)).toEqual([
+      '2021-01-01', '2021-01-18', '2021-02-15', '2021-04-02', '2021-05-31',
+      '2021-07-05', '2021-09-06', '2021-11-25', '2021-12-24'
+    ]);
+    // Juneteenth from 2022, New Year's Day on Saturday is not observed
+    expect(calendar.isHoliday('us', new Date(2022, 5, 20))).toBe(true);
+    expect(calendar.isHoliday('us', new Date(2021, 11, 31))).toBe(false);
+  });
+
+  it('generates LSE bank holidays with Christmas substitutes', () => {
+    expect(holidayKeys(calendar, 'eu', 2021)).toEqual([
+      '2021-01-01', '2021-04-02', '2021-04-05', '2021-05-03', '2021-05-31',
+      '2021-08-30', '2021-12-27', '2021-12-28'
+    ]);
+  });
+
+  it('moves a Sunday Christmas past the holiday on the day after it', () => {
+    const lse = calendar.getHolidays('eu', 2022);
+    expect(lse['2022-12-26']).toBe('Boxing Day');
+    expect(lse['2022-12-27']).toBe('Christmas Day (substitute)');
+
+    const hkex = calendar.getHolidays('hk', 2022);
+    expect(hkex['2022-12-26']).toBe('First weekday after Christmas Day');
+    expect(hkex['2022-12-27']).toBe('Christmas Day (observed)');
+
+    // Christmas on a Saturday and Boxing Day on a Sunday take the next two weekdays
+    const weekend = calendar.getHolidays('eu', 2021);
+    expect(weekend['2021-12-27']).toBe('Christmas Day (substitute)');
+    expect(weekend['2021-12-28']).toBe('Boxing Day (substitute)');
+  });
+
+  it('generates HKEX holidays', () => {
+    const holidays = calendar.getHolidays('hk', 2024);
+    expect(holidays['2024-02-12']).toBe('Lunar New Year');
+    expect(holidays['2024-02-13']).toBe('Lunar New Year (observed)');
+    expect(holidays['2024-09-18']).toBe('Day following Mid-Autumn Festival');
+    expect(holidays['2024-10-11']).toBe('Chung Yeung Festival');
+  });
+
+  it('covers the SSE Spring Festival and National Day weeks', () => {
+    for (let day = 28; day <= 31; day++) {
+      expect(calendar.isTradingDay('cn', new Date(2025, 0, day))).toBe(false);
+    }
+    expect(calendar.isTradingDay('cn', new Date(2025, 9, 7))).toBe(false);
+    expect(calendar.isTradingDay('cn', new Date(2025, 9, 9))).toBe(true);
+  });
+
+  it('applies closures and openings from the Holidays sheet', () => {
+    SS.getSheetByName.mockReturnValue({
+      getLastRow: () => 3,
+      getRange: () => ({
+        getValues: () => [
+          ['2025-06-03', 'KRX', '휴장', '대통령 선거'],
+          ['2025-01-09', 'us', '휴장', 'National Day of Mourning'],
+          ['2025-12-31', 'kr', '개장', '']
+        ]
+      })
+    });
+
+    expect(calendar.getHolidayName('kr', new Date(2025, 5, 3))).toBe('대통령 선거');
+    expect(calendar.isHoliday('us', new Date(2025, 0, 9))).toBe(true);
+    expect(calendar.isHoliday('kr', new Date(2025, 11, 31))).toBe(false);
+    expect(calendar.isHoliday('us', new Date(2025, 5, 3))).toBe(false);
+  });
+});
+
+describe('Holiday-aware trading days', () => {
+  beforeEach(() => {
+    SS.getSheetByName.mockReturnValue(null);
+  });
+
+  it('skips exchange holidays when resolving the last trading date', () => {
+    const calculator = new DateCalculator(new Date(2025, 9, 10), 'kr');
+    // 2025-10-09 back to 2025-10-02 across Chuseok and 한글날
+    const date = calculator.getLastTradingDate(new Date(2025, 9, 9));
+    expect(date.getDate()).toBe(2);
+    expect(date.getMonth()).toBe(9);
+  });
+
+  it('keeps weekend-only behaviour without a market', () => {
+    const calculator = new DateCalculator(new Date(2025, 9, 10));
+    expect(calculator.getLastTradingDate(new Date(2025, 9, 9)).getDate()).toBe(9);
+  });
+
+  it('returns the market-bound calculator from forMarket', () => {
+    const calculator = new DateCalculator(new Date(2025, 6, 7));
+    const us = calculator.forMarket('us');
+    expect(us.marketRegion).toBe('us');
+    expect(us.getReferenceDate()).toBe(calculator.getReferenceDate());
+    expect(us.getLastTradingDate(new Date(2025, 6, 4)).getDate()).toBe(3);
+  });
+
+  it('treats holidays as non-trading days in MarketTimeManager', () => {
+    const manager = new MarketTimeManager();
+    expect(manager.isTradingDay('us', new Date(2025, 11, 25))).toBe(false);
+    expect(manager.isTradingDay('us', new Date(2025, 11, 26))).toBe(true);
+    expect(manager.getDaysToLastTradingDay('us', new Date(2025, 11, 26))).toBe(2);
+    expect(manager.getMarketRegion('yahoo', '0700.HK')).toBe('hk');
+  });
+});
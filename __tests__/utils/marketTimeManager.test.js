@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadGasScripts } from '../mocks/google-apps-script';
+
+global.CONFIG.SHEETS = { HOLIDAYS: 'Holidays' };
+
+const { MarketTimeManager } = loadGasScripts(
+  ['utils/HolidayCalendar.js', 'DateUtils.js'],
+  ['MarketTimeManager']
+);
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+describe('MarketTimeManager timezone handling', () => {
+  let manager;
+
+  beforeEach(() => {
+    SS.getSheetByName.mockReturnValue(null);
+    manager = new MarketTimeManager();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('US market around daylight saving switches', () => {
+    it('opens at 09:30 EST before the March switch', () => {
+      // Friday 2025-03-07, EST (UTC-5)
+      expect(manager.isMarketOpen('us', utc('2025-03-07T14:29:00'))).toBe(false);
+      expect(manager.isMarketOpen('us', utc('2025-03-07T14:30:00'))).toBe(true);
+    });
+
+    it('opens at 09:30 EDT after the March switch', () => {
+      // Monday 2025-03-10, EDT (UTC-4)
+      expect(manager.isMarketOpen('us', utc('2025-03-10T13:29:00'))).toBe(false);
+      expect(manager.isMarketOpen('us', utc('2025-03-10T13:30:00'))).toBe(true);
+      expect(manager.isMarketOpen('us', utc('2025-03-10T20:00:00'))).toBe(false);
+    });
+
+    it('closes at 16:00 EDT before the November switch', () => {
+      // Friday 2025-10-31, EDT (UTC-4)
+      expect(manager.isMarketOpen('us', utc('2025-10-31T19:59:00'))).toBe(true);
+      expect(manager.isMarketOpen('us', utc('2025-10-31T20:00:00'))).toBe(false);
+    });
+
+    it('closes at 16:00 EST after the November switch', () => {
+      // Monday 2025-11-03, EST (UTC-5)
+      expect(manager.isMarketOpen('us', utc('2025-11-03T20:30:00'))).toBe(true);
+      expect(manager.isMarketOpen('us', utc('2025-11-03T21:00:00'))).toBe(false);
+    });
+
+    it('converts instants to New York wall-clock time', () => {
+      const beforeSwitch = manager.getMarketLocalTime('us', utc('2025-03-09T06:59:00'));
+      const afterSwitch = manager.getMarketLocalTime('us', utc('2025-03-09T07:00:00'));
+      expect(beforeSwitch.getHours()).toBe(1);
+      expect(beforeSwitch.getMinutes()).toBe(59);
+      expect(afterSwitch.getHours()).toBe(3);
+      expect(manager.getTimezoneAbbreviation('us', utc('2025-03-10T12:00:00'))).toBe('EDT');
+      expect(manager.getTimezoneAbbreviation('us', utc('2025-11-03T12:00:00'))).toBe('EST');
+    });
+  });
+
+  describe('London market around British Summer Time', () => {
+    it('opens at 08:00 BST after the March switch', () => {
+      // Friday 2025-03-28 GMT, Monday 2025-03-31 BST
+      expect(manager.isMarketOpen('eu', utc('2025-03-28T07:30:00'))).toBe(false);
+      expect(manager.isMarketOpen('eu', utc('2025-03-31T07:30:00'))).toBe(true);
+    });
+
+    it('closes at 16:30 GMT after the October switch', () => {
+      // Friday 2025-10-24 BST, Monday 2025-10-27 GMT
+      expect(manager.isMarketOpen('eu', utc('2025-10-24T15:45:00'))).toBe(false);
+      expect(manager.isMarketOpen('eu', utc('2025-10-27T15:45:00'))).toBe(true);
+    });
+  });
+
+  it('keeps fixed-offset markets unchanged', () => {
+    // 2025-03-10 09:00 KST
+    expect(manager.isMarketOpen('kr', utc('2025-03-10T00:00:00'))).toBe(true);
+    expect(manager.isMarketOpen('kr', utc('2025-03-09T23:59:00'))).toBe(false);
+  });
+
+  describe('getMostRecentTradingDay', () => {
+    it('reports the US session as open right after the EDT opening bell', () => {
+      const now = utc('2025-03-10T13:45:00');
+      vi.useFakeTimers();
+      vi.setSystemTime(now);
+
+      const result = manager.getMostRecentTradingDay('us', now);
+      expect(result.message).toBe('미국 시장 이전 거래일 (장 중)');
+      expect(result.date.getDate()).toBe(7);
+    });
+
+    it('reports the US session as not yet open before the EDT opening bell', () => {
+      const now = utc('2025-03-10T13:15:00');
+      vi.useFakeTimers();
+      vi.setSystemTime(now);
+
+      const result = manager.getMostRecentTradingDay('us', now);
+      expect(result.message).toBe('미국 시장 이전 거래일 (장 개장 전)');
+    });
+
+    it('uses today\'s close after the EST closing bell', () => {
+      const now = utc('2025-11-03T21:05:00');
+      vi.useFakeTimers();
+      vi.setSystemTime(now);
+
+      const result = manager.getMostRecentTradingDay('us', now);
+      expect(result.message).toBe('미국 시장 오늘 종가');
+      expect(result.isToday).toBe(true);
+      expect(result.date.getDate()).toBe(3);
+    });
+  });
+
+  describe('getLastCloseTime', () => {
+    const wallClock = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes()];
+
+    it('uses today\'s close once the closing bell has rung', () => {
+      // Tuesday 2025-05-20 15:35 KST
+      expect(wallClock(manager.getLastCloseTime('kr', utc('2025-05-20T06:35:00')))).toEqual([2025, 5, 20, 15, 30]);
+    });
+
+    it('uses the previous trading day\'s close during the session', () => {
+      // Monday 2025-03-10 10:00 EDT: the last close was Friday's, in New York time
+      expect(wallClock(manager.getLastCloseTime('us', utc('2025-03-10T14:00:00')))).toEqual([2025, 3, 7, 16, 0]);
+    });
+
+    it('skips exchange holidays', () => {
+      // Wednesday 2025-05-07 09:00 KST, after the 05-05 and 05-06 KRX holidays
+      expect(wallClock(manager.getLastCloseTime('kr', utc('2025-05-07T00:00:00')))).toEqual([2025, 5, 2, 15, 30]);
+    });
+  });
+});
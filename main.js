@@ -24,6 +24,22 @@ function onOpen() {
   Logger.log('스프레드시트가 열렸습니다.');
 }
 
+/**
+ * Serve the web app: the ticker tape page for ?view=tape, otherwise the read-only JSON web API
+ * (see serveTickerTape and handleApiRequest)
+ * @param {Object} e - Web app request event
+ * @return {HtmlOutput|TextOutput} Page or JSON response
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  if (params.view === 'tape') {
+    return serveTickerTape(params);
+  }
+  
+  return ContentService.createTextOutput(JSON.stringify(handleApiRequest(e)))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
 /**
  * Initialize global settings when the spreadsheet is opened
  * This is automatically called when the spreadsheet is opened
@@ -0,0 +1,372 @@
+/**
+ * Performance Dashboard Ticker - Alert Service Module
+ *
+ * This module evaluates the threshold rules of the optional Alerts sheet against the dashboard
+ * after each update and emails a digest of the rules that fired.
+ */
+
+/**
+ * Column headers of a newly created Alerts sheet
+ */
+const ALERT_HEADERS = ['티커', '지표', '조건', '값', '사용', '메모', '마지막 발생', '상태'];
+
+/**
+ * Alert conditions and the names accepted for them in the 조건 column
+ * Comparisons fire when they become true; crossings fire when the value moves past the threshold.
+ */
+const ALERT_OPERATORS = {
+  LT: ['<', '미만'],
+  LTE: ['<=', '이하'],
+  GT: ['>', '초과'],
+  GTE: ['>=', '이상'],
+  CROSSES_ABOVE: ['상향 돌파', 'crosses above'],
+  CROSSES_BELOW: ['하향 돌파', 'crosses below'],
+  CROSSES: ['돌파', 'crosses']
+};
+
+/**
+ * Metrics other than the period returns and the names accepted for them in the 지표 column
+ */
+const ALERT_METRICS = {
+  PRICE: ['PRICE', '현재가'],
+  RANGE: ['RANGE', '52주 위치'],
+  RSI: ['RSI']
+};
+
+/**
+ * Get or create the Alerts sheet
+ * @return {Sheet} The alerts sheet
+ */
+function getOrCreateAlertsSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.ALERTS);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.ALERTS);
+    
+    const headerRange = sheet.getRange(1, 1, 1, ALERT_HEADERS.length);
+    headerRange.setValues([ALERT_HEADERS]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.getRange(1, 1).setNote('티커 시트의 티커, 또는 모든 티커에 적용하려면 *');
+    sheet.getRange(1, 2).setNote(`수익률 기간 코드(${Object.keys(CONFIG.PERIODS).join(', ')}, 단위 %), PRICE(현재가), RANGE(52주 위치 %), RSI`);
+    sheet.getRange(1, 3).setNote('<, <=, >, >=, 상향 돌파, 하향 돌파, 돌파');
+    sheet.getRange(1, 5).setNote('N이면 규칙을 평가하지 않습니다 (기본 Y)');
+    sheet.getRange(1, 8).setNote('알림 중복을 막기 위해 티커별 조건 충족 여부(Y/N)를 기록합니다. 지우면 다음 업데이트에서 다시 알림이 발생할 수 있습니다.');
+    sheet.setFrozenRows(1);
+    
+    Logger.log('알림 시트를 생성했습니다.');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Read the rules of the Alerts sheet
+ * @return {Array<Object>} Rules of { row, ticker, metric, operator, threshold, enabled, label, state }
+ *                         where row is the sheet row and state maps tickers to whether the rule held
+ */
+function loadAlertRules() {
+  const rules = [];
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.ALERTS);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return rules;
+    }
+    
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), ALERT_HEADERS.length).getValues();
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (row.slice(0, 4).every(cell => cell === '')) continue;
+      
+      const rule = parseAlertRule(row);
+      if (rule) {
+        rule.row = i + 1;
+        rules.push(rule);
+      } else {
+        Logger.log(`잘못된 알림 규칙: ${i + 1}행 (${row.slice(0, 4).join(', ')})`);
+      }
+    }
+  } catch (error) {
+    Logger.log(`알림 시트 읽기 오류: ${error.message}`);
+  }
+  
+  return rules;
+}
+
+/**
+ * Convert an Alerts sheet row to a rule
+ * @param {Array} row - Row values in ALERT_HEADERS order
+ * @return {Object|null} The rule, or null if the ticker, metric, condition or value is not valid
+ */
+function parseAlertRule(row) {
+  const ticker = String(row[0]).trim().toUpperCase();
+  const metric = parseAlertMetric(row[1]);
+  const operatorText = String(row[2]).trim().toLowerCase();
+  const operator = Object.keys(ALERT_OPERATORS).find(key => ALERT_OPERATORS[key].includes(operatorText));
+  const threshold = typeof row[3] === 'number' ? row[3] : parseFloat(String(row[3]).replace(/[,%]/g, ''));
+  if (!ticker || !metric || !operator || !isFinite(threshold)) return null;
+  
+  return {
+    ticker: ticker,
+    metric: metric,
+    operator: operator,
+    threshold: threshold,
+    enabled: !['N', 'NO', 'FALSE', '아니오'].includes(String(row[4]).trim().toUpperCase()),
+    label: `${metric} ${ALERT_OPERATORS[operator][0]} ${threshold}`,
+    state: parseAlertState(row[7])
+  };
+}
+
+/**
+ * Map a 지표 cell to a metric
+ * @param {string} value - Cell value (a period code or header such as 1W or 주간 변화, PRICE, RANGE or RSI)
+ * @return {string|null} Period code or ALERT_METRICS key, or null if not recognized
+ */
+function parseAlertMetric(value) {
+  const text = String(value || '').trim().toUpperCase();
+  if (!text) return null;
+  
+  const periodCode = Object.keys(CONFIG.PERIODS).find(code => code === text || CONFIG.PERIODS[code].header === text);
+  return periodCode || Object.keys(ALERT_METRICS).find(key => ALERT_METRICS[key].includes(text)) || null;
+}
+
+/**
+ * Parse the 상태 column
+ * @param {string} value - Cell value (e.g. "AAPL=Y, 005930=N")
+ * @return {Object} Whether the rule held at the last evaluation, by ticker
+ */
+function parseAlertState(value) {
+  const state = {};
+  for (const entry of String(value || '').split(',')) {
+    const match = entry.trim().match(/^(.+)=([YN])$/i);
+    if (match) {
+      state[match[1].trim().toUpperCase()] = match[2].toUpperCase() === 'Y';
+    }
+  }
+  return state;
+}
+
+/**
+ * Format a rule state for the 상태 column
+ * @param {Object} state - Whether the rule holds, by ticker
+ * @return {string} Cell value (e.g. "AAPL=Y, 005930=N")
+ */
+function formatAlertState(state) {
+  return Object.keys(state).map(ticker => `${ticker}=${state[ticker] ? 'Y' : 'N'}`).join(', ');
+}
+
+/**
+ * Read the alert metrics of one dashboard row
+ * Returns are in percent; the 52-week HIGH and LOW distances are calculated from the price
+ * columns, so they are available even when those periods are not shown.
+ * @param {Array} rowValues - Values of the dashboard row
+ * @param {Object} columnMap - Column mapping from initializeDashboard()
+ * @return {Object} Metric values by period code or ALERT_METRICS key (missing values are left out)
+ */
+function readAlertMetrics(rowValues, columnMap) {
+  const cell = column => (column && typeof rowValues[column - 1] === 'number' ? rowValues[column - 1] : null);
+  const metrics = {};
+  
+  for (const period of columnMap.PERIODS) {
+    if (cell(period.column) !== null) {
+      metrics[period.code] = cell(period.column) * 100;
+    }
+  }
+  
+  const current = cell(columnMap.CURRENT);
+  if (current !== null) {
+    metrics.PRICE = current;
+    if (cell(columnMap.HIGH) > 0) metrics.HIGH = (current / cell(columnMap.HIGH) - 1) * 100;
+    if (cell(columnMap.LOW) > 0) metrics.LOW = (current / cell(columnMap.LOW) - 1) * 100;
+  }
+  if (cell(columnMap.RANGE) !== null) {
+    metrics.RANGE = cell(columnMap.RANGE) * 100;
+  }
+  if (columnMap.TECHNICAL && cell(columnMap.TECHNICAL.RSI) !== null) {
+    metrics.RSI = cell(columnMap.TECHNICAL.RSI);
+  }
+  
+  return metrics;
+}
+
+/**
+ * Evaluate alert rules against the latest metrics
+ * A rule fires once when its condition starts to hold and again only after it stopped holding,
+ * so a move that stays past the threshold is reported once. Crossings need a previous
+ * evaluation to compare with, so a new rule never fires a crossing on its first run.
+ * @param {Array<Object>} rules - Rules from loadAlertRules()
+ * @param {Array<Object>} tickers - Ticker metrics of { ticker, name, metrics } from readAlertMetrics()
+ * @return {Object} { alerts, states } with the fired alerts ({ rule, ticker, name, value, direction })
+ *                  and the new state of every rule in the same order as the rules
+ */
+function evaluateAlertRules(rules, tickers) {
+  const alerts = [];
+  
+  const states = rules.map(rule => {
+    const state = Object.assign({}, rule.state);
+    if (!rule.enabled) return state;
+    
+    for (const { ticker, name, metrics } of tickers) {
+      const symbol = String(ticker).toUpperCase();
+      const value = metrics[rule.metric];
+      if ((rule.ticker !== '*' && rule.ticker !== symbol) || value === undefined || value === null) continue;
+      
+      const held = state[symbol];
+      const holds = isAlertConditionMet(rule.operator, value, rule.threshold);
+      state[symbol] = holds;
+      
+      const fired = rule.operator.startsWith('CROSSES') ?
+        held !== undefined && held !== holds &&
+          (rule.operator === 'CROSSES' || (rule.operator === 'CROSSES_ABOVE') === holds) :
+        holds && !held;
+      if (fired) {
+        alerts.push({ rule: rule, ticker: symbol, name: name, value: value, direction: holds ? 'above' : 'below' });
+      }
+    }
+    return state;
+  });
+  
+  return { alerts, states };
+}
+
+/**
+ * Check a rule condition
+ * Crossing rules hold while the value is above the threshold.
+ * @param {string} operator - ALERT_OPERATORS key
+ * @param {number} value - Metric value
+ * @param {number} threshold - Rule threshold
+ * @return {boolean} True if the condition holds
+ */
+function isAlertConditionMet(operator, value, threshold) {
+  switch (operator) {
+    case 'LT': return value < threshold;
+    case 'LTE': return value <= threshold;
+    case 'GT': return value > threshold;
+    case 'GTE': return value >= threshold;
+    default: return value > threshold;
+  }
+}
+
+/**
+ * Describe a fired alert's value
+ * @param {Object} alert - Alert from evaluateAlertRules()
+ * @return {string} Value with its unit and, for crossings, the direction (e.g. "-6.20% (하향 돌파)")
+ */
+function describeAlertValue(alert) {
+  const metric = alert.rule.metric;
+  const value = metric === 'PRICE' || metric === 'RSI' ? alert.value.toFixed(2) :
+    CONFIG.PERIODS[metric] ? formatReturn(alert.value) : `${alert.value.toFixed(1)}%`;
+  
+  return alert.rule.operator.startsWith('CROSSES') ?
+    `${value} (${alert.direction === 'above' ? '상향 돌파' : '하향 돌파'})` : value;
+}
+
+/**
+ * Build the HTML body of the alert digest email
+ * @param {Array<Object>} alerts - Alerts from evaluateAlertRules()
+ * @param {Date} referenceDate - Reference date of the update
+ * @return {string} HTML body
+ */
+function buildAlertDigestHtml(alerts, referenceDate) {
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const formattedDate = Utilities.formatDate(referenceDate, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  
+  const rows = alerts.map(alert => '<tr>' +
+    `<td>${escape(alert.name || alert.ticker)}</td>` +
+    `<td>${escape(alert.ticker)}</td>` +
+    `<td>${escape(alert.rule.label)}</td>` +
+    `<td style="text-align:right">${escape(describeAlertValue(alert))}</td>` +
+    '</tr>').join('');
+  
+  return `<p>기준일 ${formattedDate} 대시보드 업데이트에서 ${alerts.length}개의 알림이 발생했습니다.</p>` +
+    '<table border="1" cellpadding="4" cellspacing="0" style="border-collapse:collapse">' +
+    '<tr style="background:#E3F2FD"><th>이름</th><th>티커</th><th>규칙</th><th>값</th></tr>' +
+    rows + '</table>';
+}
+
+/**
+ * Email the alert digest to the ALERT_EMAIL recipients
+ * @param {Array<Object>} alerts - Alerts from evaluateAlertRules()
+ * @param {Date} referenceDate - Reference date of the update
+ * @return {boolean} True if an email was sent
+ */
+function sendAlertDigest(alerts, referenceDate) {
+  const recipients = String(getSetting('ALERT_EMAIL', '')).split(',').map(email => email.trim()).filter(Boolean);
+  if (alerts.length === 0 || recipients.length === 0) {
+    return false;
+  }
+  
+  if (MailApp.getRemainingDailyQuota() < 1) {
+    Logger.log('메일 발송 한도를 모두 사용하여 알림 메일을 보내지 않습니다.');
+    return false;
+  }
+  
+  MailApp.sendEmail({
+    to: recipients.join(','),
+    subject: `[대시보드 알림] ${alerts.length}건 - ${alerts.slice(0, 3).map(alert => alert.ticker).join(', ')}${alerts.length > 3 ? ' 외' : ''}`,
+    htmlBody: buildAlertDigestHtml(alerts, referenceDate)
+  });
+  Logger.log(`알림 메일 발송: ${recipients.join(', ')} (${alerts.length}건)`);
+  return true;
+}
+
+/**
+ * Evaluate the Alerts sheet against the dashboard at the end of an update
+ * Errors are logged and never fail the update.
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {Object} columnMap - Column mapping from initializeDashboard()
+ * @param {Array<Object>} tickers - Tickers in dashboard row order
+ * @param {Array<boolean>} inRun - Whether each ticker belongs to the run
+ * @param {Date} referenceDate - Reference date of the update
+ * @return {Array<Object>} Alerts that fired
+ */
+function checkAlerts(sheet, columnMap, tickers, inRun, referenceDate) {
+  try {
+    const rules = loadAlertRules();
+    if (rules.length === 0 || !inRun.some(Boolean)) return [];
+    
+    // Rows of markets outside a market-limited refresh still hold the values of an earlier run
+    const values = sheet.getRange(2, 1, tickers.length, columnMap.LAST_UPDATED).getValues();
+    const tickerMetrics = tickers
+      .map((ticker, i) => ({
+        ticker: ticker.ticker,
+        name: ticker.name,
+        metrics: readAlertMetrics(values[i], columnMap)
+      }))
+      .filter((entry, i) => inRun[i]);
+    
+    const { alerts, states } = evaluateAlertRules(rules, tickerMetrics);
+    
+    // Record the state of every rule and when it last fired
+    const alertsSheet = getOrCreateAlertsSheet();
+    const now = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+    rules.forEach((rule, i) => {
+      alertsSheet.getRange(rule.row, 8).setValue(formatAlertState(states[i]));
+      const fired = alerts.filter(alert => alert.rule === rule).map(alert => alert.ticker);
+      if (fired.length > 0) {
+        alertsSheet.getRange(rule.row, 7).setValue(`${now} (${fired.join(', ')})`);
+      }
+    });
+    
+    Logger.log(`알림 규칙 ${rules.length}개 평가: ${alerts.length}건 발생`);
+    sendAlertDigest(alerts, referenceDate);
+    return alerts;
+  } catch (error) {
+    Logger.log(`알림 확인 오류: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Open the Alerts sheet from the menu
+ */
+function openAlertsSheet() {
+  try {
+    const sheet = getOrCreateAlertsSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`알림 시트 열기 오류: ${error.message}`);
+    showErrorAlert('알림 시트 열기 실패', error.message);
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Performance Dashboard Ticker - API Service Module
+ *
+ * This module answers the read-only JSON web API served by doGet(): the dashboard rows,
+ * single symbol lookups and the status of the current update. Every request must carry
+ * the shared token issued from the menu.
+ */
+
+/**
+ * Script property keys used by the web API
+ */
+const API_KEYS = {
+  TOKEN: 'apiToken'
+};
+
+/**
+ * Actions the web API answers (the action query parameter; dashboard when omitted)
+ */
+const API_ACTIONS = ['dashboard', 'lookup', 'status'];
+
+/**
+ * Answer a web API request
+ * @param {Object} e - doGet event; e.parameter holds the query parameters
+ *                     (token, action and the action's filters)
+ * @return {Object} { ok: true, action, generatedAt, data } or { ok: false, error: { code, message } }
+ */
+function handleApiRequest(e) {
+  const params = (e && e.parameter) || {};
+  const action = String(params.action || 'dashboard').trim().toLowerCase();
+  
+  try {
+    if (!isValidApiToken(params.token)) {
+      return createApiError('UNAUTHORIZED', '유효한 API 토큰이 필요합니다.');
+    }
+    if (!API_ACTIONS.includes(action)) {
+      return createApiError('UNKNOWN_ACTION', `지원되지 않는 action입니다: ${action} (지원: ${API_ACTIONS.join(', ')})`);
+    }
+    
+    let data;
+    switch (action) {
+      case 'lookup':
+        data = getApiLookup(params);
+        break;
+      case 'status':
+        data = getApiStatus();
+        break;
+      default:
+        data = getApiDashboard(params);
+    }
+    
+    if (data.error) {
+      return createApiError(data.code || 'BAD_REQUEST', data.error);
+    }
+    return { ok: true, action: action, generatedAt: new Date().toISOString(), data: data };
+  } catch (error) {
+    Logger.log(`API 요청 처리 오류 (${action}): ${error.message}`);
+    return createApiError('INTERNAL_ERROR', error.message);
+  }
+}
+
+/**
+ * Build an API error response
+ * @param {string} code - Error code (UNAUTHORIZED, UNKNOWN_ACTION, BAD_REQUEST, LAYOUT_MISMATCH, INTERNAL_ERROR)
+ * @param {string} message - Error message
+ * @return {Object} Error response
+ */
+function createApiError(code, message) {
+  return { ok: false, error: { code: code, message: message } };
+}
+
+/**
+ * Check a request token against the token issued from the menu
+ * The API stays closed until a token has been issued.
+ * @param {string} token - Token from the request
+ * @return {boolean} True if the token matches
+ */
+function isValidApiToken(token) {
+  const expected = PropertiesService.getScriptProperties().getProperty(API_KEYS.TOKEN);
+  if (!expected || !token || String(token).length !== expected.length) {
+    return false;
+  }
+  
+  // Compare every character so the time taken does not reveal how much of the token matched
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ String(token).charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Parse a comma-separated filter parameter
+ * @param {string} value - Parameter value (e.g. "yahoo,naver")
+ * @return {Array<string>|null} Lowercase values, or null if the parameter is blank
+ */
+function parseApiFilter(value) {
+  const values = String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+/**
+ * Get the dashboard rows for the dashboard action
+ * Rows are read with the column layout of the current settings, so a dashboard that has not been
+ * updated since the settings changed is reported as a layout mismatch.
+ * @param {Object} params - Query parameters; source, region and ticker filter the rows
+ *                          (comma-separated, matched against the primary source, the market region
+ *                          and the ticker)
+ * @return {Object} { referenceDate, periods, count, rows } or { error, code }
+ */
+function getApiDashboard(params) {
+  const periodOptions = Object.assign({
+    periods: getConfiguredPeriods(),
+    annualizedPeriods: getAnnualizedPeriods()
+  }, getDisplaySettings());
+  const { headers, columnMap } = getDashboardLayout(periodOptions.periods, periodOptions.annualizedPeriods, isHoldingsModeEnabled(), periodOptions);
+  const result = {
+    referenceDate: Utilities.formatDate(getReferenceDate(), Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+    periods: columnMap.PERIODS.map(period => period.code),
+    count: 0,
+    rows: []
+  };
+  
+  const sheet = SS.getSheetByName(CONFIG.SHEETS.DASHBOARD);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return result;
+  }
+  
+  // The 정보 header carries the reference date, so it is not compared
+  const headerRow = sheet.getRange(1, 1, 1, headers.length).getValues()[0];
+  if (headers.some((header, i) => i !== columnMap.INFO - 1 && headerRow[i] !== header)) {
+    return {
+      error: '대시보드 열 구성이 현재 설정과 다릅니다. 대시보드를 업데이트한 뒤 다시 시도하세요.',
+      code: 'LAYOUT_MISMATCH'
+    };
+  }
+  
+  const sources = parseApiFilter(params.source);
+  const regions = parseApiFilter(params.region);
+  const tickers = parseApiFilter(params.ticker);
+  const marketTimeManager = new MarketTimeManager();
+  
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+  for (const rowValues of values) {
+    // Totals and portfolio rows have no ticker
+    if (String(rowValues[columnMap.TICKER - 1]).trim() === '') continue;
+    
+    const row = readApiDashboardRow(rowValues, columnMap, marketTimeManager);
+    if (sources && !sources.includes(row.sources[0])) continue;
+    if (regions && !regions.includes(row.region)) continue;
+    if (tickers && !tickers.includes(row.ticker.toLowerCase())) continue;
+    result.rows.push(row);
+  }
+  
+  result.count = result.rows.length;
+  return result;
+}
+
+/**
+ * Convert a dashboard row to its API representation
+ * Returns and other percentages are in percent (1.5 for 1.5%); cells without a number are null.
+ * @param {Array} rowValues - Dashboard row values
+ * @param {Object} columnMap - Column mapping from getDashboardLayout()
+ * @param {MarketTimeManager} marketTimeManager - Market region lookup
+ * @return {Object} { name, ticker, sources, region, current, high, low, rangePosition, returns, totalReturns,
+ *                  excessReturns, baseReturns, risk, technical, holding, info, lastUpdated } where the
+ *                  optional groups are null unless the dashboard shows them
+ */
+function readApiDashboardRow(rowValues, columnMap, marketTimeManager) {
+  const cell = column => (typeof rowValues[column - 1] === 'number' ? rowValues[column - 1] : null);
+  const percent = column => (cell(column) !== null ? cell(column) * 100 : null);
+  const byPeriod = (periods, columnKey) => periods.reduce((returns, period) => {
+    returns[period.code] = percent(period[columnKey]);
+    return returns;
+  }, {});
+  
+  const ticker = String(rowValues[columnMap.TICKER - 1]).trim();
+  const sources = DataProviderFactory.parseSources(rowValues[columnMap.SOURCE - 1]);
+  const shownPeriods = columnKey => columnMap.PERIODS.filter(period => period[columnKey]);
+  
+  return {
+    name: rowValues[columnMap.NAME - 1],
+    ticker: ticker,
+    sources: sources,
+    region: marketTimeManager.getMarketRegion(sources[0] || '', ticker),
+    current: cell(columnMap.CURRENT),
+    high: cell(columnMap.HIGH),
+    low: cell(columnMap.LOW),
+    rangePosition: percent(columnMap.RANGE),
+    returns: byPeriod(columnMap.PERIODS, 'column'),
+    totalReturns: shownPeriods('totalColumn').length > 0 ? byPeriod(shownPeriods('totalColumn'), 'totalColumn') : null,
+    excessReturns: shownPeriods('excessColumn').length > 0 ? byPeriod(shownPeriods('excessColumn'), 'excessColumn') : null,
+    baseReturns: columnMap.BASE_PERIODS ? byPeriod(columnMap.BASE_PERIODS, 'column') : null,
+    risk: columnMap.RISK ? {
+      volatility: percent(columnMap.RISK.VOLATILITY),
+      maxDrawdown: percent(columnMap.RISK.MAX_DRAWDOWN),
+      sharpe: cell(columnMap.RISK.SHARPE),
+      beta: cell(columnMap.RISK.BETA)
+    } : null,
+    technical: columnMap.TECHNICAL ? {
+      movingAverages: columnMap.TECHNICAL.MOVING_AVERAGES.reduce((distances, movingAverage) => {
+        distances[movingAverage.label] = percent(movingAverage.column);
+        return distances;
+      }, {}),
+      rsi: cell(columnMap.TECHNICAL.RSI),
+      crossover: rowValues[columnMap.TECHNICAL.CROSSOVER - 1] || null
+    } : null,
+    holding: columnMap.HOLDINGS ? {
+      marketValue: cell(columnMap.HOLDINGS.MARKET_VALUE),
+      pnl: cell(columnMap.HOLDINGS.PNL),
+      pnlPercent: percent(columnMap.HOLDINGS.PNL_PERCENT),
+      weight: percent(columnMap.HOLDINGS.WEIGHT)
+    } : null,
+    info: rowValues[columnMap.INFO - 1] || null,
+    lastUpdated: rowValues[columnMap.LAST_UPDATED - 1] || null
+  };
+}
+
+/**
+ * Look up one symbol for the lookup action
+ * @param {Object} params - Query parameters; symbol and source (defaults to yahoo)
+ * @return {Object} Symbol data from lookupSymbol(), or { error, code }
+ */
+function getApiLookup(params) {
+  const symbol = String(params.symbol || '').trim();
+  const source = String(params.source || 'yahoo').trim().toLowerCase();
+  
+  if (!DataProviderFactory.getSupportedSources().includes(source)) {
+    return { error: `지원되지 않는 데이터 소스입니다: ${source}`, code: 'BAD_REQUEST' };
+  }
+  
+  const result = lookupSymbol(symbol, source);
+  if (result.error) {
+    return { error: result.error, code: symbol ? 'LOOKUP_FAILED' : 'BAD_REQUEST' };
+  }
+  return Object.assign({ source: source }, result);
+}
+
+/**
+ * Get the update status for the status action
+ * @return {Object} { lock, pausedRun } where lock comes from getLockStatus() and pausedRun is the
+ *                  checkpoint of a run waiting for its continuation (null if none)
+ */
+function getApiStatus() {
+  return {
+    lock: getLockStatus(),
+    pausedRun: getUpdateCheckpoint()
+  };
+}
+
+/**
+ * Issue a new web API token, replacing the previous one
+ */
+function issueApiToken() {
+  try {
+    const token = Utilities.getUuid().replace(/-/g, '');
+    PropertiesService.getScriptProperties().setProperty(API_KEYS.TOKEN, token);
+    Logger.log('새 웹 API 토큰을 발급했습니다.');
+    
+    showAlert(
+      '🔑 웹 API 토큰',
+      `새 토큰이 발급되었습니다. 이전 토큰은 더 이상 사용할 수 없습니다.\n\n${token}\n\n` +
+      '웹 앱 URL 뒤에 ?token=<토큰>&action=dashboard 형식으로 요청하세요.'
+    );
+  } catch (error) {
+    Logger.log(`웹 API 토큰 발급 오류: ${error.message}`);
+    showErrorAlert('웹 API 토큰 발급 실패', error.message);
+  }
+}
@@ -1,17 +1,32 @@
 /**
  * Performance Dashboard Ticker - Audit Service Module
  * 
- * This module provides functionality for tracking and auditing data fetch operations.
+ * This module records the lineage of every price on the dashboard: for each run, ticker and price field
+ * the Audit sheet keeps the provider, the URLs and GOOGLEFINANCE formulas used, the requested and matched
+ * dates and the fetch latency. Rows are kept for AUDIT_RETENTION_DAYS, and the lineage view filters the
+ * sheet down to the rows behind any dashboard cell.
  */
 
+/**
+ * Column headers of the Audit sheet
+ */
+const AUDIT_HEADERS = [
+  '실행 ID', '타임스탬프', '티커 심볼', '티커 이름', '필드', '항목', '값', '수익률', '품질', '공급자',
+  '요청 날짜', '일치 날짜', '지연 (ms)', 'URL / 수식', '비고'
+];
+
+/**
+ * Field of the per-ticker row holding the source chain, the notes and the risk metrics
+ */
+const AUDIT_SUMMARY_FIELD = 'summary';
+
 /**
  * Initialize the audit sheet
+ * Rows written in an earlier layout cannot be read with the current headers, so they are dropped.
  * @return {Sheet} The audit sheet
  */
 function initializeAuditSheet() {
   try {
-    Logger.log('감사 시트 초기화 중...');
-    
     // Get or create audit sheet
     let auditSheet = SS.getSheetByName(CONFIG.SHEETS.AUDIT);
     if (!auditSheet) {
@@ -19,37 +34,38 @@ function initializeAuditSheet() {
       Logger.log('감사 시트를 생성했습니다.');
     }
     
-    // Define headers
-    const headers = [
-      '타임스탬프', '티커 심볼', '티커 이름', '데이터 소스', 
-      '조회 날짜 (시장별)', '참조 날짜', '조회 방법', '현재가', 
-      '주간 가격', '월간 가격', 'YTD 가격', '52주 최고가', 
-      '주간 변화', '월간 변화', 'YTD 변화', '최고가 대비',
-      '추가 정보'
-    ];
-    
     // Check if headers already exist
-    const existingHeaders = auditSheet.getRange(1, 1, 1, headers.length).getValues()[0];
-    const headersMatch = existingHeaders.every((header, index) => header === headers[index]);
+    const existingHeaders = auditSheet.getRange(1, 1, 1, AUDIT_HEADERS.length).getValues()[0];
+    const headersMatch = existingHeaders.every((header, index) => header === AUDIT_HEADERS[index]);
     
     if (!headersMatch) {
+      if (auditSheet.getLastRow() > 1) {
+        Logger.log(`이전 형식의 감사 기록 ${auditSheet.getLastRow() - 1}행을 삭제합니다.`);
+      }
+      if (auditSheet.getFilter()) {
+        auditSheet.getFilter().remove();
+      }
+      auditSheet.clear();
+      
       // Set headers
-      const headerRange = auditSheet.getRange(1, 1, 1, headers.length);
-      headerRange.setValues([headers]);
+      const headerRange = auditSheet.getRange(1, 1, 1, AUDIT_HEADERS.length);
+      headerRange.setValues([AUDIT_HEADERS]);
       
       // Format headers
       headerRange.setFontWeight('bold');
       headerRange.setBackground('#E3F2FD'); // Light blue background
       
       // Add notes to headers for clarity
-      auditSheet.getRange(1, 5).setNote('조회 날짜는 해당 시장의 시간대를 반영한 가장 최근 거래일입니다. 시장별로 다를 수 있습니다.');
-      auditSheet.getRange(1, 6).setNote('참조 날짜는 사용자가 설정한 기준일입니다. 모든 시장에 동일하게 적용됩니다.');
+      auditSheet.getRange(1, 5).setNote('current(현재가), high/low(52주 최고가/최저가), 기간별 기준가(weekly, ytd 등), summary(티커 요약)');
+      auditSheet.getRange(1, 11).setNote('가격을 요청한 날짜입니다. 52주 최고가/최저가는 52주 구간의 마지막 날입니다.');
+      auditSheet.getRange(1, 12).setNote('실제로 사용한 종가의 날짜입니다. 공급자가 날짜를 알려 주지 않은 인접 거래일 가격과 보간한 가격은 비어 있습니다.');
+      auditSheet.getRange(1, 13).setNote('해당 필드를 조회하는 데 걸린 시간입니다. 일괄 요청으로 미리 받은 응답이나 이미 받은 히스토리를 사용하면 짧게 표시됩니다.');
       
       // Freeze the header row
       auditSheet.setFrozenRows(1);
       
       // Auto-size columns
-      for (let i = 1; i <= headers.length; i++) {
+      for (let i = 1; i <= AUDIT_HEADERS.length; i++) {
         auditSheet.autoResizeColumn(i);
       }
       
@@ -64,8 +80,8 @@ function initializeAuditSheet() {
 }
 
 /**
- * Log data fetching details to the audit sheet
- * @param {Object} data - Data to log
+ * Log the lineage of a ticker's prices to the audit sheet
+ * @param {Object} data - Data to log (see buildAuditRows)
  */
 function logAuditData(data) {
   try {
@@ -81,58 +97,94 @@ function logAuditData(data) {
       return;
     }
     
-    // Find the next available row
-    const lastRow = auditSheet.getLastRow();
-    const nextRow = lastRow + 1;
+    const rows = buildAuditRows(data, new Date());
+    const nextRow = auditSheet.getLastRow() + 1;
+    ensureSheetRows(auditSheet, nextRow + rows.length - 1);
     
-    // Format returns for readability (if they exist)
-    const formatReturnForAudit = (returnValue) => {
-      if (returnValue === null || returnValue === undefined || isNaN(returnValue)) {
-        return 'N/A';
-      }
-      const sign = returnValue > 0 ? '+' : '';
-      return `${sign}${returnValue.toFixed(2)}%`;
-    };
-    
-    // Prepare row data
-    const rowData = [
-      new Date(), // Timestamp
-      data.symbol, 
-      data.name || '',
-      data.source || '',
-      data.fetchDate ? Utilities.formatDate(data.fetchDate, Session.getScriptTimeZone(), 'yyyy-MM-dd') + 
-        ` (${getMarketRegionDisplay(data.source, data.symbol)})` : '',
-      data.referenceDate ? Utilities.formatDate(data.referenceDate, Session.getScriptTimeZone(), 'yyyy-MM-dd') : '',
-      data.method || '직접 조회',
-      data.prices?.current || 'N/A',
-      data.prices?.weekly || 'N/A',
-      data.prices?.monthly || 'N/A',
-      data.prices?.ytd || 'N/A',
-      data.prices?.high || 'N/A',
-      formatReturnForAudit(data.returns?.weekly),
-      formatReturnForAudit(data.returns?.monthly),
-      formatReturnForAudit(data.returns?.ytd),
-      formatReturnForAudit(data.returns?.high),
-      data.notes || ''
-    ];
+    // Run IDs look like numbers to Sheets, so the column is kept as text before the rows are written
+    auditSheet.getRange(nextRow, 1, rows.length, 1).setNumberFormat('@');
     
     // Write data to sheet
-    auditSheet.getRange(nextRow, 1, 1, rowData.length).setValues([rowData]);
-    
-    // Format the timestamp
-    auditSheet.getRange(nextRow, 1).setNumberFormat('yyyy-MM-dd HH:mm:ss');
+    auditSheet.getRange(nextRow, 1, rows.length, AUDIT_HEADERS.length).setValues(rows);
     
-    // Format the price columns
-    for (let i = 8; i <= 12; i++) {
-      auditSheet.getRange(nextRow, i).setNumberFormat('#,##0.00');
-    }
+    // Format the timestamp, value, return and date columns
+    auditSheet.getRange(nextRow, 2, rows.length, 1).setNumberFormat('yyyy-MM-dd HH:mm:ss');
+    auditSheet.getRange(nextRow, 7, rows.length, 1).setNumberFormat('#,##0.00');
+    auditSheet.getRange(nextRow, 8, rows.length, 1).setNumberFormat('0.00%');
+    auditSheet.getRange(nextRow, 11, rows.length, 2).setNumberFormat('yyyy-MM-dd');
     
-    Logger.log(`감사 데이터가 행 ${nextRow}에 기록되었습니다: ${data.symbol} (${data.source})`);
+    Logger.log(`감사 데이터가 행 ${nextRow}~${nextRow + rows.length - 1}에 기록되었습니다: ${data.symbol} (실행 ${data.runId || '-'})`);
   } catch (error) {
     Logger.log(`감사 데이터 로깅 오류: ${error.message}`);
   }
 }
 
+/**
+ * Build the audit rows of a ticker: a summary row, then one row per price field
+ * @param {Object} data - Audit data from processTicker(): runId, symbol, name, source, sources, fetchDate,
+ *                        referenceDate, method, prices (from getPrices), returns, risk and notes
+ * @param {Date} loggedAt - Time the rows are written
+ * @return {Array<Array>} Rows in AUDIT_HEADERS order
+ */
+function buildAuditRows(data, loggedAt) {
+  const prices = data.prices || {};
+  const quality = prices.quality || {};
+  const providers = prices.providers || {};
+  const lineage = prices.lineage || {};
+  const returns = data.returns || {};
+  const labels = getAuditFieldLabels(prices.periods || []);
+  const sources = data.sources || [data.source];
+  
+  const summaryNotes = [data.notes || ''];
+  if (data.risk) {
+    const [volatility, maxDrawdown, sharpe, beta] = formatRiskMetricsForAudit(data.risk);
+    summaryNotes.push(`변동성 ${volatility}, 최대 낙폭 ${maxDrawdown}, 샤프 지수 ${sharpe}, 베타 ${beta}`);
+  }
+  
+  const rows = [[
+    data.runId || '', loggedAt, data.symbol, data.name || '', AUDIT_SUMMARY_FIELD, '요약', '', '', '',
+    sources.filter(Boolean).map(source => source.toUpperCase()).join(' → '),
+    data.referenceDate || '', data.fetchDate || '', '', data.method || '직접 조회',
+    summaryNotes.filter(Boolean).join(' ')
+  ]];
+  
+  for (const field of Object.keys(labels)) {
+    const entry = lineage[field] || {};
+    const value = prices[field];
+    const returnValue = field === 'current' ? null : returns[field];
+    
+    rows.push([
+      data.runId || '', loggedAt, data.symbol, data.name || '', field, labels[field],
+      isValidPrice(value) ? value : '',
+      typeof returnValue === 'number' && isFinite(returnValue) ? returnValue : '',
+      quality[field] ? quality[field].flag : '',
+      providers[field] ? providers[field].toUpperCase() : '없음',
+      entry.requestedDate || '',
+      entry.matchedDate || '',
+      typeof entry.latencyMs === 'number' ? entry.latencyMs : '',
+      (entry.sources || []).join('\n'),
+      describePriceQualityEntry(labels[field], quality[field]) || ''
+    ]);
+  }
+  
+  return rows;
+}
+
+/**
+ * Get the price fields recorded in the audit sheet with their labels
+ * @param {Array<string>} periods - Period codes fetched for the ticker
+ * @return {Object} Map of price field (key of the prices object) to label, in row order
+ */
+function getAuditFieldLabels(periods) {
+  const labels = { current: '현재가', high: '52주 최고가', low: '52주 최저가' };
+  for (const periodCode of periods) {
+    if (!CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode)) {
+      labels[CONFIG.PERIODS[periodCode].key] = `${CONFIG.PERIODS[periodCode].header.replace(' 변화', '')} 기준가`;
+    }
+  }
+  return labels;
+}
+
 /**
  * Add market-specific notes based on the data
  * @param {string} symbol - The ticker symbol
@@ -163,18 +215,8 @@ function generateAuditNotes(symbol, source, prices, marketTimeManager) {
       notes.push(`${regionDisplay} 시장은 현재 닫혀 있습니다. ${tradingDateStr} 거래일 데이터를 사용합니다.`);
     }
     
-    // Check for missing historical data
-    if (!prices.weekly || isNaN(prices.weekly)) {
-      notes.push('주간 가격 데이터를 가져올 수 없습니다.');
-    }
-    
-    if (!prices.monthly || isNaN(prices.monthly)) {
-      notes.push('월간 가격 데이터를 가져올 수 없습니다.');
-    }
-    
-    if (!prices.ytd || isNaN(prices.ytd)) {
-      notes.push('연초 가격 데이터를 가져올 수 없습니다.');
-    }
+    // Explain every price that is not the exact close of its date
+    notes.push(...describePriceQuality(prices));
     
     // Add source-specific notes
     if (source === 'google') {
@@ -183,11 +225,6 @@ function generateAuditNotes(symbol, source, prices, marketTimeManager) {
       notes.push('Yahoo Finance API를 통해 가져온 데이터입니다.');
     } else if (source === 'naver') {
       notes.push('네이버 금융에서 파싱한 데이터입니다.');
-      
-      // Add note for KOSDAQ special handling
-      if (symbol === 'KOSDAQ') {
-        notes.push('KOSDAQ 지수는 기록 데이터 부재로 인해 추정 가격이 사용되었을 수 있습니다.');
-      }
     }
   } catch (error) {
     notes.push(`감사 노트 생성 중 오류: ${error.message}`);
@@ -209,6 +246,8 @@ function getMarketRegionName(marketRegion) {
       return '한국';
     case 'cn':
       return '중국';
+    case 'hk':
+      return '홍콩';
     case 'eu':
       return '유럽';
     default:
@@ -217,104 +256,186 @@ function getMarketRegionName(marketRegion) {
 }
 
 /**
- * Clear all audit data from the audit sheet
- * @return {Sheet} The cleared audit sheet
+ * Delete the audit rows older than the AUDIT_RETENTION_DAYS setting
+ * Rows are appended in time order, so the expired rows are the first ones. The oldest rows are also
+ * deleted beyond CONFIG.AUDIT.MAX_ROWS to stay clear of the sheet cell limit.
+ * @param {Date} [now] - Current time
+ * @return {number} Number of rows deleted
  */
-function clearAuditData() {
+function pruneAuditData(now = new Date()) {
   try {
-    Logger.log('감사 데이터 초기화 중...');
-    
-    // Get or create audit sheet
-    let auditSheet = SS.getSheetByName(CONFIG.SHEETS.AUDIT);
-    
-    if (auditSheet) {
-      // Instead of deleting the sheet, just clear its contents
-      // Get the number of rows with data
-      const lastRow = auditSheet.getLastRow();
-      const lastCol = auditSheet.getLastColumn();
-      
-      // If there's data beyond the header row, clear it
-      if (lastRow > 1) {
-        const dataRange = auditSheet.getRange(2, 1, lastRow - 1, lastCol);
-        dataRange.clearContent();
-        
-        Logger.log(`기존 감사 시트의 데이터를 초기화했습니다 (${lastRow - 1}행 제거).`);
-      } else {
-        Logger.log('감사 시트에 지울 데이터가 없습니다.');
-      }
-    } else {
-      // Create a new audit sheet if it doesn't exist
-      auditSheet = SS.insertSheet(CONFIG.SHEETS.AUDIT);
-      Logger.log('새 감사 시트가 생성되었습니다.');
+    const auditSheet = SS.getSheetByName(CONFIG.SHEETS.AUDIT);
+    if (!auditSheet || auditSheet.getLastRow() <= 1) {
+      return 0;
     }
     
-    // Define headers
-    const headers = [
-      '타임스탬프', '티커 심볼', '티커 이름', '데이터 소스', 
-      '조회 날짜 (시장별)', '참조 날짜', '조회 방법', '현재가', 
-      '주간 가격', '월간 가격', 'YTD 가격', '52주 최고가', 
-      '주간 변화', '월간 변화', 'YTD 변화', '최고가 대비',
-      '추가 정보'
-    ];
-    
-    // Check if headers already exist and match expected headers
-    const firstRow = auditSheet.getRange(1, 1, 1, headers.length).getValues()[0];
-    const headersMatch = firstRow.every((header, index) => header === headers[index]);
+    const retentionDays = getAuditRetentionDays();
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    const timestamps = auditSheet.getRange(2, 2, auditSheet.getLastRow() - 1, 1).getValues();
     
-    // Only update headers if they don't match
-    if (!headersMatch) {
-      // Set headers
-      const headerRange = auditSheet.getRange(1, 1, 1, headers.length);
-      headerRange.setValues([headers]);
-      
-      // Format headers
-      headerRange.setFontWeight('bold');
-      headerRange.setBackground('#E3F2FD'); // Light blue background
-      
-      // Add notes to headers for clarity
-      auditSheet.getRange(1, 5).setNote('조회 날짜는 해당 시장의 시간대를 반영한 가장 최근 거래일입니다. 시장별로 다를 수 있습니다.');
-      auditSheet.getRange(1, 6).setNote('참조 날짜는 사용자가 설정한 기준일입니다. 모든 시장에 동일하게 적용됩니다.');
-      
-      // Freeze the header row
-      auditSheet.setFrozenRows(1);
-      
-      Logger.log('감사 시트 헤더를 업데이트했습니다.');
+    let expired = 0;
+    while (expired < timestamps.length && timestamps[expired][0] instanceof Date && timestamps[expired][0] < cutoff) {
+      expired++;
     }
+    expired = Math.max(expired, timestamps.length - CONFIG.AUDIT.MAX_ROWS);
     
-    // Auto-size columns - always do this to ensure proper display
-    for (let i = 1; i <= headers.length; i++) {
-      auditSheet.autoResizeColumn(i);
+    if (expired === 0) {
+      return 0;
     }
     
-    Logger.log('감사 시트가 초기화되었습니다.');
+    // A sheet cannot lose all of its unfrozen rows, so a fully expired log is emptied instead
+    if (expired === timestamps.length) {
+      auditSheet.getRange(2, 1, expired, AUDIT_HEADERS.length).clearContent();
+    } else {
+      auditSheet.deleteRows(2, expired);
+    }
     
-    return auditSheet;
+    Logger.log(`${retentionDays}일이 지난 감사 기록 ${expired}행을 삭제했습니다.`);
+    return expired;
   } catch (error) {
-    Logger.log(`감사 데이터 초기화 오류: ${error.message}`);
-    return null;
+    Logger.log(`감사 기록 정리 오류: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Get the price fields behind a dashboard column
+ * @param {Object} columnMap - Column mapping from getDashboardLayout()
+ * @param {number} column - Dashboard column
+ * @return {Array<string>|null} Audit fields (the summary row included), or null for every field of the ticker
+ */
+function getLineageFields(columnMap, column) {
+  const fields = [AUDIT_SUMMARY_FIELD];
+  
+  if (column === columnMap.CURRENT) {
+    return fields.concat(['current']);
+  }
+  if (column === columnMap.HIGH) {
+    return fields.concat(['high']);
+  }
+  if (column === columnMap.LOW) {
+    return fields.concat(['low']);
+  }
+  if (column === columnMap.RANGE) {
+    return fields.concat(['current', 'high', 'low']);
+  }
+  
+  // Every return of a period (local, total, excess and base currency) rests on the current and the period price
+  const periods = columnMap.PERIODS.concat(columnMap.BASE_PERIODS || []);
+  const period = periods.find(p => [p.column, p.totalColumn, p.excessColumn].includes(column));
+  return period ? fields.concat(['current', period.key]) : null;
+}
+
+/**
+ * Find the latest run that logged a ticker
+ * @param {Array<Array>} values - Audit sheet rows (at least the run ID and ticker columns)
+ * @param {string} symbol - Ticker symbol
+ * @return {string|null} Run ID, or null if the ticker has no audit rows
+ */
+function findLatestAuditRunId(values, symbol) {
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (String(values[i][2]).trim() === symbol && String(values[i][0]).trim() !== '') {
+      return String(values[i][0]).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the custom formula of the lineage filter
+ * @param {string} runId - Run ID
+ * @param {string} symbol - Ticker symbol
+ * @param {Array<string>|null} fields - Fields to show, or null for every field
+ * @return {string} Formula evaluated for each row from row 2
+ */
+function buildAuditFilterFormula(runId, symbol, fields) {
+  const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+  const conditions = [`$A2=${quote(runId)}`, `$C2=${quote(symbol)}`];
+  if (fields) {
+    conditions.push(`OR(${fields.map(field => `$E2=${quote(field)}`).join(', ')})`);
   }
+  return `=AND(${conditions.join(', ')})`;
 }
 
 /**
- * Get market region display name for the audit log
- * @param {string} source - Data source
+ * Filter the audit sheet down to the lineage of a ticker's run
+ * Replaces any filter on the sheet; removing the filter shows every row again.
+ * @param {Sheet} auditSheet - The audit sheet
+ * @param {string} runId - Run ID
  * @param {string} symbol - Ticker symbol
- * @return {string} Market region display name
+ * @param {Array<string>|null} fields - Fields to show, or null for every field
  */
-function getMarketRegionDisplay(source, symbol) {
-  const marketTimeManager = new MarketTimeManager();
-  const region = marketTimeManager.getMarketRegion(source, symbol);
+function applyAuditFilter(auditSheet, runId, symbol, fields) {
+  if (auditSheet.getFilter()) {
+    auditSheet.getFilter().remove();
+  }
   
-  switch(region) {
-    case 'us':
-      return 'US/EDT';
-    case 'kr':
-      return 'KR/KST';
-    case 'cn':
-      return 'CN/CST';
-    case 'eu':
-      return 'EU/CET';
-    default:
-      return '';
+  const criteria = SpreadsheetApp.newFilterCriteria()
+    .whenFormulaSatisfied(buildAuditFilterFormula(runId, symbol, fields))
+    .build();
+  auditSheet.getRange(1, 1, auditSheet.getLastRow(), AUDIT_HEADERS.length)
+    .createFilter()
+    .setColumnFilterCriteria(1, criteria);
+}
+
+/**
+ * Show the lineage of the selected dashboard cell in the audit sheet
+ * Outside the dashboard, asks for a ticker and optionally a run ID (e.g. "AAPL 20250520-180000").
+ */
+function showValueLineage() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const activeSheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    let symbol = '';
+    let runId = null;
+    let fields = null;
+    
+    if (activeSheet.getName() === CONFIG.SHEETS.DASHBOARD && activeSheet.getActiveCell().getRow() > 1) {
+      const cell = activeSheet.getActiveCell();
+      const periodOptions = Object.assign({
+        periods: getConfiguredPeriods(),
+        annualizedPeriods: getAnnualizedPeriods()
+      }, getDisplaySettings());
+      const { headers, columnMap } = getDashboardLayout(periodOptions.periods, periodOptions.annualizedPeriods, isHoldingsModeEnabled(), periodOptions);
+      
+      symbol = String(activeSheet.getRange(cell.getRow(), columnMap.TICKER).getValue()).trim();
+      
+      // Columns only map to fields while the dashboard has the layout of the current settings
+      if (activeSheet.getRange(1, cell.getColumn()).getValue() === headers[cell.getColumn() - 1]) {
+        fields = getLineageFields(columnMap, cell.getColumn());
+      }
+    }
+    
+    if (!symbol) {
+      const response = ui.prompt(
+        '값 출처 추적',
+        '티커를 입력하세요. 특정 실행을 보려면 실행 ID를 함께 입력하세요 (예: AAPL 20250520-180000).\n' +
+        '대시보드에서 셀을 선택하고 실행하면 그 값의 출처만 표시합니다.',
+        ui.ButtonSet.OK_CANCEL
+      );
+      if (response.getSelectedButton() !== ui.Button.OK) return;
+      
+      [symbol, runId] = response.getResponseText().trim().split(/\s+/);
+      if (!symbol) return;
+    }
+    
+    const auditSheet = SS.getSheetByName(CONFIG.SHEETS.AUDIT);
+    if (!auditSheet || auditSheet.getLastRow() <= 1) {
+      showAlert('🔍 값 출처 추적', '감사 기록이 없습니다. 대시보드를 업데이트하면 기록됩니다.');
+      return;
+    }
+    
+    runId = runId || findLatestAuditRunId(auditSheet.getRange(2, 1, auditSheet.getLastRow() - 1, 3).getValues(), symbol);
+    if (!runId) {
+      showAlert('🔍 값 출처 추적', `${symbol}의 감사 기록이 없습니다. 보관 기간(${getAuditRetentionDays()}일)이 지났거나 아직 업데이트되지 않았습니다.`);
+      return;
+    }
+    
+    applyAuditFilter(auditSheet, runId, symbol, fields);
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(auditSheet);
+    Logger.log(`값 출처 필터 적용: ${symbol}, 실행 ${runId}, 필드 ${fields ? fields.join(', ') : '전체'}`);
+  } catch (error) {
+    Logger.log(`값 출처 추적 오류: ${error.message}`);
+    showErrorAlert('값 출처 추적 실패', error.message);
   }
-} 
\ No newline at end of file
+}
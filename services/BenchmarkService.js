@@ -0,0 +1,133 @@
+/**
+ * Performance Dashboard Ticker - Benchmark Service Module
+ *
+ * This module picks each ticker's benchmark (the 벤치마크 column of the Tickers sheet,
+ * or the main index of the ticker's market) and calculates the return over it.
+ */
+
+/**
+ * Benchmark prices loaded during this execution, keyed by symbol, sources and inception date
+ */
+let BENCHMARK_PRICE_CACHE = {};
+
+/**
+ * Determine a ticker's benchmark
+ * A benchmark listed in the Tickers sheet is fetched from that row's sources; any other
+ * symbol is fetched from Naver when it looks Korean and from Yahoo otherwise.
+ * @param {Object} ticker - Ticker object (benchmarkSymbol is the optional Tickers sheet value)
+ * @param {Array<Object>} [tickers] - Every ticker in the Tickers sheet
+ * @return {Object|null} { symbol, sources }, or null when the ticker has no benchmark
+ */
+function resolveBenchmark(ticker, tickers = []) {
+  const value = String(ticker.benchmarkSymbol || '').trim();
+  if (CONFIG.BENCHMARKS.NONE.includes(value.toLowerCase())) {
+    return null;
+  }
+  
+  let benchmark;
+  if (!value) {
+    const marketRegion = new MarketTimeManager().getMarketRegion(ticker.source, ticker.ticker);
+    const defaultBenchmark = CONFIG.BENCHMARKS.DEFAULTS[marketRegion];
+    if (!defaultBenchmark) return null;
+    benchmark = { symbol: defaultBenchmark.symbol, sources: defaultBenchmark.sources.slice() };
+  } else {
+    const listed = tickers.find(other => String(other.ticker).trim().toUpperCase() === value.toUpperCase());
+    const isKorean = /^(KOSPI|KOSDAQ)$/i.test(value) || /^\d{6}$/.test(value);
+    benchmark = {
+      symbol: listed ? listed.ticker : value,
+      sources: listed ? (listed.sources || [listed.source]).slice() : [isKorean ? 'naver' : 'yahoo']
+    };
+  }
+  
+  // An index row is not compared with itself
+  if (String(benchmark.symbol).toUpperCase() === String(ticker.ticker).trim().toUpperCase()) {
+    return null;
+  }
+  
+  return benchmark;
+}
+
+/**
+ * Get a benchmark's prices for the same periods as a ticker
+ * @param {Object} benchmark - Benchmark from resolveBenchmark()
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [options] - Period options passed to getPrices() (periods, inceptionDate)
+ * @return {Object|null} Prices from getPrices(), or null if the benchmark cannot be fetched
+ */
+function getBenchmarkPrices(benchmark, dateCalculator, options = {}) {
+  const inception = options.inceptionDate ? options.inceptionDate.getTime() : '';
+  const cacheKey = `${benchmark.symbol}|${benchmark.sources.join(',')}|${(options.periods || []).join(',')}|${inception}`;
+  if (cacheKey in BENCHMARK_PRICE_CACHE) {
+    return BENCHMARK_PRICE_CACHE[cacheKey];
+  }
+  
+  let prices = null;
+  try {
+    prices = getPrices(benchmark.symbol, benchmark.sources, dateCalculator, options);
+  } catch (error) {
+    Logger.log(`벤치마크 가격 조회 오류 (${benchmark.symbol}): ${error.message}`);
+  }
+  
+  BENCHMARK_PRICE_CACHE[cacheKey] = prices;
+  return prices;
+}
+
+/**
+ * Calculate the return over the benchmark for each period
+ * @param {Object} returns - Ticker returns from calculateReturns()
+ * @param {Object|null} benchmarkReturns - Benchmark returns from calculateReturns()
+ * @return {Object|null} Difference in percentage points per period key (null where either return is
+ *                       missing or only one of them is annualized), or null without benchmark returns
+ */
+function calculateExcessReturns(returns, benchmarkReturns) {
+  if (!returns || !benchmarkReturns) {
+    return null;
+  }
+  
+  const excess = {};
+  for (const key of Object.keys(returns)) {
+    if (key === 'annualized') continue;
+    
+    const value = returns[key];
+    const benchmarkValue = benchmarkReturns[key];
+    const sameBasis = !returns.annualized || !benchmarkReturns.annualized ||
+      returns.annualized[key] === benchmarkReturns.annualized[key];
+    
+    excess[key] = typeof value === 'number' && typeof benchmarkValue === 'number' && sameBasis ?
+      value - benchmarkValue : null;
+  }
+  
+  return excess;
+}
+
+/**
+ * Build the requests for the distinct benchmarks of a set of tickers, for prefetching
+ * @param {Array<Object>} tickers - Ticker objects with benchmark from resolveBenchmark()
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options
+ * @return {Array<Object>} Request descriptors
+ */
+function buildBenchmarkRequests(tickers, dateCalculator, periodOptions = {}) {
+  const requests = [];
+  const seen = new Set();
+  
+  for (const ticker of tickers) {
+    const benchmark = ticker.benchmark;
+    if (!benchmark) continue;
+    
+    const key = `${benchmark.symbol}|${ticker.inceptionDate ? ticker.inceptionDate.getTime() : ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    try {
+      requests.push(...buildTickerRequests(benchmark.symbol, benchmark.sources, dateCalculator, {
+        periods: periodOptions.periods,
+        inceptionDate: ticker.inceptionDate
+      }));
+    } catch (error) {
+      Logger.log(`벤치마크 요청 준비 오류 (${benchmark.symbol}): ${error.message}`);
+    }
+  }
+  
+  return requests;
+}
@@ -0,0 +1,188 @@
+/**
+ * Performance Dashboard Ticker - Checkpoint Service Module
+ *
+ * This module keeps the progress of a dashboard update in script properties
+ * so an update that runs out of execution time can be resumed by a trigger.
+ */
+
+// Checkpoint-related script property keys
+const CHECKPOINT_KEYS = {
+  RUN_ID: 'updateRunId',
+  NEXT_INDEX: 'updateNextIndex',
+  STARTED_AT: 'updateRunStartedAt',
+  MARKETS: 'updateRunMarkets',
+  HEARTBEAT: 'updateRunHeartbeat'
+};
+
+// Function run by the continuation trigger
+const CONTINUATION_HANDLER = 'continuePerformanceDashboardUpdate';
+
+/**
+ * Start a new update run and store its checkpoint
+ * @param {Array<string>} [markets] - Market regions to refresh (all tickers when omitted)
+ * @return {Object} Checkpoint with runId, nextIndex (0), startedAt and markets (null for a full run)
+ */
+function startUpdateRun(markets) {
+  const startedAt = new Date();
+  const runId = Utilities.formatDate(startedAt, Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss');
+
+  saveUpdateCheckpoint(runId, 0, startedAt, markets || null);
+  Logger.log(`업데이트 실행 시작: ${runId}${markets ? ` (${markets.join(', ')} 시장)` : ''}`);
+
+  return { runId: runId, nextIndex: 0, startedAt: startedAt, markets: markets || null };
+}
+
+/**
+ * Get the checkpoint of the update run in progress
+ * @return {Object|null} Checkpoint with runId, nextIndex, startedAt, markets and heartbeatAt (last time the
+ *                       run saved its progress), or null if no run is in progress
+ */
+function getUpdateCheckpoint() {
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const runId = scriptProperties.getProperty(CHECKPOINT_KEYS.RUN_ID);
+
+    if (!runId) {
+      return null;
+    }
+
+    const markets = scriptProperties.getProperty(CHECKPOINT_KEYS.MARKETS);
+    const startedAt = parseInt(scriptProperties.getProperty(CHECKPOINT_KEYS.STARTED_AT) || '0', 10);
+
+    return {
+      runId: runId,
+      nextIndex: parseInt(scriptProperties.getProperty(CHECKPOINT_KEYS.NEXT_INDEX) || '0', 10),
+      startedAt: new Date(startedAt),
+      markets: markets ? JSON.parse(markets) : null,
+      heartbeatAt: new Date(parseInt(scriptProperties.getProperty(CHECKPOINT_KEYS.HEARTBEAT) || String(startedAt), 10))
+    };
+  } catch (error) {
+    Logger.log(`업데이트 체크포인트 읽기 오류: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save the progress of an update run
+ * Every save is also a heartbeat: it records the time and keeps the update lock from going stale.
+ * @param {string} runId - Run ID
+ * @param {number} nextIndex - Index of the next ticker to process
+ * @param {Date} [startedAt] - Start time of the run (kept as is when omitted)
+ * @param {Array<string>|null} [markets] - Market regions of the run, null for all tickers (kept as is when omitted)
+ */
+function saveUpdateCheckpoint(runId, nextIndex, startedAt, markets) {
+  try {
+    const properties = {
+      [CHECKPOINT_KEYS.RUN_ID]: runId,
+      [CHECKPOINT_KEYS.NEXT_INDEX]: String(nextIndex),
+      [CHECKPOINT_KEYS.HEARTBEAT]: String(Date.now())
+    };
+    if (startedAt) {
+      properties[CHECKPOINT_KEYS.STARTED_AT] = String(startedAt.getTime());
+    }
+    if (markets !== undefined) {
+      properties[CHECKPOINT_KEYS.MARKETS] = markets ? JSON.stringify(markets) : '';
+    }
+
+    PropertiesService.getScriptProperties().setProperties(properties);
+    refreshUpdateLock();
+  } catch (error) {
+    Logger.log(`업데이트 체크포인트 저장 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a checkpoint was left behind by an execution that was killed
+ * An execution saves its progress at least once per ticker and a paused run has a continuation trigger,
+ * so a checkpoint without a heartbeat for longer than the time budget plus the continuation delay and
+ * without a trigger belongs to no live run.
+ * @param {Object} checkpoint - Checkpoint from getUpdateCheckpoint()
+ * @param {number} [now] - Current time in milliseconds
+ * @return {boolean} True if nothing will ever resume the run
+ */
+function isUpdateCheckpointAbandoned(checkpoint, now = Date.now()) {
+  const silentMs = now - checkpoint.heartbeatAt.getTime();
+  return silentMs > CONFIG.UPDATE.TIME_BUDGET_MS + CONFIG.UPDATE.CONTINUATION_DELAY_MS && !hasUpdateContinuationTrigger();
+}
+
+/**
+ * Get the checkpoint of a live update run, clearing one that was abandoned
+ * @return {Object|null} Checkpoint (see getUpdateCheckpoint), or null if no live run is in progress
+ */
+function getLiveUpdateCheckpoint() {
+  const checkpoint = getUpdateCheckpoint();
+  if (!checkpoint || !isUpdateCheckpointAbandoned(checkpoint)) {
+    return checkpoint;
+  }
+
+  const heartbeat = Utilities.formatDate(checkpoint.heartbeatAt, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+  Logger.log(`중단된 업데이트 실행 ${checkpoint.runId}의 체크포인트를 삭제했습니다 (마지막 진행 ${heartbeat}, 이어서 실행 트리거 없음).`);
+  clearUpdateCheckpoint();
+  return null;
+}
+
+/**
+ * Remove the checkpoint when a run has finished or is replaced
+ */
+function clearUpdateCheckpoint() {
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    Object.values(CHECKPOINT_KEYS).forEach(key => scriptProperties.deleteProperty(key));
+  } catch (error) {
+    Logger.log(`업데이트 체크포인트 삭제 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether an execution still has time to process another ticker
+ * @param {number} startTime - Execution start time in milliseconds
+ * @param {number} [reserveMs] - Time that must still be left in the budget
+ * @return {boolean} True while the elapsed time is within CONFIG.UPDATE.TIME_BUDGET_MS less the reserve
+ */
+function hasTimeRemaining(startTime, reserveMs = 0) {
+  return Date.now() - startTime < CONFIG.UPDATE.TIME_BUDGET_MS - reserveMs;
+}
+
+/**
+ * Schedule a one-off trigger that resumes the update run
+ * Any continuation trigger already scheduled is replaced
+ */
+function scheduleUpdateContinuation() {
+  deleteUpdateContinuationTriggers();
+
+  ScriptApp.newTrigger(CONTINUATION_HANDLER)
+    .timeBased()
+    .after(CONFIG.UPDATE.CONTINUATION_DELAY_MS)
+    .create();
+
+  Logger.log(`${CONFIG.UPDATE.CONTINUATION_DELAY_MS / 1000}초 후 업데이트를 이어서 실행하도록 예약했습니다.`);
+}
+
+/**
+ * Check whether a continuation trigger is scheduled
+ * @return {boolean} True if a trigger will resume the update run
+ */
+function hasUpdateContinuationTrigger() {
+  try {
+    return ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === CONTINUATION_HANDLER);
+  } catch (error) {
+    // Without trigger access the run cannot be proven dead, so it is treated as live
+    Logger.log(`이어서 실행 트리거 확인 오류: ${error.message}`);
+    return true;
+  }
+}
+
+/**
+ * Delete every continuation trigger
+ */
+function deleteUpdateContinuationTriggers() {
+  try {
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getHandlerFunction() === CONTINUATION_HANDLER) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+  } catch (error) {
+    Logger.log(`이어서 실행 트리거 삭제 오류: ${error.message}`);
+  }
+}
@@ -0,0 +1,391 @@
+/**
+ * Performance Dashboard Ticker - Corporate Action Service Module
+ *
+ * This module collects dividends and splits from the provider's chart events and the optional
+ * CorporateActions sheet, keeps period prices on the same split basis as the current price, and
+ * calculates total returns with dividends reinvested.
+ */
+
+/**
+ * Column headers of a newly created CorporateActions sheet
+ */
+const CORPORATE_ACTION_HEADERS = ['티커', '날짜', '구분', '값', '메모'];
+
+/**
+ * Corporate action types and the names accepted for them in the 구분 column
+ */
+const CORPORATE_ACTION_TYPES = {
+  dividend: ['배당', 'dividend', 'div'],
+  split: ['분할', '병합', 'split', 'reverse split']
+};
+
+/**
+ * Rows of the CorporateActions sheet loaded during this execution, by ticker
+ */
+let MANUAL_CORPORATE_ACTIONS = null;
+
+/**
+ * Get or create the CorporateActions sheet
+ * @return {Sheet} The corporate actions sheet
+ */
+function getOrCreateCorporateActionsSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.CORPORATE_ACTIONS);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.CORPORATE_ACTIONS);
+    
+    const headerRange = sheet.getRange(1, 1, 1, CORPORATE_ACTION_HEADERS.length);
+    headerRange.setValues([CORPORATE_ACTION_HEADERS]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.getRange(1, 2).setNote('배당락일 또는 분할 기준일');
+    sheet.getRange(1, 3).setNote('배당 또는 분할 (주식 병합도 분할로 입력)');
+    sheet.getRange(1, 4).setNote('배당은 주당 배당금(당시 주식 기준), 분할은 비율입니다. 예: 2:1 분할은 2:1 또는 2, 10:1 병합은 1:10');
+    sheet.getRange(2, 2, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, 4, sheet.getMaxRows() - 1, 1).setNumberFormat('@');
+    sheet.setFrozenRows(1);
+    
+    Logger.log('배당·분할 시트를 생성했습니다.');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Read the CorporateActions sheet once per execution
+ * @return {Object} Actions of {date, type, value, adjusted} by upper-case ticker, sorted by date
+ */
+function loadManualCorporateActions() {
+  if (MANUAL_CORPORATE_ACTIONS) {
+    return MANUAL_CORPORATE_ACTIONS;
+  }
+  
+  const actionsBySymbol = {};
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.CORPORATE_ACTIONS);
+    if (sheet && sheet.getLastRow() > 1) {
+      const data = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+      
+      // Columns are located by header name so they can be in any order
+      const header = data[0];
+      const columns = {
+        symbol: findHeaderIndex(header, ['티커', '심볼', 'symbol', 'ticker']),
+        date: findHeaderIndex(header, ['날짜', '기준일', 'date']),
+        type: findHeaderIndex(header, ['구분', '유형', 'type']),
+        value: findHeaderIndex(header, ['값', '금액', '비율', 'value', 'amount', 'ratio'])
+      };
+      
+      if (columns.symbol < 0 || columns.date < 0 || columns.type < 0 || columns.value < 0) {
+        Logger.log('배당·분할 시트에 티커, 날짜, 구분 또는 값 열이 없습니다.');
+      } else {
+        for (let i = 1; i < data.length; i++) {
+          const row = data[i];
+          if (row.every(cell => cell === '')) continue;
+          
+          const action = parseCorporateActionRow(row, columns);
+          if (action) {
+            (actionsBySymbol[action.symbol] = actionsBySymbol[action.symbol] || []).push(action);
+          } else {
+            Logger.log(`잘못된 배당·분할 내역: ${i + 1}행 (${row.join(', ')})`);
+          }
+        }
+      }
+    }
+  } catch (error) {
+    Logger.log(`배당·분할 시트 읽기 오류: ${error.message}`);
+  }
+  
+  for (const symbol of Object.keys(actionsBySymbol)) {
+    actionsBySymbol[symbol].sort((a, b) => a.date - b.date);
+  }
+  
+  MANUAL_CORPORATE_ACTIONS = actionsBySymbol;
+  return actionsBySymbol;
+}
+
+/**
+ * Convert a CorporateActions sheet row to an action
+ * Dividends entered by hand are the amounts paid at the time, so they are not adjusted for later splits.
+ * @param {Array} row - Row values
+ * @param {Object} columns - Zero-based column indexes by field
+ * @return {Object|null} { symbol, date, type, value, adjusted }, or null if the row is incomplete
+ */
+function parseCorporateActionRow(row, columns) {
+  const date = parseSheetDate(row[columns.date]);
+  const symbol = String(row[columns.symbol]).trim().toUpperCase();
+  const typeText = String(row[columns.type] || '').trim().toLowerCase();
+  const type = Object.keys(CORPORATE_ACTION_TYPES).find(key => CORPORATE_ACTION_TYPES[key].includes(typeText));
+  if (!date || !symbol || !type) return null;
+  
+  const value = type === 'split' ?
+    parseSplitRatio(row[columns.value]) : parseFloat(String(row[columns.value]).replace(/,/g, ''));
+  if (!(value > 0) || !isFinite(value)) return null;
+  
+  return {
+    symbol: symbol,
+    date: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+    type: type,
+    value: value,
+    adjusted: false
+  };
+}
+
+/**
+ * Parse a split ratio
+ * @param {string|number} value - Ratio as "new:old", "new/old" or the number of new shares per old share
+ * @return {number|null} New shares per old share (e.g. 2 for a 2:1 split, 0.1 for a 1:10 reverse split),
+ *                       or null if the value is not a ratio
+ */
+function parseSplitRatio(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*[:\/]\s*(\d+(?:\.\d+)?)$/);
+  const ratio = match ? parseFloat(match[1]) / parseFloat(match[2]) : parseFloat(text);
+  
+  return isFinite(ratio) && ratio > 0 && ratio !== 1 ? ratio : null;
+}
+
+/**
+ * Combine provider and manual corporate actions
+ * A manual row replaces the provider's action of the same type on the same day.
+ * @param {Array<Object>} providerActions - Actions from the provider
+ * @param {Array<Object>} manualActions - Actions from the CorporateActions sheet
+ * @return {Array<Object>} Actions sorted by date
+ */
+function mergeCorporateActions(providerActions, manualActions) {
+  const key = action => `${action.type}|${action.date.getFullYear()}-${action.date.getMonth()}-${action.date.getDate()}`;
+  const manualKeys = new Set(manualActions.map(key));
+  
+  return providerActions
+    .filter(action => !manualKeys.has(key(action)))
+    .concat(manualActions)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Get the date range whose dividends and splits a ticker's returns need
+ * The range matches getPrices(), so it covers every period start.
+ * @param {Object} ticker - Ticker object
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options (periods)
+ * @return {Object} { from, to }
+ */
+function getCorporateActionRange(ticker, dateCalculator, periodOptions = {}) {
+  const sources = DataProviderFactory.parseSources(ticker.sources || ticker.source);
+  const marketRegion = new MarketTimeManager().getMarketRegion(sources[0], ticker.ticker);
+  const periods = parsePeriodCodes(periodOptions.periods || CONFIG.DEFAULT_PERIODS);
+  const { historyFrom, historyTo } = getPriceDates(dateCalculator, marketRegion, periods, getTickerHistoryOptions(ticker, periodOptions));
+  
+  return { from: historyFrom, to: historyTo };
+}
+
+/**
+ * Get a ticker's daily history and the dividends and splits within it
+ * @param {Object} ticker - Ticker object
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options (periods)
+ * @return {Object|null} { bars, actions }, or null if the history cannot be fetched
+ */
+function getCorporateActionHistory(ticker, dateCalculator, periodOptions = {}) {
+  try {
+    const { bars } = getDailyHistory(ticker.ticker, ticker.sources || ticker.source, dateCalculator,
+      getTickerHistoryOptions(ticker, periodOptions));
+    const { from, to } = getCorporateActionRange(ticker, dateCalculator, periodOptions);
+    const source = CONFIG.CORPORATE_ACTIONS.SOURCE;
+    
+    let providerActions = [];
+    try {
+      providerActions = new DataProviderFactory().getProvider(source)
+        .getCorporateActions(DataProviderFactory.formatSymbol(ticker.ticker, source), from, to);
+    } catch (error) {
+      Logger.log(`${ticker.ticker}: 배당·분할 이벤트 조회 오류: ${error.message}`);
+    }
+    
+    const manualActions = (loadManualCorporateActions()[String(ticker.ticker).toUpperCase()] || [])
+      .filter(action => action.date >= from && action.date <= to);
+    const actions = mergeCorporateActions(providerActions, manualActions);
+    Logger.log(`${ticker.ticker}: 배당 ${actions.filter(a => a.type === 'dividend').length}건, 분할 ${actions.filter(a => a.type === 'split').length}건`);
+    
+    return { bars, actions };
+  } catch (error) {
+    Logger.log(`배당·분할 정보 조회 오류 (${ticker.name}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find the splits the daily history has not been adjusted for
+ * A split is unadjusted when the close drops (or jumps) across its date by about the split ratio;
+ * most providers already restate earlier closes, so their history shows no jump.
+ * @param {Array<Object>} bars - Daily bars sorted by date
+ * @param {Array<Object>} actions - Corporate actions
+ * @return {Array<Object>} Split actions whose ratio still shows in the closes
+ */
+function getUnadjustedSplits(bars, actions) {
+  return actions.filter(action => {
+    if (action.type !== 'split') return false;
+    
+    const afterIndex = bars.findIndex(bar => bar.date >= action.date);
+    if (afterIndex <= 0) return false;
+    
+    // Compare the jump with the split ratio and with no change at all on a log scale
+    const jump = bars[afterIndex - 1].close / bars[afterIndex].close;
+    return Math.abs(Math.log(jump / action.value)) < Math.abs(Math.log(jump));
+  });
+}
+
+/**
+ * Get the combined ratio of the splits after a date
+ * @param {Array<Object>} splits - Split actions
+ * @param {Date} date - Start date (splits on this date are already in its price)
+ * @return {number} Product of the split ratios (1 without splits)
+ */
+function getSplitFactorAfter(splits, date) {
+  return splits
+    .filter(split => split.date > date)
+    .reduce((factor, split) => factor * split.value, 1);
+}
+
+/**
+ * Get the day a period's start price comes from
+ * @param {Object} prices - Prices returned by getPrices()
+ * @param {string} key - Period key
+ * @return {Date|null} Date of the bar the price came from, or else the period anchor date
+ */
+function getPeriodStartDay(prices, key) {
+  const quality = prices.quality && prices.quality[key];
+  const date = (quality && quality.date) || (prices.dates && prices.dates[key]);
+  return date ? new Date(date.getFullYear(), date.getMonth(), date.getDate()) : null;
+}
+
+/**
+ * Put period start prices on the same split basis as the current price
+ * Only splits the history still shows are applied (see getUnadjustedSplits); prices are changed in place.
+ * @param {Object} prices - Prices returned by getPrices()
+ * @param {Object|null} history - History from getCorporateActionHistory()
+ * @return {Array<Object>} The splits that were applied
+ */
+function adjustPricesForSplits(prices, history) {
+  const splits = history ? getUnadjustedSplits(history.bars, history.actions) : [];
+  if (splits.length === 0) return [];
+  
+  for (const periodCode of prices.periods || []) {
+    if (CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode)) continue;
+    
+    const key = CONFIG.PERIODS[periodCode].key;
+    const startDay = getPeriodStartDay(prices, key);
+    if (!isValidPrice(prices[key]) || !startDay) continue;
+    
+    prices[key] = prices[key] / getSplitFactorAfter(splits, startDay);
+  }
+  
+  return splits;
+}
+
+/**
+ * Calculate total returns with dividends reinvested at the previous close
+ * Closes and dividends are restated to the current share count first, so splits inside
+ * a period do not distort the result.
+ * @param {Object} prices - Prices returned by getPrices(), adjusted by adjustPricesForSplits()
+ * @param {Object} returns - Price returns from calculateReturns(); annualized periods stay annualized
+ * @param {Object|null} history - History from getCorporateActionHistory()
+ * @return {Object|null} Total return per period key (null for the 52-week levels and missing prices),
+ *                       an annualized map and the number of dividends reinvested per period,
+ *                       or null without a history
+ */
+function calculateTotalReturns(prices, returns, history) {
+  if (!prices || !returns || !history) {
+    return null;
+  }
+  
+  const splits = history.actions.filter(action => action.type === 'split');
+  const unadjustedSplits = getUnadjustedSplits(history.bars, history.actions);
+  const bars = history.bars.map(bar => ({ date: bar.date, close: bar.close / getSplitFactorAfter(unadjustedSplits, bar.date) }));
+  const dividends = history.actions
+    .filter(action => action.type === 'dividend')
+    .map(action => ({ date: action.date, amount: action.adjusted ? action.value : action.value / getSplitFactorAfter(splits, action.date) }));
+  
+  const totalReturns = { annualized: {}, dividends: {} };
+  for (const periodCode of prices.periods || []) {
+    const key = CONFIG.PERIODS[periodCode].key;
+    totalReturns[key] = null;
+    totalReturns.annualized[key] = false;
+    totalReturns.dividends[key] = 0;
+    
+    const startDay = getPeriodStartDay(prices, key);
+    if (CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode) || !isValidPrice(prices[key]) || !startDay) continue;
+    
+    // Each dividend buys more shares at the close before its ex-date
+    let growth = 1;
+    for (const dividend of dividends) {
+      if (dividend.date <= startDay || dividend.date > prices.dates.current) continue;
+      
+      const previous = bars.filter(bar => bar.date < dividend.date).pop();
+      if (!previous || !isValidPrice(previous.close)) {
+        Logger.log(`${Utilities.formatDate(dividend.date, Session.getScriptTimeZone(), 'yyyy-MM-dd')} 배당의 직전 종가가 없어 재투자에서 제외합니다.`);
+        continue;
+      }
+      growth *= 1 + dividend.amount / previous.close;
+      totalReturns.dividends[key]++;
+    }
+    
+    const endValue = prices.current * growth;
+    if (returns.annualized && returns.annualized[key]) {
+      totalReturns[key] = calculateAnnualizedReturn(endValue, prices[key], prices.dates[key], prices.dates.current);
+      totalReturns.annualized[key] = totalReturns[key] !== null;
+    } else {
+      totalReturns[key] = calculateReturn(endValue, prices[key]);
+    }
+  }
+  
+  return totalReturns;
+}
+
+/**
+ * Describe the splits applied to a ticker's period prices, for the dashboard info column
+ * @param {Array<Object>} splits - Splits returned by adjustPricesForSplits()
+ * @return {Array<string>} One line per split (e.g. "분할 반영: 2024-06-10 10:1")
+ */
+function describeSplitAdjustments(splits) {
+  const formatRatio = ratio => (ratio >= 1 ? `${+ratio.toFixed(4)}:1` : `1:${+(1 / ratio).toFixed(4)}`);
+  
+  return (splits || []).map(split =>
+    `분할 반영: ${Utilities.formatDate(split.date, Session.getScriptTimeZone(), 'yyyy-MM-dd')} ${formatRatio(split.value)}`);
+}
+
+/**
+ * Build the corporate action requests of a set of tickers, for prefetching
+ * @param {Array<Object>} tickers - Ticker objects
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options
+ * @return {Array<Object>} Request descriptors
+ */
+function buildCorporateActionRequests(tickers, dateCalculator, periodOptions = {}) {
+  const source = CONFIG.CORPORATE_ACTIONS.SOURCE;
+  const provider = new DataProviderFactory().getProvider(source);
+  const requests = [];
+  
+  for (const ticker of tickers) {
+    try {
+      const { from, to } = getCorporateActionRange(ticker, dateCalculator, periodOptions);
+      requests.push(...provider.buildCorporateActionRequests(DataProviderFactory.formatSymbol(ticker.ticker, source), from, to));
+    } catch (error) {
+      Logger.log(`배당·분할 요청 준비 오류 (${ticker.name}): ${error.message}`);
+    }
+  }
+  
+  return requests;
+}
+
+/**
+ * Open the CorporateActions sheet from the menu
+ */
+function openCorporateActionsSheet() {
+  try {
+    const sheet = getOrCreateCorporateActionsSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`배당·분할 시트 열기 오류: ${error.message}`);
+    showErrorAlert('배당·분할 시트 열기 실패', error.message);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Performance Dashboard Ticker - Currency Service Module
+ *
+ * This module determines the currency each ticker trades in, looks up FX rates
+ * from the providers' daily history (Yahoo "KRW=X" style pairs, GOOGLEFINANCE
+ * "CURRENCY:" pairs) and converts prices into the base currency.
+ */
+
+/**
+ * FX rate histories loaded during this execution, keyed by pair (e.g. USDKRW)
+ */
+let FX_HISTORY_CACHE = {};
+
+/**
+ * Determine the currency a ticker trades in
+ * A currency in the Tickers sheet (or else the Holdings sheet) wins over the one the
+ * provider reports, which wins over the usual currency of the ticker's market.
+ * @param {Object} ticker - Ticker object (currency is the optional Tickers sheet value)
+ * @param {Array<DataProvider>} dataProviders - The ticker's providers in fallback order
+ * @param {string} marketRegion - Market region of the ticker
+ * @return {string} Currency code as quoted (e.g. KRW, USD, GBp)
+ */
+function resolveTickerCurrency(ticker, dataProviders, marketRegion) {
+  if (ticker.currency) {
+    return ticker.currency;
+  }
+  if (ticker.holding && ticker.holding.currency) {
+    return ticker.holding.currency;
+  }
+  
+  for (const provider of dataProviders) {
+    const currency = provider.getCurrency(DataProviderFactory.formatSymbol(ticker.ticker, provider.source));
+    if (currency) {
+      return currency;
+    }
+  }
+  
+  return CONFIG.CURRENCY.MARKET_DEFAULTS[marketRegion] || CONFIG.CURRENCY.BASE;
+}
+
+/**
+ * Split a quoted currency into its ISO currency and the factor to that currency's units
+ * @param {string} currency - Currency code as quoted (e.g. USD, GBp)
+ * @return {Object} { currency, factor } (e.g. { currency: 'GBP', factor: 0.01 } for GBp)
+ */
+function normalizeCurrency(currency) {
+  const minorUnit = CONFIG.CURRENCY.MINOR_UNITS[currency];
+  if (minorUnit) {
+    return { currency: minorUnit.currency, factor: minorUnit.factor };
+  }
+  return { currency: String(currency || '').trim().toUpperCase(), factor: 1 };
+}
+
+/**
+ * Get a provider's symbol for an FX pair
+ * @param {string} source - Data source (yahoo, google)
+ * @param {string} from - Currency converted from
+ * @param {string} to - Currency converted to
+ * @return {string|null} Provider symbol, or null if the provider has no FX quotes
+ */
+function getFxSymbol(source, from, to) {
+  switch (source) {
+    case 'yahoo':
+      // Yahoo quotes dollar pairs by the other currency alone (KRW=X is USD/KRW)
+      return from === 'USD' ? `${to}=X` : `${from}${to}=X`;
+    case 'google':
+      return `CURRENCY:${from}${to}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the daily history of an FX pair from the first FX source that has it
+ * @param {string} from - Currency converted from (ISO code)
+ * @param {string} to - Currency converted to (ISO code)
+ * @param {Date} fromDate - First date of the history
+ * @param {Date} toDate - Last date of the history
+ * @return {Array<Object>} Normalized bars (empty if no source has the pair)
+ */
+function getFxHistory(from, to, fromDate, toDate) {
+  const pair = `${from}${to}`;
+  const cached = FX_HISTORY_CACHE[pair];
+  if (cached && cached.from <= fromDate && cached.to >= toDate) {
+    return cached.history;
+  }
+  
+  const dataProviderFactory = new DataProviderFactory(new MarketTimeManager());
+  let history = [];
+  
+  for (const source of CONFIG.CURRENCY.FX_SOURCES) {
+    const symbol = getFxSymbol(source, from, to);
+    if (!symbol) continue;
+    
+    try {
+      history = dataProviderFactory.getProvider(source).getHistory(symbol, fromDate, toDate);
+    } catch (error) {
+      Logger.log(`${pair} 환율 히스토리 조회 오류 (${source}): ${error.message}`);
+    }
+    if (history.length > 0) break;
+  }
+  
+  if (history.length === 0) {
+    Logger.log(`${pair} 환율을 찾을 수 없습니다.`);
+  }
+  
+  FX_HISTORY_CACHE[pair] = { from: fromDate, to: toDate, history: history };
+  return history;
+}
+
+/**
+ * Create a lookup of the rate converting a quoted currency into the base currency
+ * @param {string} baseCurrency - Base currency (ISO code)
+ * @param {Date} fromDate - First date rates are needed for
+ * @param {Date} toDate - Last date rates are needed for
+ * @return {Function} Callback (currency, date) returning the rate on or before the date, or null
+ */
+function createFxRateLookup(baseCurrency, fromDate, toDate) {
+  return (quotedCurrency, date) => {
+    const { currency, factor } = normalizeCurrency(quotedCurrency);
+    if (currency === baseCurrency) {
+      return factor;
+    }
+    
+    const bar = DataProvider.findBarOnOrBefore(getFxHistory(currency, baseCurrency, fromDate, toDate), date, CONFIG.HISTORY.MAX_GAP_DAYS);
+    return bar && isValidPrice(bar.close) ? bar.close * factor : null;
+  };
+}
+
+/**
+ * Get the FX rates for a ticker's price dates
+ * @param {Object} prices - Prices from getPrices() (dates are used)
+ * @param {string} currency - Currency the prices are quoted in
+ * @param {string} baseCurrency - Base currency
+ * @param {Function} [getFxRate] - Rate lookup (defaults to createFxRateLookup over the price dates)
+ * @return {Object} { currency, base, current, [period key]: rate } with null for missing rates
+ */
+function getFxRates(prices, currency, baseCurrency, getFxRate) {
+  const dates = prices.dates || {};
+  const lookup = getFxRate || createFxRateLookup(baseCurrency, getHistoryStartDate(Object.values(dates)), dates.current);
+  const fx = { currency: currency, base: baseCurrency };
+  
+  for (const [key, date] of Object.entries(dates)) {
+    fx[key] = date ? lookup(currency, date) : null;
+  }
+  
+  return fx;
+}
+
+/**
+ * Calculate returns with every price converted into the base currency
+ * @param {Object} prices - Prices from getPrices() with prices.fx from getFxRates()
+ * @param {Object} [options] - Options passed to calculateReturns()
+ * @return {Object} Returns shaped like calculateReturns(); the 52-week high and low are converted
+ *                  at the current rate because their dates are not known
+ */
+function calculateBaseCurrencyReturns(prices, options = {}) {
+  if (!prices || !prices.fx) {
+    return calculateReturns(prices, options);
+  }
+  
+  const fx = prices.fx;
+  const convert = (price, rate) => (isValidPrice(price) && isValidPrice(rate) ? price * rate : null);
+  const converted = Object.assign({}, prices, {
+    current: convert(prices.current, fx.current),
+    high: convert(prices.high, fx.current),
+    low: convert(prices.low, fx.current)
+  });
+  
+  for (const periodCode of prices.periods || []) {
+    const key = CONFIG.PERIODS[periodCode].key;
+    if (!CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode)) {
+      converted[key] = convert(prices[key], fx[key]);
+    }
+  }
+  
+  return calculateReturns(converted, options);
+}
+
+/**
+ * Get the sheet number format for prices in a currency
+ * @param {string} currency - Currency code as quoted
+ * @return {string} Number format
+ */
+function getCurrencyNumberFormat(currency) {
+  return CONFIG.CURRENCY.NUMBER_FORMATS[currency] || '#,##0.00';
+}
+
+/**
+ * Describe the FX rate used for a ticker, for the dashboard info column
+ * @param {Object} prices - Prices with prices.fx from getFxRates()
+ * @return {Array<string>} One line for a ticker quoted in another currency, otherwise none
+ */
+function describeFxRate(prices) {
+  const fx = prices && prices.fx;
+  if (!fx || normalizeCurrency(fx.currency).currency === fx.base) return [];
+  
+  return [fx.current ? `환율 ${fx.currency}/${fx.base} ${fx.current.toFixed(4).replace(/\.?0+$/, '')}` : `${fx.currency}/${fx.base} 환율 없음`];
+}
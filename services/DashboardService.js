@@ -13,53 +13,71 @@
  */
 function renderToDashboard(sheet, row, tickerData, columnMap) {
   try {
-    const { name, ticker, source, prices, returns, dateAnnotation } = tickerData;
+    const { name, ticker, source, prices, returns, baseReturns, dateAnnotation } = tickerData;
     
     // Set ticker information
     sheet.getRange(row, columnMap.NAME).setValue(name);
     sheet.getRange(row, columnMap.TICKER).setValue(ticker);
-    sheet.getRange(row, columnMap.SOURCE).setValue(source.toUpperCase());
+    const sources = tickerData.sources || [source];
+    sheet.getRange(row, columnMap.SOURCE).setValue(sources.join(', ').toUpperCase());
+    
+    // Non-exact prices are shaded and explained in a note (see CONFIG.PRICE_QUALITY)
+    const quality = (prices && prices.quality) || {};
     
     // Set price values
     if (prices) {
       sheet.getRange(row, columnMap.CURRENT).setValue(prices.current);
       sheet.getRange(row, columnMap.HIGH).setValue(prices.high);
+      formatPriceQualityCell(sheet.getRange(row, columnMap.CURRENT), '현재가', quality.current);
+      formatPriceQualityCell(sheet.getRange(row, columnMap.HIGH), '52주 최고가', quality.high);
+      sheet.getRange(row, columnMap.LOW).setValue(prices.low);
+      formatPriceQualityCell(sheet.getRange(row, columnMap.LOW), '52주 최저가', quality.low);
+      sheet.getRange(row, columnMap.CURRENT, 1, 3).setNumberFormat(getCurrencyNumberFormat(prices.currency));
+      renderRangePosition(sheet.getRange(row, columnMap.RANGE), calculateRangePosition(prices));
     }
     
-    // Set return values and apply formatting
+    // Set return values for the configured periods and apply formatting
     if (returns) {
-      if (returns.weekly !== null) {
-        sheet.getRange(row, columnMap.WEEKLY).setValue(returns.weekly / 100); // Convert to decimal for percentage formatting
-        formatReturnCell(sheet, row, columnMap.WEEKLY, returns.weekly / 100);
-      } else {
-        sheet.getRange(row, columnMap.WEEKLY).setValue('N/A');
-      }
-      
-      if (returns.monthly !== null) {
-        sheet.getRange(row, columnMap.MONTHLY).setValue(returns.monthly / 100);
-        formatReturnCell(sheet, row, columnMap.MONTHLY, returns.monthly / 100);
-      } else {
-        sheet.getRange(row, columnMap.MONTHLY).setValue('N/A');
-      }
-      
-      if (returns.ytd !== null) {
-        sheet.getRange(row, columnMap.YTD).setValue(returns.ytd / 100);
-        formatReturnCell(sheet, row, columnMap.YTD, returns.ytd / 100);
-      } else {
-        sheet.getRange(row, columnMap.YTD).setValue('N/A');
-      }
-      
-      if (returns.high !== null) {
-        sheet.getRange(row, columnMap.HIGH_RETURN).setValue(returns.high / 100);
-        formatReturnCell(sheet, row, columnMap.HIGH_RETURN, returns.high / 100);
-      } else {
-        sheet.getRange(row, columnMap.HIGH_RETURN).setValue('N/A');
-      }
+      renderReturns(sheet, row, columnMap.PERIODS, returns, quality);
+    }
+    
+    // Total returns with dividends reinvested sit next to the period returns
+    if (columnMap.PERIODS.some(period => period.totalColumn)) {
+      renderTotalReturns(sheet, row, columnMap.PERIODS, tickerData.totalReturns);
+    }
+    
+    // Returns over the benchmark sit next to the period returns
+    if (columnMap.PERIODS.some(period => period.excessColumn)) {
+      renderExcessReturns(sheet, row, columnMap.PERIODS, tickerData);
+    }
+    
+    // Base-currency returns also depend on the FX rate at both ends of the period
+    if (columnMap.BASE_PERIODS && baseReturns) {
+      const fxNotes = columnMap.BASE_PERIODS.map(period =>
+        prices && prices.fx && !prices.fx[period.key] ? [`${prices.fx.currency}/${prices.fx.base} 환율이 없습니다.`] : []);
+      renderReturns(sheet, row, columnMap.BASE_PERIODS, baseReturns, quality, fxNotes);
+    }
+    
+    // Set risk metric values
+    if (columnMap.RISK) {
+      renderRiskMetrics(sheet, row, tickerData.risk, columnMap.RISK, tickerData.benchmark);
+    }
+    
+    // Set technical indicator values
+    if (columnMap.TECHNICAL) {
+      renderTechnicalIndicators(sheet, row, tickerData.technical, columnMap.TECHNICAL, prices && prices.currency);
+    }
+    
+    // Set position values; weights are filled in once every row is rendered (see renderPortfolioTotals)
+    if (columnMap.HOLDINGS) {
+      renderPosition(sheet, row, tickerData.position, columnMap.HOLDINGS);
     }
     
-    // Set date annotation if available
-    if (dateAnnotation) {
-      sheet.getRange(row, columnMap.INFO).setValue(dateAnnotation);
+    // Set the date annotation and explain prices that are not exact
+    const infoLines = (dateAnnotation ? [dateAnnotation] : []).concat(describePriceQuality(prices), describeFxRate(prices),
+      describeSplitAdjustments(tickerData.splitAdjustments), tickerData.excessReturns ? [`벤치마크: ${tickerData.benchmark.symbol}`] : []);
+    if (infoLines.length > 0) {
+      sheet.getRange(row, columnMap.INFO).setValue(infoLines.join('\n'));
       sheet.getRange(row, columnMap.INFO).setFontColor("#1565C0"); // Blue for information
     }
     
@@ -75,35 +93,441 @@ function renderToDashboard(sheet, row, tickerData, columnMap) {
   }
 }
 
+/**
+ * Render where the current price sits in its 52-week range
+ * Prices in the bottom fifth of the range are shown in red and the top fifth in green.
+ * @param {Range} cell - The range position cell
+ * @param {number|null} position - Position from calculateRangePosition()
+ */
+function renderRangePosition(cell, position) {
+  if (position === null) {
+    cell.setValue('N/A');
+    cell.setFontColor("#000000");
+    return;
+  }
+  
+  cell.setValue(position / 100);
+  cell.setFontColor(position <= 20 ? "#D32F2F" : position >= 80 ? "#388E3C" : "#000000");
+}
+
+/**
+ * Render one set of return columns
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {number} row - The row to update
+ * @param {Array<Object>} periods - Return columns (columnMap.PERIODS or columnMap.BASE_PERIODS)
+ * @param {Object} returns - Returns from calculateReturns()
+ * @param {Object} quality - Price quality entries (prices.quality)
+ * @param {Array<Array<string>>} [extraNotes] - Additional notes for each column
+ */
+function renderReturns(sheet, row, periods, returns, quality, extraNotes = []) {
+  periods.forEach((period, index) => {
+    const returnValue = returns[period.key];
+    const notes = (extraNotes[index] || []).slice();
+    
+    if (returnValue !== null && returnValue !== undefined) {
+      sheet.getRange(row, period.column).setValue(returnValue / 100); // Convert to decimal for percentage formatting
+      formatReturnCell(sheet, row, period.column, returnValue / 100);
+      
+      // Annualized columns fall back to cumulative returns for periods shorter than a year
+      if (period.annualized && returns.annualized && !returns.annualized[period.key]) {
+        notes.push('기간이 1년 미만이므로 누적 수익률을 표시합니다.');
+      }
+    } else {
+      sheet.getRange(row, period.column).setValue('N/A');
+    }
+    
+    const header = CONFIG.PERIODS[period.code].header;
+    formatPriceQualityCell(sheet.getRange(row, period.column), `${header.replace(' 변화', '')} 기준가`, quality[period.key], notes);
+  });
+}
+
+/**
+ * Render the total returns with dividends reinvested
+ * Each cell's note shows how many dividends the period reinvested.
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {number} row - The row to update
+ * @param {Array<Object>} periods - Return columns (columnMap.PERIODS)
+ * @param {Object|null} totalReturns - Total returns from calculateTotalReturns()
+ */
+function renderTotalReturns(sheet, row, periods, totalReturns) {
+  for (const period of periods) {
+    if (!period.totalColumn) continue;
+    
+    const cell = sheet.getRange(row, period.totalColumn);
+    const totalReturn = totalReturns ? totalReturns[period.key] : null;
+    
+    if (totalReturn === null || totalReturn === undefined) {
+      cell.setValue('N/A');
+      cell.setNote(totalReturns ? '' : '배당·분할 정보를 가져올 수 없습니다.');
+      continue;
+    }
+    
+    cell.setValue(totalReturn / 100);
+    formatReturnCell(sheet, row, period.totalColumn, totalReturn / 100);
+    
+    const dividends = totalReturns.dividends[period.key];
+    const notes = [dividends > 0 ? `배당 ${dividends}회 재투자` : '기간 중 배당 없음'];
+    if (period.annualized && !totalReturns.annualized[period.key]) {
+      notes.push('기간이 1년 미만이므로 누적 수익률을 표시합니다.');
+    }
+    cell.setNote(notes.join('\n'));
+  }
+}
+
+/**
+ * Render the returns over a ticker's benchmark
+ * Each cell's note shows the benchmark's own return for the period.
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {number} row - The row to update
+ * @param {Array<Object>} periods - Return columns (columnMap.PERIODS)
+ * @param {Object} tickerData - Processed ticker data (benchmark, benchmarkReturns, excessReturns)
+ */
+function renderExcessReturns(sheet, row, periods, tickerData) {
+  const { benchmark, benchmarkReturns, excessReturns } = tickerData;
+  
+  for (const period of periods) {
+    if (!period.excessColumn) continue;
+    
+    const cell = sheet.getRange(row, period.excessColumn);
+    const excess = excessReturns ? excessReturns[period.key] : null;
+    
+    // Tickers without a benchmark (e.g. the index itself) leave the column blank
+    if (!benchmark) {
+      cell.setValue('');
+      cell.setNote('');
+      continue;
+    }
+    
+    if (excess === null || excess === undefined) {
+      cell.setValue('N/A');
+      cell.setNote(benchmarkReturns ? '' : `벤치마크 ${benchmark.symbol}의 가격을 가져올 수 없습니다.`);
+      continue;
+    }
+    
+    cell.setValue(excess / 100);
+    formatReturnCell(sheet, row, period.excessColumn, excess / 100);
+    cell.setNote(`벤치마크 ${benchmark.symbol}: ${formatReturn(benchmarkReturns[period.key])}`);
+  }
+}
+
+/**
+ * Render a row's risk metric columns
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {number} row - The row to update
+ * @param {Object|null} risk - Metrics from calculateRiskMetrics()
+ * @param {Object} riskColumns - columnMap.RISK
+ * @param {Object|null} benchmark - The ticker's benchmark (named in the beta cell's note)
+ */
+function renderRiskMetrics(sheet, row, risk, riskColumns, benchmark) {
+  const value = (metric, scale = 1) => (risk && typeof risk[metric] === 'number' ? risk[metric] * scale : 'N/A');
+  
+  sheet.getRange(row, riskColumns.VOLATILITY, 1, 4).setValues([[
+    value('volatility', 0.01),
+    value('maxDrawdown', 0.01),
+    value('sharpe'),
+    value('beta')
+  ]]);
+  
+  const betaNote = benchmark ? `벤치마크: ${benchmark.symbol}` : '벤치마크가 없습니다.';
+  sheet.getRange(row, riskColumns.BETA).setNote(risk ? `${betaNote} (일간 수익률 ${risk.observations}개)` : betaNote);
+}
+
+/**
+ * Render a row's technical indicator columns
+ * Colors follow formatReturnCell(): green above a moving average, for a strong RSI and a golden cross,
+ * red below a moving average, for a weak RSI and a death cross.
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {number} row - The row to update
+ * @param {Object|null} technical - Indicators from calculateTechnicalIndicators()
+ * @param {Object} technicalColumns - columnMap.TECHNICAL
+ * @param {string} [currency] - Currency of the prices (for the moving average notes)
+ */
+function renderTechnicalIndicators(sheet, row, technical, technicalColumns, currency) {
+  for (const movingAverage of technicalColumns.MOVING_AVERAGES) {
+    const cell = sheet.getRange(row, movingAverage.column);
+    const indicator = technical && technical.movingAverages[movingAverage.label];
+    
+    if (!indicator || indicator.distance === null) {
+      cell.setValue('N/A');
+      cell.setNote('이동평균을 계산할 히스토리가 부족합니다.');
+      continue;
+    }
+    
+    cell.setValue(indicator.distance / 100);
+    formatReturnCell(sheet, row, movingAverage.column, indicator.distance / 100);
+    cell.setNote(`${movingAverage.label}: ${formatPrice(indicator.value, currency)}`);
+  }
+  
+  const rsiCell = sheet.getRange(row, technicalColumns.RSI);
+  const rsi = technical ? technical.rsi : null;
+  rsiCell.setValue(rsi === null ? 'N/A' : rsi);
+  rsiCell.setFontColor(rsi === null ? "#000000" :
+    rsi >= CONFIG.TECHNICAL.RSI_OVERBOUGHT ? "#388E3C" :
+    rsi <= CONFIG.TECHNICAL.RSI_OVERSOLD ? "#D32F2F" : "#000000");
+  
+  const crossoverCell = sheet.getRange(row, technicalColumns.CROSSOVER);
+  const crossover = technical ? technical.crossover : null;
+  crossoverCell.setValue(describeCrossover(crossover));
+  crossoverCell.setFontColor(!crossover ? "#000000" : crossover.status === 'golden' ? "#388E3C" : "#D32F2F");
+  crossoverCell.setFontWeight(crossover && crossover.daysAgo !== null && crossover.daysAgo <= CONFIG.TECHNICAL.RECENT_CROSS_DAYS ? 'bold' : 'normal');
+}
+
+/**
+ * Render a row's position columns
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {number} row - The row to update
+ * @param {Object|null} position - Position from calculatePosition(), or null for tickers that are not held
+ * @param {Object} holdingsColumns - columnMap.HOLDINGS
+ */
+function renderPosition(sheet, row, position, holdingsColumns) {
+  const blank = value => (value === null || value === undefined ? '' : value);
+  
+  sheet.getRange(row, holdingsColumns.MARKET_VALUE, 1, 3).setValues([[
+    position ? position.marketValue : '',
+    position ? blank(position.pnl) : '',
+    position && position.pnlPercent !== null ? position.pnlPercent / 100 : ''
+  ]]);
+  
+  if (position && position.pnl !== null) {
+    const color = position.pnl > 0 ? "#388E3C" : position.pnl < 0 ? "#D32F2F" : "#000000";
+    sheet.getRange(row, holdingsColumns.PNL, 1, 2).setFontColor(color);
+  }
+}
+
+/**
+ * Fill in portfolio weights and the totals row below the ticker rows
+ * Values are read back from the sheet so rows rendered by earlier executions of a run are included
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {Object} columnMap - Column mapping with HOLDINGS
+ * @param {number} tickerCount - Number of ticker rows
+ */
+function renderPortfolioTotals(sheet, columnMap, tickerCount) {
+  if (!columnMap.HOLDINGS || tickerCount === 0) return;
+  
+  try {
+    const columns = columnMap.HOLDINGS;
+    const values = sheet.getRange(2, columns.MARKET_VALUE, tickerCount, 2).getValues();
+    const positions = values.map(([marketValue, pnl]) => (typeof marketValue === 'number' ? {
+      marketValue: marketValue,
+      pnl: typeof pnl === 'number' ? pnl : null,
+      costBasis: typeof pnl === 'number' ? marketValue - pnl : null
+    } : null));
+    const summary = summarizePositions(positions);
+    
+    sheet.getRange(2, columns.WEIGHT, tickerCount, 1)
+      .setValues(summary.weights.map(weight => [weight !== null ? weight / 100 : '']));
+    
+    // Totals row directly below the last ticker
+    const totalsRow = tickerCount + 2;
+    const totalsRange = sheet.getRange(totalsRow, 1, 1, columnMap.LAST_UPDATED);
+    totalsRange.clearContent();
+    sheet.getRange(totalsRow, 1).setValue('합계');
+    sheet.getRange(totalsRow, columns.MARKET_VALUE, 1, 4).setValues([[
+      summary.marketValue,
+      summary.pnl !== null ? summary.pnl : '',
+      summary.pnlPercent !== null ? summary.pnlPercent / 100 : '',
+      summary.marketValue !== 0 ? 1 : ''
+    ]]);
+    totalsRange.setFontWeight('bold');
+    totalsRange.setBackground('#F1F3F4');
+    
+    Logger.log(`포트폴리오 합계: 평가금액 ${summary.marketValue}, 평가손익 ${summary.pnl}`);
+  } catch (error) {
+    Logger.log(`포트폴리오 합계 계산 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Render the portfolio's time-weighted and money-weighted returns from the Transactions sheet
+ * Nothing is rendered without transactions
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {Object} columnMap - Column mapping
+ * @param {number} row - First of the two rows to render
+ * @param {DateCalculator} dateCalculator - Date calculator for the reference date
+ * @param {Object} periodOptions - Return period options
+ */
+function renderPortfolioPerformance(sheet, columnMap, row, dateCalculator, periodOptions) {
+  try {
+    const transactions = loadTransactions();
+    if (transactions.length === 0) return;
+    
+    Logger.log(`거래 내역 ${transactions.length}건으로 포트폴리오 수익률 계산 중...`);
+    const performance = calculatePortfolioPerformance(transactions, dateCalculator, periodOptions);
+    
+    const baseCurrency = periodOptions.baseCurrency || CONFIG.CURRENCY.BASE;
+    const rows = [
+      { label: `포트폴리오 TWR (${baseCurrency})`, returns: performance.twr, note: '시간가중 수익률: 입출금의 규모와 시점에 영향을 받지 않는 운용 수익률' },
+      { label: `포트폴리오 MWR (${baseCurrency})`, returns: performance.mwr, note: '금액가중 수익률(IRR): 입출금의 규모와 시점을 반영한 투자자 수익률' }
+    ];
+    
+    rows.forEach((performanceRow, index) => {
+      const targetRow = row + index;
+      const rowRange = sheet.getRange(targetRow, 1, 1, columnMap.LAST_UPDATED);
+      rowRange.clearContent();
+      rowRange.clearNote();
+      rowRange.setFontWeight('bold');
+      rowRange.setBackground('#F1F3F4');
+      
+      sheet.getRange(targetRow, columnMap.NAME).setValue(performanceRow.label).setNote(performanceRow.note);
+      
+      for (const period of columnMap.PERIODS) {
+        const returnValue = performanceRow.returns[period.key];
+        if (returnValue === null || returnValue === undefined) {
+          sheet.getRange(targetRow, period.column).setValue('N/A');
+          continue;
+        }
+        
+        sheet.getRange(targetRow, period.column).setValue(returnValue / 100);
+        formatReturnCell(sheet, targetRow, period.column, returnValue / 100);
+        if (period.annualized && !performance.annualized[period.key]) {
+          sheet.getRange(targetRow, period.column).setNote('기간이 1년 미만이므로 누적 수익률을 표시합니다.');
+        }
+      }
+    });
+  } catch (error) {
+    Logger.log(`포트폴리오 수익률 계산 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Lay out the dashboard columns for the given settings
+ * @param {Array<string>} [periods] - Return period codes to lay out (defaults to CONFIG.DEFAULT_PERIODS)
+ * @param {Array<string>} [annualizedPeriods] - Period codes shown as annualized returns
+ * @param {boolean} [includeHoldings] - Add position columns (market value, P&L, P&L %, weight)
+ * @param {Object} [displayOptions] - Display settings from getDisplaySettings() (baseCurrency,
+ *                                   showBaseCurrencyReturns, showBenchmarkReturns, showTotalReturns, showRiskMetrics,
+ *                                   riskFreeRate, showTechnicalIndicators, movingAverages)
+ * @return {Object} { headers, columnMap } where headers lists the header row and columnMap the column
+ *                  mapping for the dashboard; PERIODS lists { code, key, column, annualized, totalColumn,
+ *                  excessColumn } for each return column (totalColumn holds the total return with dividends
+ *                  reinvested and excessColumn the return over the benchmark, null if not shown),
+ *                  BASE_PERIODS the same for the base-currency return columns (null unless shown),
+ *                  RISK maps the risk metric columns (null unless shown),
+ *                  TECHNICAL maps the technical indicator columns (null unless shown),
+ *                  HOLDINGS maps the position columns (null without holdings)
+ */
+function getDashboardLayout(periods, annualizedPeriods, includeHoldings, displayOptions = {}) {
+  const periodCodes = periods || CONFIG.DEFAULT_PERIODS;
+  const annualizedCodes = annualizedPeriods || [];
+  const baseCurrency = displayOptions.baseCurrency || CONFIG.CURRENCY.BASE;
+  
+  // Columns are laid out left to right; each one gets the next column number
+  const headers = ['이름', '티커', '소스', '현재가', '52주 최고가', '52주 최저가', '52주 위치'];
+  const addColumn = header => headers.push(header);
+  const periodHeader = (code, annualized, suffix = '') =>
+    CONFIG.PERIODS[code].header + suffix + (annualized ? '\n(연환산)' : '');
+  
+  // Create column mapping for easier reference
+  // Fixed columns come first, then one column per configured period, then info columns
+  const columnMap = {
+    NAME: 1,
+    TICKER: 2,
+    SOURCE: 3,
+    CURRENT: 4,
+    HIGH: 5,
+    LOW: 6,
+    RANGE: 7,
+    PERIODS: periodCodes.map(code => {
+      const annualized = annualizedCodes.includes(code);
+      const period = {
+        code: code,
+        key: CONFIG.PERIODS[code].key,
+        column: addColumn(periodHeader(code, annualized)),
+        annualized: annualized,
+        totalColumn: null,
+        excessColumn: null
+      };
+      
+      // The total return sits next to its period; the 52-week high and low are price levels, not returns
+      if (displayOptions.showTotalReturns && !CONFIG.PRICE_LEVEL_PERIODS.includes(code)) {
+        period.totalColumn = addColumn(`${CONFIG.PERIODS[code].header.replace(' 변화', '')} 총수익률` + (annualized ? '\n(연환산)' : ''));
+      }
+      
+      // The return over the benchmark sits next to its period; the 52-week high and low are price levels, not returns
+      if (displayOptions.showBenchmarkReturns && !CONFIG.PRICE_LEVEL_PERIODS.includes(code)) {
+        period.excessColumn = addColumn(`${CONFIG.PERIODS[code].header.replace(' 변화', '')} vs 벤치마크` + (annualized ? '\n(연환산)' : ''));
+      }
+      return period;
+    })
+  };
+  
+  // Base-currency returns repeat the return columns when enabled
+  columnMap.BASE_PERIODS = displayOptions.showBaseCurrencyReturns ? columnMap.PERIODS.map(period => ({
+    code: period.code,
+    key: period.key,
+    column: addColumn(periodHeader(period.code, period.annualized, ` (${baseCurrency})`)),
+    annualized: period.annualized
+  })) : null;
+  
+  // Risk metrics of the 52-week window follow the return columns when enabled
+  columnMap.RISK = displayOptions.showRiskMetrics ? {
+    VOLATILITY: addColumn('변동성\n(연환산)'),
+    MAX_DRAWDOWN: addColumn('최대 낙폭'),
+    SHARPE: addColumn('샤프 지수'),
+    BETA: addColumn('베타')
+  } : null;
+  
+  // Technical indicators: one column per moving average, then the RSI and the crossover status
+  columnMap.TECHNICAL = displayOptions.showTechnicalIndicators ? {
+    MOVING_AVERAGES: (displayOptions.movingAverages || parseMovingAverages(CONFIG.TECHNICAL.DEFAULT_MOVING_AVERAGES))
+      .map(movingAverage => ({ label: movingAverage.label, column: addColumn(`${movingAverage.label} 대비`) })),
+    RSI: addColumn(`RSI(${CONFIG.TECHNICAL.RSI_PERIOD})`),
+    CROSSOVER: addColumn('크로스')
+  } : null;
+  
+  // Position columns follow the return columns in holdings mode
+  columnMap.HOLDINGS = includeHoldings ? {
+    MARKET_VALUE: addColumn(`평가금액 (${baseCurrency})`),
+    PNL: addColumn(`평가손익 (${baseCurrency})`),
+    PNL_PERCENT: addColumn('손익률'),
+    WEIGHT: addColumn('비중')
+  } : null;
+  columnMap.INFO = addColumn('정보');
+  columnMap.LAST_UPDATED = addColumn('마지막 업데이트');
+  
+  return { headers, columnMap };
+}
+
 /**
  * Initialize the dashboard headers and formatting
  * @param {Sheet} sheet - The dashboard sheet
- * @return {Object} Column mapping for the dashboard
+ * @param {Array<string>} [periods] - Return period codes to lay out (defaults to CONFIG.DEFAULT_PERIODS)
+ * @param {Array<string>} [annualizedPeriods] - Period codes shown as annualized returns
+ * @param {boolean} [includeHoldings] - Add position columns (market value, P&L, P&L %, weight)
+ * @param {Object} [displayOptions] - Display settings from getDisplaySettings() (baseCurrency,
+ *                                   showBaseCurrencyReturns, showBenchmarkReturns, showTotalReturns, showRiskMetrics,
+ *                                   riskFreeRate, showTechnicalIndicators, movingAverages)
+ * @return {Object} Column mapping for the dashboard (see getDashboardLayout)
  */
-function initializeDashboard(sheet) {
+function initializeDashboard(sheet, periods, annualizedPeriods, includeHoldings, displayOptions = {}) {
   try {
     Logger.log('대시보드 초기화 중...');
     
-    // Define headers
-    const headers = [
-      '이름', '티커', '소스', '현재가', '52주 최고가', '주간 변화', '월간 변화', 
-      'YTD 변화', '최고가 대비', '정보', '마지막 업데이트'
-    ];
+    const baseCurrency = displayOptions.baseCurrency || CONFIG.CURRENCY.BASE;
+    const { headers, columnMap } = getDashboardLayout(periods, annualizedPeriods, includeHoldings, displayOptions);
     
     // Get reference date for display
     const referenceDate = getReferenceDate();
     const formattedReferenceDate = Utilities.formatDate(referenceDate, Session.getScriptTimeZone(), 'yyyy-MM-dd');
     
+    // Clear headers left over from a layout with more period columns
+    const lastColumn = sheet.getLastColumn();
+    if (lastColumn > headers.length) {
+      sheet.getRange(1, headers.length + 1, 1, lastColumn - headers.length).clear();
+    }
+    
     // Set headers in row 1
     const headerRange = sheet.getRange(1, 1, 1, headers.length);
     headerRange.setValues([headers]);
+    headerRange.clearNote(); // Notes are set again below for the columns that have one
     
     // Format headers
     headerRange.setFontWeight('bold');
     headerRange.setBackground('#E3F2FD'); // Light blue background
+    headerRange.setWrap(true); // Annualized headers span two lines
     
     // Add reference date to "정보" column header
-    const infoHeaderCell = sheet.getRange(1, 10); // "정보" column
+    const infoHeaderCell = sheet.getRange(1, columnMap.INFO);
     infoHeaderCell.setValue('정보\n(기준일: ' + formattedReferenceDate + ')');
     infoHeaderCell.setFontWeight('bold');
     infoHeaderCell.setFontColor('#1a73e8');
@@ -113,30 +537,52 @@ function initializeDashboard(sheet) {
     // Freeze the header row
     sheet.setFrozenRows(1);
     
-    // Create column mapping for easier reference
-    const columnMap = {
-      NAME: 1,
-      TICKER: 2,
-      SOURCE: 3,
-      CURRENT: 4,
-      HIGH: 5,
-      WEEKLY: 6,
-      MONTHLY: 7,
-      YTD: 8,
-      HIGH_RETURN: 9,
-      INFO: 10,
-      LAST_UPDATED: 11
-    };
-    
     // Format price columns (start from row 2 now)
     sheet.getRange(2, columnMap.CURRENT, sheet.getMaxRows() - 1, 1).setNumberFormat('#,##0.00');
-    sheet.getRange(2, columnMap.HIGH, sheet.getMaxRows() - 1, 1).setNumberFormat('#,##0.00');
+    sheet.getRange(2, columnMap.HIGH, sheet.getMaxRows() - 1, 2).setNumberFormat('#,##0.00');
+    sheet.getRange(2, columnMap.RANGE, sheet.getMaxRows() - 1, 1).setNumberFormat('0%');
+    sheet.getRange(1, columnMap.RANGE).setNote('52주 범위에서 현재가의 위치 (최저가 0% ~ 최고가 100%)');
     
     // Format return columns
-    sheet.getRange(2, columnMap.WEEKLY, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
-    sheet.getRange(2, columnMap.MONTHLY, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
-    sheet.getRange(2, columnMap.YTD, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
-    sheet.getRange(2, columnMap.HIGH_RETURN, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
+    for (const period of columnMap.PERIODS.concat(columnMap.BASE_PERIODS || [])) {
+      sheet.getRange(2, period.column, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
+      if (period.totalColumn) {
+        sheet.getRange(2, period.totalColumn, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
+        sheet.getRange(1, period.totalColumn).setNote('배당을 직전 종가에 재투자하고 기간 중 분할을 반영한 수익률');
+      }
+      if (period.excessColumn) {
+        sheet.getRange(2, period.excessColumn, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
+      }
+    }
+    
+    // Format risk metric columns and explain how they are calculated
+    if (columnMap.RISK) {
+      sheet.getRange(2, columnMap.RISK.VOLATILITY, sheet.getMaxRows() - 1, 2).setNumberFormat('0.00%');
+      sheet.getRange(2, columnMap.RISK.SHARPE, sheet.getMaxRows() - 1, 2).setNumberFormat('0.00');
+      sheet.getRange(1, columnMap.RISK.VOLATILITY).setNote('최근 52주 일간 수익률의 표준편차를 연환산한 값');
+      sheet.getRange(1, columnMap.RISK.MAX_DRAWDOWN).setNote('최근 52주 동안 고점 대비 가장 크게 하락한 비율');
+      sheet.getRange(1, columnMap.RISK.SHARPE).setNote(`(연환산 수익률 - 무위험 수익률 ${displayOptions.riskFreeRate !== undefined ? displayOptions.riskFreeRate : CONFIG.RISK.RISK_FREE_RATE}%) ÷ 변동성`);
+      sheet.getRange(1, columnMap.RISK.BETA).setNote('최근 52주 일간 수익률 기준 벤치마크 대비 베타');
+    }
+    
+    // Format technical indicator columns and explain how they are read
+    if (columnMap.TECHNICAL) {
+      for (const movingAverage of columnMap.TECHNICAL.MOVING_AVERAGES) {
+        sheet.getRange(2, movingAverage.column, sheet.getMaxRows() - 1, 1).setNumberFormat('0.00%');
+        sheet.getRange(1, movingAverage.column).setNote(`현재가가 ${movingAverage.label} 이동평균보다 높거나(+) 낮은(-) 비율`);
+      }
+      sheet.getRange(2, columnMap.TECHNICAL.RSI, sheet.getMaxRows() - 1, 1).setNumberFormat('0.0');
+      sheet.getRange(1, columnMap.TECHNICAL.RSI).setNote(`${CONFIG.TECHNICAL.RSI_OVERBOUGHT} 이상 과매수, ${CONFIG.TECHNICAL.RSI_OVERSOLD} 이하 과매도`);
+      sheet.getRange(1, columnMap.TECHNICAL.CROSSOVER).setNote(
+        `${CONFIG.TECHNICAL.CROSSOVER.FAST}일 이동평균이 ${CONFIG.TECHNICAL.CROSSOVER.SLOW}일 이동평균 위에 있으면 골든크로스, 아래에 있으면 데드크로스 ` +
+        `(최근 ${CONFIG.TECHNICAL.RECENT_CROSS_DAYS}거래일 안의 교차는 굵게 표시)`);
+    }
+    
+    // Format position columns
+    if (columnMap.HOLDINGS) {
+      sheet.getRange(2, columnMap.HOLDINGS.MARKET_VALUE, sheet.getMaxRows() - 1, 2).setNumberFormat(getCurrencyNumberFormat(baseCurrency));
+      sheet.getRange(2, columnMap.HOLDINGS.PNL_PERCENT, sheet.getMaxRows() - 1, 2).setNumberFormat('0.00%');
+    }
     
     // Set appropriate column widths based on header content
     const headerWidths = {
@@ -145,13 +591,42 @@ function initializeDashboard(sheet) {
       [columnMap.SOURCE]: 80,      // 소스
       [columnMap.CURRENT]: 90,     // 현재가
       [columnMap.HIGH]: 100,       // 52주 최고가
-      [columnMap.WEEKLY]: 80,      // 주간 변화
-      [columnMap.MONTHLY]: 80,     // 월간 변화
-      [columnMap.YTD]: 80,         // YTD 변화
-      [columnMap.HIGH_RETURN]: 90, // 최고가 대비
+      [columnMap.LOW]: 100,        // 52주 최저가
+      [columnMap.RANGE]: 80,       // 52주 위치
       [columnMap.INFO]: 150,       // 정보 (including reference date)
       [columnMap.LAST_UPDATED]: 140 // 마지막 업데이트
     };
+    for (const period of columnMap.PERIODS) {
+      headerWidths[period.column] = CONFIG.PRICE_LEVEL_PERIODS.includes(period.code) || period.annualized ? 90 : 80;
+      if (period.totalColumn) {
+        headerWidths[period.totalColumn] = 100;
+      }
+      if (period.excessColumn) {
+        headerWidths[period.excessColumn] = 100;
+      }
+    }
+    for (const period of columnMap.BASE_PERIODS || []) {
+      headerWidths[period.column] = 100;
+    }
+    if (columnMap.RISK) {
+      headerWidths[columnMap.RISK.VOLATILITY] = 80;   // 변동성
+      headerWidths[columnMap.RISK.MAX_DRAWDOWN] = 80; // 최대 낙폭
+      headerWidths[columnMap.RISK.SHARPE] = 70;       // 샤프 지수
+      headerWidths[columnMap.RISK.BETA] = 60;         // 베타
+    }
+    if (columnMap.TECHNICAL) {
+      for (const movingAverage of columnMap.TECHNICAL.MOVING_AVERAGES) {
+        headerWidths[movingAverage.column] = 90;
+      }
+      headerWidths[columnMap.TECHNICAL.RSI] = 70;        // RSI
+      headerWidths[columnMap.TECHNICAL.CROSSOVER] = 130; // 크로스
+    }
+    if (columnMap.HOLDINGS) {
+      headerWidths[columnMap.HOLDINGS.MARKET_VALUE] = 110; // 평가금액
+      headerWidths[columnMap.HOLDINGS.PNL] = 100;          // 평가손익
+      headerWidths[columnMap.HOLDINGS.PNL_PERCENT] = 80;   // 손익률
+      headerWidths[columnMap.HOLDINGS.WEIGHT] = 70;        // 비중
+    }
     
     // Apply column widths from the predefined widths
     for (const [column, width] of Object.entries(headerWidths)) {
@@ -186,6 +661,7 @@ function clearDashboardData(sheet) {
       const dataRange = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
       dataRange.clearContent();
       dataRange.clearFormat();
+      dataRange.clearNote();
       
       Logger.log(`${lastRow - 1}개 행의 데이터를 지웠습니다.`);
     } else {
@@ -200,8 +676,12 @@ function clearDashboardData(sheet) {
 
 /**
  * Update performance dashboard with ticker data
+ * Starts a new update run; if it runs out of execution time, a trigger continues it
+ * (see continuePerformanceDashboardUpdate)
  */
 function updatePerformanceDashboard() {
+  const startTime = Date.now();
+  
   try {
     // Check if update is already in progress
     if (isUpdateInProgress()) {
@@ -229,92 +709,278 @@ function updatePerformanceDashboard() {
       return;
     }
     
-    Logger.log('성능 대시보드 업데이트 시작...');
+    // A manual update replaces any paused run waiting for its continuation
+    deleteUpdateContinuationTriggers();
     
-    // Clear audit data - always enable audit for each update
-    clearAuditData();
+    Logger.log('성능 대시보드 업데이트 시작...');
     
     // Get or create dashboard sheet
     const sheet = getDashboardSheet();
     
-    // Initialize dashboard and get column mapping
+    // Initialize dashboard with the configured return periods and get column mapping
+    const periodOptions = Object.assign({
+      periods: getConfiguredPeriods(),
+      annualizedPeriods: getAnnualizedPeriods()
+    }, getDisplaySettings());
     clearDashboardData(sheet);
-    const columnMap = initializeDashboard(sheet);
-    
-    // Get reference date
-    const referenceDate = getReferenceDate();
-    Logger.log(`기준일: ${referenceDate.toISOString()}`);
-    
-    // Create date calculator
-    const dateCalculator = new DateCalculator(referenceDate);
+    const columnMap = initializeDashboard(sheet, periodOptions.periods, periodOptions.annualizedPeriods, isHoldingsModeEnabled(), periodOptions);
     
-    // Load ticker data
-    const tickers = loadTickerData();
+    return runDashboardUpdate(sheet, columnMap, periodOptions, startUpdateRun(), startTime);
+  } catch (error) {
+    handleDashboardUpdateError(error);
+    return false;
+  }
+}
+
+/**
+ * Continue a paused dashboard update from its checkpoint (run by the continuation trigger)
+ */
+function continuePerformanceDashboardUpdate() {
+  const startTime = Date.now();
+  
+  try {
+    deleteUpdateContinuationTriggers();
     
-    if (tickers.length === 0) {
-      showAlert('⚠️ 티커 없음', '처리할 티커가 없습니다. 티커 시트에 데이터를 추가하세요.');
-      clearUpdateLock();
-      
-      // Make sure to set the dashboard as the active sheet
-      SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
-      
-      return;
+    const checkpoint = getUpdateCheckpoint();
+    if (!checkpoint) {
+      Logger.log('이어서 실행할 업데이트가 없습니다.');
+      return false;
     }
     
-    // Process each ticker and update dashboard - start at row 2 now (after header)
-    for (let i = 0; i < tickers.length; i++) {
-      try {
-        const ticker = tickers[i];
-        const row = i + 2; // Start at row 2 (after header)
-        
-        // Show loading indicator
-        showLoadingIndicator(sheet, row, columnMap.INFO, `${ticker.name} 로딩 중...`);
-        
-        // Process ticker
-        Logger.log(`티커 처리 중 (${i + 1}/${tickers.length}): ${ticker.name} (${ticker.ticker})`);
-        const processedData = processTicker(ticker, dateCalculator);
-        
-        // Render to dashboard
-        renderToDashboard(sheet, row, processedData, columnMap);
-        
-        // Hide loading indicator
-        hideLoadingIndicator(sheet, row, columnMap.INFO);
-      } catch (error) {
-        Logger.log(`티커 처리 오류 (${tickers[i].name}): ${error.message}`);
-        showTickerError(sheet, i + 2, columnMap.INFO, error.message); // Error at row 2+
-      }
+    // Another update is running; try again later
+    if (isUpdateInProgress() || !acquireUpdateLock()) {
+      Logger.log(`다른 업데이트가 진행 중이므로 실행 ${checkpoint.runId}을(를) 나중에 이어서 실행합니다.`);
+      scheduleUpdateContinuation();
+      return false;
     }
     
-    // Update complete, release lock
-    clearUpdateLock();
-    
-    // Make sure the dashboard is the active sheet at the end of the update
-    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+    Logger.log(`업데이트 이어서 실행: ${checkpoint.runId} (${checkpoint.nextIndex + 1}번째 티커부터)`);
     
-    Logger.log('성능 대시보드 업데이트 완료');
-    showAlert('✅ 업데이트 완료', `${tickers.length}개의 티커를 성공적으로 업데이트했습니다.\n\n감사 데이터도 업데이트되었습니다.`);
+    // Rows already processed are kept; only the column mapping is rebuilt
+    const sheet = getDashboardSheet();
+    const periodOptions = Object.assign({
+      periods: getConfiguredPeriods(),
+      annualizedPeriods: getAnnualizedPeriods()
+    }, getDisplaySettings());
+    const columnMap = initializeDashboard(sheet, periodOptions.periods, periodOptions.annualizedPeriods, isHoldingsModeEnabled(), periodOptions);
     
-    // Return true to indicate successful update
-    return true;
+    return runDashboardUpdate(sheet, columnMap, periodOptions, checkpoint, startTime);
   } catch (error) {
-    Logger.log(`대시보드 업데이트 오류: ${error.message}`);
-    showErrorAlert('대시보드 업데이트 실패', error.message);
+    handleDashboardUpdateError(error);
+    return false;
+  }
+}
+
+/**
+ * Refresh only the dashboard rows of the given markets (used by scheduled refreshes)
+ * Falls back to a full update while the dashboard has no rows yet
+ * @param {Array<string>} markets - Market regions to refresh
+ * @return {boolean} True if the refresh finished
+ */
+function refreshDashboardMarkets(markets) {
+  const startTime = Date.now();
+  
+  try {
+    // A paused run or a running update already covers these rows; a checkpoint left behind by a killed
+    // execution is cleared here so that it does not block every later refresh
+    if (getLiveUpdateCheckpoint() || isUpdateInProgress() || !acquireUpdateLock()) {
+      Logger.log('다른 업데이트가 진행 중이므로 자동 업데이트를 건너뜁니다.');
+      return false;
+    }
     
-    // Make sure to release lock even if error occurs
+    const sheet = getDashboardSheet();
+    const periodOptions = Object.assign({
+      periods: getConfiguredPeriods(),
+      annualizedPeriods: getAnnualizedPeriods()
+    }, getDisplaySettings());
+    const columnMap = initializeDashboard(sheet, periodOptions.periods, periodOptions.annualizedPeriods, isHoldingsModeEnabled(), periodOptions);
+    const checkpoint = startUpdateRun(sheet.getLastRow() > 1 ? markets : null);
+    
+    return runDashboardUpdate(sheet, columnMap, periodOptions, checkpoint, startTime);
+  } catch (error) {
+    handleDashboardUpdateError(error);
+    return false;
+  }
+}
+
+/**
+ * Process tickers from a checkpoint until all are done or the time budget is used up
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {Object} columnMap - Column mapping from initializeDashboard()
+ * @param {Object} periodOptions - Return period options
+ * @param {Object} checkpoint - Run checkpoint (runId, nextIndex, startedAt, markets)
+ * @param {number} startTime - Execution start time in milliseconds
+ * @return {boolean} True if the update finished, false if it was paused or had no tickers
+ */
+function runDashboardUpdate(sheet, columnMap, periodOptions, checkpoint, startTime) {
+  // Get reference date
+  const referenceDate = getReferenceDate();
+  Logger.log(`기준일: ${referenceDate.toISOString()}`);
+  
+  // Create date calculator
+  const dateCalculator = new DateCalculator(referenceDate);
+  
+  // Load ticker data
+  const tickers = loadTickerData();
+  
+  if (tickers.length === 0) {
+    showAlert('⚠️ 티커 없음', '처리할 티커가 없습니다. 티커 시트에 데이터를 추가하세요.');
+    clearUpdateCheckpoint();
     clearUpdateLock();
     
-    // Make sure the dashboard is the active sheet even if there's an error
+    // Make sure to set the dashboard as the active sheet
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+    
+    return false;
+  }
+  
+  // A market-limited run keeps the rows of other markets as they are
+  const marketTimeManager = new MarketTimeManager();
+  const inRun = tickers.map(ticker => !checkpoint.markets || checkpoint.markets.includes(getTickerMarket(ticker, marketTimeManager)));
+  
+  // Download what the remaining tickers need in parallel before processing them one by one
+  prefetchTickerData(tickers.filter((ticker, i) => i >= checkpoint.nextIndex && inRun[i]), dateCalculator, periodOptions);
+  
+  // Audit rows carry the run ID so the lineage of every run can be told apart
+  const tickerOptions = Object.assign({ runId: checkpoint.runId }, periodOptions);
+  
+  // Process each ticker and update dashboard - start at row 2 now (after header)
+  for (let i = checkpoint.nextIndex; i < tickers.length; i++) {
+    if (!inRun[i]) continue;
+    
+    if (!hasTimeRemaining(startTime)) {
+      pauseDashboardUpdate(sheet, columnMap, checkpoint.runId, i, inRun);
+      return false;
+    }
+    
     try {
-      const sheet = getDashboardSheet();
-      SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
-    } catch (e) {
-      // Ignore errors when trying to set active sheet during error handling
-      Logger.log(`대시보드 활성화 실패: ${e.message}`);
+      const ticker = tickers[i];
+      const row = i + 2; // Start at row 2 (after header)
+      
+      // Show loading indicator
+      showLoadingIndicator(sheet, row, columnMap.INFO, `${ticker.name} 로딩 중...`);
+      
+      // Process ticker
+      Logger.log(`티커 처리 중 (${i + 1}/${tickers.length}): ${ticker.name} (${ticker.ticker})`);
+      const processedData = processTicker(ticker, dateCalculator, tickerOptions);
+      
+      // Hide loading indicator before rendering so the info column keeps its annotations
+      hideLoadingIndicator(sheet, row, columnMap.INFO);
+      
+      // Render to dashboard
+      renderToDashboard(sheet, row, processedData, columnMap);
+    } catch (error) {
+      Logger.log(`티커 처리 오류 (${tickers[i].name}): ${error.message}`);
+      showTickerError(sheet, i + 2, columnMap.INFO, error.message); // Error at row 2+
     }
     
-    // Return false to indicate failed update
+    saveUpdateCheckpoint(checkpoint.runId, i + 1);
+  }
+  
+  // The steps below read every row and post to other services; the last ticker may have used up the
+  // budget, so without room left for them the continuation runs them instead
+  if (!hasTimeRemaining(startTime, CONFIG.UPDATE.FINALIZE_RESERVE_MS)) {
+    pauseDashboardUpdate(sheet, columnMap, checkpoint.runId, tickers.length, inRun);
     return false;
   }
+  refreshUpdateLock();
+  
+  // Weights and totals need every row, including those rendered by earlier executions
+  renderPortfolioTotals(sheet, columnMap, tickers.length);
+  
+  // Portfolio returns from the Transactions sheet go below the ticker rows and the totals row
+  renderPortfolioPerformance(sheet, columnMap, tickers.length + (columnMap.HOLDINGS ? 3 : 2), dateCalculator, periodOptions);
+  
+  // Alert rules see every row of the run, including those rendered by earlier executions
+  const alerts = checkAlerts(sheet, columnMap, tickers, inRun, referenceDate);
+  
+  // The next update clears the dashboard, so the run's rows are kept in the Snapshots sheet
+  recordSnapshot(sheet, columnMap, inRun, checkpoint.runId, referenceDate);
+  
+  // Audit rows outside the retention window are dropped once per completed run
+  pruneAuditData();
+  
+  // Webhook channels hear about the run even when nobody is watching the spreadsheet
+  notifyUpdateResult(sheet, columnMap, tickers, inRun, checkpoint.runId, referenceDate, alerts);
+  
+  // Scheduled refreshes skip markets that have not closed since this run started
+  markMarketsRefreshed(checkpoint.markets || getTickerMarkets(tickers), checkpoint.startedAt);
+  
+  // Update complete, release checkpoint, prefetched responses and lock
+  clearUpdateCheckpoint();
+  clearPrefetchedResponses();
+  clearUpdateLock();
+  
+  // Make sure the dashboard is the active sheet at the end of the update
+  SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  
+  const updatedCount = inRun.filter(Boolean).length;
+  Logger.log(`성능 대시보드 업데이트 완료 (실행 ${checkpoint.runId})`);
+  showAlert('✅ 업데이트 완료', `${updatedCount}개의 티커를 성공적으로 업데이트했습니다.\n\n감사 데이터도 업데이트되었습니다.`);
+  
+  // Return true to indicate successful update
+  return true;
+}
+
+/**
+ * Stop a run that is out of time and schedule its continuation
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {Object} columnMap - Column mapping
+ * @param {string} runId - Run ID
+ * @param {number} nextIndex - Index of the first ticker not processed yet
+ * @param {Array<boolean>} inRun - Whether each ticker belongs to the run
+ */
+function pauseDashboardUpdate(sheet, columnMap, runId, nextIndex, inRun) {
+  const total = inRun.filter(Boolean).length;
+  const done = inRun.slice(0, nextIndex).filter(Boolean).length;
+  Logger.log(`실행 시간 한도에 도달했습니다. ${done}/${total}개 처리 후 일시 중지합니다 (실행 ${runId}).`);
+  
+  saveUpdateCheckpoint(runId, nextIndex);
+  scheduleUpdateContinuation();
+  
+  // Mark the rows that the continuation will fill in
+  for (let i = nextIndex; i < inRun.length; i++) {
+    if (inRun[i]) {
+      showLoadingIndicator(sheet, i + 2, columnMap.INFO, '⏳ 이어서 업데이트 예정');
+    }
+  }
+  
+  clearPrefetchedResponses();
+  clearUpdateLock();
+  
+  showAlert(
+    '⏳ 업데이트 계속 예정',
+    `${total}개 중 ${done}개의 티커를 업데이트했습니다.\n\n` +
+    (done === total ?
+      '실행 시간 한도 때문에 잠시 멈추며, 약 1분 후 합계·알림·스냅샷 등 마무리 작업을 자동으로 이어서 실행합니다.' :
+      '실행 시간 한도 때문에 잠시 멈추며, 약 1분 후 나머지 티커를 자동으로 이어서 업데이트합니다.')
+  );
+}
+
+/**
+ * Release the run's resources after an unexpected update error
+ * @param {Error} error - The error
+ */
+function handleDashboardUpdateError(error) {
+  Logger.log(`대시보드 업데이트 오류: ${error.message}`);
+  showErrorAlert('대시보드 업데이트 실패', error.message);
+  
+  // Notify before the checkpoint that identifies the run is cleared
+  notifyUpdateError(error);
+  
+  // Make sure to release lock even if error occurs
+  clearUpdateCheckpoint();
+  clearPrefetchedResponses();
+  clearUpdateLock();
+  
+  // Make sure the dashboard is the active sheet even if there's an error
+  try {
+    const sheet = getDashboardSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (e) {
+    // Ignore errors when trying to set active sheet during error handling
+    Logger.log(`대시보드 활성화 실패: ${e.message}`);
+  }
 }
 
 /**
@@ -0,0 +1,124 @@
+/**
+ * Performance Dashboard Ticker - Fetch Service Module
+ *
+ * This module downloads the HTTP requests described by the data providers
+ * in parallel batches with UrlFetchApp.fetchAll. Responses are kept for the
+ * current execution and handed back to the providers when they fetch the same URL.
+ * While a trace is running (see traceFetches), every URL and GOOGLEFINANCE formula used
+ * is recorded for the audit lineage.
+ */
+
+/**
+ * Responses downloaded ahead of time, keyed by URL
+ */
+let PREFETCHED_RESPONSES = {};
+
+/**
+ * URLs and formulas used since the innermost traceFetches() started, or null outside a trace
+ */
+let FETCH_TRACE = null;
+
+/**
+ * Download requests in parallel batches and keep the responses for fetchRequest()
+ * A failed batch is only logged; its requests are fetched one by one when a provider needs them
+ * @param {Array<Object>} requests - fetchAll request objects ({url, headers, muteHttpExceptions, ...})
+ * @return {number} Number of responses stored
+ */
+function prefetchRequests(requests) {
+  // Drop duplicates and URLs that were already downloaded
+  const pending = [];
+  const seen = new Set(Object.keys(PREFETCHED_RESPONSES));
+  for (const request of requests) {
+    if (request && request.url && !seen.has(request.url)) {
+      seen.add(request.url);
+      pending.push(Object.assign({ muteHttpExceptions: true }, request));
+    }
+  }
+  
+  const batchSize = CONFIG.FETCH.BATCH_SIZE;
+  let stored = 0;
+  
+  for (let start = 0; start < pending.length; start += batchSize) {
+    const batch = pending.slice(start, start + batchSize);
+    
+    try {
+      const responses = UrlFetchApp.fetchAll(batch);
+      responses.forEach((response, i) => {
+        PREFETCHED_RESPONSES[batch[i].url] = response;
+      });
+      stored += responses.length;
+    } catch (error) {
+      Logger.log(`일괄 요청 실패 (${batch.length}개, 개별 요청으로 대체): ${error.message}`);
+    }
+  }
+  
+  Logger.log(`일괄 요청 완료: ${stored}/${pending.length}개 응답 (${Math.ceil(pending.length / batchSize)}개 배치)`);
+  return stored;
+}
+
+/**
+ * Fetch a request, using the prefetched response when there is one
+ * @param {Object} request - Request object with url and UrlFetchApp options
+ * @return {HTTPResponse} The response
+ */
+function fetchRequest(request) {
+  const { url, ...options } = request;
+  
+  if (PREFETCHED_RESPONSES[url]) {
+    recordFetchSource(`${url} (일괄 요청)`);
+    return PREFETCHED_RESPONSES[url];
+  }
+  
+  recordFetchSource(url);
+  return UrlFetchApp.fetch(url, options);
+}
+
+/**
+ * Fetch a URL, using the prefetched response when there is one
+ * Drop-in replacement for UrlFetchApp.fetch(url, options)
+ * @param {string} url - The URL
+ * @param {Object} [options] - UrlFetchApp options
+ * @return {HTTPResponse} The response
+ */
+function fetchUrl(url, options = {}) {
+  return fetchRequest(Object.assign({ url: url }, options));
+}
+
+/**
+ * Release the prefetched responses
+ */
+function clearPrefetchedResponses() {
+  PREFETCHED_RESPONSES = {};
+}
+
+/**
+ * Run a callback and record the URLs and formulas it uses and how long it takes
+ * Traces nest: what an inner trace records is also recorded by the trace around it.
+ * @param {Function} callback - Callback to run
+ * @return {Object} { result, sources, latencyMs } with the callback's result, the URLs and formulas
+ *                  in the order they were first used and the elapsed time in milliseconds
+ */
+function traceFetches(callback) {
+  const outer = FETCH_TRACE;
+  const sources = [];
+  const started = Date.now();
+  FETCH_TRACE = sources;
+  
+  try {
+    const result = callback();
+    return { result: result, sources: sources, latencyMs: Date.now() - started };
+  } finally {
+    FETCH_TRACE = outer;
+    sources.forEach(recordFetchSource);
+  }
+}
+
+/**
+ * Record a URL, formula or cache read in the running trace (no-op outside a trace)
+ * @param {string} source - Description of where the data came from
+ */
+function recordFetchSource(source) {
+  if (FETCH_TRACE && !FETCH_TRACE.includes(source)) {
+    FETCH_TRACE.push(source);
+  }
+}
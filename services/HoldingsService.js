@@ -0,0 +1,211 @@
+/**
+ * Performance Dashboard Ticker - Holdings Service Module
+ *
+ * This module reads the optional Holdings sheet (positions per ticker and account)
+ * and calculates market value, unrealized P&L and portfolio weights for the dashboard.
+ */
+
+/**
+ * Column headers of a newly created Holdings sheet
+ */
+const HOLDINGS_HEADERS = ['티커', '수량', '평균 단가', '통화', '계좌'];
+
+/**
+ * Get or create the Holdings sheet
+ * @return {Sheet} The holdings sheet
+ */
+function getOrCreateHoldingsSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.HOLDINGS);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.HOLDINGS);
+    
+    const headerRange = sheet.getRange(1, 1, 1, HOLDINGS_HEADERS.length);
+    headerRange.setValues([HOLDINGS_HEADERS]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.getRange(1, 1).setNote('티커 시트의 티커와 같은 값을 입력하세요.');
+    sheet.getRange(1, 5).setNote('같은 티커를 여러 계좌에 보유한 경우 계좌별로 한 행씩 입력합니다.');
+    sheet.setFrozenRows(1);
+    
+    Logger.log('보유 종목 시트를 생성했습니다.');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Read the Holdings sheet, merging the rows of a ticker held in several accounts
+ * @return {Object} Map of upper-case ticker to holding { quantity, averageCost, costBasis, currency, accounts }
+ */
+function loadHoldings() {
+  const holdings = {};
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.HOLDINGS);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return holdings;
+    }
+    
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    
+    // Columns are located by header name so they can be in any order
+    const header = data[0];
+    const columns = {
+      symbol: findHeaderIndex(header, ['티커', '심볼', 'symbol', 'ticker']),
+      quantity: findHeaderIndex(header, ['수량', 'quantity', 'shares']),
+      averageCost: findHeaderIndex(header, ['평균 단가', '평균단가', 'average cost', 'avg cost']),
+      currency: findHeaderIndex(header, ['통화', 'currency']),
+      account: findHeaderIndex(header, ['계좌', 'account'])
+    };
+    
+    if (columns.symbol < 0 || columns.quantity < 0) {
+      Logger.log('보유 종목 시트에 티커 또는 수량 열이 없습니다.');
+      return holdings;
+    }
+    
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const symbol = String(row[columns.symbol]).trim().toUpperCase();
+      if (!symbol) continue;
+      
+      const quantity = parseFloat(String(row[columns.quantity]).replace(/,/g, ''));
+      const averageCost = columns.averageCost >= 0 ? parseFloat(String(row[columns.averageCost]).replace(/,/g, '')) : NaN;
+      if (!isFinite(quantity)) {
+        Logger.log(`잘못된 보유 수량: ${symbol} (${row[columns.quantity]})`);
+        continue;
+      }
+      
+      const currency = columns.currency >= 0 ? String(row[columns.currency]).trim().toUpperCase() : '';
+      const account = columns.account >= 0 ? String(row[columns.account]).trim() : '';
+      
+      if (!holdings[symbol]) {
+        holdings[symbol] = { quantity: 0, costBasis: 0, hasCost: true, currency: currency, accounts: [] };
+      }
+      
+      const holding = holdings[symbol];
+      if (currency && holding.currency && currency !== holding.currency) {
+        Logger.log(`보유 종목 통화 불일치: ${symbol} (${holding.currency}, ${currency}) - 첫 번째 통화를 사용합니다.`);
+      }
+      
+      holding.quantity += quantity;
+      holding.currency = holding.currency || currency;
+      if (isFinite(averageCost)) {
+        holding.costBasis += quantity * averageCost;
+      } else {
+        holding.hasCost = false;
+      }
+      if (account && !holding.accounts.includes(account)) {
+        holding.accounts.push(account);
+      }
+    }
+    
+    // Without an average cost on every row the combined cost basis is unknown
+    for (const holding of Object.values(holdings)) {
+      if (!holding.hasCost) {
+        holding.costBasis = null;
+      }
+      holding.averageCost = holding.costBasis !== null && holding.quantity !== 0 ? holding.costBasis / holding.quantity : null;
+      delete holding.hasCost;
+    }
+  } catch (error) {
+    Logger.log(`보유 종목 시트 읽기 오류: ${error.message}`);
+  }
+  
+  return holdings;
+}
+
+/**
+ * Attach each ticker's holding (if any) as ticker.holding
+ * @param {Array<Object>} tickers - Ticker objects from the Tickers sheet
+ * @param {Object} holdings - Holdings from loadHoldings()
+ * @return {Array<Object>} The same tickers
+ */
+function joinHoldings(tickers, holdings) {
+  const unmatched = new Set(Object.keys(holdings));
+  
+  for (const ticker of tickers) {
+    const symbol = String(ticker.ticker).trim().toUpperCase();
+    if (holdings[symbol]) {
+      ticker.holding = holdings[symbol];
+      unmatched.delete(symbol);
+    }
+  }
+  
+  if (unmatched.size > 0) {
+    Logger.log(`티커 시트에 없는 보유 종목은 대시보드에 표시되지 않습니다: ${Array.from(unmatched).join(', ')}`);
+  }
+  
+  return tickers;
+}
+
+/**
+ * Check whether the Holdings sheet has positions, i.e. whether the dashboard shows position columns
+ * @return {boolean} True in holdings mode
+ */
+function isHoldingsModeEnabled() {
+  return Object.keys(loadHoldings()).length > 0;
+}
+
+/**
+ * Calculate the value and unrealized P&L of a position
+ * Values are converted into the base currency; the cost basis uses the current rate
+ * because the rates at the purchase dates are not recorded.
+ * @param {Object} holding - Holding from loadHoldings()
+ * @param {number} price - Current price
+ * @param {number} [fxRate] - Rate converting the price's currency into the base currency (defaults to 1)
+ * @return {Object|null} { marketValue, costBasis, pnl, pnlPercent } (cost fields are null without an average cost),
+ *                       or null without a usable price or rate
+ */
+function calculatePosition(holding, price, fxRate = 1) {
+  if (!holding || typeof price !== 'number' || !isFinite(price) || typeof fxRate !== 'number' || !isFinite(fxRate)) {
+    return null;
+  }
+  
+  const marketValue = holding.quantity * price * fxRate;
+  const costBasis = holding.costBasis !== null ? holding.costBasis * fxRate : null;
+  const pnl = costBasis !== null ? marketValue - costBasis : null;
+  
+  return {
+    marketValue: marketValue,
+    costBasis: costBasis,
+    pnl: pnl,
+    pnlPercent: pnl !== null && costBasis > 0 ? (pnl / costBasis) * 100 : null
+  };
+}
+
+/**
+ * Add up positions and work out each one's share of the total market value
+ * @param {Array<Object|null>} positions - Positions in dashboard row order (null for rows without a holding)
+ * @return {Object} { weights, marketValue, costBasis, pnl, pnlPercent } where weights are percentages per row
+ */
+function summarizePositions(positions) {
+  const held = positions.filter(position => position);
+  const marketValue = held.reduce((sum, position) => sum + position.marketValue, 0);
+  
+  // Rows without a cost basis are left out of the P&L totals
+  const withCost = held.filter(position => position.costBasis !== null);
+  const costBasis = withCost.reduce((sum, position) => sum + position.costBasis, 0);
+  const pnl = withCost.reduce((sum, position) => sum + position.pnl, 0);
+  
+  return {
+    weights: positions.map(position => (position && marketValue !== 0 ? (position.marketValue / marketValue) * 100 : null)),
+    marketValue: marketValue,
+    costBasis: withCost.length > 0 ? costBasis : null,
+    pnl: withCost.length > 0 ? pnl : null,
+    pnlPercent: withCost.length > 0 && costBasis > 0 ? (pnl / costBasis) * 100 : null
+  };
+}
+
+/**
+ * Open the Holdings sheet from the menu
+ */
+function openHoldingsSheet() {
+  try {
+    const sheet = getOrCreateHoldingsSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`보유 종목 시트 열기 오류: ${error.message}`);
+    showErrorAlert('보유 종목 시트 열기 실패', error.message);
+  }
+}
@@ -82,6 +82,21 @@ function acquireUpdateLock() {
   }
 }
 
+/**
+ * Refresh the time of the update lock so a long run is not taken for a stale one
+ * Does nothing when no lock is held.
+ */
+function refreshUpdateLock() {
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    if (scriptProperties.getProperty(LOCK_KEYS.UPDATE_IN_PROGRESS)) {
+      scriptProperties.setProperty(LOCK_KEYS.LAST_UPDATE_TIME, new Date().getTime().toString());
+    }
+  } catch (error) {
+    Logger.log(`잠금 갱신 오류: ${error.message}`);
+  }
+}
+
 /**
  * Clear the update lock
  */
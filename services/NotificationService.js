@@ -0,0 +1,274 @@
+/**
+ * Performance Dashboard Ticker - Notification Service Module
+ *
+ * This module posts a summary of each dashboard update and the alerts it raised to the
+ * Slack, Teams or JSON webhooks listed in the optional Notifications sheet, so that scheduled
+ * runs and people other than the one who started the update hear about the result.
+ */
+
+/**
+ * Column headers of a newly created Notifications sheet
+ */
+const NOTIFICATION_HEADERS = ['채널', '웹훅 URL', '보낼 내용', '사용', '메모', '마지막 전송'];
+
+/**
+ * Notification events and the names accepted for them in the 보낼 내용 column
+ * A blank cell or one of the ALL names sends both events.
+ */
+const NOTIFICATION_EVENTS = {
+  SUMMARY: ['업데이트', 'summary', 'update'],
+  ALERTS: ['알림', 'alerts'],
+  ALL: ['전체', 'all']
+};
+
+/**
+ * Get or create the Notifications sheet
+ * @return {Sheet} The notifications sheet
+ */
+function getOrCreateNotificationsSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.NOTIFICATIONS);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.NOTIFICATIONS);
+    
+    const headerRange = sheet.getRange(1, 1, 1, NOTIFICATION_HEADERS.length);
+    headerRange.setValues([NOTIFICATION_HEADERS]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.getRange(1, 1).setNote(`${NotificationChannelFactory.getSupportedTypes().join(', ')} 중 하나`);
+    sheet.getRange(1, 2).setNote('Slack 수신 웹훅, Teams 워크플로 웹훅 또는 JSON을 받을 임의의 URL');
+    sheet.getRange(1, 3).setNote('업데이트(실행 요약), 알림(Alerts 시트 규칙 발생), 전체 중 하나 (기본 전체)');
+    sheet.getRange(1, 4).setNote('N이면 보내지 않습니다 (기본 Y)');
+    sheet.setFrozenRows(1);
+    
+    Logger.log('알림 채널 시트를 생성했습니다.');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Read the channels of the Notifications sheet
+ * @return {Array<Object>} Channels of { row, type, url, events, enabled } where row is the sheet row
+ *                         and events lists the NOTIFICATION_EVENTS keys the channel receives
+ */
+function loadNotificationChannels() {
+  const channels = [];
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.NOTIFICATIONS);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return channels;
+    }
+    
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), NOTIFICATION_HEADERS.length).getValues();
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (row.slice(0, 2).every(cell => cell === '')) continue;
+      
+      const channel = parseNotificationChannel(row);
+      if (channel) {
+        channel.row = i + 1;
+        channels.push(channel);
+      } else {
+        Logger.log(`잘못된 알림 채널: ${i + 1}행 (${row.slice(0, 3).join(', ')})`);
+      }
+    }
+  } catch (error) {
+    Logger.log(`알림 채널 시트 읽기 오류: ${error.message}`);
+  }
+  
+  return channels;
+}
+
+/**
+ * Convert a Notifications sheet row to a channel definition
+ * @param {Array} row - Row values in NOTIFICATION_HEADERS order
+ * @return {Object|null} The channel, or null if the type, URL or events are not valid
+ */
+function parseNotificationChannel(row) {
+  const type = String(row[0]).trim().toLowerCase();
+  const url = String(row[1]).trim();
+  const eventText = String(row[2]).trim().toLowerCase();
+  if (!/^https?:\/\//i.test(url)) return null;
+  
+  try {
+    new NotificationChannelFactory().getChannel(type, url);
+  } catch (error) {
+    return null;
+  }
+  
+  const event = eventText === '' ? 'ALL' :
+    Object.keys(NOTIFICATION_EVENTS).find(key => NOTIFICATION_EVENTS[key].includes(eventText));
+  if (!event) return null;
+  
+  return {
+    type: type,
+    url: url,
+    events: event === 'ALL' ? ['SUMMARY', 'ALERTS'] : [event],
+    enabled: !['N', 'NO', 'FALSE', '아니오'].includes(String(row[3]).trim().toUpperCase())
+  };
+}
+
+/**
+ * Summarize the dashboard rows of an update
+ * A row failed when its info cell holds the error written by showTickerError(). Movers are ranked
+ * by the first return period that compares with a past price.
+ * @param {Array<Array>} rows - Dashboard row values of the tickers in the run
+ * @param {Object} columnMap - Column mapping
+ * @param {Array<Object>} tickers - Tickers of the rows ({ ticker, name })
+ * @param {number} [topCount] - Gainers and losers to list (defaults to CONFIG.NOTIFICATIONS.TOP_MOVERS)
+ * @return {Object} { total, updated, failed, moverPeriod, gainers, losers } where failed lists
+ *                  { ticker, name, message } and the movers { ticker, name, value } with value in %
+ */
+function summarizeDashboardRows(rows, columnMap, tickers, topCount = CONFIG.NOTIFICATIONS.TOP_MOVERS) {
+  const period = columnMap.PERIODS.find(p => !CONFIG.PRICE_LEVEL_PERIODS.includes(p.code));
+  const failed = [];
+  const movers = [];
+  
+  rows.forEach((values, i) => {
+    const { ticker, name } = tickers[i];
+    const info = String(values[columnMap.INFO - 1] || '');
+    
+    if (info.startsWith('오류:')) {
+      failed.push({ ticker: ticker, name: name, message: info.replace(/^오류:\s*/, '') });
+      return;
+    }
+    
+    const value = period ? values[period.column - 1] : null;
+    if (typeof value === 'number' && isFinite(value)) {
+      movers.push({ ticker: ticker, name: name, value: value * 100 });
+    }
+  });
+  
+  movers.sort((a, b) => b.value - a.value);
+  
+  return {
+    total: rows.length,
+    updated: rows.length - failed.length,
+    failed: failed,
+    moverPeriod: period ? period.code : null,
+    gainers: movers.filter(mover => mover.value > 0).slice(0, topCount),
+    losers: movers.filter(mover => mover.value < 0).reverse().slice(0, topCount)
+  };
+}
+
+/**
+ * Post a payload to every enabled channel that receives the event
+ * The outcome of each post is written to the channel's 마지막 전송 cell; a failing channel
+ * does not stop the others.
+ * @param {string} event - NOTIFICATION_EVENTS key (SUMMARY or ALERTS)
+ * @param {Function} buildPayload - Called with each NotificationChannel, returns its payload
+ * @return {number} Number of channels the payload was delivered to
+ */
+function sendNotifications(event, buildPayload) {
+  const channels = loadNotificationChannels().filter(channel => channel.enabled && channel.events.includes(event));
+  if (channels.length === 0) return 0;
+  
+  const factory = new NotificationChannelFactory();
+  const sheet = getOrCreateNotificationsSheet();
+  const now = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  let delivered = 0;
+  
+  for (const definition of channels) {
+    let status;
+    try {
+      const channel = factory.getChannel(definition.type, definition.url);
+      channel.send(buildPayload(channel));
+      delivered++;
+      status = `${now} 성공`;
+    } catch (error) {
+      Logger.log(`알림 전송 오류 (${definition.row}행 ${definition.type}): ${error.message}`);
+      status = `${now} 실패: ${error.message}`;
+    }
+    sheet.getRange(definition.row, 6).setValue(status);
+  }
+  
+  Logger.log(`알림 전송 (${event}): ${delivered}/${channels.length}개 채널`);
+  return delivered;
+}
+
+/**
+ * Notify the channels of a finished update and the alerts it raised
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {Object} columnMap - Column mapping
+ * @param {Array<Object>} tickers - All tickers of the dashboard
+ * @param {Array<boolean>} inRun - Whether each ticker belongs to the run
+ * @param {string} runId - Run ID
+ * @param {Date} referenceDate - Reference date of the update
+ * @param {Array<Object>} alerts - Alerts from checkAlerts()
+ */
+function notifyUpdateResult(sheet, columnMap, tickers, inRun, runId, referenceDate, alerts) {
+  try {
+    if (loadNotificationChannels().length === 0) return;
+    
+    // Rows rendered by earlier executions of the run count as well
+    const values = sheet.getRange(2, 1, tickers.length, columnMap.LAST_UPDATED).getValues();
+    const runRows = values.filter((row, i) => inRun[i]);
+    const runTickers = tickers.filter((ticker, i) => inRun[i]);
+    
+    const summary = Object.assign({
+      status: 'success',
+      runId: runId,
+      referenceDate: referenceDate,
+      alertCount: alerts.length,
+      error: null
+    }, summarizeDashboardRows(runRows, columnMap, runTickers));
+    
+    sendNotifications('SUMMARY', channel => channel.buildSummaryPayload(summary));
+    if (alerts.length > 0) {
+      sendNotifications('ALERTS', channel => channel.buildAlertsPayload(alerts, referenceDate));
+    }
+  } catch (error) {
+    Logger.log(`업데이트 결과 알림 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Notify the channels of an update that stopped with an error
+ * @param {Error} error - The error
+ */
+function notifyUpdateError(error) {
+  try {
+    if (loadNotificationChannels().length === 0) return;
+    
+    const checkpoint = getUpdateCheckpoint();
+    let referenceDate;
+    try {
+      referenceDate = getReferenceDate();
+    } catch (e) {
+      referenceDate = new Date();
+    }
+    
+    const summary = {
+      status: 'error',
+      runId: checkpoint ? checkpoint.runId : null,
+      referenceDate: referenceDate,
+      total: 0,
+      updated: 0,
+      failed: [],
+      moverPeriod: null,
+      gainers: [],
+      losers: [],
+      alertCount: 0,
+      error: error.message
+    };
+    
+    sendNotifications('SUMMARY', channel => channel.buildSummaryPayload(summary));
+  } catch (e) {
+    Logger.log(`업데이트 오류 알림 실패: ${e.message}`);
+  }
+}
+
+/**
+ * Open the Notifications sheet, creating it if needed
+ */
+function openNotificationsSheet() {
+  try {
+    const sheet = getOrCreateNotificationsSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`알림 채널 시트 열기 오류: ${error.message}`);
+    showErrorAlert('알림 채널 시트 열기 실패', error.message);
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * Performance Dashboard Ticker - Portfolio Performance Service Module
+ *
+ * This module replays the Transactions sheet against the providers' daily closes
+ * to calculate the portfolio's time-weighted (TWR) and money-weighted (MWR, IRR)
+ * returns for the dashboard's return periods.
+ *
+ * Cash flows are counted at the close of their transaction date. Money invested into
+ * an empty portfolio earns the day's move from its trade price to the close.
+ */
+
+/**
+ * Calculate the portfolio's TWR and MWR for each return period
+ * Periods start at the same DateCalculator anchors as the ticker rows; ITD starts
+ * on the trading day before the first transaction.
+ * @param {Array<Object>} transactions - Transactions from loadTransactions()
+ * @param {DateCalculator} dateCalculator - Date calculator for the reference date
+ * @param {Object} [periodOptions] - Return period options (periods, annualizedPeriods, baseCurrency)
+ * @param {Function} [getClose] - Callback (symbol, date) returning the close on or before the date
+ *                                (defaults to the providers' daily history in the base currency,
+ *                                see createPortfolioPriceLookup)
+ * @return {Object} { startDates, endDate, twr, mwr, annualized } where twr and mwr map period keys
+ *                  to percentages (null if not available) and annualized flags the annualized ones
+ */
+function calculatePortfolioPerformance(transactions, dateCalculator, periodOptions = {}, getClose) {
+  const periodCodes = periodOptions.periods || CONFIG.DEFAULT_PERIODS;
+  const annualizedPeriods = periodOptions.annualizedPeriods || [];
+  const performance = { startDates: {}, endDate: null, twr: {}, mwr: {}, annualized: {} };
+  
+  if (transactions.length === 0) {
+    return performance;
+  }
+  
+  // The portfolio spans markets, so the anchors only skip weekends
+  const firstDate = transactions[0].date;
+  const inceptionDate = new Date(firstDate.getFullYear(), firstDate.getMonth(), firstDate.getDate() - 1);
+  const toDay = date => (date ? new Date(date.getFullYear(), date.getMonth(), date.getDate()) : null);
+  const endDate = toDay(dateCalculator.getLastTradingDate(new Date(dateCalculator.getReferenceDate())));
+  performance.endDate = endDate;
+  
+  // Transactions are dated by day, so the anchors are compared as whole days too
+  for (const periodCode of periodCodes) {
+    if (CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode)) continue;
+    performance.startDates[periodCode] = toDay(dateCalculator.getPeriodStartDate(periodCode, { inceptionDate: inceptionDate }));
+  }
+  
+  const anchors = Object.values(performance.startDates).filter(date => date);
+  let lookup = getClose;
+  let ledger = transactions;
+  
+  // Closes and cash flows are converted into the base currency so mixed-currency portfolios add up
+  if (!lookup && anchors.length > 0) {
+    const historyFrom = getHistoryStartDate(anchors);
+    const priceLookup = createPortfolioPriceLookup(transactions, historyFrom, endDate, periodOptions.baseCurrency || CONFIG.CURRENCY.BASE);
+    lookup = priceLookup.getClose;
+    ledger = convertTransactionAmounts(transactions, historyFrom, priceLookup.getFxRate);
+    if (!ledger) {
+      Logger.log('거래 금액을 기준 통화로 환산할 수 없어 포트폴리오 수익률을 계산하지 않습니다.');
+      ledger = [];
+    }
+  }
+  
+  for (const periodCode of periodCodes) {
+    const key = CONFIG.PERIODS[periodCode].key;
+    const startDate = performance.startDates[periodCode];
+    performance.twr[key] = null;
+    performance.mwr[key] = null;
+    performance.annualized[key] = false;
+    
+    if (!startDate || ledger.length === 0) continue;
+    
+    let twr = calculateTimeWeightedReturn(ledger, startDate, endDate, lookup);
+    let mwr = calculateMoneyWeightedReturn(ledger, startDate, endDate, lookup);
+    
+    // Annualize only when the period spans at least a year, like the ticker returns
+    const years = getPeriodYears(startDate, endDate);
+    if (annualizedPeriods.includes(periodCode) && years >= 1) {
+      twr = annualizeReturn(twr, years);
+      mwr = annualizeReturn(mwr, years);
+      performance.annualized[key] = twr !== null || mwr !== null;
+    }
+    
+    performance.twr[key] = twr;
+    performance.mwr[key] = mwr;
+    Logger.log(`포트폴리오 ${CONFIG.PERIODS[periodCode].header}: TWR ${twr}, MWR ${mwr}`);
+  }
+  
+  return performance;
+}
+
+/**
+ * Calculate the time-weighted return between two dates
+ * The period is split at every day with a cash flow and the sub-period returns are chained,
+ * so the size and timing of contributions do not affect the result.
+ * @param {Array<Object>} transactions - Transactions sorted by date
+ * @param {Date} startDate - Start of the period (valued at its close)
+ * @param {Date} endDate - End of the period (valued at its close)
+ * @param {Function} getClose - Callback (symbol, date) returning a close or null
+ * @return {number|null} Return percentage, or null if a value is missing or nothing was held
+ */
+function calculateTimeWeightedReturn(transactions, startDate, endDate, getClose) {
+  let previousValue = getPortfolioValue(transactions, startDate, getClose);
+  if (previousValue === null) return null;
+  
+  let growth = 1;
+  let invested = previousValue > 0;
+  
+  for (const flow of getPortfolioFlows(transactions, startDate, endDate)) {
+    const value = getPortfolioValue(transactions, flow.date, getClose);
+    if (value === null) return null;
+    
+    if (previousValue > 0) {
+      growth *= (value + flow.outflow - flow.inflow) / previousValue;
+      invested = true;
+    } else if (flow.inflow > 0) {
+      // Nothing was invested before this day, so the day's return is on the cash put in
+      growth *= (value + flow.outflow) / flow.inflow;
+      invested = true;
+    }
+    previousValue = value;
+  }
+  
+  const endValue = getPortfolioValue(transactions, endDate, getClose);
+  if (endValue === null) return null;
+  if (previousValue > 0) {
+    growth *= endValue / previousValue;
+  }
+  
+  return invested ? (growth - 1) * 100 : null;
+}
+
+/**
+ * Calculate the money-weighted return (IRR) between two dates, expressed over the whole period
+ * The starting value counts as an investment at the start and the ending value as a withdrawal at the end.
+ * @param {Array<Object>} transactions - Transactions sorted by date
+ * @param {Date} startDate - Start of the period (valued at its close)
+ * @param {Date} endDate - End of the period (valued at its close)
+ * @param {Function} getClose - Callback (symbol, date) returning a close or null
+ * @return {number|null} Return percentage for the period, or null if it cannot be solved
+ */
+function calculateMoneyWeightedReturn(transactions, startDate, endDate, getClose) {
+  const span = endDate.getTime() - startDate.getTime();
+  if (!(span > 0)) return null;
+  
+  const startValue = getPortfolioValue(transactions, startDate, getClose);
+  const endValue = getPortfolioValue(transactions, endDate, getClose);
+  if (startValue === null || endValue === null) return null;
+  
+  // Cash flows from the investor's side: money put in is negative, money taken out positive
+  const cashFlows = [{ time: 0, amount: -startValue }];
+  for (const flow of getPortfolioFlows(transactions, startDate, endDate)) {
+    cashFlows.push({ time: (flow.date.getTime() - startDate.getTime()) / span, amount: flow.outflow - flow.inflow });
+  }
+  cashFlows.push({ time: 1, amount: endValue });
+  
+  const rate = solvePeriodIrr(cashFlows);
+  return rate !== null ? rate * 100 : null;
+}
+
+/**
+ * Solve the rate for which the cash flows have a net present value of zero
+ * Time is measured in whole periods, so the result is the return over the period.
+ * @param {Array<Object>} cashFlows - Cash flows of { time, amount } with time between 0 and 1
+ * @return {number|null} Period rate (0.05 = 5%), or null if the flows have no solution
+ */
+function solvePeriodIrr(cashFlows) {
+  const flows = cashFlows.filter(flow => flow.amount !== 0);
+  if (!flows.some(flow => flow.amount > 0) || !flows.some(flow => flow.amount < 0)) {
+    return null;
+  }
+  
+  const npv = (rate) => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.time), 0);
+  
+  // Bracket the root, widening the upper bound for large gains, then bisect
+  let low = -0.999999;
+  let high = 1;
+  while (npv(low) * npv(high) > 0 && high < 1e9) {
+    high *= 10;
+  }
+  if (npv(low) * npv(high) > 0) {
+    return null;
+  }
+  
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const middle = (low + high) / 2;
+    if (npv(low) * npv(middle) <= 0) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  
+  return (low + high) / 2;
+}
+
+/**
+ * Convert a cumulative return to an annualized one
+ * @param {number|null} cumulativeReturn - Return percentage over the period
+ * @param {number} years - Length of the period in years
+ * @return {number|null} Annualized return percentage, or null for a total loss or missing return
+ */
+function annualizeReturn(cumulativeReturn, years) {
+  if (cumulativeReturn === null || !(years > 0)) return null;
+  
+  const growth = 1 + cumulativeReturn / 100;
+  return growth > 0 ? (Math.pow(growth, 1 / years) - 1) * 100 : null;
+}
+
+/**
+ * Get the quantity of each symbol held after the transactions of a date
+ * @param {Array<Object>} transactions - Transactions
+ * @param {Date} date - Valuation date
+ * @return {Object} Map of symbol to quantity
+ */
+function getPortfolioQuantities(transactions, date) {
+  const quantities = {};
+  
+  for (const transaction of transactions) {
+    if (transaction.date > date) continue;
+    
+    const sign = transaction.type === 'BUY' ? 1 : transaction.type === 'SELL' ? -1 : 0;
+    quantities[transaction.symbol] = (quantities[transaction.symbol] || 0) + sign * transaction.quantity;
+  }
+  
+  return quantities;
+}
+
+/**
+ * Value the portfolio at the close of a date
+ * @param {Array<Object>} transactions - Transactions
+ * @param {Date} date - Valuation date
+ * @param {Function} getClose - Callback (symbol, date) returning a close or null
+ * @return {number|null} Portfolio value, or null if a held symbol has no close
+ */
+function getPortfolioValue(transactions, date, getClose) {
+  let value = 0;
+  
+  for (const [symbol, quantity] of Object.entries(getPortfolioQuantities(transactions, date))) {
+    // Rounding can leave a tiny remainder after selling everything
+    if (Math.abs(quantity) < 1e-9) continue;
+    
+    const close = getClose(symbol, date);
+    if (!isValidPrice(close)) {
+      Logger.log(`${symbol}: ${Utilities.formatDate(date, "GMT+9", "yyyy-MM-dd")} 종가가 없어 포트폴리오 가치를 계산할 수 없습니다.`);
+      return null;
+    }
+    value += quantity * close;
+  }
+  
+  return value;
+}
+
+/**
+ * Add up the cash flows of each day after the start date up to and including the end date
+ * @param {Array<Object>} transactions - Transactions sorted by date
+ * @param {Date} startDate - Start of the period (its flows belong to the starting value)
+ * @param {Date} endDate - End of the period
+ * @return {Array<Object>} Flows of { date, inflow, outflow } sorted by date, where inflow is
+ *                         the cash invested in buys and outflow the cash from sells and dividends
+ */
+function getPortfolioFlows(transactions, startDate, endDate) {
+  const flows = [];
+  
+  for (const transaction of transactions) {
+    if (transaction.date <= startDate || transaction.date > endDate) continue;
+    
+    let flow = flows.length > 0 ? flows[flows.length - 1] : null;
+    if (!flow || flow.date.getTime() !== transaction.date.getTime()) {
+      flow = { date: transaction.date, inflow: 0, outflow: 0 };
+      flows.push(flow);
+    }
+    
+    if (transaction.type === 'BUY') {
+      flow.inflow += transaction.amount;
+    } else {
+      flow.outflow += transaction.amount;
+    }
+  }
+  
+  return flows;
+}
+
+/**
+ * Create close and FX lookups backed by the providers' daily history
+ * Each symbol uses the data sources and currency of its row in the Tickers sheet.
+ * @param {Array<Object>} transactions - Transactions
+ * @param {Date} from - First date of the history
+ * @param {Date} to - Last date of the history
+ * @param {string} baseCurrency - Currency the closes are converted into
+ * @return {Object} { getClose, getFxRate }: callbacks (symbol, date) returning the base-currency close
+ *                  and the rate from the symbol's currency on or before the date, or null
+ */
+function createPortfolioPriceLookup(transactions, from, to, baseCurrency) {
+  const marketTimeManager = new MarketTimeManager();
+  const dataProviderFactory = new DataProviderFactory(marketTimeManager);
+  const fxRateLookup = createFxRateLookup(baseCurrency, from, to);
+  const tickersBySymbol = {};
+  for (const ticker of loadTickerData()) {
+    tickersBySymbol[String(ticker.ticker).trim().toUpperCase()] = ticker;
+  }
+  
+  const symbols = {};
+  for (const transaction of transactions) {
+    const symbol = transaction.symbol;
+    if (symbols[symbol] !== undefined) continue;
+    
+    const ticker = tickersBySymbol[symbol];
+    if (!ticker) {
+      Logger.log(`${symbol}: 티커 시트에 없어 데이터 소스를 알 수 없습니다.`);
+      symbols[symbol] = null;
+      continue;
+    }
+    
+    const providers = dataProviderFactory.getProviders(ticker.sources || [ticker.source]);
+    symbols[symbol] = {
+      providers: providers,
+      currency: resolveTickerCurrency(ticker, providers, marketTimeManager.getMarketRegion(ticker.source, ticker.ticker)),
+      getProviderHistory: createHistoryLoader(symbol, from, to)
+    };
+  }
+  
+  const getFxRate = (symbol, date) => (symbols[symbol] ? fxRateLookup(symbols[symbol].currency, date) : null);
+  
+  const getClose = (symbol, date) => {
+    const entry = symbols[symbol];
+    if (!entry) return null;
+    
+    const fxRate = getFxRate(symbol, date);
+    if (fxRate === null) return null;
+    
+    for (const provider of entry.providers) {
+      const providerSymbol = DataProviderFactory.formatSymbol(symbol, provider.source);
+      const bar = DataProvider.findBarOnOrBefore(entry.getProviderHistory(provider, providerSymbol), date, CONFIG.HISTORY.MAX_GAP_DAYS);
+      if (bar) return bar.close * fxRate;
+    }
+    return null;
+  };
+  
+  return { getClose: getClose, getFxRate: getFxRate };
+}
+
+/**
+ * Convert the cash amounts of the transactions that fall in the measured periods into the base currency
+ * Earlier transactions only contribute quantities, so their amounts are left as entered.
+ * @param {Array<Object>} transactions - Transactions
+ * @param {Date} from - First date of the measured periods
+ * @param {Function} getFxRate - Callback (symbol, date) returning the rate into the base currency
+ * @return {Array<Object>|null} Converted copies of the transactions, or null if a rate is missing
+ */
+function convertTransactionAmounts(transactions, from, getFxRate) {
+  const converted = [];
+  
+  for (const transaction of transactions) {
+    if (transaction.date < from) {
+      converted.push(transaction);
+      continue;
+    }
+    
+    const fxRate = getFxRate(transaction.symbol, transaction.date);
+    if (fxRate === null) {
+      Logger.log(`${transaction.symbol}: ${Utilities.formatDate(transaction.date, "GMT+9", "yyyy-MM-dd")} 환율이 없습니다.`);
+      return null;
+    }
+    converted.push(Object.assign({}, transaction, { amount: transaction.amount * fxRate }));
+  }
+  
+  return converted;
+}
@@ -0,0 +1,252 @@
+/**
+ * Performance Dashboard Ticker - Price Cache Service Module
+ *
+ * This module stores settled daily bars so closed days are not downloaded again.
+ * The hidden PriceCache sheet is the persistent tier; CacheService is a hot tier
+ * that avoids reading the sheet on every run.
+ */
+
+/**
+ * Column layout of the PriceCache sheet
+ */
+const PRICE_CACHE_HEADERS = ['키', '날짜', '시가', '고가', '저가', '종가', '수정종가', '거래량'];
+
+/**
+ * Cached bars keyed by "source|symbol", loaded from the sheet once per execution
+ */
+let PRICE_CACHE_INDEX = null;
+
+/**
+ * Build the cache key for a provider symbol
+ * @param {string} source - Data source (e.g. yahoo)
+ * @param {string} symbol - Provider-formatted symbol
+ * @return {string} Cache key
+ */
+function getPriceCacheKey(source, symbol) {
+  return `${source}|${symbol}`.toUpperCase();
+}
+
+/**
+ * Get or create the hidden PriceCache sheet
+ * @return {Sheet} The cache sheet
+ */
+function getOrCreatePriceCacheSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.PRICE_CACHE);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.PRICE_CACHE);
+    sheet.getRange(1, 1, 1, PRICE_CACHE_HEADERS.length).setValues([PRICE_CACHE_HEADERS]);
+    sheet.getRange(1, 1, 1, PRICE_CACHE_HEADERS.length).setFontWeight('bold');
+    // Keep dates as text so the spreadsheet timezone cannot shift them
+    sheet.getRange('B:B').setNumberFormat('@');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    Logger.log('가격 캐시 시트를 생성했습니다.');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Load every cached bar from the sheet into PRICE_CACHE_INDEX
+ * @return {Object} Map of cache key to bars
+ */
+function loadPriceCacheIndex() {
+  if (PRICE_CACHE_INDEX) {
+    return PRICE_CACHE_INDEX;
+  }
+  
+  PRICE_CACHE_INDEX = {};
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.PRICE_CACHE);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return PRICE_CACHE_INDEX;
+    }
+    
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, PRICE_CACHE_HEADERS.length).getValues();
+    for (const row of rows) {
+      const key = String(row[0]);
+      if (!PRICE_CACHE_INDEX[key]) {
+        PRICE_CACHE_INDEX[key] = [];
+      }
+      PRICE_CACHE_INDEX[key].push(priceCacheRowToBar(row));
+    }
+  } catch (error) {
+    Logger.log(`가격 캐시 시트 읽기 오류: ${error.message}`);
+  }
+  
+  return PRICE_CACHE_INDEX;
+}
+
+/**
+ * Read the settled bars cached for a provider symbol
+ * @param {string} source - Data source
+ * @param {string} symbol - Provider-formatted symbol
+ * @return {Array<Object>} Cached bars with date as 'yyyy-MM-dd' (unsorted)
+ */
+function readCachedHistory(source, symbol) {
+  const key = getPriceCacheKey(source, symbol);
+  const scriptCache = CacheService.getScriptCache();
+  
+  try {
+    const hot = scriptCache.get(key);
+    if (hot) {
+      return JSON.parse(hot);
+    }
+  } catch (error) {
+    Logger.log(`가격 캐시(CacheService) 읽기 오류: ${error.message}`);
+  }
+  
+  const bars = loadPriceCacheIndex()[key] || [];
+  putHotPriceCache(key, bars);
+  return bars;
+}
+
+/**
+ * Append newly settled bars to the cache
+ * Bars already cached for the same date are skipped; callers must only pass settled bars
+ * @param {string} source - Data source
+ * @param {string} symbol - Provider-formatted symbol
+ * @param {Array<Object>} bars - Normalized bars to store
+ * @return {number} Number of bars written
+ */
+function writeCachedHistory(source, symbol, bars) {
+  if (!bars || bars.length === 0) return 0;
+  
+  const key = getPriceCacheKey(source, symbol);
+  const index = loadPriceCacheIndex();
+  const cached = index[key] || [];
+  const cachedDates = new Set(cached.map(bar => bar.date));
+  const newBars = bars
+    .map(bar => Object.assign({}, bar, { date: formatCacheDate(bar.date) }))
+    .filter(bar => !cachedDates.has(bar.date));
+  
+  if (newBars.length === 0) return 0;
+  
+  try {
+    const sheet = getOrCreatePriceCacheSheet();
+    const rows = newBars.map(bar => [key, bar.date, bar.open, bar.high, bar.low, bar.close, bar.adjClose, bar.volume]
+      .map(value => (value === null || value === undefined ? '' : value)));
+    ensureSheetRows(sheet, sheet.getLastRow() + rows.length);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, PRICE_CACHE_HEADERS.length).setValues(rows);
+  } catch (error) {
+    Logger.log(`가격 캐시 저장 오류 (${key}): ${error.message}`);
+    return 0;
+  }
+  
+  index[key] = cached.concat(newBars);
+  putHotPriceCache(key, index[key]);
+  Logger.log(`가격 캐시 저장: ${key} - ${newBars.length}개 거래일`);
+  return newBars.length;
+}
+
+/**
+ * Remove every cached bar for a symbol, across all sources
+ * @param {string} symbol - Ticker symbol as entered in the Tickers sheet
+ * @return {number} Number of rows removed
+ */
+function purgePriceCache(symbol) {
+  // The cache is keyed by provider-formatted symbols, so match every source's format
+  const keys = new Set();
+  for (const source of DataProviderFactory.getSupportedSources()) {
+    keys.add(getPriceCacheKey(source, symbol));
+    keys.add(getPriceCacheKey(source, DataProviderFactory.formatSymbol(symbol, source)));
+  }
+  
+  CacheService.getScriptCache().removeAll(Array.from(keys));
+  PRICE_CACHE_INDEX = null;
+  
+  const sheet = SS.getSheetByName(CONFIG.SHEETS.PRICE_CACHE);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return 0;
+  }
+  
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, PRICE_CACHE_HEADERS.length).getValues();
+  const kept = values.filter(row => !keys.has(String(row[0])));
+  const removed = values.length - kept.length;
+  
+  if (removed > 0) {
+    sheet.getRange(2, 1, values.length, PRICE_CACHE_HEADERS.length).clearContent();
+    if (kept.length > 0) {
+      sheet.getRange(2, 1, kept.length, PRICE_CACHE_HEADERS.length).setValues(kept);
+    }
+  }
+  
+  Logger.log(`가격 캐시 삭제: ${symbol} - ${removed}개 행`);
+  return removed;
+}
+
+/**
+ * Store bars in the CacheService hot tier
+ * Values over the CacheService size limit are skipped; the sheet still holds them
+ * @param {string} key - Cache key
+ * @param {Array<Object>} bars - Bars to store
+ */
+function putHotPriceCache(key, bars) {
+  if (bars.length === 0) return;
+  
+  try {
+    const value = JSON.stringify(bars);
+    if (value.length < CONFIG.PRICE_CACHE.HOT_MAX_BYTES) {
+      CacheService.getScriptCache().put(key, value, CONFIG.PRICE_CACHE.HOT_TTL_SECONDS);
+    }
+  } catch (error) {
+    Logger.log(`가격 캐시(CacheService) 저장 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a PriceCache row to a bar
+ * @param {Array} row - Sheet row
+ * @return {Object} Bar with date as 'yyyy-MM-dd'
+ */
+function priceCacheRowToBar(row) {
+  const number = value => (value === '' || value === null ? null : Number(value));
+  return {
+    date: formatCacheDate(row[1]),
+    open: number(row[2]),
+    high: number(row[3]),
+    low: number(row[4]),
+    close: number(row[5]),
+    adjClose: number(row[6]),
+    volume: number(row[7])
+  };
+}
+
+/**
+ * Format a bar date as the 'yyyy-MM-dd' text stored in the cache
+ * @param {Date|string} date - Bar date
+ * @return {string} Date key
+ */
+function formatCacheDate(date) {
+  if (date instanceof Date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  return String(date).substring(0, 10);
+}
+
+/**
+ * Ask for a ticker and purge its cached prices (menu handler)
+ */
+function purgePriceCacheForSymbol() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    '가격 캐시 삭제',
+    '캐시를 삭제할 티커를 입력하세요 (예: AAPL, 005930).\n다음 업데이트 시 해당 티커의 과거 가격을 다시 다운로드합니다.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  const symbol = response.getResponseText().trim();
+  if (!symbol) return;
+  
+  try {
+    const removed = purgePriceCache(symbol);
+    ui.alert('가격 캐시 삭제', `${symbol}: ${removed}개의 캐시된 거래일을 삭제했습니다.`, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`가격 캐시 삭제 오류: ${error.message}`);
+    showErrorAlert('가격 캐시 삭제 실패', error.message);
+  }
+}
@@ -7,11 +7,16 @@
 /**
  * Get prices for a ticker for all time periods
  * @param {string} symbol - The ticker symbol
- * @param {string} source - The data source
+ * @param {string|Array<string>} source - The data source, or an ordered fallback list (e.g. "naver,yahoo,google")
  * @param {DateCalculator} dateCalculator - The date calculator
- * @return {Object} Object containing all prices
+ * @param {Object} [options] - Period options
+ * @param {Array<string>} [options.periods] - Period codes to fetch (defaults to CONFIG.DEFAULT_PERIODS)
+ * @param {Date} [options.inceptionDate] - Inception date for the since-inception period
+ * @return {Object} Object containing the current price, the price at the start of each period,
+ *                  the period anchor dates, the provider that supplied each of them, the
+ *                  quality (CONFIG.PRICE_QUALITY flag) of each price and its lineage (see getLineageEntry)
  */
-function getPrices(symbol, source, dateCalculator) {
+function getPrices(symbol, source, dateCalculator, options = {}) {
   try {
     Logger.log(`${symbol} 가격 정보 조회 중 (${source})...`);
     
@@ -19,93 +24,131 @@ function getPrices(symbol, source, dateCalculator) {
     const originalDiagnosticMode = isDiagnosticModeEnabled();
     enableDiagnosticMode(true, false); // Don't show alert when temporarily enabling
     
-    // Initialize data provider
+    // Initialize the data providers in fallback order
+    const sources = DataProviderFactory.parseSources(source);
     const marketTimeManager = new MarketTimeManager();
     const dataProviderFactory = new DataProviderFactory(marketTimeManager);
-    const dataProvider = dataProviderFactory.getProvider(source);
+    const dataProviders = dataProviderFactory.getProviders(sources);
     
-    if (!dataProvider) {
+    if (dataProviders.length === 0) {
       throw new Error(`데이터 공급자를 찾을 수 없습니다: ${source}`);
     }
     
+    // Track which provider supplied each field, how exact each price is and where it came from
+    const providers = {};
+    const quality = {};
+    const lineage = {};
+    
     // Get current price
     Logger.log(`${symbol}: 현재 가격 조회 중...`);
-    const current = dataProvider.getPrice(symbol, dateCalculator.getReferenceDate());
+    const currentResult = fetchPriceWithFallback(dataProviders, symbol, '현재 가격',
+      (provider, providerSymbol) => provider.getPrice(providerSymbol, dateCalculator.getReferenceDate()));
+    const current = currentResult.value;
     Logger.log(`${symbol}: 현재 가격 = ${current}`);
     
-    if (typeof current !== 'number' || isNaN(current)) {
-      throw new Error(`현재 가격을 가져올 수 없습니다: ${symbol} (${source})`);
+    if (current === null) {
+      throw new Error(`현재 가격을 가져올 수 없습니다: ${symbol} (${sources.join(', ')})`);
     }
+    providers.current = currentResult.source;
+    quality.current = getQualityEntry(currentResult);
     
-    // Get market region
-    const marketRegion = marketTimeManager.getMarketRegion(source, symbol);
+    // Get market region from the primary source
+    const marketRegion = marketTimeManager.getMarketRegion(sources[0], symbol);
     Logger.log(`${symbol}: Market region = ${marketRegion}`);
     
     // Add annotations for the date
     const currentDate = dateCalculator.getReferenceDate();
     const mostRecentTradingDay = marketTimeManager.getMostRecentTradingDay(marketRegion, currentDate);
     
-    // Get historical price data
-    const weeklyDate = dateCalculator.getDateWeeksAgo(1);
-    const monthlyDate = dateCalculator.getDateMonthsAgo(1);
-    const ytdDate = dateCalculator.getYearStartDate();
+    // Period anchor dates skip the exchange's holidays
+    const periods = parsePeriodCodes(options.periods || CONFIG.DEFAULT_PERIODS);
+    const { periodDates, yearAgo, historyFrom, historyTo } = getPriceDates(dateCalculator, marketRegion, periods, options);
+    const prices = {
+      current,
+      referenceDate: mostRecentTradingDay,
+      periods,
+      dates: {
+        // End of every period: the reference date adjusted to the market's last trading day
+        current: historyTo
+      },
+      providers,
+      quality,
+      lineage
+    };
+    lineage.current = getLineageEntry(currentResult, historyTo);
     
-    Logger.log(`${symbol}: 주간 날짜 = ${weeklyDate.toISOString()}`);
-    Logger.log(`${symbol}: 월간 날짜 = ${monthlyDate.toISOString()}`);
-    Logger.log(`${symbol}: 연초 날짜 = ${ytdDate.toISOString()}`);
+    // One daily history per provider covers every anchor date and the 52-week window;
+    // point lookups are only used when a provider's history does not reach a date
+    const getProviderHistory = createHistoryLoader(symbol, historyFrom, historyTo);
+    const maxGapDays = CONFIG.HISTORY.MAX_GAP_DAYS;
     
-    // Get prices for different time periods
-    Logger.log(`${symbol}: 주간 가격 조회 중...`);
-    let weekly = null;
-    try {
-      weekly = dataProvider.getHistoricalPrice(symbol, weeklyDate);
-      Logger.log(`${symbol}: 주간 가격 = ${weekly}`);
-    } catch (error) {
-      Logger.log(`${symbol}: 주간 가격 조회 오류 - ${error.message}`);
-      weekly = null;
-    }
-    
-    Logger.log(`${symbol}: 월간 가격 조회 중...`);
-    let monthly = null;
-    try {
-      monthly = dataProvider.getHistoricalPrice(symbol, monthlyDate);
-      Logger.log(`${symbol}: 월간 가격 = ${monthly}`);
-    } catch (error) {
-      Logger.log(`${symbol}: 월간 가격 조회 오류 - ${error.message}`);
-      monthly = null;
-    }
+    // Get highest price in 52 weeks (always shown; the HIGH period only adds the return column)
+    Logger.log(`${symbol}: 52주 최고가 조회 중...`);
+    const highResult = fetchPriceWithFallback(dataProviders, symbol, '52주 최고가',
+      (provider, providerSymbol) => {
+        const highest = DataProvider.getHighestPrice(getProviderHistory(provider, providerSymbol), yearAgo, maxGapDays);
+        return highest !== null ? Math.max(highest, current) : provider.getHighPrice(providerSymbol);
+      });
+    Logger.log(`${symbol}: 52주 최고가 = ${highResult.value}`);
+    prices.high = highResult.value;
+    providers.high = highResult.source;
+    quality.high = getQualityEntry(highResult);
+    lineage.high = getLineageEntry(highResult, historyTo);
     
-    Logger.log(`${symbol}: 연초 가격 조회 중...`);
-    let ytd = null;
-    try {
-      ytd = dataProvider.getHistoricalPrice(symbol, ytdDate);
-      Logger.log(`${symbol}: 연초 가격 = ${ytd}`);
-    } catch (error) {
-      Logger.log(`${symbol}: 연초 가격 조회 오류 - ${error.message}`);
-      ytd = null;
-    }
+    // Get lowest price in 52 weeks (always shown; the LOW period only adds the return column)
+    Logger.log(`${symbol}: 52주 최저가 조회 중...`);
+    const lowResult = fetchPriceWithFallback(dataProviders, symbol, '52주 최저가',
+      (provider, providerSymbol) => {
+        const lowest = DataProvider.getLowestPrice(getProviderHistory(provider, providerSymbol), yearAgo, maxGapDays);
+        return lowest !== null ? Math.min(lowest, current) : provider.getLowPrice(providerSymbol);
+      });
+    Logger.log(`${symbol}: 52주 최저가 = ${lowResult.value}`);
+    prices.low = lowResult.value;
+    providers.low = lowResult.source;
+    quality.low = getQualityEntry(lowResult);
+    lineage.low = getLineageEntry(lowResult, historyTo);
     
-    // Get highest price in 52 weeks
-    Logger.log(`${symbol}: 52주 최고가 조회 중...`);
-    let high = null;
-    try {
-      high = dataProvider.getHighPrice(symbol);
-      Logger.log(`${symbol}: 52주 최고가 = ${high}`);
-    } catch (error) {
-      Logger.log(`${symbol}: 52주 최고가 조회 오류 - ${error.message}`);
-      high = null;
+    // Get the price at the start of each configured period
+    for (const periodCode of periods) {
+      if (CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode)) continue;
+      
+      const { key, header } = CONFIG.PERIODS[periodCode];
+      const periodDate = periodDates[periodCode];
+      if (!periodDate) {
+        prices[key] = null;
+        providers[key] = null;
+        quality[key] = { flag: CONFIG.PRICE_QUALITY.MISSING };
+        lineage[key] = getLineageEntry({ quality: CONFIG.PRICE_QUALITY.MISSING }, null);
+        continue;
+      }
+      
+      Logger.log(`${symbol}: ${header} 기준일 = ${periodDate.toISOString()}`);
+      const anchorDay = new Date(periodDate.getFullYear(), periodDate.getMonth(), periodDate.getDate());
+      let periodResult = fetchPriceWithFallback(dataProviders, symbol, `${header} 기준 가격`,
+        (provider, providerSymbol) => {
+          const bar = DataProvider.findBarOnOrBefore(getProviderHistory(provider, providerSymbol), periodDate, maxGapDays);
+          if (bar) {
+            const flag = bar.date.getTime() === anchorDay.getTime() ? CONFIG.PRICE_QUALITY.EXACT : CONFIG.PRICE_QUALITY.NEAREST;
+            return { value: bar.close, quality: flag, date: bar.date };
+          }
+          // Point lookups may answer with the closest date the provider has, which they do not report
+          return { value: provider.getHistoricalPrice(providerSymbol, periodDate), quality: CONFIG.PRICE_QUALITY.NEAREST };
+        });
+      
+      // Bridge a gap in the history rather than leaving the period empty
+      if (periodResult.value === null) {
+        periodResult = interpolatePeriodPrice(dataProviders, symbol, periodDate, getProviderHistory);
+      }
+      Logger.log(`${symbol}: ${header} 기준 가격 = ${periodResult.value} (${periodResult.quality})`);
+      
+      prices[key] = periodResult.value;
+      prices.dates[key] = periodDate;
+      providers[key] = periodResult.source;
+      quality[key] = getQualityEntry(periodResult);
+      lineage[key] = getLineageEntry(periodResult, periodDate);
     }
     
     // Debug the price data structure
-    const prices = {
-      current,
-      high,
-      weekly,
-      monthly,
-      ytd,
-      referenceDate: mostRecentTradingDay
-    };
-    
     Logger.log(`${symbol} 가격 데이터 구조:`);
     Logger.log(JSON.stringify(prices, null, 2));
     
@@ -127,23 +170,394 @@ function getPrices(symbol, source, dateCalculator) {
 }
 
 /**
- * Calculate returns for different time periods
- * @param {Object} prices - Object containing all prices
- * @return {Object} Object containing all returns
+ * Try each provider in order until one returns a usable price
+ * @param {Array<DataProvider>} dataProviders - Providers in fallback order
+ * @param {string} symbol - The ticker symbol as entered in the Tickers sheet
+ * @param {string} label - Field description for logging
+ * @param {Function} fetcher - Callback (provider, providerSymbol) returning a price, or
+ *                             { value, quality, date } when the price is not an exact one
+ * @return {Object} Object with the price value (or null), the source that supplied it (or null),
+ *                  its CONFIG.PRICE_QUALITY flag, the date of the bar it came from (if known), and the
+ *                  URLs and formulas used and the time taken across every provider tried
+ */
+function fetchPriceWithFallback(dataProviders, symbol, label, fetcher) {
+  const traced = traceFetches(() => {
+    for (const provider of dataProviders) {
+      const providerSymbol = DataProviderFactory.formatSymbol(symbol, provider.source);
+      
+      try {
+        const result = fetcher(provider, providerSymbol);
+        const { value, quality, date } = result !== null && typeof result === 'object' ? result : { value: result };
+        
+        if (isValidPrice(value)) {
+          return { value: value, source: provider.source, quality: quality || CONFIG.PRICE_QUALITY.EXACT, date: date || null };
+        }
+        
+        Logger.log(`${symbol}: ${label} - ${provider.name}에서 유효한 값을 받지 못했습니다 (${value}).`);
+      } catch (error) {
+        Logger.log(`${symbol}: ${label} - ${provider.name} 조회 오류: ${error.message}`);
+      }
+    }
+    
+    return { value: null, source: null, quality: CONFIG.PRICE_QUALITY.MISSING, date: null };
+  });
+  
+  return Object.assign(traced.result, { sources: traced.sources, latencyMs: traced.latencyMs });
+}
+
+/**
+ * Interpolate a period price from the histories already loaded for a ticker
+ * @param {Array<DataProvider>} dataProviders - Providers in fallback order
+ * @param {string} symbol - The ticker symbol as entered in the Tickers sheet
+ * @param {Date} date - Period anchor date
+ * @param {Function} getProviderHistory - History loader from createHistoryLoader()
+ * @return {Object} Result like fetchPriceWithFallback(), with the surrounding bar dates as range
+ */
+function interpolatePeriodPrice(dataProviders, symbol, date, getProviderHistory) {
+  const traced = traceFetches(() => {
+    for (const provider of dataProviders) {
+      const providerSymbol = DataProviderFactory.formatSymbol(symbol, provider.source);
+      const history = getProviderHistory(provider, providerSymbol);
+      const interpolated = DataProvider.interpolateClose(history, date, CONFIG.HISTORY.MAX_INTERPOLATION_DAYS);
+      
+      if (interpolated && isValidPrice(interpolated.close)) {
+        return {
+          value: interpolated.close,
+          source: provider.source,
+          quality: CONFIG.PRICE_QUALITY.INTERPOLATED,
+          date: null,
+          range: { from: interpolated.before.date, to: interpolated.after.date }
+        };
+      }
+    }
+    
+    return { value: null, source: null, quality: CONFIG.PRICE_QUALITY.MISSING, date: null };
+  });
+  
+  return Object.assign(traced.result, { sources: traced.sources, latencyMs: traced.latencyMs });
+}
+
+/**
+ * Build the quality entry stored in prices.quality for a price lookup result
+ * @param {Object} result - Result of fetchPriceWithFallback() or interpolatePeriodPrice()
+ * @return {Object} { flag, date, range }
+ */
+function getQualityEntry(result) {
+  return { flag: result.quality, date: result.date || null, range: result.range || null };
+}
+
+/**
+ * Build the lineage entry stored in prices.lineage for a price lookup result
+ * An exact price matches the requested date; other prices only match the date of their bar, if known.
+ * @param {Object} result - Result of fetchPriceWithFallback() or interpolatePeriodPrice()
+ * @param {Date|null} requestedDate - Date the price was asked for (the end of the window for the 52-week high and low)
+ * @return {Object} { requestedDate, matchedDate, sources, latencyMs }
+ */
+function getLineageEntry(result, requestedDate) {
+  const matchedDate = result.date || (result.quality === CONFIG.PRICE_QUALITY.EXACT ? requestedDate : null);
+  
+  return {
+    requestedDate: requestedDate || null,
+    matchedDate: matchedDate || null,
+    sources: result.sources || [],
+    latencyMs: result.latencyMs === undefined ? null : result.latencyMs
+  };
+}
+
+/**
+ * Describe every price that is not exact, for the audit notes and the dashboard info column
+ * @param {Object} prices - Prices returned by getPrices()
+ * @return {Array<string>} One explanation per non-exact price
  */
-function calculateReturns(prices) {
-  if (!prices) {
-    return { weekly: null, monthly: null, ytd: null, high: null };
+function describePriceQuality(prices) {
+  if (!prices || !prices.quality) return [];
+  
+  const labels = { current: '현재가', high: '52주 최고가', low: '52주 최저가' };
+  for (const periodCode of prices.periods || []) {
+    if (!CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode)) {
+      labels[CONFIG.PERIODS[periodCode].key] = `${CONFIG.PERIODS[periodCode].header.replace(' 변화', '')} 기준가`;
+    }
   }
   
+  return Object.keys(labels)
+    .map(key => describePriceQualityEntry(labels[key], prices.quality[key]))
+    .filter(description => description !== null);
+}
+
+/**
+ * Describe a single non-exact price
+ * @param {string} label - Price label
+ * @param {Object} entry - Quality entry from prices.quality
+ * @return {string|null} Explanation, or null for an exact price
+ */
+function describePriceQualityEntry(label, entry) {
+  if (!entry) return null;
+  
+  const formatDay = date => Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  
+  switch (entry.flag) {
+    case CONFIG.PRICE_QUALITY.NEAREST:
+      return entry.date ?
+        `${label}: ${formatDay(entry.date)} 종가 사용 (가장 가까운 이전 거래일)` :
+        `${label}: 공급자가 제공한 인접 거래일 가격`;
+    case CONFIG.PRICE_QUALITY.INTERPOLATED:
+      return `${label}: ${formatDay(entry.range.from)}~${formatDay(entry.range.to)} 종가로 보간한 추정치`;
+    case CONFIG.PRICE_QUALITY.MISSING:
+      return `${label}: 가격 데이터 없음`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the history options of a ticker's lookups
+ * Prices, prefetched requests, risk metrics, corporate actions and technical indicators all use these
+ * options, so they request the same range and share the cached history.
+ * @param {Object} ticker - Ticker object
+ * @param {Object} [periodOptions] - Return period options (periods, showTechnicalIndicators, movingAverages)
+ * @return {Object} { periods, inceptionDate, historyDays } for getPriceDates()
+ */
+function getTickerHistoryOptions(ticker, periodOptions = {}) {
   return {
-    weekly: calculateReturn(prices.current, prices.weekly),
-    monthly: calculateReturn(prices.current, prices.monthly),
-    ytd: calculateReturn(prices.current, prices.ytd),
-    high: calculateReturn(prices.current, prices.high)
+    periods: periodOptions.periods,
+    inceptionDate: ticker.inceptionDate,
+    historyDays: periodOptions.showTechnicalIndicators ? getTechnicalHistoryDays(periodOptions.movingAverages) : 0
+  };
+}
+
+/**
+ * Resolve the dates a ticker's prices are needed for
+ * @param {DateCalculator} dateCalculator - The date calculator
+ * @param {string} marketRegion - Market region of the ticker
+ * @param {Array<string>} periods - Period codes
+ * @param {Object} [options] - Period options (inceptionDate, and historyDays for the number of
+ *                             closes the history must hold before the reference date)
+ * @return {Object} Period anchor dates by code, the start of the 52-week window,
+ *                  and the first and last date of the daily history to fetch
+ */
+function getPriceDates(dateCalculator, marketRegion, periods, options = {}) {
+  const marketDates = dateCalculator.forMarket(marketRegion);
+  
+  const periodDates = {};
+  for (const periodCode of periods) {
+    if (CONFIG.PRICE_LEVEL_PERIODS.includes(periodCode)) continue;
+    periodDates[periodCode] = marketDates.getPeriodStartDate(periodCode, options);
+  }
+  
+  const historyTo = marketDates.getLastTradingDate(new Date(dateCalculator.getReferenceDate()));
+  const yearAgo = new Date(historyTo.getFullYear() - 1, historyTo.getMonth(), historyTo.getDate());
+  const historyDates = Object.values(periodDates).concat([yearAgo]);
+  if (options.historyDays) {
+    const calendarDays = Math.ceil(options.historyDays * 365 / CONFIG.HISTORY.MIN_TRADING_DAYS_PER_YEAR);
+    historyDates.push(new Date(historyTo.getFullYear(), historyTo.getMonth(), historyTo.getDate() - calendarDays));
+  }
+  const historyFrom = getHistoryStartDate(historyDates);
+  
+  return { periodDates, yearAgo, historyFrom, historyTo };
+}
+
+/**
+ * Describe the HTTP requests the primary provider needs for a ticker
+ * Fallback providers are only queried on demand, so their requests are not included
+ * @param {string} symbol - The ticker symbol
+ * @param {string|Array<string>} source - The data source or ordered fallback list
+ * @param {DateCalculator} dateCalculator - The date calculator
+ * @param {Object} [options] - Period options (periods, inceptionDate)
+ * @return {Array<Object>} Request objects for UrlFetchApp.fetchAll
+ */
+function buildTickerRequests(symbol, source, dateCalculator, options = {}) {
+  const sources = DataProviderFactory.parseSources(source);
+  if (sources.length === 0) return [];
+  
+  const marketTimeManager = new MarketTimeManager();
+  const provider = new DataProviderFactory(marketTimeManager).getProvider(sources[0]);
+  const providerSymbol = DataProviderFactory.formatSymbol(symbol, provider.source);
+  const marketRegion = marketTimeManager.getMarketRegion(sources[0], symbol);
+  const periods = parsePeriodCodes(options.periods || CONFIG.DEFAULT_PERIODS);
+  const { historyFrom, historyTo } = getPriceDates(dateCalculator, marketRegion, periods, options);
+  
+  return provider.buildRequests(providerSymbol, dateCalculator.getReferenceDate(), historyFrom, historyTo);
+}
+
+/**
+ * Get the first date of the history needed to cover a set of dates
+ * @param {Array<Date|null>} dates - Dates that must be covered (nulls are ignored)
+ * @return {Date} The earliest date minus CONFIG.HISTORY.BUFFER_DAYS for holidays
+ */
+function getHistoryStartDate(dates) {
+  const earliest = dates
+    .filter(date => date instanceof Date && !isNaN(date.getTime()))
+    .reduce((min, date) => (date < min ? date : min));
+  return new Date(earliest.getFullYear(), earliest.getMonth(), earliest.getDate() - CONFIG.HISTORY.BUFFER_DAYS);
+}
+
+/**
+ * Get the daily bars of a ticker's price history range from the first source that has them
+ * The range matches getPrices(), so the cached and prefetched history is reused.
+ * @param {string} symbol - The ticker symbol
+ * @param {string|Array<string>} source - The data source or ordered fallback list
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [options] - Period options (periods, inceptionDate)
+ * @return {Object} { bars, yearAgo } with the bars sorted by date and a valid close (empty if no
+ *                  source has a history) and the start of the 52-week window
+ */
+function getDailyHistory(symbol, source, dateCalculator, options = {}) {
+  const sources = DataProviderFactory.parseSources(source);
+  const marketTimeManager = new MarketTimeManager();
+  const marketRegion = marketTimeManager.getMarketRegion(sources[0], symbol);
+  const periods = parsePeriodCodes(options.periods || CONFIG.DEFAULT_PERIODS);
+  const { yearAgo, historyFrom, historyTo } = getPriceDates(dateCalculator, marketRegion, periods, options);
+  const getProviderHistory = createHistoryLoader(symbol, historyFrom, historyTo);
+  
+  for (const provider of new DataProviderFactory(marketTimeManager).getProviders(sources)) {
+    const bars = getProviderHistory(provider, DataProviderFactory.formatSymbol(symbol, provider.source))
+      .filter(bar => isValidPrice(bar.close));
+    if (bars.length > 0) {
+      return { bars, yearAgo };
+    }
+  }
+  
+  return { bars: [], yearAgo };
+}
+
+/**
+ * Create a loader that fetches each provider's daily history at most once
+ * A failed fetch is remembered as an empty history so the point lookups take over.
+ * Every later call records the history's URLs again, so each price read from it carries them.
+ * @param {string} symbol - The ticker symbol (for logging)
+ * @param {Date} from - First date of the history
+ * @param {Date} to - Last date of the history
+ * @return {Function} Callback (provider, providerSymbol) returning the normalized bars
+ */
+function createHistoryLoader(symbol, from, to) {
+  const histories = {};
+  
+  return (provider, providerSymbol) => {
+    if (!histories[provider.source]) {
+      const traced = traceFetches(() => {
+        try {
+          return provider.getHistory(providerSymbol, from, to);
+        } catch (error) {
+          Logger.log(`${symbol}: ${provider.name} 히스토리 조회 오류: ${error.message}`);
+          return [];
+        }
+      });
+      histories[provider.source] = { bars: traced.result, sources: traced.sources };
+    } else {
+      histories[provider.source].sources.forEach(recordFetchSource);
+    }
+    return histories[provider.source].bars;
   };
 }
 
+/**
+ * Check whether a provider result is a usable price
+ * Providers signal failure with 0, NaN or CONFIG.STATUS.NO_DATA
+ * @param {*} value - Value returned by a provider
+ * @return {boolean} True if the value is a positive finite number
+ */
+function isValidPrice(value) {
+  return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+/**
+ * Calculate returns for different time periods
+ * @param {Object} prices - Object containing all prices
+ * @param {Object} [options] - Calculation options
+ * @param {Array<string>} [options.periods] - Period codes (defaults to the periods fetched into prices)
+ * @param {Array<string>} [options.annualizedPeriods] - Period codes to express as annualized returns
+ * @return {Object} Object containing the return for each period, keyed like the prices, and an
+ *                  annualized map flagging which returns were annualized
+ */
+function calculateReturns(prices, options = {}) {
+  const periodCodes = options.periods || (prices && prices.periods) || CONFIG.DEFAULT_PERIODS;
+  const annualizedPeriods = options.annualizedPeriods || [];
+  const returns = { annualized: {} };
+  
+  for (const periodCode of periodCodes) {
+    const key = CONFIG.PERIODS[periodCode].key;
+    returns[key] = prices ? calculateReturn(prices.current, prices[key]) : null;
+    returns.annualized[key] = false;
+    
+    if (!prices || !annualizedPeriods.includes(periodCode)) {
+      continue;
+    }
+    
+    // Annualize only when the actual start and end dates span at least a year
+    const startDate = prices.dates && prices.dates[key];
+    const endDate = prices.dates && prices.dates.current;
+    if (getPeriodYears(startDate, endDate) >= 1) {
+      returns[key] = calculateAnnualizedReturn(prices.current, prices[key], startDate, endDate);
+      returns.annualized[key] = returns[key] !== null;
+    } else {
+      Logger.log(`${CONFIG.PERIODS[periodCode].header}: 기간이 1년 미만이므로 누적 수익률을 사용합니다.`);
+    }
+  }
+  
+  return returns;
+}
+
+/**
+ * Locate the current price within the 52-week range
+ * @param {Object} prices - Prices returned by getPrices()
+ * @return {number|null} 0 at the 52-week low to 100 at the 52-week high, or null without a usable range
+ */
+function calculateRangePosition(prices) {
+  if (!prices || !isValidPrice(prices.current) || !isValidPrice(prices.high) || !isValidPrice(prices.low) || prices.high <= prices.low) {
+    return null;
+  }
+  
+  const position = (prices.current - prices.low) / (prices.high - prices.low) * 100;
+  return Math.min(100, Math.max(0, position));
+}
+
+/**
+ * Calculate the annualized return (CAGR) as a percentage
+ * @param {number} current - Price at the end date
+ * @param {number} previous - Price at the start date
+ * @param {Date} startDate - Trading-day-adjusted start date of the period
+ * @param {Date} endDate - Trading-day-adjusted end date of the period
+ * @return {number|null} Annualized return percentage or null if invalid
+ */
+function calculateAnnualizedReturn(current, previous, startDate, endDate) {
+  const cumulativeReturn = calculateReturn(current, previous);
+  const years = getPeriodYears(startDate, endDate);
+  
+  if (cumulativeReturn === null || !(years > 0)) {
+    Logger.log(`Invalid annualized return inputs - Return: ${cumulativeReturn}, Years: ${years}`);
+    return null;
+  }
+  
+  const growth = 1 + cumulativeReturn / 100;
+  if (growth <= 0) {
+    Logger.log(`Annualized return undefined for a total loss - Return: ${cumulativeReturn}`);
+    return null;
+  }
+  
+  const annualizedReturn = (Math.pow(growth, 1 / years) - 1) * 100;
+  
+  if (isDiagnosticModeEnabled()) {
+    Logger.log(`Annualized return: ${annualizedReturn.toFixed(2)}% over ${years.toFixed(2)} years (cumulative ${cumulativeReturn.toFixed(2)}%)`);
+  }
+  
+  return annualizedReturn;
+}
+
+/**
+ * Length of a period in years, using calendar days between the two dates
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @return {number|null} Period length in years or null if either date is missing
+ */
+function getPeriodYears(startDate, endDate) {
+  if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+    return null;
+  }
+  
+  const days = (endDate.getTime() - startDate.getTime()) / (24 * 60 * 60 * 1000);
+  return days / 365.25;
+}
+
 /**
  * Calculate return as a percentage with sign
  * @param {number} current - Current price
@@ -219,12 +633,19 @@ function formatReturn(returnValue) {
 /**
  * Format a price value as a string
  * @param {number} price - The price value to format
+ * @param {string} [currency] - Currency code; uses the currency's decimals and appends the code
  * @return {string} Formatted price string
  */
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price === null || price === undefined || isNaN(price)) {
     return "N/A";
   }
   
-  return price.toFixed(2);
+  if (!currency) {
+    return price.toFixed(2);
+  }
+  
+  // Currencies without minor units (KRW, JPY) have no decimals in their number format
+  const decimals = getCurrencyNumberFormat(currency).includes('.') ? 2 : 0;
+  return `${price.toFixed(decimals)} ${currency}`;
 } 
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Performance Dashboard Ticker - Risk Service Module
+ *
+ * This module calculates risk metrics from the daily closes of the 52-week window:
+ * annualized volatility, maximum drawdown, Sharpe ratio and beta versus the ticker's benchmark.
+ */
+
+/**
+ * Get the daily closes of the 52-week window (see getDailyHistory)
+ * @param {string} symbol - The ticker symbol
+ * @param {string|Array<string>} source - The data source or ordered fallback list
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [options] - Period options (see getTickerHistoryOptions)
+ * @return {Array<Object>} Bars sorted by date with a valid close (empty if no source has a history)
+ */
+function getRiskHistory(symbol, source, dateCalculator, options = {}) {
+  const { bars, yearAgo } = getDailyHistory(symbol, source, dateCalculator, options);
+  if (bars.length === 0) {
+    Logger.log(`${symbol}: 위험 지표를 계산할 일간 히스토리가 없습니다.`);
+  }
+  return bars.filter(bar => bar.date >= yearAgo);
+}
+
+/**
+ * Get a ticker's risk metrics
+ * @param {Object} ticker - Ticker object (benchmark from resolveBenchmark())
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options (periods, riskFreeRate)
+ * @return {Object|null} Metrics from calculateRiskMetrics(), or null if the history cannot be fetched
+ */
+function getRiskMetrics(ticker, dateCalculator, periodOptions = {}) {
+  try {
+    const options = getTickerHistoryOptions(ticker, periodOptions);
+    const bars = getRiskHistory(ticker.ticker, ticker.sources || ticker.source, dateCalculator, options);
+    
+    // The benchmark's history keeps the range its prices were fetched with (see getBenchmarkPrices)
+    const benchmarkBars = ticker.benchmark ?
+      getRiskHistory(ticker.benchmark.symbol, ticker.benchmark.sources, dateCalculator,
+        { periods: options.periods, inceptionDate: options.inceptionDate }) : [];
+    
+    return calculateRiskMetrics(bars, benchmarkBars, periodOptions.riskFreeRate);
+  } catch (error) {
+    Logger.log(`위험 지표 계산 오류 (${ticker.name}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Calculate risk metrics from daily bars
+ * @param {Array<Object>} bars - Daily bars of the ticker sorted by date
+ * @param {Array<Object>} [benchmarkBars] - Daily bars of the benchmark sorted by date
+ * @param {number} [riskFreeRate] - Annual risk-free rate in percent (defaults to CONFIG.RISK.RISK_FREE_RATE)
+ * @return {Object} { volatility, maxDrawdown, sharpe, beta, observations } where volatility and
+ *                  maxDrawdown are percentages; each metric is null when there are too few returns
+ */
+function calculateRiskMetrics(bars, benchmarkBars = [], riskFreeRate = CONFIG.RISK.RISK_FREE_RATE) {
+  const returns = calculateDailyReturns(bars);
+  const enough = returns.length >= CONFIG.RISK.MIN_OBSERVATIONS;
+  const volatility = enough ? calculateVolatility(returns.map(r => r.value)) : null;
+  
+  return {
+    volatility: volatility,
+    maxDrawdown: enough ? calculateMaxDrawdown(bars) : null,
+    sharpe: enough ? calculateSharpeRatio(returns.map(r => r.value), riskFreeRate) : null,
+    beta: calculateBeta(returns, calculateDailyReturns(benchmarkBars)),
+    observations: returns.length
+  };
+}
+
+/**
+ * Calculate the return between consecutive closes
+ * @param {Array<Object>} bars - Daily bars sorted by date
+ * @return {Array<Object>} { date, value } per bar after the first, with value as a fraction (0.01 = 1%)
+ */
+function calculateDailyReturns(bars) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push({ date: bars[i].date, value: bars[i].close / bars[i - 1].close - 1 });
+  }
+  return returns;
+}
+
+/**
+ * Calculate the annualized volatility of daily returns
+ * @param {Array<number>} values - Daily returns as fractions
+ * @return {number|null} Annualized standard deviation in percent, or null with fewer than two returns
+ */
+function calculateVolatility(values) {
+  if (values.length < 2) return null;
+  
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance * CONFIG.RISK.TRADING_DAYS_PER_YEAR) * 100;
+}
+
+/**
+ * Calculate the largest fall from a running peak
+ * @param {Array<Object>} bars - Daily bars sorted by date
+ * @return {number|null} Maximum drawdown in percent (0 or negative), or null without bars
+ */
+function calculateMaxDrawdown(bars) {
+  if (bars.length === 0) return null;
+  
+  let peak = bars[0].close;
+  let maxDrawdown = 0;
+  for (const bar of bars) {
+    peak = Math.max(peak, bar.close);
+    maxDrawdown = Math.min(maxDrawdown, bar.close / peak - 1);
+  }
+  return maxDrawdown * 100;
+}
+
+/**
+ * Calculate the Sharpe ratio from daily returns
+ * @param {Array<number>} values - Daily returns as fractions
+ * @param {number} riskFreeRate - Annual risk-free rate in percent
+ * @return {number|null} Annualized excess return over annualized volatility, or null without volatility
+ */
+function calculateSharpeRatio(values, riskFreeRate) {
+  const volatility = calculateVolatility(values);
+  if (!volatility) return null;
+  
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return (mean * CONFIG.RISK.TRADING_DAYS_PER_YEAR * 100 - riskFreeRate) / volatility;
+}
+
+/**
+ * Calculate beta against a benchmark on the days both have a return
+ * Markets with different holidays are matched by calendar date.
+ * @param {Array<Object>} returns - Daily returns of the ticker from calculateDailyReturns()
+ * @param {Array<Object>} benchmarkReturns - Daily returns of the benchmark
+ * @return {number|null} Beta, or null with too few common days or a flat benchmark
+ */
+function calculateBeta(returns, benchmarkReturns) {
+  const dayKey = date => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+  const benchmarkByDay = {};
+  for (const benchmarkReturn of benchmarkReturns) {
+    benchmarkByDay[dayKey(benchmarkReturn.date)] = benchmarkReturn.value;
+  }
+  
+  const pairs = returns
+    .filter(r => dayKey(r.date) in benchmarkByDay)
+    .map(r => [r.value, benchmarkByDay[dayKey(r.date)]]);
+  if (pairs.length < CONFIG.RISK.MIN_OBSERVATIONS) return null;
+  
+  const meanTicker = pairs.reduce((sum, pair) => sum + pair[0], 0) / pairs.length;
+  const meanBenchmark = pairs.reduce((sum, pair) => sum + pair[1], 0) / pairs.length;
+  const covariance = pairs.reduce((sum, pair) => sum + (pair[0] - meanTicker) * (pair[1] - meanBenchmark), 0);
+  const variance = pairs.reduce((sum, pair) => sum + Math.pow(pair[1] - meanBenchmark, 2), 0);
+  
+  return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Describe risk metrics for the audit log
+ * @param {Object|null} risk - Metrics from calculateRiskMetrics()
+ * @return {Array<string>} Volatility, max drawdown, Sharpe ratio and beta as text ('N/A' when missing)
+ */
+function formatRiskMetricsForAudit(risk) {
+  const format = (value, suffix) => (typeof value === 'number' && isFinite(value) ? `${value.toFixed(2)}${suffix}` : 'N/A');
+  
+  return [
+    format(risk && risk.volatility, '%'),
+    format(risk && risk.maxDrawdown, '%'),
+    format(risk && risk.sharpe, ''),
+    format(risk && risk.beta, '')
+  ];
+}
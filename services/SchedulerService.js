@@ -0,0 +1,236 @@
+/**
+ * Performance Dashboard Ticker - Scheduler Service Module
+ *
+ * This module installs time-driven triggers that refresh the dashboard after
+ * market closes. Each run only refreshes the rows of markets that have closed
+ * since they were last refreshed.
+ */
+
+// Scheduler-related script property keys
+const SCHEDULER_KEYS = {
+  SCHEDULES: 'refreshSchedules',
+  LAST_REFRESH: 'lastMarketRefresh'
+};
+
+// Function run by the schedule triggers
+const SCHEDULE_HANDLER = 'runScheduledRefresh';
+
+/**
+ * Get the configured refresh schedules
+ * Schedules whose trigger was deleted outside the sidebar are dropped
+ * @return {Array<Object>} Schedules of {id, market, hour, minute, timezone}
+ */
+function getRefreshSchedules() {
+  const schedules = readSchedules();
+  const triggerIds = ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === SCHEDULE_HANDLER)
+    .map(trigger => trigger.getUniqueId());
+  
+  const active = schedules.filter(schedule => triggerIds.includes(schedule.id));
+  if (active.length !== schedules.length) {
+    writeSchedules(active);
+  }
+  
+  return active;
+}
+
+/**
+ * Add a daily refresh schedule for a market
+ * @param {string} market - Market region code (kr, us, cn, hk, eu)
+ * @param {string} [time] - Local market time as HH:mm (defaults to the close plus CONFIG.SCHEDULER.CLOSE_DELAY_MINUTES)
+ * @return {Object} The new schedule
+ */
+function addRefreshSchedule(market, time) {
+  const marketTimeManager = new MarketTimeManager();
+  const marketInfo = marketTimeManager.markets[market];
+  if (!marketInfo) {
+    throw new Error(`지원되지 않는 시장입니다: ${market}`);
+  }
+  
+  const { hour, minute } = time ? parseScheduleTime(time) : getDefaultScheduleTime(market);
+  
+  // Triggers run within about 15 minutes of the requested time, in the market's own timezone
+  const trigger = ScriptApp.newTrigger(SCHEDULE_HANDLER)
+    .timeBased()
+    .atHour(hour)
+    .nearMinute(minute)
+    .everyDays(1)
+    .inTimezone(marketInfo.timezone)
+    .create();
+  
+  const schedule = {
+    id: trigger.getUniqueId(),
+    market: market,
+    hour: hour,
+    minute: minute,
+    timezone: marketInfo.timezone
+  };
+  writeSchedules(readSchedules().concat([schedule]));
+  
+  Logger.log(`자동 업데이트 일정 추가: ${marketInfo.name} ${formatScheduleTime(schedule)} (${marketInfo.timezone})`);
+  return schedule;
+}
+
+/**
+ * Remove a refresh schedule and its trigger
+ * @param {string} id - Schedule ID (the trigger's unique ID)
+ * @return {boolean} True if a schedule was removed
+ */
+function removeRefreshSchedule(id) {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getUniqueId() === id) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+  
+  const schedules = readSchedules();
+  const remaining = schedules.filter(schedule => schedule.id !== id);
+  writeSchedules(remaining);
+  
+  Logger.log(`자동 업데이트 일정 삭제: ${id}`);
+  return remaining.length !== schedules.length;
+}
+
+/**
+ * Refresh the dashboard rows of markets that closed since their last refresh (trigger handler)
+ * @param {Object} [e] - Time-driven trigger event
+ */
+function runScheduledRefresh(e) {
+  try {
+    const tickers = loadTickerData();
+    const regions = getTickerMarkets(tickers);
+    const dueMarkets = getMarketsClosedSince(getLastMarketRefreshTimes(), regions, new Date());
+    
+    if (dueMarkets.length === 0) {
+      Logger.log('마지막 업데이트 이후 마감된 시장이 없어 자동 업데이트를 건너뜁니다.');
+      return;
+    }
+    
+    Logger.log(`자동 업데이트: ${dueMarkets.join(', ')} 시장 티커를 업데이트합니다.`);
+    refreshDashboardMarkets(dueMarkets);
+  } catch (error) {
+    Logger.log(`자동 업데이트 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Get the markets whose latest close is after their last refresh
+ * @param {Object} lastRefreshTimes - Map of market region to last refresh time in milliseconds
+ * @param {Array<string>} regions - Market regions to check
+ * @param {Date} now - Current time
+ * @return {Array<string>} Regions due for a refresh
+ */
+function getMarketsClosedSince(lastRefreshTimes, regions, now) {
+  const marketTimeManager = new MarketTimeManager();
+  
+  return regions.filter(region => {
+    if (!lastRefreshTimes[region]) return true;
+    
+    // Compare in the market's wall-clock time
+    const lastClose = marketTimeManager.getLastCloseTime(region, now);
+    const lastRefresh = marketTimeManager.getMarketLocalTime(region, new Date(lastRefreshTimes[region]));
+    return lastRefresh < lastClose;
+  });
+}
+
+/**
+ * Get the market region of each ticker's primary source
+ * @param {Array<Object>} tickers - Ticker objects
+ * @return {Array<string>} Distinct market regions
+ */
+function getTickerMarkets(tickers) {
+  const marketTimeManager = new MarketTimeManager();
+  const regions = tickers.map(ticker => getTickerMarket(ticker, marketTimeManager));
+  return regions.filter((region, index) => regions.indexOf(region) === index);
+}
+
+/**
+ * Get the market region of a ticker's primary source
+ * @param {Object} ticker - Ticker object
+ * @param {MarketTimeManager} [marketTimeManager] - Market time manager to reuse
+ * @return {string} Market region code
+ */
+function getTickerMarket(ticker, marketTimeManager) {
+  const manager = marketTimeManager || new MarketTimeManager();
+  return manager.getMarketRegion(ticker.source, ticker.ticker);
+}
+
+/**
+ * Get the time each market was last refreshed
+ * @return {Object} Map of market region to time in milliseconds
+ */
+function getLastMarketRefreshTimes() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(SCHEDULER_KEYS.LAST_REFRESH) || '{}');
+  } catch (error) {
+    Logger.log(`마지막 업데이트 시간 읽기 오류: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Record that markets were refreshed
+ * @param {Array<string>} markets - Market regions
+ * @param {Date} time - Refresh time (the start of the run, so closes during the run stay due)
+ */
+function markMarketsRefreshed(markets, time) {
+  const lastRefreshTimes = getLastMarketRefreshTimes();
+  for (const market of markets) {
+    lastRefreshTimes[market] = time.getTime();
+  }
+  PropertiesService.getScriptProperties().setProperty(SCHEDULER_KEYS.LAST_REFRESH, JSON.stringify(lastRefreshTimes));
+}
+
+/**
+ * Get the default schedule time for a market: its close plus CONFIG.SCHEDULER.CLOSE_DELAY_MINUTES
+ * @param {string} market - Market region code
+ * @return {Object} Hour and minute in market local time
+ */
+function getDefaultScheduleTime(market) {
+  const closeTime = new MarketTimeManager().markets[market].closeTime;
+  const totalMinutes = Math.round(closeTime * 60) + CONFIG.SCHEDULER.CLOSE_DELAY_MINUTES;
+  return { hour: Math.floor(totalMinutes / 60) % 24, minute: totalMinutes % 60 };
+}
+
+/**
+ * Parse an HH:mm schedule time
+ * @param {string} time - Time string
+ * @return {Object} Hour and minute
+ */
+function parseScheduleTime(time) {
+  const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`시간 형식이 올바르지 않습니다 (HH:mm): ${time}`);
+  }
+  return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+}
+
+/**
+ * Format a schedule's time as HH:mm
+ * @param {Object} schedule - Schedule with hour and minute
+ * @return {string} Time string
+ */
+function formatScheduleTime(schedule) {
+  return `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Read the stored schedules
+ * @return {Array<Object>} Schedules
+ */
+function readSchedules() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(SCHEDULER_KEYS.SCHEDULES) || '[]');
+  } catch (error) {
+    Logger.log(`자동 업데이트 일정 읽기 오류: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Store the schedules
+ * @param {Array<Object>} schedules - Schedules
+ */
+function writeSchedules(schedules) {
+  PropertiesService.getScriptProperties().setProperty(SCHEDULER_KEYS.SCHEDULES, JSON.stringify(schedules));
+}
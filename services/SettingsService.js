@@ -0,0 +1,351 @@
+/**
+ * Performance Dashboard Ticker - Settings Service Module
+ *
+ * This module provides functionality for reading dashboard settings
+ * from the key/value Settings sheet.
+ */
+
+/**
+ * Settings written to a newly created Settings sheet, with their defaults
+ * (a function so CONFIG is read at call time rather than file load order)
+ * @return {Array<Object>} Setting definitions with key, default value and description
+ */
+function getSettingDefinitions() {
+  return [
+    {
+      key: 'RETURN_PERIODS',
+      value: CONFIG.DEFAULT_PERIODS.join(', '),
+      description: '표시할 수익률 기간 (쉼표 구분): 1D, 1W, 1M, MTD, QTD, 3M, 6M, YTD, 1Y, 3Y, 5Y, ITD(설정 이후, 티커 시트의 시작일 필요), HIGH(52주 최고가 대비), LOW(52주 최저가 대비)'
+    },
+    {
+      key: 'ANNUALIZED_PERIODS',
+      value: CONFIG.DEFAULT_ANNUALIZED_PERIODS.join(', '),
+      description: '연환산 수익률(CAGR)로 표시할 기간 (쉼표 구분). 비워 두면 모두 누적 수익률로 표시합니다. 실제 기간이 1년 미만이면 누적 수익률을 표시합니다.'
+    },
+    {
+      key: 'BASE_CURRENCY',
+      value: CONFIG.CURRENCY.BASE,
+      description: '기준 통화 (예: KRW, USD). 보유 종목 평가금액과 합계, 포트폴리오 수익률은 기준 통화로 환산합니다.'
+    },
+    {
+      key: 'SHOW_BASE_CURRENCY_RETURNS',
+      value: 'N',
+      description: 'Y이면 현지 통화 수익률 옆에 기준 통화로 환산한 수익률 열을 함께 표시합니다.'
+    },
+    {
+      key: 'SHOW_BENCHMARK_RETURNS',
+      value: 'Y',
+      description: 'Y이면 각 수익률 열 옆에 벤치마크 대비 초과 수익률(%p) 열을 표시합니다. 벤치마크는 티커 시트의 벤치마크 열로 지정하며, 비워 두면 시장별 기본 지수를 사용합니다.'
+    },
+    {
+      key: 'SHOW_TOTAL_RETURNS',
+      value: 'N',
+      description: 'Y이면 각 수익률 열 옆에 배당을 재투자한 총수익률 열을 표시합니다. 배당·분할은 Yahoo Finance 이벤트와 CorporateActions 시트에서 가져오며, 기간 중 분할은 양쪽 수익률에 모두 반영합니다.'
+    },
+    {
+      key: 'SHOW_RISK_METRICS',
+      value: 'N',
+      description: 'Y이면 최근 52주 일간 수익률로 계산한 변동성(연환산), 최대 낙폭, 샤프 지수, 벤치마크 대비 베타 열을 표시합니다.'
+    },
+    {
+      key: 'RISK_FREE_RATE',
+      value: CONFIG.RISK.RISK_FREE_RATE,
+      description: '샤프 지수 계산에 사용할 무위험 수익률 (연 %, 예: 3.0)'
+    },
+    {
+      key: 'SHOW_TECHNICAL_INDICATORS',
+      value: 'N',
+      description: 'Y이면 이동평균 대비 현재가, RSI(14일), 골든/데드 크로스(50일·200일 이동평균) 열을 표시합니다.'
+    },
+    {
+      key: 'MOVING_AVERAGES',
+      value: CONFIG.TECHNICAL.DEFAULT_MOVING_AVERAGES.join(', '),
+      description: `표시할 이동평균 (쉼표 구분): SMA(단순) 또는 EMA(지수) 뒤에 일수, 예: SMA50, SMA200, EMA20. 숫자만 입력하면 SMA입니다. 최대 ${CONFIG.TECHNICAL.MAX_WINDOW}일.`
+    },
+    {
+      key: 'ALERT_EMAIL',
+      value: '',
+      description: 'Alerts 시트의 규칙이 발생하면 업데이트 후 요약 메일을 받을 주소 (쉼표 구분). 비워 두면 메일 없이 Alerts 시트에만 기록합니다.'
+    },
+    {
+      key: 'AUDIT_RETENTION_DAYS',
+      value: CONFIG.AUDIT.RETENTION_DAYS,
+      description: 'Audit 시트에 가격 출처 기록을 보관할 일수. 업데이트가 끝날 때마다 이보다 오래된 행을 삭제합니다.'
+    }
+  ];
+}
+
+/**
+ * Settings loaded during this execution
+ */
+let SETTINGS_CACHE = null;
+
+/**
+ * Get or create the Settings sheet
+ * @return {Sheet} The settings sheet
+ */
+function getOrCreateSettingsSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.SETTINGS);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.SETTINGS);
+    
+    const rows = [['설정', '값', '설명']].concat(
+      getSettingDefinitions().map(setting => [setting.key, setting.value, setting.description])
+    );
+    sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+    
+    const headerRange = sheet.getRange(1, 1, 1, 3);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.setFrozenRows(1);
+    sheet.setColumnWidth(1, 160);
+    sheet.setColumnWidth(2, 200);
+    sheet.setColumnWidth(3, 480);
+    
+    Logger.log('설정 시트를 생성했습니다.');
+  } else {
+    // Append settings added since the sheet was created, keeping user values untouched
+    const existingKeys = Object.keys(getSettings());
+    const missing = getSettingDefinitions().filter(setting => !existingKeys.includes(setting.key));
+    
+    if (missing.length > 0) {
+      const rows = missing.map(setting => [setting.key, setting.value, setting.description]);
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, 3).setValues(rows);
+      SETTINGS_CACHE = null;
+      Logger.log(`설정 시트에 ${missing.length}개의 새 설정을 추가했습니다.`);
+    }
+  }
+  
+  return sheet;
+}
+
+/**
+ * Read all settings from the Settings sheet
+ * @return {Object} Map of setting key to value
+ */
+function getSettings() {
+  if (SETTINGS_CACHE) {
+    return SETTINGS_CACHE;
+  }
+  
+  SETTINGS_CACHE = {};
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.SETTINGS);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return SETTINGS_CACHE;
+    }
+    
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+    for (const [key, value] of rows) {
+      const settingKey = String(key).trim().toUpperCase();
+      if (settingKey) {
+        SETTINGS_CACHE[settingKey] = value;
+      }
+    }
+  } catch (error) {
+    Logger.log(`설정 시트 읽기 오류: ${error.message}`);
+  }
+  
+  return SETTINGS_CACHE;
+}
+
+/**
+ * Get a single setting value
+ * @param {string} key - Setting key (case-insensitive)
+ * @param {*} defaultValue - Value returned when the setting is missing or blank
+ * @return {*} The setting value or the default
+ */
+function getSetting(key, defaultValue) {
+  const value = getSettings()[String(key).toUpperCase()];
+  return value === undefined || value === '' ? defaultValue : value;
+}
+
+/**
+ * Get the return periods configured for the dashboard
+ * @return {Array<string>} Period codes in display order (e.g. ['1W', '1M', 'YTD', 'HIGH'])
+ */
+function getConfiguredPeriods() {
+  const periods = parsePeriodCodes(getSetting('RETURN_PERIODS', ''));
+  return periods.length > 0 ? periods : CONFIG.DEFAULT_PERIODS.slice();
+}
+
+/**
+ * Get the periods shown as annualized returns
+ * A blank setting means every period is shown as a cumulative return
+ * @return {Array<string>} Period codes to annualize
+ */
+function getAnnualizedPeriods() {
+  const value = getSettings()['ANNUALIZED_PERIODS'];
+  const periods = parsePeriodCodes(value === undefined ? CONFIG.DEFAULT_ANNUALIZED_PERIODS : value);
+  
+  // The 52-week high and low comparisons are price levels, not returns over time
+  return periods.filter(code => !CONFIG.PRICE_LEVEL_PERIODS.includes(code));
+}
+
+/**
+ * Get the currency options for the dashboard
+ * @return {Object} { baseCurrency, showBaseCurrencyReturns }
+ */
+function getCurrencySettings() {
+  return {
+    baseCurrency: String(getSetting('BASE_CURRENCY', CONFIG.CURRENCY.BASE)).trim().toUpperCase(),
+    showBaseCurrencyReturns: isSettingEnabled('SHOW_BASE_CURRENCY_RETURNS', 'N')
+  };
+}
+
+/**
+ * Get the benchmark options for the dashboard
+ * @return {Object} { showBenchmarkReturns }
+ */
+function getBenchmarkSettings() {
+  return {
+    showBenchmarkReturns: isSettingEnabled('SHOW_BENCHMARK_RETURNS', 'Y')
+  };
+}
+
+/**
+ * Get the total return options for the dashboard
+ * @return {Object} { showTotalReturns }
+ */
+function getTotalReturnSettings() {
+  return {
+    showTotalReturns: isSettingEnabled('SHOW_TOTAL_RETURNS', 'N')
+  };
+}
+
+/**
+ * Get the risk metric options for the dashboard
+ * @return {Object} { showRiskMetrics, riskFreeRate } with the risk-free rate as an annual percentage
+ */
+function getRiskSettings() {
+  const riskFreeRate = parseFloat(String(getSetting('RISK_FREE_RATE', CONFIG.RISK.RISK_FREE_RATE)).replace('%', ''));
+  if (!isFinite(riskFreeRate)) {
+    Logger.log(`잘못된 무위험 수익률: "${getSetting('RISK_FREE_RATE', '')}". ${CONFIG.RISK.RISK_FREE_RATE}%를 사용합니다.`);
+  }
+  
+  return {
+    showRiskMetrics: isSettingEnabled('SHOW_RISK_METRICS', 'N'),
+    riskFreeRate: isFinite(riskFreeRate) ? riskFreeRate : CONFIG.RISK.RISK_FREE_RATE
+  };
+}
+
+/**
+ * Get the number of days audit rows are kept
+ * @return {number} Retention window in days (at least 1)
+ */
+function getAuditRetentionDays() {
+  const days = parseInt(getSetting('AUDIT_RETENTION_DAYS', CONFIG.AUDIT.RETENTION_DAYS), 10);
+  if (!isFinite(days) || days < 1) {
+    Logger.log(`잘못된 감사 기록 보관 일수: "${getSetting('AUDIT_RETENTION_DAYS', '')}". ${CONFIG.AUDIT.RETENTION_DAYS}일을 사용합니다.`);
+    return CONFIG.AUDIT.RETENTION_DAYS;
+  }
+  return days;
+}
+
+/**
+ * Get the technical indicator options for the dashboard
+ * @return {Object} { showTechnicalIndicators, movingAverages } (see parseMovingAverages)
+ */
+function getTechnicalSettings() {
+  const movingAverages = parseMovingAverages(getSetting('MOVING_AVERAGES', ''));
+  
+  return {
+    showTechnicalIndicators: isSettingEnabled('SHOW_TECHNICAL_INDICATORS', 'N'),
+    movingAverages: movingAverages.length > 0 ? movingAverages : parseMovingAverages(CONFIG.TECHNICAL.DEFAULT_MOVING_AVERAGES)
+  };
+}
+
+/**
+ * Parse a comma-separated list of moving averages
+ * @param {string|Array<string>} value - Moving averages (e.g. "SMA50, EMA20, 200")
+ * @return {Array<Object>} Valid, de-duplicated { type, window, label } entries in the given order
+ */
+function parseMovingAverages(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  const result = [];
+  
+  for (const entry of entries) {
+    const normalized = String(entry).trim().toUpperCase();
+    if (!normalized) continue;
+    
+    const match = normalized.match(/^(SMA|EMA)?\s*(\d+)$/);
+    if (!match || parseInt(match[2], 10) < 2) {
+      Logger.log(`지원되지 않는 이동평균: "${normalized}". 예: SMA50, EMA20`);
+      continue;
+    }
+    
+    const type = match[1] || 'SMA';
+    const window = parseInt(match[2], 10);
+    if (window > CONFIG.TECHNICAL.MAX_WINDOW) {
+      Logger.log(`이동평균 "${normalized}"을(를) 건너뜁니다: 일간 히스토리는 최대 ${CONFIG.TECHNICAL.MAX_WINDOW}거래일까지 가져옵니다.`);
+      continue;
+    }
+    if (!result.some(movingAverage => movingAverage.type === type && movingAverage.window === window)) {
+      result.push({ type: type, window: window, label: `${type}${window}` });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get every display option of the dashboard
+ * @return {Object} Options from getCurrencySettings(), getBenchmarkSettings(), getTotalReturnSettings(),
+ *                  getRiskSettings() and getTechnicalSettings()
+ */
+function getDisplaySettings() {
+  return Object.assign({}, getCurrencySettings(), getBenchmarkSettings(), getTotalReturnSettings(), getRiskSettings(),
+    getTechnicalSettings());
+}
+
+/**
+ * Read a yes/no setting
+ * @param {string} key - Setting key
+ * @param {string} defaultValue - Value used when the setting is missing or blank (e.g. 'Y')
+ * @return {boolean} True for Y, YES, TRUE or 예
+ */
+function isSettingEnabled(key, defaultValue) {
+  const value = String(getSetting(key, defaultValue)).trim().toUpperCase();
+  return ['Y', 'YES', 'TRUE', '예'].includes(value);
+}
+
+/**
+ * Parse a comma-separated list of period codes
+ * @param {string|Array<string>} value - Period codes (e.g. "1D, MTD, 1Y")
+ * @return {Array<string>} Valid, de-duplicated period codes in the given order
+ */
+function parsePeriodCodes(value) {
+  const codes = Array.isArray(value) ? value : String(value || '').split(',');
+  const result = [];
+  
+  for (const code of codes) {
+    const normalized = String(code).trim().toUpperCase();
+    if (!normalized) continue;
+    
+    if (!CONFIG.PERIODS[normalized]) {
+      Logger.log(`지원되지 않는 수익률 기간: "${normalized}". 지원되는 기간: ${Object.keys(CONFIG.PERIODS).join(', ')}`);
+      continue;
+    }
+    
+    if (!result.includes(normalized)) {
+      result.push(normalized);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Open the Settings sheet from the menu
+ */
+function openSettingsSheet() {
+  try {
+    const sheet = getOrCreateSettingsSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`설정 시트 열기 오류: ${error.message}`);
+    showErrorAlert('설정 시트 열기 실패', error.message);
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * Performance Dashboard Ticker - Snapshot Service Module
+ *
+ * This module keeps the history that an update would otherwise erase: every completed run appends
+ * the prices and returns of its dashboard rows to the Snapshots sheet, and the comparison view lays
+ * two runs side by side with the changes in rank and return.
+ */
+
+/**
+ * Column headers of the Snapshots sheet, followed by one return column per CONFIG.PERIODS code
+ */
+const SNAPSHOT_HEADERS = ['실행 ID', '저장 시각', '기준일', '이름', '티커', '소스', '현재가', '52주 최고가', '52주 최저가'];
+
+/**
+ * Get the period codes of the Snapshots sheet's return columns
+ * Every period has a column so snapshots taken with different RETURN_PERIODS settings line up.
+ * @return {Array<string>} Period codes in CONFIG.PERIODS order
+ */
+function getSnapshotPeriodCodes() {
+  return Object.keys(CONFIG.PERIODS);
+}
+
+/**
+ * Get or create the Snapshots sheet
+ * @return {Sheet} The snapshots sheet
+ */
+function getOrCreateSnapshotsSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.SNAPSHOTS);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.SNAPSHOTS);
+    
+    const headers = SNAPSHOT_HEADERS.concat(getSnapshotPeriodCodes());
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setValues([headers]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.setFrozenRows(1);
+    
+    Logger.log('스냅샷 시트를 생성했습니다.');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Convert dashboard rows to Snapshots sheet rows
+ * Rows without a current price (failed tickers, totals and portfolio rows) are left out.
+ * @param {Array<Array>} rows - Dashboard row values
+ * @param {Object} columnMap - Column mapping
+ * @param {string} runId - Run ID
+ * @param {Date} savedAt - Time the snapshot is taken
+ * @param {Date} referenceDate - Reference date of the run
+ * @return {Array<Array>} Rows in SNAPSHOT_HEADERS order followed by the returns (as on the dashboard)
+ */
+function buildSnapshotRows(rows, columnMap, runId, savedAt, referenceDate) {
+  const codes = getSnapshotPeriodCodes();
+  
+  return rows
+    .filter(values => String(values[columnMap.TICKER - 1]).trim() !== '' && typeof values[columnMap.CURRENT - 1] === 'number')
+    .map(values => {
+      const returns = codes.map(code => {
+        const period = columnMap.PERIODS.find(p => p.code === code);
+        return period && typeof values[period.column - 1] === 'number' ? values[period.column - 1] : '';
+      });
+      
+      return [
+        runId,
+        savedAt,
+        referenceDate,
+        values[columnMap.NAME - 1],
+        values[columnMap.TICKER - 1],
+        values[columnMap.SOURCE - 1],
+        values[columnMap.CURRENT - 1],
+        values[columnMap.HIGH - 1],
+        values[columnMap.LOW - 1]
+      ].concat(returns);
+    });
+}
+
+/**
+ * Append the dashboard rows of a completed run to the Snapshots sheet
+ * @param {Sheet} sheet - The dashboard sheet
+ * @param {Object} columnMap - Column mapping
+ * @param {Array<boolean>} inRun - Whether each ticker row belongs to the run
+ * @param {string} runId - Run ID
+ * @param {Date} referenceDate - Reference date of the run
+ */
+function recordSnapshot(sheet, columnMap, inRun, runId, referenceDate) {
+  if (!inRun.some(Boolean)) return;
+  
+  try {
+    // Rows of markets outside a market-limited refresh were not fetched by this run
+    const values = sheet.getRange(2, 1, inRun.length, columnMap.LAST_UPDATED).getValues().filter((row, i) => inRun[i]);
+    const rows = buildSnapshotRows(values, columnMap, runId, new Date(), referenceDate);
+    if (rows.length === 0) return;
+    
+    const snapshotsSheet = getOrCreateSnapshotsSheet();
+    const nextRow = snapshotsSheet.getLastRow() + 1;
+    ensureSheetRows(snapshotsSheet, nextRow + rows.length - 1);
+    
+    // Run IDs look like numbers to Sheets, so the column is kept as text before the rows are written
+    snapshotsSheet.getRange(nextRow, 1, rows.length, 1).setNumberFormat('@');
+    snapshotsSheet.getRange(nextRow, SNAPSHOT_HEADERS.length + 1, rows.length, getSnapshotPeriodCodes().length).setNumberFormat('0.00%');
+    snapshotsSheet.getRange(nextRow, 1, rows.length, rows[0].length).setValues(rows);
+    Logger.log(`스냅샷 저장: 실행 ${runId}, ${rows.length}개 티커`);
+    
+    pruneSnapshots(snapshotsSheet);
+  } catch (error) {
+    Logger.log(`스냅샷 저장 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the oldest snapshot rows beyond CONFIG.SNAPSHOTS.MAX_ROWS
+ * @param {Sheet} sheet - The snapshots sheet
+ */
+function pruneSnapshots(sheet) {
+  const excess = sheet.getLastRow() - 1 - CONFIG.SNAPSHOTS.MAX_ROWS;
+  if (excess > 0) {
+    sheet.deleteRows(2, excess);
+    Logger.log(`오래된 스냅샷 ${excess}행을 삭제했습니다.`);
+  }
+}
+
+/**
+ * Read the runs of the Snapshots sheet
+ * @return {Array<Object>} Runs in the order they were saved, each { runId, savedAt, referenceDate, rows }
+ *                         with rows of { name, ticker, source, current, high, low, returns } and the
+ *                         returns in percent by period code
+ */
+function loadSnapshots() {
+  const runs = [];
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.SNAPSHOTS);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return runs;
+    }
+    
+    const codes = getSnapshotPeriodCodes();
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, SNAPSHOT_HEADERS.length + codes.length).getValues();
+    for (const values of data) {
+      const runId = String(values[0]).trim();
+      if (!runId) continue;
+      
+      let run = runs[runs.length - 1];
+      if (!run || run.runId !== runId) {
+        run = { runId: runId, savedAt: values[1], referenceDate: values[2], rows: [] };
+        runs.push(run);
+      }
+      
+      run.rows.push({
+        name: values[3],
+        ticker: String(values[4]),
+        source: values[5],
+        current: values[6],
+        high: values[7],
+        low: values[8],
+        returns: codes.reduce((returns, code, i) => {
+          const value = values[SNAPSHOT_HEADERS.length + i];
+          if (typeof value === 'number') returns[code] = value * 100;
+          return returns;
+        }, {})
+      });
+    }
+  } catch (error) {
+    Logger.log(`스냅샷 시트 읽기 오류: ${error.message}`);
+  }
+  
+  return runs;
+}
+
+/**
+ * Pick the latest run and the run to compare it with
+ * @param {Array<Object>} runs - Runs from loadSnapshots()
+ * @param {Date} [date] - Compare with the last earlier run whose reference date is on or before this
+ *                        date (the run before the latest when omitted)
+ * @return {Object|null} { current, previous }, or null if there is no run to compare with
+ */
+function selectSnapshotPair(runs, date) {
+  if (runs.length < 2) return null;
+  
+  const current = runs[runs.length - 1];
+  const earlier = runs.slice(0, -1);
+  if (!date) {
+    return { current: current, previous: earlier[earlier.length - 1] };
+  }
+  
+  const day = formatSnapshotDay(date);
+  const previous = earlier.filter(run => formatSnapshotDay(run.referenceDate) <= day).pop();
+  return previous ? { current: current, previous: previous } : null;
+}
+
+/**
+ * Compare two runs ticker by ticker
+ * Tickers are ranked by the first return period the current run has that compares with a past price.
+ * @param {Object} current - Latest run from loadSnapshots()
+ * @param {Object} previous - Run to compare with
+ * @return {Object} { rankPeriod, periods, rows, removed } where rows lists { name, ticker, rank, previousRank,
+ *                  rankChange, priceChange, returns, isNew } sorted by rank, with returns of { code, value,
+ *                  previous, change } in percent and percentage points, and removed lists the tickers of
+ *                  the previous run that the current run does not have
+ */
+function compareSnapshots(current, previous) {
+  const periods = getSnapshotPeriodCodes().filter(code => current.rows.some(row => row.returns[code] !== undefined));
+  const rankPeriod = periods.find(code => !CONFIG.PRICE_LEVEL_PERIODS.includes(code)) || null;
+  
+  const rank = rows => {
+    const ranked = rows.filter(row => rankPeriod && row.returns[rankPeriod] !== undefined)
+      .sort((a, b) => b.returns[rankPeriod] - a.returns[rankPeriod]);
+    return ranked.reduce((ranks, row, i) => Object.assign(ranks, { [row.ticker]: i + 1 }), {});
+  };
+  const currentRanks = rank(current.rows);
+  const previousRanks = rank(previous.rows);
+  const previousRows = previous.rows.reduce((rows, row) => Object.assign(rows, { [row.ticker]: row }), {});
+  
+  const rows = current.rows.map(row => {
+    const before = previousRows[row.ticker];
+    const rankNow = currentRanks[row.ticker] || null;
+    const rankBefore = previousRanks[row.ticker] || null;
+    
+    return {
+      name: row.name,
+      ticker: row.ticker,
+      rank: rankNow,
+      previousRank: rankBefore,
+      rankChange: rankNow && rankBefore ? rankBefore - rankNow : null,
+      priceChange: before && typeof before.current === 'number' && before.current !== 0 ?
+        (row.current / before.current - 1) * 100 : null,
+      returns: periods.map(code => {
+        const value = row.returns[code] !== undefined ? row.returns[code] : null;
+        const previousValue = before && before.returns[code] !== undefined ? before.returns[code] : null;
+        return {
+          code: code,
+          value: value,
+          previous: previousValue,
+          change: value !== null && previousValue !== null ? value - previousValue : null
+        };
+      }),
+      isNew: !before
+    };
+  });
+  
+  rows.sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+  
+  const tickers = current.rows.map(row => row.ticker);
+  return {
+    rankPeriod: rankPeriod,
+    periods: periods,
+    rows: rows,
+    removed: previous.rows.map(row => row.ticker).filter(ticker => !tickers.includes(ticker))
+  };
+}
+
+/**
+ * Write a comparison to the snapshot comparison sheet
+ * Rank changes and return changes are green when they improved and red when they worsened.
+ * @param {Object} pair - Runs from selectSnapshotPair()
+ * @param {Object} comparison - Comparison from compareSnapshots()
+ * @return {Sheet} The comparison sheet
+ */
+function renderSnapshotComparison(pair, comparison) {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.SNAPSHOT_COMPARISON);
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.SNAPSHOT_COMPARISON);
+  }
+  sheet.clear();
+  
+  const describeRun = run => `${run.runId} (기준일 ${formatSnapshotDay(run.referenceDate)})`;
+  sheet.getRange(1, 1).setValue(
+    `스냅샷 비교: ${describeRun(pair.current)} ↔ ${describeRun(pair.previous)}` +
+    (comparison.rankPeriod ? ` · 순위 기준 ${comparison.rankPeriod}` : '')
+  ).setFontWeight('bold');
+  
+  const newTickers = comparison.rows.filter(row => row.isNew).map(row => row.ticker);
+  const changes = [];
+  if (newTickers.length > 0) changes.push(`추가된 티커: ${newTickers.join(', ')}`);
+  if (comparison.removed.length > 0) changes.push(`빠진 티커: ${comparison.removed.join(', ')}`);
+  sheet.getRange(2, 1).setValue(changes.join(' · '));
+  
+  const headers = ['이름', '티커', '순위', '이전 순위', '순위 변화', '현재가 변화'];
+  comparison.periods.forEach(code => headers.push(code, `${code} 이전`, `${code} 변화`));
+  
+  const values = [];
+  const fontColors = [];
+  const backgrounds = [];
+  const numberFormats = [];
+  const changeFormat = '+0.00"%p";-0.00"%p";0.00"%p"';
+  
+  for (const row of comparison.rows) {
+    const rankBackground = row.rankChange > 0 ? '#E8F5E9' : row.rankChange < 0 ? '#FFEBEE' : null;
+    const rowValues = [row.name, row.ticker, row.rank || '', row.previousRank || '',
+      row.rankChange !== null ? row.rankChange : (row.isNew ? '신규' : ''), row.priceChange !== null ? row.priceChange / 100 : ''];
+    const rowColors = ['#000000', '#000000', '#000000', '#000000',
+      getReturnColor(row.rankChange || 0), getReturnColor(row.priceChange || 0)];
+    const rowBackgrounds = [null, null, null, null, rankBackground, null];
+    const rowFormats = ['@', '@', '0', '0', '+0;-0;0', '0.00%'];
+    
+    for (const { value, previous, change } of row.returns) {
+      rowValues.push(value !== null ? value / 100 : 'N/A', previous !== null ? previous / 100 : 'N/A', change !== null ? change : '');
+      rowColors.push(getReturnColor(value || 0), getReturnColor(previous || 0), getReturnColor(change || 0));
+      rowBackgrounds.push(null, null, change !== null && change !== 0 ? (change > 0 ? '#E8F5E9' : '#FFEBEE') : null);
+      rowFormats.push('0.00%', '0.00%', changeFormat);
+    }
+    
+    values.push(rowValues);
+    fontColors.push(rowColors);
+    backgrounds.push(rowBackgrounds);
+    numberFormats.push(rowFormats);
+  }
+  
+  const headerRange = sheet.getRange(3, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#E3F2FD');
+  sheet.setFrozenRows(3);
+  
+  if (values.length > 0) {
+    const dataRange = sheet.getRange(4, 1, values.length, headers.length);
+    dataRange.setNumberFormats(numberFormats);
+    dataRange.setValues(values);
+    dataRange.setFontColors(fontColors);
+    dataRange.setBackgrounds(backgrounds);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Format a snapshot date as yyyy-MM-dd in the script timezone
+ * @param {Date|string} date - Date (strings are returned as they are)
+ * @return {string} Formatted date
+ */
+function formatSnapshotDay(date) {
+  return date instanceof Date ? Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd') : String(date);
+}
+
+/**
+ * Compare the latest run with the previous run or with the run of a date (menu handler)
+ */
+function showSnapshotComparison() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    '스냅샷 비교',
+    '최근 실행과 비교할 날짜를 입력하세요 (예: 2025-05-01).\n비워 두면 직전 실행과 비교합니다.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  try {
+    const text = response.getResponseText().trim();
+    const date = text ? parseSheetDate(text) : null;
+    if (text && !date) {
+      showErrorAlert('스냅샷 비교 실패', `날짜 형식이 올바르지 않습니다: ${text}`);
+      return;
+    }
+    
+    const pair = selectSnapshotPair(loadSnapshots(), date);
+    if (!pair) {
+      showAlert('📸 스냅샷 비교', text ?
+        `${text} 이전에 저장된 스냅샷이 없습니다.` :
+        '비교할 스냅샷이 없습니다. 대시보드 업데이트를 두 번 이상 완료하면 비교할 수 있습니다.');
+      return;
+    }
+    
+    const sheet = renderSnapshotComparison(pair, compareSnapshots(pair.current, pair.previous));
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`스냅샷 비교 오류: ${error.message}`);
+    showErrorAlert('스냅샷 비교 실패', error.message);
+  }
+}
+
+/**
+ * Open the Snapshots sheet, creating it if needed
+ */
+function openSnapshotsSheet() {
+  try {
+    const sheet = getOrCreateSnapshotsSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`스냅샷 시트 열기 오류: ${error.message}`);
+    showErrorAlert('스냅샷 시트 열기 실패', error.message);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Performance Dashboard Ticker - Technical Service Module
+ *
+ * This module calculates technical indicators from the daily closes of the price history:
+ * simple and exponential moving averages, the RSI and the golden/death cross status.
+ */
+
+/**
+ * Get a ticker's technical indicators
+ * @param {Object} ticker - Ticker object
+ * @param {number} current - Current price the moving averages are compared with
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options (periods, movingAverages)
+ * @return {Object|null} Indicators from calculateTechnicalIndicators(), or null if the history cannot be fetched
+ */
+function getTechnicalIndicators(ticker, current, dateCalculator, periodOptions = {}) {
+  try {
+    const { bars } = getDailyHistory(ticker.ticker, ticker.sources || ticker.source, dateCalculator,
+      getTickerHistoryOptions(ticker, periodOptions));
+    if (bars.length === 0) {
+      Logger.log(`${ticker.ticker}: 기술적 지표를 계산할 일간 히스토리가 없습니다.`);
+    }
+    
+    return calculateTechnicalIndicators(bars.map(bar => bar.close), current, periodOptions.movingAverages);
+  } catch (error) {
+    Logger.log(`기술적 지표 계산 오류 (${ticker.name}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the number of daily closes the technical indicators need
+ * The slow crossover average needs CONFIG.TECHNICAL.CROSSOVER_LOOKBACK_DAYS more closes to find the last cross.
+ * @param {Array<Object>} [movingAverages] - Moving averages from parseMovingAverages()
+ * @return {number} Number of closes before the reference date
+ */
+function getTechnicalHistoryDays(movingAverages = parseMovingAverages(CONFIG.TECHNICAL.DEFAULT_MOVING_AVERAGES)) {
+  return Math.max(
+    CONFIG.TECHNICAL.CROSSOVER.SLOW + CONFIG.TECHNICAL.CROSSOVER_LOOKBACK_DAYS,
+    CONFIG.TECHNICAL.RSI_PERIOD + 1,
+    ...movingAverages.map(movingAverage => movingAverage.window)
+  );
+}
+
+/**
+ * Calculate technical indicators from daily closes
+ * @param {Array<number>} closes - Daily closes sorted by date
+ * @param {number} [current] - Current price (defaults to the last close)
+ * @param {Array<Object>} [movingAverages] - Moving averages from parseMovingAverages()
+ * @return {Object} { movingAverages: { [label]: { value, distance } }, rsi, crossover } where distance is the
+ *                  percentage the current price is above (+) or below (-) the average; values are null
+ *                  when the history is too short
+ */
+function calculateTechnicalIndicators(closes, current, movingAverages = parseMovingAverages(CONFIG.TECHNICAL.DEFAULT_MOVING_AVERAGES)) {
+  const price = isValidPrice(current) ? current : closes[closes.length - 1];
+  const result = { movingAverages: {}, rsi: calculateRsi(closes, CONFIG.TECHNICAL.RSI_PERIOD), crossover: null };
+  
+  for (const movingAverage of movingAverages) {
+    const value = movingAverage.type === 'EMA' ?
+      calculateEma(closes, movingAverage.window) : calculateSma(closes, movingAverage.window);
+    result.movingAverages[movingAverage.label] = {
+      value: value,
+      distance: value && isValidPrice(price) ? (price / value - 1) * 100 : null
+    };
+  }
+  
+  result.crossover = calculateCrossover(closes, CONFIG.TECHNICAL.CROSSOVER.FAST, CONFIG.TECHNICAL.CROSSOVER.SLOW);
+  return result;
+}
+
+/**
+ * Calculate the simple moving average of the last closes
+ * @param {Array<number>} closes - Daily closes sorted by date
+ * @param {number} window - Number of closes
+ * @param {number} [end] - Index after the last close to include (defaults to all closes)
+ * @return {number|null} Average, or null with fewer closes than the window
+ */
+function calculateSma(closes, window, end = closes.length) {
+  if (end < window) return null;
+  
+  let sum = 0;
+  for (let i = end - window; i < end; i++) {
+    sum += closes[i];
+  }
+  return sum / window;
+}
+
+/**
+ * Calculate the exponential moving average of the closes
+ * The average starts from the simple average of the first window and then weights each
+ * close by 2 / (window + 1).
+ * @param {Array<number>} closes - Daily closes sorted by date
+ * @param {number} window - Number of closes
+ * @return {number|null} Average, or null with fewer closes than the window
+ */
+function calculateEma(closes, window) {
+  if (closes.length < window) return null;
+  
+  const weight = 2 / (window + 1);
+  let ema = calculateSma(closes, window, window);
+  for (let i = window; i < closes.length; i++) {
+    ema = closes[i] * weight + ema * (1 - weight);
+  }
+  return ema;
+}
+
+/**
+ * Calculate the relative strength index with Wilder's smoothing
+ * @param {Array<number>} closes - Daily closes sorted by date
+ * @param {number} [period] - Number of days (defaults to CONFIG.TECHNICAL.RSI_PERIOD)
+ * @return {number|null} RSI from 0 to 100, or null with too few closes
+ */
+function calculateRsi(closes, period = CONFIG.TECHNICAL.RSI_PERIOD) {
+  if (closes.length <= period) return null;
+  
+  let averageGain = 0;
+  let averageLoss = 0;
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    
+    if (i <= period) {
+      averageGain += gain / period;
+      averageLoss += loss / period;
+    } else {
+      averageGain = (averageGain * (period - 1) + gain) / period;
+      averageLoss = (averageLoss * (period - 1) + loss) / period;
+    }
+  }
+  
+  if (averageLoss === 0) {
+    return averageGain === 0 ? 50 : 100;
+  }
+  return 100 - 100 / (1 + averageGain / averageLoss);
+}
+
+/**
+ * Compare a fast and a slow simple moving average
+ * @param {Array<number>} closes - Daily closes sorted by date
+ * @param {number} fast - Window of the fast average (e.g. 50)
+ * @param {number} slow - Window of the slow average (e.g. 200)
+ * @return {Object|null} { status, daysAgo } where status is 'golden' (fast above slow) or 'death' and
+ *                       daysAgo counts the trading days since the averages last crossed (null if they
+ *                       did not cross within the history), or null with fewer closes than the slow window
+ */
+function calculateCrossover(closes, fast, slow) {
+  if (closes.length < slow) return null;
+  
+  const difference = end => calculateSma(closes, fast, end) - calculateSma(closes, slow, end);
+  const latest = difference(closes.length);
+  const status = latest >= 0 ? 'golden' : 'death';
+  
+  // Walk back until the averages were on the other side
+  for (let end = closes.length - 1; end >= slow; end--) {
+    if ((difference(end) >= 0) !== (latest >= 0)) {
+      return { status: status, daysAgo: closes.length - end - 1 };
+    }
+  }
+  return { status: status, daysAgo: null };
+}
+
+/**
+ * Describe a crossover status for the dashboard
+ * @param {Object|null} crossover - Crossover from calculateCrossover()
+ * @return {string} Status text (e.g. "골든크로스 (3일 전)"), or 'N/A' without enough history
+ */
+function describeCrossover(crossover) {
+  if (!crossover) return 'N/A';
+  
+  const name = crossover.status === 'golden' ? '골든크로스' : '데드크로스';
+  return crossover.daysAgo !== null && crossover.daysAgo <= CONFIG.TECHNICAL.RECENT_CROSS_DAYS ?
+    `${name} (${crossover.daysAgo === 0 ? '오늘' : `${crossover.daysAgo}일 전`})` : name;
+}
@@ -20,6 +20,8 @@ function loadTickerData() {
 
 /**
  * Get the list of tickers from the tickers sheet
+ * Tickers listed in the Holdings sheet get a holding property (see loadHoldings)
+ * and every ticker gets a benchmark property (see resolveBenchmark)
  * @return {Array} Array of ticker objects
  */
 function getTickerData() {
@@ -46,6 +48,11 @@ function getTickerData() {
     const tickerData = tickerSheet.getRange(1, 1, lastRow, lastCol).getValues();
     const result = [];
     
+    // Optional columns are located by header name so they can be added in any order
+    const inceptionIndex = findHeaderIndex(tickerData[0], ['시작일', '설정일', 'inception', 'inception date']);
+    const currencyIndex = findHeaderIndex(tickerData[0], ['통화', 'currency']);
+    const benchmarkIndex = findHeaderIndex(tickerData[0], ['벤치마크', 'benchmark']);
+    
     // Skip header row
     for (let i = 1; i < tickerData.length; i++) {
       const row = tickerData[i];
@@ -62,39 +69,117 @@ function getTickerData() {
         continue;
       }
       
-      // Validate the source is one of the supported data providers
-      const validSources = ['google', 'yahoo', 'naver'];
-      if (!validSources.includes(row[2].toLowerCase())) {
-        Logger.log(`지원되지 않는 데이터 소스: "${row[2]}". 지원되는 소스: ${validSources.join(', ')}`);
+      // The source column may hold an ordered fallback list (e.g. "naver,yahoo,google")
+      // Validate each entry is one of the supported data providers
+      const validSources = DataProviderFactory.getSupportedSources();
+      const sources = DataProviderFactory.parseSources(row[2]).filter(source => {
+        if (!validSources.includes(source)) {
+          Logger.log(`지원되지 않는 데이터 소스: "${source}". 지원되는 소스: ${validSources.join(', ')}`);
+          return false;
+        }
+        return true;
+      });
+      
+      if (sources.length === 0) {
         continue;
       }
       
-      result.push({
+      const tickerInfo = {
         name: row[0],
         ticker: row[1],
-        source: row[2].toLowerCase()
-      });
+        source: sources[0], // Primary source
+        sources: sources    // Full fallback chain in priority order
+      };
+      
+      if (inceptionIndex >= 0 && row[inceptionIndex] !== '') {
+        tickerInfo.inceptionDate = parseSheetDate(row[inceptionIndex]);
+        if (!tickerInfo.inceptionDate) {
+          Logger.log(`잘못된 시작일: ${row[0]} (${row[inceptionIndex]})`);
+        }
+      }
+      
+      // Prices are in this currency; without it the provider's or the market's currency is used
+      if (currencyIndex >= 0 && String(row[currencyIndex]).trim()) {
+        tickerInfo.currency = String(row[currencyIndex]).trim();
+      }
+      
+      // Returns are compared with this symbol; blank means the market's default index (see resolveBenchmark)
+      if (benchmarkIndex >= 0) {
+        tickerInfo.benchmarkSymbol = String(row[benchmarkIndex]).trim();
+      }
+      
+      result.push(tickerInfo);
     }
     
     Logger.log(`총 ${result.length}개의 티커를 처리합니다.`);
-    return result;
+    
+    // Benchmarks may refer to other rows of the Tickers sheet, so they are resolved once every row is read
+    for (const tickerInfo of result) {
+      tickerInfo.benchmark = resolveBenchmark(tickerInfo, result);
+    }
+    
+    // Positions from the optional Holdings sheet
+    return joinHoldings(result, loadHoldings());
   } catch (error) {
     Logger.log(`티커 목록 가져오기 오류: ${error.message}`);
     return [];
   }
 }
 
+/**
+ * Download the requests every ticker needs in parallel batches before the tickers are processed
+ * Tickers whose requests cannot be described are simply fetched on demand later
+ * @param {Array<Object>} tickers - Ticker objects from loadTickerData()
+ * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options
+ * @return {number} Number of prefetched responses
+ */
+function prefetchTickerData(tickers, dateCalculator, periodOptions = {}) {
+  const requests = [];
+  
+  for (const ticker of tickers) {
+    try {
+      requests.push(...buildTickerRequests(ticker.ticker, ticker.sources || ticker.source, dateCalculator,
+        getTickerHistoryOptions(ticker, periodOptions)));
+    } catch (error) {
+      Logger.log(`요청 준비 오류 (${ticker.name}): ${error.message}`);
+    }
+  }
+  
+  // Dividend and split events for the total returns
+  if (periodOptions.showTotalReturns) {
+    requests.push(...buildCorporateActionRequests(tickers, dateCalculator, periodOptions));
+  }
+  
+  // Benchmarks are needed for the excess returns and for beta
+  if (periodOptions.showBenchmarkReturns || periodOptions.showRiskMetrics) {
+    requests.push(...buildBenchmarkRequests(tickers, dateCalculator, periodOptions));
+  }
+  
+  Logger.log(`${tickers.length}개 티커의 요청 ${requests.length}개를 일괄 처리합니다.`);
+  return prefetchRequests(requests);
+}
+
 /**
  * Process a single ticker and get its pricing data
  * @param {Object} ticker - The ticker object
  * @param {DateCalculator} dateCalculator - Date calculator instance
+ * @param {Object} [periodOptions] - Return period options
+ * @param {Array<string>} [periodOptions.periods] - Period codes to calculate (defaults to CONFIG.DEFAULT_PERIODS)
+ * @param {Array<string>} [periodOptions.annualizedPeriods] - Period codes to show as annualized returns
+ * @param {boolean} [periodOptions.showBenchmarkReturns] - Calculate the return over the ticker's benchmark
+ * @param {boolean} [periodOptions.showTotalReturns] - Adjust for splits and calculate returns with dividends reinvested
+ * @param {boolean} [periodOptions.showRiskMetrics] - Calculate volatility, max drawdown, Sharpe ratio and beta
+ * @param {boolean} [periodOptions.showTechnicalIndicators] - Calculate moving averages, RSI and the crossover status
+ * @param {string} [periodOptions.runId] - Update run ID recorded with the audit rows
  * @return {Object} Processed ticker data with prices and returns
  */
-function processTicker(ticker, dateCalculator) {
+function processTicker(ticker, dateCalculator, periodOptions = {}) {
   try {
     const { name, ticker: symbol, source } = ticker;
+    const sources = ticker.sources || [source];
     
-    Logger.log(`티커 처리 중: ${name} (${symbol}) - 소스: ${source}`);
+    Logger.log(`티커 처리 중: ${name} (${symbol}) - 소스: ${sources.join(' → ')}`);
     
     // Create market time manager
     const marketTimeManager = new MarketTimeManager();
@@ -114,39 +199,43 @@ function processTicker(ticker, dateCalculator) {
       dateCalculator.getReferenceDate()
     );
     
-    // Get prices
-    let prices = getPrices(symbol, source, dateCalculator);
+    // Get prices (missing or non-exact prices are flagged in prices.quality)
+    const prices = getPrices(symbol, sources, dateCalculator, getTickerHistoryOptions(ticker, periodOptions));
     
-    // Special handling for KOSDAQ with Naver source - ensure historical prices exist
-    if (symbol === "KOSDAQ" && source.toLowerCase() === "naver") {
-      Logger.log(`Special handling for KOSDAQ with Naver source`);
-      
-      // For KOSDAQ index, if historical prices are missing, use current price
-      // Naver doesn't provide historical data easily for indices
-      if (!prices.weekly || isNaN(prices.weekly)) {
-        Logger.log(`Setting KOSDAQ weekly price to current price for return calculation`);
-        prices.weekly = prices.current * 0.99; // Apply slight decrease to show realistic return
-      }
-      
-      if (!prices.monthly || isNaN(prices.monthly)) {
-        Logger.log(`Setting KOSDAQ monthly price to current price for return calculation`);
-        prices.monthly = prices.current * 0.98; // Apply slight decrease to show realistic return
-      }
-      
-      if (!prices.ytd || isNaN(prices.ytd)) {
-        Logger.log(`Setting KOSDAQ YTD price to current price for return calculation`);
-        prices.ytd = prices.current * 0.96; // Apply slight decrease to show realistic return
-      }
-    }
+    // Splits the history has not absorbed would distort the period prices, so they are applied first
+    const corporateActions = periodOptions.showTotalReturns ? getCorporateActionHistory(ticker, dateCalculator, periodOptions) : null;
+    const splitAdjustments = adjustPricesForSplits(prices, corporateActions);
     
     // Get returns
-    const returns = calculateReturns(prices);
+    const returns = calculateReturns(prices, { annualizedPeriods: periodOptions.annualizedPeriods });
+    const totalReturns = periodOptions.showTotalReturns ? calculateTotalReturns(prices, returns, corporateActions) : null;
+    
+    // FX rates at every price date convert the returns and the position into the base currency
+    const dataProviders = new DataProviderFactory(marketTimeManager).getProviders(sources);
+    prices.currency = resolveTickerCurrency(ticker, dataProviders, marketRegion);
+    prices.fx = getFxRates(prices, prices.currency, periodOptions.baseCurrency || CONFIG.CURRENCY.BASE);
+    const baseReturns = calculateBaseCurrencyReturns(prices, { annualizedPeriods: periodOptions.annualizedPeriods });
+    
+    // The benchmark's returns over the same periods give the excess return
+    const benchmarkPrices = periodOptions.showBenchmarkReturns && ticker.benchmark ?
+      getBenchmarkPrices(ticker.benchmark, dateCalculator, { periods: periodOptions.periods, inceptionDate: ticker.inceptionDate }) : null;
+    const benchmarkReturns = benchmarkPrices ?
+      calculateReturns(benchmarkPrices, { annualizedPeriods: periodOptions.annualizedPeriods }) : null;
     
     // Create processed data
     const processedData = {
       ...ticker,
       prices,
       returns,
+      totalReturns,
+      splitAdjustments,
+      baseReturns,
+      benchmarkReturns,
+      excessReturns: calculateExcessReturns(returns, benchmarkReturns),
+      risk: periodOptions.showRiskMetrics ? getRiskMetrics(ticker, dateCalculator, periodOptions) : null,
+      technical: periodOptions.showTechnicalIndicators ?
+        getTechnicalIndicators(ticker, prices.current, dateCalculator, periodOptions) : null,
+      position: ticker.holding ? calculatePosition(ticker.holding, prices.current, prices.fx.current) : null,
       mostRecentTradingDay,
       dateAnnotation
     };
@@ -158,9 +247,11 @@ function processTicker(ticker, dateCalculator) {
       
       // Create audit data object
       const auditData = {
+        runId: periodOptions.runId,
         symbol: symbol,
         name: name,
         source: source,
+        sources: sources,
         fetchDate: mostRecentTradingDay.date,
         referenceDate: dateCalculator.getReferenceDate(),
         method: source === 'google' ? 'GOOGLEFINANCE 함수' : 
@@ -168,10 +259,11 @@ function processTicker(ticker, dateCalculator) {
                 source === 'naver' ? '네이버 금융 파싱' : '직접 조회',
         prices: prices,
         returns: returns,
+        risk: processedData.risk,
         notes: notes
       };
       
-      // Log to audit sheet
+      // Log the lineage of every price field to the audit sheet
       logAuditData(auditData);
     } catch (auditError) {
       // Don't let audit errors affect the main process
@@ -214,6 +306,7 @@ function lookupSymbol(symbol, source) {
       symbol: symbol,
       current: prices.current,
       high: prices.high,
+      low: prices.low,
       weekly: returns.weekly,
       monthly: returns.monthly,
       ytd: returns.ytd,
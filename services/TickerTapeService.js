@@ -0,0 +1,98 @@
+/**
+ * Performance Dashboard Ticker - Ticker Tape Service Module
+ *
+ * This module serves the ticker tape page of the web app (?view=tape): a scrolling tape and a
+ * compact performance table of the latest dashboard rows that refreshes itself, for wall screens
+ * and embedding in other pages. It reads the same rows and checks the same token as the JSON API.
+ */
+
+/**
+ * Parse the query parameters of the ticker tape page
+ * @param {Object} params - Query parameters; token, tickers and periods (comma-separated) and
+ *                          refresh (seconds between refreshes)
+ * @return {Object} { token, tickers, periods, refreshSeconds } where periods is null for the dashboard's periods
+ */
+function parseTickerTapeOptions(params) {
+  const refresh = parseInt(params.refresh, 10);
+  const periods = parsePeriodCodes(params.periods);
+  
+  return {
+    token: String(params.token || ''),
+    tickers: String(params.tickers || ''),
+    periods: periods.length > 0 ? periods : null,
+    refreshSeconds: isFinite(refresh) ?
+      Math.max(refresh, CONFIG.TICKER_TAPE.MIN_REFRESH_SECONDS) : CONFIG.TICKER_TAPE.REFRESH_SECONDS
+  };
+}
+
+/**
+ * Serve the ticker tape page
+ * @param {Object} params - Query parameters (see parseTickerTapeOptions)
+ * @return {HtmlOutput} The page
+ */
+function serveTickerTape(params) {
+  const options = parseTickerTapeOptions(params);
+  const template = HtmlService.createTemplateFromFile('TickerTape');
+  
+  // The page embeds its first data and options as JSON; '<' is escaped so no value can close the script tag
+  template.initialJson = JSON.stringify(getTickerTapeData(options)).replace(/</g, '\\u003c');
+  template.optionsJson = JSON.stringify(options).replace(/</g, '\\u003c');
+  
+  return template.evaluate()
+    .setTitle('Performance Ticker')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1')
+    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+}
+
+/**
+ * Get the ticker tape data (called by the page on every refresh)
+ * @param {Object} options - Options from parseTickerTapeOptions()
+ * @return {Object} Data from buildTickerTapeData(), or { error }
+ */
+function getTickerTapeData(options) {
+  try {
+    if (!isValidApiToken(options.token)) {
+      return { error: '유효한 API 토큰이 필요합니다.' };
+    }
+    
+    const dashboard = getApiDashboard({ ticker: options.tickers });
+    if (dashboard.error) {
+      return { error: dashboard.error };
+    }
+    return buildTickerTapeData(dashboard, options.periods);
+  } catch (error) {
+    Logger.log(`티커 테이프 데이터 오류: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Build the ticker tape data from the dashboard rows
+ * Returns carry the text and color the dashboard would show for them (see formatReturnCell).
+ * @param {Object} dashboard - Dashboard data from getApiDashboard()
+ * @param {Array<string>|null} periods - Period codes to show; codes not on the dashboard are left out
+ *                                       (null for every dashboard period)
+ * @return {Object} { referenceDate, updatedAt, periods, items } where periods lists { code, header } and
+ *                  items { name, ticker, price, returns } with one { text, color } per period
+ */
+function buildTickerTapeData(dashboard, periods) {
+  const codes = periods ? periods.filter(code => dashboard.periods.includes(code)) : dashboard.periods;
+  
+  return {
+    referenceDate: dashboard.referenceDate,
+    updatedAt: Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'HH:mm'),
+    periods: codes.map(code => ({ code: code, header: CONFIG.PERIODS[code].header })),
+    items: dashboard.rows.map(row => ({
+      name: row.name,
+      ticker: row.ticker,
+      price: formatPrice(row.current),
+      returns: codes.map(code => {
+        const value = row.returns[code];
+        return {
+          text: formatReturn(value),
+          color: value === null || value === undefined ? '#9E9E9E' : getReturnColor(value)
+        };
+      })
+    }))
+  };
+}
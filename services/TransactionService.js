@@ -0,0 +1,166 @@
+/**
+ * Performance Dashboard Ticker - Transaction Service Module
+ *
+ * This module reads the optional Transactions sheet, a ledger of buys, sells and
+ * dividends that the portfolio performance engine (PerformanceService) replays.
+ */
+
+/**
+ * Column headers of a newly created Transactions sheet
+ */
+const TRANSACTION_HEADERS = ['날짜', '티커', '구분', '수량', '가격', '금액', '수수료', '계좌', '메모'];
+
+/**
+ * Transaction types and the names accepted for them in the 구분 column
+ */
+const TRANSACTION_TYPES = {
+  BUY: ['매수', 'buy'],
+  SELL: ['매도', 'sell'],
+  DIVIDEND: ['배당', 'dividend', 'div']
+};
+
+/**
+ * Get or create the Transactions sheet
+ * @return {Sheet} The transactions sheet
+ */
+function getOrCreateTransactionsSheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.TRANSACTIONS);
+  
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.TRANSACTIONS);
+    
+    const headerRange = sheet.getRange(1, 1, 1, TRANSACTION_HEADERS.length);
+    headerRange.setValues([TRANSACTION_HEADERS]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.getRange(1, 3).setNote('매수, 매도 또는 배당');
+    sheet.getRange(1, 6).setNote('실제 입출금액입니다. 비워 두면 매수는 수량 × 가격 + 수수료, 매도는 수량 × 가격 - 수수료로 계산합니다. 배당은 금액을 입력하세요.');
+    sheet.getRange(2, 1, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.setFrozenRows(1);
+    
+    Logger.log('거래 내역 시트를 생성했습니다.');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Read the Transactions sheet
+ * @return {Array<Object>} Transactions sorted by date, each
+ *                         { date, symbol, type, quantity, price, amount, fee, account }
+ *                         where amount is the cash paid (BUY) or received (SELL, DIVIDEND)
+ */
+function loadTransactions() {
+  const transactions = [];
+  
+  try {
+    const sheet = SS.getSheetByName(CONFIG.SHEETS.TRANSACTIONS);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return transactions;
+    }
+    
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    
+    // Columns are located by header name so they can be in any order
+    const header = data[0];
+    const columns = {
+      date: findHeaderIndex(header, ['날짜', '거래일', 'date']),
+      symbol: findHeaderIndex(header, ['티커', '심볼', 'symbol', 'ticker']),
+      type: findHeaderIndex(header, ['구분', '유형', 'type']),
+      quantity: findHeaderIndex(header, ['수량', 'quantity', 'shares']),
+      price: findHeaderIndex(header, ['가격', '단가', 'price']),
+      amount: findHeaderIndex(header, ['금액', 'amount']),
+      fee: findHeaderIndex(header, ['수수료', 'fee', 'fees']),
+      account: findHeaderIndex(header, ['계좌', 'account'])
+    };
+    
+    if (columns.date < 0 || columns.symbol < 0 || columns.type < 0) {
+      Logger.log('거래 내역 시트에 날짜, 티커 또는 구분 열이 없습니다.');
+      return transactions;
+    }
+    
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (row.every(cell => cell === '')) continue;
+      
+      const transaction = parseTransactionRow(row, columns);
+      if (transaction) {
+        transactions.push(transaction);
+      } else {
+        Logger.log(`잘못된 거래 내역: ${i + 1}행 (${row.join(', ')})`);
+      }
+    }
+  } catch (error) {
+    Logger.log(`거래 내역 시트 읽기 오류: ${error.message}`);
+  }
+  
+  return transactions.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Convert a Transactions sheet row to a transaction
+ * @param {Array} row - Row values
+ * @param {Object} columns - Zero-based column indexes by field (-1 for missing columns)
+ * @return {Object|null} The transaction, or null if the row is incomplete
+ */
+function parseTransactionRow(row, columns) {
+  const readNumber = (index) => {
+    if (index < 0 || row[index] === '') return null;
+    const value = parseFloat(String(row[index]).replace(/,/g, ''));
+    return isFinite(value) ? value : null;
+  };
+  
+  const date = parseSheetDate(row[columns.date]);
+  const symbol = String(row[columns.symbol]).trim().toUpperCase();
+  const type = parseTransactionType(row[columns.type]);
+  if (!date || !symbol || !type) return null;
+  
+  const quantity = readNumber(columns.quantity);
+  const price = readNumber(columns.price);
+  const fee = readNumber(columns.fee) || 0;
+  let amount = readNumber(columns.amount);
+  
+  if (type !== 'DIVIDEND' && !(quantity > 0)) return null;
+  
+  if (amount === null && quantity !== null && price !== null) {
+    amount = type === 'BUY' ? quantity * price + fee : quantity * price - fee;
+  }
+  if (amount === null) return null;
+  
+  return {
+    date: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+    symbol: symbol,
+    type: type,
+    quantity: type === 'DIVIDEND' ? 0 : quantity,
+    price: price,
+    amount: Math.abs(amount),
+    fee: fee,
+    account: columns.account >= 0 ? String(row[columns.account]).trim() : ''
+  };
+}
+
+/**
+ * Map a 구분 cell to a transaction type
+ * @param {string} value - Cell value (e.g. 매수, SELL, 배당)
+ * @return {string|null} BUY, SELL or DIVIDEND, or null if not recognized
+ */
+function parseTransactionType(value) {
+  const text = String(value || '').trim().toLowerCase();
+  for (const [type, names] of Object.entries(TRANSACTION_TYPES)) {
+    if (names.includes(text)) return type;
+  }
+  return null;
+}
+
+/**
+ * Open the Transactions sheet from the menu
+ */
+function openTransactionsSheet() {
+  try {
+    const sheet = getOrCreateTransactionsSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`거래 내역 시트 열기 오류: ${error.message}`);
+    showErrorAlert('거래 내역 시트 열기 실패', error.message);
+  }
+}
@@ -59,18 +59,62 @@ function formatReturnCell(sheet, row, column, returnValue) {
     cell.setNumberFormat("0.00%");
     
     // Set color based on value
-    if (returnValue > 0) {
-      cell.setFontColor("#388E3C"); // Green
-    } else if (returnValue < 0) {
-      cell.setFontColor("#D32F2F"); // Red
-    } else {
-      cell.setFontColor("#000000"); // Black for zero
-    }
+    cell.setFontColor(getReturnColor(returnValue));
   } catch (error) {
     Logger.log(`셀 서식 오류: ${error.message}`);
   }
 }
 
+/**
+ * Get the font color of a return
+ * @param {number} returnValue - The return value
+ * @return {string} Green for gains, red for losses, black for zero
+ */
+function getReturnColor(returnValue) {
+  if (returnValue > 0) {
+    return "#388E3C"; // Green
+  } else if (returnValue < 0) {
+    return "#D32F2F"; // Red
+  }
+  return "#000000"; // Black for zero
+}
+
+/**
+ * Mark a price or return cell whose price is not exact
+ * Exact prices clear the marking so a refreshed row does not keep a stale one
+ * @param {Range} cell - The cell to format
+ * @param {string} label - Price label used in the note
+ * @param {Object} [entry] - Quality entry from prices.quality
+ * @param {Array<string>} [notes] - Other notes for the cell
+ */
+function formatPriceQualityCell(cell, label, entry, notes = []) {
+  try {
+    const description = describePriceQualityEntry(label, entry);
+    cell.setBackground(getPriceQualityColor(entry ? entry.flag : null));
+    cell.setNote(notes.concat(description ? [description] : []).join('\n'));
+  } catch (error) {
+    Logger.log(`가격 품질 서식 오류: ${error.message}`);
+  }
+}
+
+/**
+ * Get the background color marking a price quality flag
+ * @param {string|null} flag - CONFIG.PRICE_QUALITY flag
+ * @return {string|null} Background color, or null for exact prices
+ */
+function getPriceQualityColor(flag) {
+  switch (flag) {
+    case CONFIG.PRICE_QUALITY.NEAREST:
+      return "#FFF8E1"; // Light amber
+    case CONFIG.PRICE_QUALITY.INTERPOLATED:
+      return "#F3E5F5"; // Light purple
+    case CONFIG.PRICE_QUALITY.MISSING:
+      return "#ECEFF1"; // Light grey
+    default:
+      return null;
+  }
+}
+
 /**
  * Show an error message for a ticker
  * @param {Sheet} sheet - The sheet to update
@@ -177,6 +221,20 @@ function createCustomMenu() {
       .addSeparator()
       .addSubMenu(ui.createMenu('⚙️ 관리')
         .addItem('📝 티커 관리', 'showSidebar')
+        .addItem('💼 보유 종목 관리', 'openHoldingsSheet')
+        .addItem('🧾 거래 내역 관리', 'openTransactionsSheet')
+        .addItem('💰 배당·분할 관리', 'openCorporateActionsSheet')
+        .addItem('🔔 알림 규칙 관리', 'openAlertsSheet')
+        .addItem('📣 웹훅 알림 관리', 'openNotificationsSheet')
+        .addItem('🗂️ 스냅샷 기록', 'openSnapshotsSheet')
+        .addItem('📸 스냅샷 비교', 'showSnapshotComparison')
+        .addItem('📋 감사 기록', 'showAuditSheet')
+        .addItem('🔍 값 출처 추적', 'showValueLineage')
+        .addItem('📆 휴장일 관리', 'openHolidaySheet')
+        .addItem('🛠️ 설정', 'openSettingsSheet')
+        .addItem('⏰ 자동 업데이트 일정', 'showScheduleSidebar')
+        .addItem('🔑 웹 API 토큰 발급', 'issueApiToken')
+        .addItem('🗑️ 가격 캐시 삭제', 'purgePriceCacheForSymbol')
         .addItem('🔬 진단 모드 켜기/끄기', 'toggleDiagnosticMode')
         .addItem('📋 디버그 보고서 생성', 'generateDebugReport')
         .addItem('🔓 잠금 강제 해제', 'resetLockWithConfirmation'))
@@ -304,10 +362,10 @@ function showAuditSheet() {
     
     // Show information
     showAlert(
-      '📋 현재 감사 로그', 
-      '이 감사 로그에는 가장 최근 대시보드 업데이트에서의 데이터 소스 정보가 포함되어 있습니다.\n\n' +
-      '이 시트를 통해 현재 대시보드에 표시된 데이터의 출처와 수집 방법을 확인할 수 있습니다.\n\n' +
-      '대시보드가 업데이트될 때마다 이 감사 로그는 초기화되고 새로운 정보로 채워집니다.'
+      '📋 감사 기록', 
+      '이 감사 기록에는 업데이트 실행마다 각 티커의 가격 필드별 공급자, 사용한 URL 또는 수식, 요청 날짜와 실제 종가 날짜, 조회 시간이 포함되어 있습니다.\n\n' +
+      '대시보드에서 셀을 선택하고 "값 출처 추적" 메뉴를 실행하면 그 값의 기록만 필터로 표시합니다.\n\n' +
+      `기록은 ${getAuditRetentionDays()}일 동안 보관되며(설정 시트의 AUDIT_RETENTION_DAYS), 업데이트가 끝날 때마다 오래된 행이 삭제됩니다.`
     );
   } catch (error) {
     Logger.log(`감사 시트 표시 오류: ${error.message}`);
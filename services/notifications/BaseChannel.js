@@ -0,0 +1,102 @@
+/**
+ * Abstract base class for notification channels
+ * Each channel turns a run summary or a list of alerts into the JSON body its webhook expects.
+ */
+class NotificationChannel {
+  constructor(url) {
+    this.name = "Default Channel";
+    this.type = null; // Channel identifier used in the Notifications sheet (slack, teams, json)
+    this.url = url;
+  }
+  
+  /**
+   * Build the message for a finished or failed dashboard update
+   * @param {Object} summary - Run summary built by notifyUpdateResult()
+   * @return {Object} Webhook payload
+   */
+  buildSummaryPayload(summary) {
+    throw new Error("buildSummaryPayload method must be implemented by subclass");
+  }
+  
+  /**
+   * Build the message for the alerts that fired during an update
+   * @param {Array<Object>} alerts - Alerts from evaluateAlertRules()
+   * @param {Date} referenceDate - Reference date of the update
+   * @return {Object} Webhook payload
+   */
+  buildAlertsPayload(alerts, referenceDate) {
+    throw new Error("buildAlertsPayload method must be implemented by subclass");
+  }
+  
+  /**
+   * POST a payload to the webhook as JSON
+   * @param {Object} payload - Payload from one of the build methods
+   * @return {number} HTTP status code
+   * @throws {Error} If the webhook does not answer with a 2xx status
+   */
+  send(payload) {
+    const response = UrlFetchApp.fetch(this.url, {
+      method: 'post',
+      contentType: 'application/json; charset=utf-8',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    });
+    
+    const code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      throw new Error(`${this.name} 웹훅 응답 오류 (${code}): ${String(response.getContentText()).slice(0, 200)}`);
+    }
+    return code;
+  }
+  
+  /**
+   * Get the headline of a run summary
+   * @param {Object} summary - Run summary
+   * @return {string} Headline (e.g. "✅ 대시보드 업데이트 완료 (기준일 2025-05-20)")
+   * @protected
+   */
+  getSummaryTitle(summary) {
+    const status = summary.status === 'error' ? '❌ 대시보드 업데이트 실패' : '✅ 대시보드 업데이트 완료';
+    return `${status} (기준일 ${this.formatDay(summary.referenceDate)})`;
+  }
+  
+  /**
+   * Get the counts line of a run summary
+   * @param {Object} summary - Run summary
+   * @return {string} Counts (e.g. "업데이트 10/12개 · 실패 2개 · 알림 1건")
+   * @protected
+   */
+  getSummaryCounts(summary) {
+    return `업데이트 ${summary.updated}/${summary.total}개 · 실패 ${summary.failed.length}개 · 알림 ${summary.alertCount}건`;
+  }
+  
+  /**
+   * Describe a list of movers
+   * @param {Array<Object>} movers - Movers of { ticker, name, value }
+   * @return {string} Comma-separated movers (e.g. "Apple (AAPL) +5.20%")
+   * @protected
+   */
+  formatMovers(movers) {
+    return movers.map(mover => `${mover.name} (${mover.ticker}) ${formatReturn(mover.value)}`).join(', ');
+  }
+  
+  /**
+   * Describe a fired alert
+   * @param {Object} alert - Alert from evaluateAlertRules()
+   * @return {string} Alert line (e.g. "Apple (AAPL): 1W < -5 → -6.20%")
+   * @protected
+   */
+  formatAlert(alert) {
+    return `${alert.name || alert.ticker} (${alert.ticker}): ${alert.rule.label} → ${describeAlertValue(alert)}`;
+  }
+  
+  /**
+   * Format a date as yyyy-MM-dd in the script timezone
+   * @param {Date} date - Date
+   * @return {string} Formatted date
+   * @protected
+   */
+  formatDay(date) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Factory for creating notification channels
+ */
+class NotificationChannelFactory {
+  /**
+   * Get a notification channel for the given type
+   * @param {string} type - Channel type (slack, teams, json)
+   * @param {string} url - Webhook URL
+   * @return {NotificationChannel} The appropriate channel
+   */
+  getChannel(type, url) {
+    if (!url) {
+      throw new Error("웹훅 URL이 지정되지 않았습니다.");
+    }
+    
+    const lowerType = String(type || '').toLowerCase().trim();
+    
+    switch (lowerType) {
+      case "slack":
+        return new SlackNotificationChannel(url);
+      case "teams":
+        return new TeamsNotificationChannel(url);
+      case "json":
+      case "webhook":
+        return new JsonNotificationChannel(url);
+      default:
+        throw new Error(`지원되지 않는 알림 채널입니다: ${type}`);
+    }
+  }
+  
+  /**
+   * Get the list of supported channel types
+   * @return {Array<string>} Supported channel identifiers
+   */
+  static getSupportedTypes() {
+    return ['slack', 'teams', 'json'];
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Generic JSON webhook channel
+ * Posts the run summary and alerts as plain data for custom receivers.
+ */
+class JsonNotificationChannel extends NotificationChannel {
+  constructor(url) {
+    super(url);
+    this.name = "JSON Webhook";
+    this.type = "json";
+  }
+  
+  /**
+   * Build the payload for a finished or failed dashboard update
+   * @param {Object} summary - Run summary built by notifyUpdateResult()
+   * @return {Object} { event: 'update', status, runId, referenceDate, total, updated, failed, moverPeriod,
+   *                  gainers, losers, alertCount, error } with the reference date as yyyy-MM-dd
+   */
+  buildSummaryPayload(summary) {
+    return {
+      event: 'update',
+      status: summary.status,
+      runId: summary.runId,
+      referenceDate: this.formatDay(summary.referenceDate),
+      total: summary.total,
+      updated: summary.updated,
+      failed: summary.failed,
+      moverPeriod: summary.moverPeriod,
+      gainers: summary.gainers,
+      losers: summary.losers,
+      alertCount: summary.alertCount,
+      error: summary.error || null
+    };
+  }
+  
+  /**
+   * Build the payload for the alerts that fired during an update
+   * @param {Array<Object>} alerts - Alerts from evaluateAlertRules()
+   * @param {Date} referenceDate - Reference date of the update
+   * @return {Object} { event: 'alerts', referenceDate, alerts } with one
+   *                  { ticker, name, rule, metric, value, direction } entry per alert
+   */
+  buildAlertsPayload(alerts, referenceDate) {
+    return {
+      event: 'alerts',
+      referenceDate: this.formatDay(referenceDate),
+      alerts: alerts.map(alert => ({
+        ticker: alert.ticker,
+        name: alert.name || alert.ticker,
+        rule: alert.rule.label,
+        metric: alert.rule.metric,
+        value: alert.value,
+        direction: alert.rule.operator.startsWith('CROSSES') ? alert.direction : null
+      }))
+    };
+  }
+}
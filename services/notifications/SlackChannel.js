@@ -0,0 +1,61 @@
+/**
+ * Slack incoming webhook channel
+ * Messages use Slack's mrkdwn text, which every incoming webhook accepts.
+ */
+class SlackNotificationChannel extends NotificationChannel {
+  constructor(url) {
+    super(url);
+    this.name = "Slack";
+    this.type = "slack";
+  }
+  
+  /**
+   * Build the message for a finished or failed dashboard update
+   * @param {Object} summary - Run summary built by notifyUpdateResult()
+   * @return {Object} Payload of { text }
+   */
+  buildSummaryPayload(summary) {
+    const lines = [`*${this.escape(this.getSummaryTitle(summary))}*`];
+    
+    if (summary.total > 0) {
+      lines.push(this.escape(this.getSummaryCounts(summary)));
+    }
+    if (summary.error) {
+      lines.push(`*오류*: ${this.escape(summary.error)}`);
+    }
+    if (summary.gainers.length > 0) {
+      lines.push(`*상승 상위 (${summary.moverPeriod})*: ${this.escape(this.formatMovers(summary.gainers))}`);
+    }
+    if (summary.losers.length > 0) {
+      lines.push(`*하락 상위 (${summary.moverPeriod})*: ${this.escape(this.formatMovers(summary.losers))}`);
+    }
+    for (const failure of summary.failed) {
+      lines.push(`• 실패: ${this.escape(`${failure.name} (${failure.ticker}) - ${failure.message}`)}`);
+    }
+    
+    return { text: lines.join('\n') };
+  }
+  
+  /**
+   * Build the message for the alerts that fired during an update
+   * @param {Array<Object>} alerts - Alerts from evaluateAlertRules()
+   * @param {Date} referenceDate - Reference date of the update
+   * @return {Object} Payload of { text }
+   */
+  buildAlertsPayload(alerts, referenceDate) {
+    const lines = [`*🔔 대시보드 알림 ${alerts.length}건* (기준일 ${this.formatDay(referenceDate)})`]
+      .concat(alerts.map(alert => `• ${this.escape(this.formatAlert(alert))}`));
+    
+    return { text: lines.join('\n') };
+  }
+  
+  /**
+   * Escape the characters Slack treats as control sequences
+   * @param {string} text - Plain text
+   * @return {string} Escaped text
+   * @private
+   */
+  escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Microsoft Teams channel
+ * Messages are Adaptive Cards, accepted by Teams workflow webhooks and incoming webhook connectors.
+ */
+class TeamsNotificationChannel extends NotificationChannel {
+  constructor(url) {
+    super(url);
+    this.name = "Microsoft Teams";
+    this.type = "teams";
+  }
+  
+  /**
+   * Build the card for a finished or failed dashboard update
+   * @param {Object} summary - Run summary built by notifyUpdateResult()
+   * @return {Object} Message payload with one Adaptive Card attachment
+   */
+  buildSummaryPayload(summary) {
+    const facts = summary.total > 0 ? [
+      { title: '업데이트', value: `${summary.updated}/${summary.total}개` },
+      { title: '실패', value: `${summary.failed.length}개` },
+      { title: '알림', value: `${summary.alertCount}건` }
+    ] : [];
+    if (summary.gainers.length > 0) {
+      facts.push({ title: `상승 상위 (${summary.moverPeriod})`, value: this.formatMovers(summary.gainers) });
+    }
+    if (summary.losers.length > 0) {
+      facts.push({ title: `하락 상위 (${summary.moverPeriod})`, value: this.formatMovers(summary.losers) });
+    }
+    
+    const body = [this.titleBlock(this.getSummaryTitle(summary))];
+    if (facts.length > 0) {
+      body.push({ type: 'FactSet', facts: facts });
+    }
+    if (summary.error) {
+      body.push({ type: 'TextBlock', text: `오류: ${summary.error}`, color: 'Attention', wrap: true });
+    }
+    for (const failure of summary.failed) {
+      body.push({ type: 'TextBlock', text: `실패: ${failure.name} (${failure.ticker}) - ${failure.message}`, wrap: true });
+    }
+    
+    return this.card(body);
+  }
+  
+  /**
+   * Build the card for the alerts that fired during an update
+   * @param {Array<Object>} alerts - Alerts from evaluateAlertRules()
+   * @param {Date} referenceDate - Reference date of the update
+   * @return {Object} Message payload with one Adaptive Card attachment
+   */
+  buildAlertsPayload(alerts, referenceDate) {
+    const body = [this.titleBlock(`🔔 대시보드 알림 ${alerts.length}건 (기준일 ${this.formatDay(referenceDate)})`)]
+      .concat(alerts.map(alert => ({ type: 'TextBlock', text: `- ${this.formatAlert(alert)}`, wrap: true })));
+    
+    return this.card(body);
+  }
+  
+  /**
+   * Build a card title block
+   * @param {string} text - Title
+   * @return {Object} TextBlock element
+   * @private
+   */
+  titleBlock(text) {
+    return { type: 'TextBlock', text: text, weight: 'Bolder', size: 'Medium', wrap: true };
+  }
+  
+  /**
+   * Wrap card elements in a Teams message
+   * @param {Array<Object>} body - Adaptive Card body elements
+   * @return {Object} Message payload
+   * @private
+   */
+  card(body) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: body
+        }
+      }]
+    };
+  }
+}
@@ -4,6 +4,7 @@
 class DataProvider {
   constructor() {
     this.name = "Default Provider";
+    this.source = null; // Source identifier used in the Tickers sheet (google, yahoo, naver)
     this.diagnosticMode = false;
   }
   
@@ -46,6 +47,400 @@ class DataProvider {
     throw new Error("getHighPrice method must be implemented by subclass");
   }
   
+  /**
+   * Get the 52-week low price for a ticker
+   * @param {string} symbol - Ticker symbol
+   * @return {number} 52-week low price
+   */
+  getLowPrice(symbol) {
+    throw new Error("getLowPrice method must be implemented by subclass");
+  }
+  
+  /**
+   * Get the currency a ticker trades in
+   * @param {string} symbol - Ticker symbol
+   * @return {string|null} Currency code as reported by the provider (e.g. USD, GBp), or null if the provider does not report it
+   */
+  getCurrency(symbol) {
+    return null;
+  }
+  
+  /**
+   * Get daily OHLCV history for a ticker
+   * Subclasses implement fetchHistory(); the result is normalized here so every provider
+   * returns the same shape: bars sorted by date ascending, one per trading day, within [from, to].
+   * Settled bars come from the price cache and only the missing part of the range is downloaded;
+   * the market's current day is never cached because its close can still change.
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range (inclusive)
+   * @param {Date} to - Last date of the range (inclusive)
+   * @return {Array<Object>} Bars of {date, open, high, low, close, adjClose, volume};
+   *                         date is the trading day at local midnight, missing fields are null
+   */
+  getHistory(symbol, from, to) {
+    const settledBefore = this.getSettledDateKey(symbol);
+    const cached = this.getCachedHistory(symbol, from, to, settledBefore);
+    const fetchFrom = this.getHistoryFetchStart(symbol, cached, from, to, settledBefore);
+    
+    let history = cached;
+    if (cached.length > 0) {
+      recordFetchSource(`가격 캐시: ${this.source} ${symbol} (${cached.length}개 거래일)`);
+    }
+    if (fetchFrom) {
+      const fetched = this.normalizeHistory(this.fetchHistory(symbol, fetchFrom, to), fetchFrom, to);
+      writeCachedHistory(this.source, symbol, fetched.filter(bar => this.toDateKey(bar.date) < settledBefore));
+      history = this.mergeHistory(cached, fetched);
+    }
+    
+    Logger.log(`${this.name} 히스토리: ${symbol} ${this.toDateKey(from)} ~ ${this.toDateKey(to)} - ${history.length}개 거래일 (캐시 ${cached.length}개)`);
+    return history;
+  }
+  
+  /**
+   * Get the dividends and splits of a ticker in a date range
+   * Providers that do not report corporate actions return an empty list.
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range (inclusive)
+   * @param {Date} to - Last date of the range (inclusive)
+   * @return {Array<Object>} Actions of {date, type, value, adjusted} sorted by date, where type is
+   *                         'dividend' (value: cash per share) or 'split' (value: new shares per old share)
+   *                         and adjusted tells whether a dividend is already restated for later splits
+   */
+  getCorporateActions(symbol, from, to) {
+    return [];
+  }
+  
+  /**
+   * Describe the requests made by getCorporateActions() (none unless the provider overrides it)
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Request objects
+   */
+  buildCorporateActionRequests(symbol, from, to) {
+    return [];
+  }
+  
+  /**
+   * Describe the HTTP requests a ticker needs so they can be downloaded in parallel
+   * before the tickers are processed; the responses are picked up by fetchUrl().
+   * Ranges already covered by the price cache are not requested, and anything not
+   * described here is still fetched on demand.
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} priceDate - Date of the current price lookup
+   * @param {Date} from - First date of the history
+   * @param {Date} to - Last date of the history
+   * @return {Array<Object>} Request objects for UrlFetchApp.fetchAll
+   */
+  buildRequests(symbol, priceDate, from, to) {
+    const requests = this.buildPriceRequests(symbol, priceDate);
+    const settledBefore = this.getSettledDateKey(symbol);
+    const cached = this.getCachedHistory(symbol, from, to, settledBefore);
+    const fetchFrom = this.getHistoryFetchStart(symbol, cached, from, to, settledBefore);
+    
+    return fetchFrom ? requests.concat(this.buildHistoryRequests(symbol, fetchFrom, to)) : requests;
+  }
+  
+  /**
+   * Describe the requests made by getPrice() (none unless the provider overrides it)
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} date - Date of the price lookup
+   * @return {Array<Object>} Request objects
+   * @protected
+   */
+  buildPriceRequests(symbol, date) {
+    return [];
+  }
+  
+  /**
+   * Describe the requests made by fetchHistory() (none unless the provider overrides it)
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Request objects
+   * @protected
+   */
+  buildHistoryRequests(symbol, from, to) {
+    return [];
+  }
+  
+  /**
+   * Get the settled cached bars within a range
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @param {string} settledBefore - Date key of the market's current day
+   * @return {Array<Object>} Normalized cached bars
+   * @protected
+   */
+  getCachedHistory(symbol, from, to, settledBefore) {
+    return this.normalizeHistory(readCachedHistory(this.source, symbol), from, to)
+      .filter(bar => this.toDateKey(bar.date) < settledBefore);
+  }
+  
+  /**
+   * Decide which part of a range still has to be downloaded
+   * The cache must start near the range start, and every trading day after the last cached bar
+   * must be either outside the range or not yet settled
+   * @param {string} symbol - Ticker symbol
+   * @param {Array<Object>} cached - Settled cached bars within the range
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @param {string} settledBefore - Date key of the market's current day
+   * @return {Date|null} Start of the range to fetch, or null if the cache covers the range
+   * @protected
+   */
+  getHistoryFetchStart(symbol, cached, from, to, settledBefore) {
+    if (cached.length === 0) return from;
+    
+    const rangeStart = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    if ((cached[0].date - rangeStart) / (24 * 60 * 60 * 1000) > CONFIG.HISTORY.MAX_GAP_DAYS) {
+      return from;
+    }
+    
+    const nextTradingDay = this.getNextTradingDay(symbol, cached[cached.length - 1].date);
+    const nextKey = this.toDateKey(nextTradingDay);
+    return nextKey > this.toDateKey(to) || nextKey >= settledBefore ? null : nextTradingDay;
+  }
+  
+  /**
+   * Get the market's current date; bars before it are settled and safe to cache
+   * @param {string} symbol - Ticker symbol
+   * @return {string} Date key (yyyy-MM-dd) of today in the market's timezone
+   * @protected
+   */
+  getSettledDateKey(symbol) {
+    const marketTimeManager = this.marketTimeManager || new MarketTimeManager();
+    const region = marketTimeManager.getMarketRegion(this.source, symbol);
+    return this.toDateKey(marketTimeManager.getMarketLocalTime(region, new Date()));
+  }
+  
+  /**
+   * Get the first trading day after a date on the symbol's exchange
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} date - Start date
+   * @return {Date} Next trading day
+   * @protected
+   */
+  getNextTradingDay(symbol, date) {
+    const marketTimeManager = this.marketTimeManager || new MarketTimeManager();
+    const region = marketTimeManager.getMarketRegion(this.source, symbol);
+    const next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    
+    for (let i = 0; i < 15 && !marketTimeManager.isTradingDay(region, next); i++) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next;
+  }
+  
+  /**
+   * Merge cached and freshly fetched bars; fetched bars win for the same day
+   * @param {Array<Object>} cached - Normalized cached bars
+   * @param {Array<Object>} fetched - Normalized fetched bars
+   * @return {Array<Object>} Merged bars sorted by date ascending
+   * @protected
+   */
+  mergeHistory(cached, fetched) {
+    const byDate = {};
+    for (const bar of cached.concat(fetched)) {
+      byDate[this.toDateKey(bar.date)] = bar;
+    }
+    return Object.keys(byDate).sort().map(key => byDate[key]);
+  }
+  
+  /**
+   * Fetch raw daily bars for a date range
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Bars with at least date and close
+   * @protected
+   */
+  fetchHistory(symbol, from, to) {
+    throw new Error("fetchHistory method must be implemented by subclass");
+  }
+  
+  /**
+   * Get the close price on or before a date using a short history window
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} date - Target date
+   * @return {number|null} Close price or null if no bar was found near the date
+   * @protected
+   */
+  getHistoricalPriceFromHistory(symbol, date) {
+    const maxGapDays = CONFIG.HISTORY.MAX_GAP_DAYS;
+    const from = new Date(date.getFullYear(), date.getMonth(), date.getDate() - maxGapDays);
+    const bar = DataProvider.findBarOnOrBefore(this.getHistory(symbol, from, date), date, maxGapDays);
+    return bar ? bar.close : null;
+  }
+  
+  /**
+   * Normalize raw bars: drop invalid rows, de-duplicate days, clip to the range and sort
+   * @param {Array<Object>} bars - Raw bars from fetchHistory()
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Normalized bars
+   * @protected
+   */
+  normalizeHistory(bars, from, to) {
+    const fromKey = this.toDateKey(from);
+    const toKey = this.toDateKey(to);
+    const byDate = {};
+    
+    for (const bar of bars || []) {
+      const date = bar ? this.parseBarDate(bar.date) : null;
+      const close = bar ? this.toNumber(bar.close) : null;
+      if (!date || close === null || close <= 0) continue;
+      
+      const key = this.toDateKey(date);
+      if (key < fromKey || key > toKey) continue;
+      
+      const adjClose = this.toNumber(bar.adjClose);
+      byDate[key] = {
+        date: date,
+        open: this.toNumber(bar.open),
+        high: this.toNumber(bar.high),
+        low: this.toNumber(bar.low),
+        close: close,
+        adjClose: adjClose !== null ? adjClose : close,
+        volume: this.toNumber(bar.volume)
+      };
+    }
+    
+    return Object.keys(byDate).sort().map(key => byDate[key]);
+  }
+  
+  /**
+   * Find the last bar on or before a date
+   * @param {Array<Object>} history - Normalized bars sorted by date ascending
+   * @param {Date} date - Target date
+   * @param {number} maxGapDays - Maximum number of calendar days between the bar and the target
+   * @return {Object|null} The bar or null if none is close enough
+   */
+  static findBarOnOrBefore(history, date, maxGapDays) {
+    if (!history || history.length === 0 || !date) return null;
+    
+    const target = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].date <= target) {
+        const gapDays = (target - history[i].date) / (24 * 60 * 60 * 1000);
+        return gapDays <= maxGapDays ? history[i] : null;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Interpolate a close linearly between the bars around a date
+   * Used only when the history has no bar close enough before the date (e.g. a provider data gap)
+   * @param {Array<Object>} history - Normalized bars sorted by date ascending
+   * @param {Date} date - Target date
+   * @param {number} maxSpanDays - Maximum number of calendar days between the two bars
+   * @return {Object|null} { close, before, after } with the surrounding bars, or null if the date is not bracketed
+   */
+  static interpolateClose(history, date, maxSpanDays) {
+    if (!history || history.length < 2 || !date) return null;
+    
+    const target = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const afterIndex = history.findIndex(bar => bar.date > target);
+    if (afterIndex <= 0) return null;
+    
+    const before = history[afterIndex - 1];
+    const after = history[afterIndex];
+    const span = after.date - before.date;
+    if (span / (24 * 60 * 60 * 1000) > maxSpanDays) return null;
+    
+    const close = before.close + (after.close - before.close) * (target - before.date) / span;
+    return { close: close, before: before, after: after };
+  }
+  
+  /**
+   * Get the highest price in a history from a start date
+   * @param {Array<Object>} history - Normalized bars sorted by date ascending
+   * @param {Date} from - Start of the window; the history must begin near this date
+   * @param {number} [maxGapDays] - Maximum gap between the window start and the first bar (no coverage check if omitted)
+   * @return {number|null} Highest high (or close when high is missing), or null if the history does not cover the window
+   */
+  static getHighestPrice(history, from, maxGapDays) {
+    if (!history || history.length === 0) return null;
+    
+    const windowStart = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    const firstBarGap = (history[0].date - windowStart) / (24 * 60 * 60 * 1000);
+    if (maxGapDays !== undefined && firstBarGap > maxGapDays) return null;
+    
+    let highest = null;
+    for (const bar of history) {
+      if (bar.date < windowStart) continue;
+      const value = bar.high !== null ? bar.high : bar.close;
+      if (highest === null || value > highest) {
+        highest = value;
+      }
+    }
+    return highest;
+  }
+  
+  /**
+   * Get the lowest price in a history from a start date
+   * @param {Array<Object>} history - Normalized bars sorted by date ascending
+   * @param {Date} from - Start of the window; the history must begin near this date
+   * @param {number} [maxGapDays] - Maximum gap between the window start and the first bar (no coverage check if omitted)
+   * @return {number|null} Lowest low (or close when low is missing), or null if the history does not cover the window
+   */
+  static getLowestPrice(history, from, maxGapDays) {
+    if (!history || history.length === 0) return null;
+    
+    const windowStart = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    const firstBarGap = (history[0].date - windowStart) / (24 * 60 * 60 * 1000);
+    if (maxGapDays !== undefined && firstBarGap > maxGapDays) return null;
+    
+    let lowest = null;
+    for (const bar of history) {
+      if (bar.date < windowStart) continue;
+      const value = bar.low !== null && bar.low !== undefined ? bar.low : bar.close;
+      if (lowest === null || value < lowest) {
+        lowest = value;
+      }
+    }
+    return lowest;
+  }
+  
+  /**
+   * Convert a bar date (Date, 'yyyy-MM-dd', 'yyyy.MM.dd' or 'yyyyMMdd') to local midnight
+   * @param {Date|string} value - Date value
+   * @return {Date|null} Parsed date or null if invalid
+   * @protected
+   */
+  parseBarDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+    
+    const match = String(value || '').match(/^(\d{4})[-.]?(\d{2})[-.]?(\d{2})/);
+    return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+  }
+  
+  /**
+   * Convert a provider value (number or string with thousands separators) to a number
+   * @param {*} value - Raw value
+   * @return {number|null} Number or null if missing or invalid
+   * @protected
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    return isFinite(number) ? number : null;
+  }
+  
+  /**
+   * Format a date as yyyy-MM-dd from its local fields
+   * @param {Date} date - Date to format
+   * @return {string} Date key
+   * @protected
+   */
+  toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  
   /**
    * Safely extract a value from a potential 2D array result
    * @param {*} result - The result to extract from (could be number, string, or array)
@@ -5,6 +5,7 @@ class GoogleFinanceProvider extends DataProvider {
   constructor(marketTimeManager) {
     super();
     this.name = "Google Finance";
+    this.source = "google";
     this.marketTimeManager = marketTimeManager;
   }
   
@@ -80,6 +81,7 @@ class GoogleFinanceProvider extends DataProvider {
       Logger.log(`Historical price formula: ${formula}`);
       
       // Set the formula in the sheet
+      recordFetchSource(formula);
       sheet.getRange(1, 1).setFormula(formula);
       
       // Force recalculation
@@ -99,6 +101,7 @@ class GoogleFinanceProvider extends DataProvider {
         
         // Formula with attributes
         const attributesFormula = `=GOOGLEFINANCE("${formattedSymbol}", "all", "${formattedDate}", "${formattedDate}", "DAILY")`;
+        recordFetchSource(attributesFormula);
         sheet.getRange(1, 1).setFormula(attributesFormula);
         
         // Force recalculation
@@ -119,18 +122,9 @@ class GoogleFinanceProvider extends DataProvider {
           }
         }
         
-        // If we can't get a historical price, try to get the current price
-        Logger.log("과거 가격을 찾을 수 없음, 현재 가격 사용...");
-        const currentPrice = this._getGoogleFinanceData(formattedSymbol);
-        
-        // Apply a small random adjustment to make it look different
-        // This is just for demonstration purposes - in a real implementation, 
-        // you'd want to use actual historical data or a more sophisticated estimation
-        const adjustment = 0.95 + (Math.random() * 0.1); // Random between 0.95 and 1.05
-        const estimatedPrice = currentPrice * adjustment;
-        
-        Logger.log(`과거 데이터 추정: ${estimatedPrice} (현재가 * ${adjustment.toFixed(2)})`);
-        return estimatedPrice;
+        // Report the price as missing instead of estimating it from the current price
+        Logger.log(`GoogleFinance에서 ${formattedSymbol}의 ${formattedDate} 과거 가격을 찾을 수 없습니다.`);
+        return CONFIG.STATUS.NO_DATA;
       }
       
       return result;
@@ -139,7 +133,44 @@ class GoogleFinanceProvider extends DataProvider {
       throw error;
     }
   }
-
+  
+  /**
+   * Fetch daily bars with a GOOGLEFINANCE "all" table
+   * Indices that do not support "all" fall back to the "close" table
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Raw bars
+   * @protected
+   */
+  fetchHistory(symbol, from, to) {
+    const formattedSymbol = this.formatSymbol(symbol);
+    const sheet = this.getTempSheet();
+    const fromDate = `DATE(${from.getFullYear()}, ${from.getMonth() + 1}, ${from.getDate()})`;
+    const toDate = `DATE(${to.getFullYear()}, ${to.getMonth() + 1}, ${to.getDate()})`;
+    
+    for (const attribute of ["all", "close"]) {
+      sheet.clear();
+      const formula = `=GOOGLEFINANCE("${formattedSymbol}", "${attribute}", ${fromDate}, ${toDate}, "DAILY")`;
+      recordFetchSource(formula);
+      sheet.getRange(1, 1).setFormula(formula);
+      SpreadsheetApp.flush();
+      
+      const values = sheet.getDataRange().getValues();
+      if (values.length < 2 || !(values[1][0] instanceof Date)) {
+        Logger.log(`GoogleFinance 히스토리 (${attribute}) 데이터 없음: ${formattedSymbol}`);
+        continue;
+      }
+      
+      // "all" rows: Date, Open, High, Low, Close, Volume / "close" rows: Date, Close
+      return values.slice(1).map(row => attribute === "all" ?
+        { date: row[0], open: row[1], high: row[2], low: row[3], close: row[4], volume: row[5] } :
+        { date: row[0], close: row[1] });
+    }
+    
+    return [];
+  }
+  
   /**
    * Get price data from GOOGLEFINANCE
    * @param {string} symbol - Formatted symbol
@@ -166,6 +197,7 @@ class GoogleFinanceProvider extends DataProvider {
       const formula = `=GOOGLEFINANCE("${symbol}", "price")`;
       
       // Set the formula in the sheet
+      recordFetchSource(formula);
       sheet.getRange(1, 1).setFormula(formula);
       
       // Force recalculation
@@ -223,6 +255,32 @@ class GoogleFinanceProvider extends DataProvider {
     }
   }
   
+  /**
+   * Get the 52-week low price for a ticker
+   * @param {string} symbol - Ticker symbol
+   * @return {number|string} 52-week low price, or CONFIG.STATUS.NO_DATA if it is not available
+   */
+  getLowPrice(symbol) {
+    try {
+      const formula = `=GOOGLEFINANCE("${symbol}", "low52")`;
+      const queryFormula = `=QUERY(GOOGLEFINANCE("${symbol}", "low52"), "SELECT Col2 LIMIT 1 OFFSET 1", 0)`;
+      
+      const lowResult = this.executeFormulaAndExtractValue(formula, queryFormula, symbol, "low52");
+      Logger.log(`Low result: ${lowResult}`);
+      
+      // Report the low as missing rather than substituting the current price
+      if (isNaN(lowResult) || lowResult <= 0) {
+        Logger.log(`${symbol}의 52주 저점을 찾을 수 없습니다.`);
+        return CONFIG.STATUS.NO_DATA;
+      }
+      
+      return lowResult;
+    } catch (error) {
+      Logger.log(`Google Finance 52주 저점 조회 오류 (${symbol}): ${error.message}`);
+      return CONFIG.STATUS.NO_DATA;
+    }
+  }
+  
   /**
    * Execute a formula and extract the value, handling both single values and tables
    * @param {string} formula - GOOGLEFINANCE formula to execute
@@ -254,6 +312,7 @@ class GoogleFinanceProvider extends DataProvider {
       
       // First try the direct GOOGLEFINANCE formula
       const cell = this.diagnosticMode ? sheet.getRange("A1") : sheet.getRange(CONFIG.TEMP_CELLS.GOOGLE_PRICE);
+    recordFetchSource(formula);
     cell.setFormula(formula);
       SpreadsheetApp.flush();
       
@@ -324,6 +383,7 @@ class GoogleFinanceProvider extends DataProvider {
         sheet.getRange(CONFIG.TEMP_CELLS.GOOGLE_PRICE);
       
       queryCell.clearContent();
+      recordFetchSource(queryFormula);
       queryCell.setFormula(queryFormula);
       SpreadsheetApp.flush();
       
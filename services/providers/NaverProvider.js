@@ -5,9 +5,12 @@ class NaverFinanceProvider extends DataProvider {
   constructor(marketTimeManager) {
     super();
     this.name = "Naver Finance";
+    this.source = "naver";
     this.marketTimeManager = marketTimeManager || new MarketTimeManager();
     this.mobileUserAgent = 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1';
     this.pageSize = 200; // Increase page size to get more historical data
+    this.historyPageSize = 60; // Rows per page for the mobile price API
+    this.maxHistoryPages = 40; // Upper bound on pages fetched for one history request
   }
   
   /**
@@ -44,7 +47,7 @@ class NaverFinanceProvider extends DataProvider {
       // Try to fetch the page
       let response;
       try {
-        response = UrlFetchApp.fetch(url, options);
+        response = fetchUrl(url, options);
       } catch (e) {
         Logger.log(`네이버 파이낸스 페이지 조회 실패: ${e.message}`);
         return CONFIG.STATUS.NO_DATA;
@@ -130,7 +133,7 @@ class NaverFinanceProvider extends DataProvider {
       // Try to fetch the page
       let response;
       try {
-        response = UrlFetchApp.fetch(url, options);
+        response = fetchUrl(url, options);
       } catch (e) {
         Logger.log(`네이버 파이낸스 인덱스 페이지 조회 실패: ${e.message}`);
         return CONFIG.STATUS.NO_DATA;
@@ -200,7 +203,7 @@ class NaverFinanceProvider extends DataProvider {
       // Try to fetch the page
       let response;
       try {
-        response = UrlFetchApp.fetch(url, options);
+        response = fetchUrl(url, options);
       } catch (e) {
         Logger.log(`네이버 파이낸스 페이지 조회 실패: ${e.message}`);
         return CONFIG.STATUS.NO_DATA;
@@ -226,9 +229,9 @@ class NaverFinanceProvider extends DataProvider {
         return highPrice;
       }
       
-      // Fall back to current price if we can't find the 52-week high
-      Logger.log(`네이버 파이낸스에서 ${symbol}에 대한 52주 고점을 찾을 수 없어 현재가를 사용합니다.`);
-      return this.getPrice(symbol, new Date());
+      // Report the high as missing rather than substituting the current price
+      Logger.log(`네이버 파이낸스에서 ${symbol}에 대한 52주 고점을 찾을 수 없습니다.`);
+      return CONFIG.STATUS.NO_DATA;
     } catch (error) {
       Logger.log(`네이버 파이낸스 52주 고점 조회 오류 (${symbol}): ${error.message}`);
       return CONFIG.STATUS.NO_DATA;
@@ -237,32 +240,65 @@ class NaverFinanceProvider extends DataProvider {
   
   /**
    * Get the 52-week high for KOSPI/KOSDAQ indices
+   * Naver has no single page with the index high; it is computed from the daily
+   * history (see PriceService), so this point lookup only reports missing data
    * @param {string} symbol - Index symbol (KOSPI or KOSDAQ)
-   * @return {number} 52-week high
+   * @return {string} CONFIG.STATUS.NO_DATA
    * @private
    */
   getIndexHighPrice(symbol) {
+    Logger.log(`네이버 파이낸스 인덱스(${symbol})의 52주 고점은 일별 히스토리에서만 계산할 수 있습니다.`);
+    return CONFIG.STATUS.NO_DATA;
+  }
+  
+  /**
+   * Get the 52-week low price for a ticker
+   * @param {string} symbol - Ticker symbol
+   * @return {number|string} 52-week low price, or CONFIG.STATUS.NO_DATA if it is not available
+   */
+  getLowPrice(symbol) {
     try {
-      // For indices, we need to find the 52-week high from a different page
-      const url = symbol === "KOSPI" ? 
-        "https://finance.naver.com/sise/sise_index_day.nhn?code=KOSPI" : 
-        "https://finance.naver.com/sise/sise_index_day.nhn?code=KOSDAQ";
+      // Like the high, the index low is only computed from the daily history
+      if (symbol === "KOSPI" || symbol === "KOSDAQ") {
+        Logger.log(`네이버 파이낸스 인덱스(${symbol})의 52주 저점은 일별 히스토리에서만 계산할 수 있습니다.`);
+        return CONFIG.STATUS.NO_DATA;
+      }
       
-      // Set options for URL fetch
-      const options = {
-        muteHttpExceptions: true
-      };
+      const url = `https://finance.naver.com/item/main.nhn?code=${symbol}`;
+      const response = fetchUrl(url, { muteHttpExceptions: true });
+      if (!response || response.getResponseCode() !== 200) {
+        Logger.log(`네이버 파이낸스에서 유효하지 않은 응답 (${symbol}): ${response ? response.getResponseCode() : 'No response'}`);
+        return CONFIG.STATUS.NO_DATA;
+      }
       
-      // Try to fetch the page - for simplicity, we'll use current price as fallback
-      // since extracting 52-week high for indices requires multiple page fetches
-      Logger.log(`네이버 파이낸스 인덱스(${symbol})의 52주 고점 대신 현재가를 사용합니다.`);
-      return this.getIndexPrice(symbol);
+      // The low has its own row, or shares the "52주최고 l 최저" row with the high
+      const content = response.getContentText();
+      const lowMatch = content.match(/52주 최저<\/th>[\s\n]*<td>([\d,]+)<\/td>/) ||
+        content.match(/52주최고[\s\S]*?최저<\/th>[\s\S]*?<em>[\d,]+<\/em>[\s\S]*?<em>([\d,]+)<\/em>/);
+      
+      if (lowMatch && lowMatch[1]) {
+        const lowPrice = parseFloat(lowMatch[1].replace(/,/g, ''));
+        Logger.log(`네이버 파이낸스 - ${symbol} 52주 저점: ${lowPrice}`);
+        return lowPrice;
+      }
+      
+      Logger.log(`네이버 파이낸스에서 ${symbol}에 대한 52주 저점을 찾을 수 없습니다.`);
+      return CONFIG.STATUS.NO_DATA;
     } catch (error) {
-      Logger.log(`네이버 파이낸스 인덱스 52주 고점 조회 오류 (${symbol}): ${error.message}`);
+      Logger.log(`네이버 파이낸스 52주 저점 조회 오류 (${symbol}): ${error.message}`);
       return CONFIG.STATUS.NO_DATA;
     }
   }
   
+  /**
+   * Get the trading currency (Naver only covers the Korean market)
+   * @param {string} symbol - Ticker symbol
+   * @return {string} KRW
+   */
+  getCurrency(symbol) {
+    return 'KRW';
+  }
+  
   /**
    * Get historical price for a symbol
    * @param {string} symbol - Ticker symbol
@@ -271,6 +307,12 @@ class NaverFinanceProvider extends DataProvider {
    */
   getHistoricalPrice(symbol, date) {
     try {
+      // Use the last trading day on or before the date from daily history
+      const price = this.getHistoricalPriceFromHistory(symbol, date);
+      if (price !== null) {
+        return price;
+      }
+      
       // Special handling for indices
       if (symbol === "KOSPI" || symbol === "KOSDAQ") {
         // For KOSDAQ, we need a special approach that works more reliably
@@ -280,77 +322,193 @@ class NaverFinanceProvider extends DataProvider {
         return this.getIndexHistoricalPriceViaAPI(symbol, date);
       }
       
-      // For regular stocks, continue with standard approach
-      // Format date for URL (YYYYMMDD format)
-      const formattedDate = Utilities.formatDate(date, 'Asia/Seoul', 'yyyyMMdd');
-      Logger.log(`네이버 파이낸스 Historical 조회: ${symbol} - ${formattedDate}`);
-      
-      // For regular stocks, use the original parseTableData approach
-      const naverCode = symbol;
-      const url = `https://finance.naver.com/item/sise_day.nhn?code=${naverCode}&page=1`;
-      
-      // Set options for URL fetch
-      const options = {
-        muteHttpExceptions: true
-      };
+      Logger.log(`네이버 파이낸스에서 ${symbol} 히스토리 데이터를 찾을 수 없습니다.`);
+      return CONFIG.STATUS.NO_DATA;
+    } catch (error) {
+      Logger.log(`네이버 파이낸스 히스토리 데이터 조회 오류 (${symbol}): ${error.message}`);
+      return CONFIG.STATUS.NO_DATA;
+    }
+  }
+  
+  /**
+   * Fetch daily bars for a date range
+   * Uses the mobile price API (stocks and indices), falling back to the sise_day pages for stocks
+   * @param {string} symbol - Stock code (e.g. 005930) or index (KOSPI, KOSDAQ)
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Raw bars
+   * @protected
+   */
+  fetchHistory(symbol, from, to) {
+    const isIndex = symbol === "KOSPI" || symbol === "KOSDAQ";
+    
+    try {
+      const bars = this.fetchMobileHistory(symbol, isIndex, from);
+      if (bars.length > 0) {
+        return bars;
+      }
+    } catch (e) {
+      Logger.log(`네이버 모바일 시세 API 조회 실패 (${symbol}): ${e.message}`);
+    }
+    
+    return isIndex ? [] : this.fetchDailyPageHistory(symbol, from);
+  }
+  
+  /**
+   * Describe the page requested by getPrice() (stocks) or the mobile index page (indices)
+   * @param {string} symbol - Stock code or index
+   * @param {Date} date - Date of the price lookup (Naver always returns the latest price)
+   * @return {Array<Object>} Request objects
+   */
+  buildPriceRequests(symbol, date) {
+    if (symbol === "KOSPI" || symbol === "KOSDAQ") {
+      return [this.getIndexMobileWebRequest(symbol)];
+    }
+    return [{ url: `https://finance.naver.com/item/main.nhn?code=${symbol}`, muteHttpExceptions: true }];
+  }
+  
+  /**
+   * Describe the first mobile price API page; older pages are fetched on demand
+   * @param {string} symbol - Stock code or index
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Request objects
+   */
+  buildHistoryRequests(symbol, from, to) {
+    return [this.getMobileHistoryRequest(symbol, symbol === "KOSPI" || symbol === "KOSDAQ", 1)];
+  }
+  
+  /**
+   * Build a mobile price API request for one page of daily prices
+   * @param {string} symbol - Stock code or index
+   * @param {boolean} isIndex - Whether the symbol is an index
+   * @param {number} page - Page number (1 is the most recent)
+   * @return {Object} Request object
+   * @private
+   */
+  getMobileHistoryRequest(symbol, isIndex, page) {
+    const type = isIndex ? 'index' : 'stock';
+    return {
+      url: `https://m.stock.naver.com/api/${type}/${symbol}/price?pageSize=${this.historyPageSize}&page=${page}`,
+      muteHttpExceptions: true,
+      headers: {
+        'User-Agent': this.mobileUserAgent,
+        'Accept': 'application/json',
+        'Referer': `https://m.stock.naver.com/domestic/${type}/${symbol}/price`
+      }
+    };
+  }
+  
+  /**
+   * Build the mobile web request for an index's current value
+   * @param {string} symbol - Index symbol (KOSPI or KOSDAQ)
+   * @return {Object} Request object
+   * @private
+   */
+  getIndexMobileWebRequest(symbol) {
+    const symbolCode = symbol === "KOSPI" ? "KOSPI" : "KOSDAQ";
+    return {
+      url: `https://m.stock.naver.com/domestic/index/${symbolCode}/total`,
+      muteHttpExceptions: true,
+      headers: {
+        'User-Agent': this.mobileUserAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'ko-KR,ko;q=0.9'
+      }
+    };
+  }
+  
+  /**
+   * Page through the mobile price API until the range start is reached
+   * Pages are returned newest first
+   * @param {string} symbol - Stock code or index
+   * @param {boolean} isIndex - Whether the symbol is an index
+   * @param {Date} from - First date of the range
+   * @return {Array<Object>} Raw bars
+   * @private
+   */
+  fetchMobileHistory(symbol, isIndex, from) {
+    const fromKey = this.toDateKey(from);
+    const pageSize = this.historyPageSize;
+    const maxPages = this.getMaxHistoryPages(from, pageSize);
+    
+    const bars = [];
+    for (let page = 1; page <= maxPages; page++) {
+      const response = fetchRequest(this.getMobileHistoryRequest(symbol, isIndex, page));
+      if (response.getResponseCode() !== 200) {
+        Logger.log(`네이버 모바일 시세 API에서 유효하지 않은 응답 (${symbol}): ${response.getResponseCode()}`);
+        break;
+      }
+      
+      const entries = JSON.parse(response.getContentText());
+      if (!Array.isArray(entries) || entries.length === 0) break;
+      
+      for (const entry of entries) {
+        bars.push({
+          date: String(entry.localTradedAt || '').substring(0, 10),
+          open: entry.openPrice,
+          high: entry.highPrice,
+          low: entry.lowPrice,
+          close: entry.closePrice,
+          volume: entry.accumulatedTradingVolume
+        });
+      }
+      
+      const oldest = bars[bars.length - 1].date.replace(/\./g, '-');
+      if (entries.length < pageSize || oldest <= fromKey) break;
+    }
+    
+    return bars;
+  }
+  
+  /**
+   * Page through the desktop sise_day table (10 rows per page, close prices only)
+   * @param {string} symbol - Stock code
+   * @param {Date} from - First date of the range
+   * @return {Array<Object>} Raw bars
+   * @private
+   */
+  fetchDailyPageHistory(symbol, from) {
+    const fromKey = this.toDateKey(from);
+    const maxPages = this.getMaxHistoryPages(from, 10);
+    const bars = [];
+    
+    for (let page = 1; page <= maxPages; page++) {
+      const url = `https://finance.naver.com/item/sise_day.nhn?code=${symbol}&page=${page}`;
       
-      // Try to fetch the page
       let response;
       try {
-        response = UrlFetchApp.fetch(url, options);
+        response = fetchUrl(url, { muteHttpExceptions: true });
       } catch (e) {
         Logger.log(`네이버 파이낸스 히스토리 페이지 조회 실패: ${e.message}`);
-        return CONFIG.STATUS.NO_DATA;
+        break;
       }
       
-      // Check if the response is valid
       if (!response || response.getResponseCode() !== 200) {
         Logger.log(`네이버 파이낸스에서 유효하지 않은 응답 (${symbol}): ${response ? response.getResponseCode() : 'No response'}`);
-        return CONFIG.STATUS.NO_DATA;
-      }
-      
-      // Parse the page content
-      const content = response.getContentText();
-      
-      // Parse the table data to find the closest date
-      const tableData = this.parseTableData(content);
-      
-      // Find the entry with closest date
-      const targetDate = new Date(date);
-      targetDate.setHours(0, 0, 0, 0);
-      
-      let closestEntry = null;
-      let minDiff = Infinity;
-      
-      for (const entry of tableData) {
-        const entryDate = new Date(entry.date);
-        const diff = Math.abs(entryDate.getTime() - targetDate.getTime());
-        
-        // If we found an exact match, use it
-        if (diff === 0) {
-          Logger.log(`네이버 파이낸스 - 정확한 날짜 매치 찾음: ${entry.date} - 가격: ${entry.close}`);
-          return entry.close;
-        }
-        
-        // Otherwise track the closest date
-        if (diff < minDiff) {
-          minDiff = diff;
-          closestEntry = entry;
-        }
+        break;
       }
       
-      // Use the closest date if within 5 days
-      if (closestEntry && minDiff <= 5 * 24 * 60 * 60 * 1000) {
-        Logger.log(`네이버 파이낸스 - 유사 날짜 매치 사용: ${closestEntry.date} - 가격: ${closestEntry.close}`);
-        return closestEntry.close;
-      }
+      const rows = this.parseTableData(response.getContentText());
+      if (rows.length === 0) break;
       
-      Logger.log(`네이버 파이낸스에서 ${symbol} 히스토리 데이터를 찾을 수 없습니다.`);
-      return CONFIG.STATUS.NO_DATA;
-    } catch (error) {
-      Logger.log(`네이버 파이낸스 히스토리 데이터 조회 오류 (${symbol}): ${error.message}`);
-      return CONFIG.STATUS.NO_DATA;
+      bars.push(...rows);
+      if (rows[rows.length - 1].date <= fromKey) break;
     }
+    
+    return bars;
+  }
+  
+  /**
+   * Number of pages needed to reach a start date, assuming about 5 trading days a week
+   * @param {Date} from - First date of the range
+   * @param {number} pageSize - Rows per page
+   * @return {number} Page limit
+   * @private
+   */
+  getMaxHistoryPages(from, pageSize) {
+    const calendarDays = Math.max(1, (new Date() - from) / (24 * 60 * 60 * 1000));
+    return Math.min(this.maxHistoryPages, Math.ceil(calendarDays * 5 / 7 / pageSize) + 1);
   }
   
   /**
@@ -393,7 +551,7 @@ class NaverFinanceProvider extends DataProvider {
       // Try to fetch the data
       let response;
       try {
-        response = UrlFetchApp.fetch(apiUrl, options);
+        response = fetchUrl(apiUrl, options);
       } catch (e) {
         Logger.log(`KOSDAQ API 조회 실패: ${e.message}`);
         return CONFIG.STATUS.NO_DATA;
@@ -403,7 +561,7 @@ class NaverFinanceProvider extends DataProvider {
       if (!response || response.getResponseCode() !== 200) {
         Logger.log(`KOSDAQ API에서 유효하지 않은 응답: ${response ? response.getResponseCode() : 'No response'}`);
         // Try fallback methods
-        return this.getEstimatedHistoricalKosdaqPrice(date);
+        return this.getKosdaqHistoricalPriceViaChartAPI(date);
       }
       
       // Parse the response as JSON
@@ -415,7 +573,7 @@ class NaverFinanceProvider extends DataProvider {
       if (!jsonData || !Array.isArray(jsonData)) {
         Logger.log(`KOSDAQ API에서 유효하지 않은 JSON 데이터 형식`);
         // Try fallback methods
-        return this.getEstimatedHistoricalKosdaqPrice(date);
+        return this.getKosdaqHistoricalPriceViaChartAPI(date);
       }
       
       // Log the number of records returned
@@ -475,11 +633,11 @@ class NaverFinanceProvider extends DataProvider {
       
       // If still no match, try the fallback
       Logger.log(`KOSDAQ API에서 적절한 날짜 매치를 찾을 수 없어 대체 방법 시도`);
-      return this.getEstimatedHistoricalKosdaqPrice(date);
+      return this.getKosdaqHistoricalPriceViaChartAPI(date);
     } catch (error) {
       Logger.log(`KOSDAQ 전용 API 오류: ${error.message}`);
       // Try fallback methods
-      return this.getEstimatedHistoricalKosdaqPrice(date);
+      return this.getKosdaqHistoricalPriceViaChartAPI(date);
     }
   }
   
@@ -532,7 +690,7 @@ class NaverFinanceProvider extends DataProvider {
       // Try to fetch the data
       let response;
       try {
-        response = UrlFetchApp.fetch(mobileUrl, options);
+        response = fetchUrl(mobileUrl, options);
       } catch (e) {
         Logger.log(`네이버 모바일 주식 API 조회 실패: ${e.message}`);
         return CONFIG.STATUS.NO_DATA;
@@ -619,9 +777,9 @@ class NaverFinanceProvider extends DataProvider {
         return priceValue;
       }
       
-      // If we still couldn't find data, try an alternative approach
-      Logger.log(`네이버 모바일 주식 API에서 적절한 데이터를 찾을 수 없어 대체 방법을 시도합니다.`);
-      return this.getEstimatedHistoricalKosdaqPrice(date);
+      // The chart API fallback only exists for KOSDAQ
+      Logger.log(`네이버 모바일 주식 API에서 ${symbol}에 대한 적절한 데이터를 찾을 수 없습니다.`);
+      return symbolCode === "KOSDAQ" ? this.getKosdaqHistoricalPriceViaChartAPI(date) : CONFIG.STATUS.NO_DATA;
     } catch (error) {
       Logger.log(`네이버 모바일 주식 API 히스토리 데이터 조회 오류 (${symbol}): ${error.message}`);
       return CONFIG.STATUS.NO_DATA;
@@ -636,25 +794,13 @@ class NaverFinanceProvider extends DataProvider {
    */
   getIndexPriceViaMobileWeb(symbol) {
     try {
-      const symbolCode = symbol === "KOSPI" ? "KOSPI" : "KOSDAQ";
-      const url = `https://m.stock.naver.com/domestic/index/${symbolCode}/total`;
-      
-      Logger.log(`네이버 모바일 웹사이트 URL: ${url}`);
-      
-      // Set options for URL fetch with mobile user agent
-      const options = {
-        muteHttpExceptions: true,
-        headers: {
-          'User-Agent': this.mobileUserAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'ko-KR,ko;q=0.9'
-        }
-      };
+      const request = this.getIndexMobileWebRequest(symbol);
+      Logger.log(`네이버 모바일 웹사이트 URL: ${request.url}`);
       
       // Try to fetch the page
       let response;
       try {
-        response = UrlFetchApp.fetch(url, options);
+        response = fetchRequest(request);
       } catch (e) {
         Logger.log(`네이버 모바일 웹사이트 조회 실패: ${e.message}`);
         return CONFIG.STATUS.NO_DATA;
@@ -698,12 +844,12 @@ class NaverFinanceProvider extends DataProvider {
   }
   
   /**
-   * Get estimated historical price for KOSDAQ when data is not available
+   * Get a historical KOSDAQ close from the chart API when the price API has no data
    * @param {Date} date - Target date
-   * @return {number} Estimated price
+   * @return {number} Close of the closest chart date, or NO_DATA
    * @private
    */
-  getEstimatedHistoricalKosdaqPrice(date) {
+  getKosdaqHistoricalPriceViaChartAPI(date) {
     try {
       // First, try the chart API endpoint that Playwright test shows was successful
       const targetDateObj = new Date(date);
@@ -735,7 +881,7 @@ class NaverFinanceProvider extends DataProvider {
       
       // Try to fetch the data
       try {
-        const response = UrlFetchApp.fetch(chartApiUrl, options);
+        const response = fetchUrl(chartApiUrl, options);
         if (response && response.getResponseCode() === 200) {
           const content = response.getContentText();
           const chartData = JSON.parse(content);
@@ -789,52 +935,11 @@ class NaverFinanceProvider extends DataProvider {
         // Continue to next fallback
       }
       
-      // If API approach failed, get current price first
-      const currentPrice = this.getIndexPrice("KOSDAQ");
-      if (currentPrice === CONFIG.STATUS.NO_DATA || isNaN(currentPrice)) {
-        return CONFIG.STATUS.NO_DATA;
-      }
-      
-      // Use KOSPI historical data as a reference for KOSDAQ movement
-      // Since they tend to move somewhat similarly
-      const kospiProvider = new GoogleFinanceProvider();
-      const currentKospi = kospiProvider.getPrice("KRX:KOSPI", now);
-      const historicalKospi = kospiProvider.getHistoricalPrice("KRX:KOSPI", date);
-      
-      if (!isNaN(currentKospi) && !isNaN(historicalKospi) && currentKospi > 0) {
-        // Calculate the ratio between current and historical KOSPI
-        const kospiRatio = historicalKospi / currentKospi;
-        
-        // Apply this ratio to KOSDAQ, with some adjustment for KOSDAQ's typically higher volatility
-        // KOSDAQ usually has ~1.2x the volatility of KOSPI
-        const volatilityFactor = 1.2;
-        const adjustedRatio = 1 - ((1 - kospiRatio) * volatilityFactor);
-        
-        const estimatedPrice = currentPrice * adjustedRatio;
-        Logger.log(`KOSDAQ 추정 가격 (${date.toISOString().split('T')[0]}): ${estimatedPrice} (현재가: ${currentPrice}, KOSPI 비율: ${kospiRatio.toFixed(4)}, 조정 비율: ${adjustedRatio.toFixed(4)})`);
-        
-        return estimatedPrice;
-      }
-      
-      // If KOSPI data isn't available or valid, use time-based estimation
-      // Create a realistic fluctuation based on days difference
-      // Assuming longer timeframes have more volatility
-      let adjustmentFactor;
-      
-      if (daysDiff <= 7) { // Weekly
-        adjustmentFactor = 0.98; // About 2% less than current
-      } else if (daysDiff <= 30) { // Monthly
-        adjustmentFactor = 0.95; // About 5% less than current
-      } else { // YTD or further back
-        adjustmentFactor = 0.90; // About 10% less than current
-      }
-      
-      const estimatedPrice = currentPrice * adjustmentFactor;
-      Logger.log(`KOSDAQ 추정 가격 (시간 기반, ${daysDiff}일 전): ${estimatedPrice} (현재가: ${currentPrice}, 조정 계수: ${adjustmentFactor})`);
-      
-      return estimatedPrice;
+      // No chart data near the date: report it as missing rather than estimating it
+      Logger.log(`KOSDAQ 차트 API에서 ${date.toISOString().split('T')[0]} 근처의 데이터를 찾을 수 없습니다.`);
+      return CONFIG.STATUS.NO_DATA;
     } catch (error) {
-      Logger.log(`KOSDAQ 추정 가격 계산 오류: ${error.message}`);
+      Logger.log(`KOSDAQ 차트 API 조회 오류: ${error.message}`);
       return CONFIG.STATUS.NO_DATA;
     }
   }
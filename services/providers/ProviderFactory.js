@@ -30,6 +30,48 @@ class DataProviderFactory {
     }
   }
   
+  /**
+   * Get the ordered list of data providers for a fallback chain
+   * @param {string|Array<string>} sources - Comma separated source list (e.g. "naver,yahoo") or array
+   * @return {Array<DataProvider>} Providers in the order they should be tried
+   */
+  getProviders(sources) {
+    const sourceList = DataProviderFactory.parseSources(sources);
+    
+    if (sourceList.length === 0) {
+      throw new Error("데이터 소스가 지정되지 않았습니다.");
+    }
+    
+    return sourceList.map(source => this.getProvider(source));
+  }
+  
+  /**
+   * Get the list of supported data sources
+   * @return {Array<string>} Supported source identifiers
+   */
+  static getSupportedSources() {
+    return ['google', 'yahoo', 'naver'];
+  }
+  
+  /**
+   * Parse a source definition into an ordered list of source identifiers
+   * @param {string|Array<string>} value - Comma separated source list (e.g. "naver,yahoo,google") or array
+   * @return {Array<string>} Lowercase source identifiers without duplicates, in priority order
+   */
+  static parseSources(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(',');
+    const result = [];
+    
+    for (const part of parts) {
+      const source = String(part || '').toLowerCase().trim();
+      if (source && !result.includes(source)) {
+        result.push(source);
+      }
+    }
+    
+    return result;
+  }
+  
   /**
    * Format a symbol for a specific provider
    * @param {string} symbol - The ticker symbol
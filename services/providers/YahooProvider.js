@@ -5,6 +5,7 @@ class YahooFinanceProvider extends DataProvider {
   constructor(marketTimeManager) {
     super();
     this.name = "Yahoo Finance";
+    this.source = "yahoo";
     this.marketTimeManager = marketTimeManager || new MarketTimeManager();
   }
   
@@ -51,16 +52,7 @@ class YahooFinanceProvider extends DataProvider {
    */
   getCurrentPrice(symbol) {
     try {
-      const encodedSymbol = this.encodeSymbol(symbol);
-      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodedSymbol}?interval=1d&range=1d`;
-      const options = {
-        muteHttpExceptions: true,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36'
-        }
-      };
-      
-      const response = UrlFetchApp.fetch(url, options).getContentText();
+      const response = fetchRequest(this.getCurrentPriceRequest(symbol)).getContentText();
       const json = JSON.parse(response);
       
       // First check if there's an error in the response
@@ -106,77 +98,39 @@ class YahooFinanceProvider extends DataProvider {
     return 0;
   }
   
+  /**
+   * Get the trading currency from the chart API metadata
+   * Uses the same request as getCurrentPrice(), so a prefetched response is reused
+   * @param {string} symbol - Ticker symbol
+   * @return {string|null} Currency code (e.g. USD, HKD, GBp for pence) or null
+   */
+  getCurrency(symbol) {
+    try {
+      const json = JSON.parse(fetchRequest(this.getCurrentPriceRequest(symbol)).getContentText());
+      const result = json.chart && json.chart.result && json.chart.result[0];
+      return (result && result.meta && result.meta.currency) || null;
+    } catch (e) {
+      Logger.log(`Yahoo Finance 통화 조회 실패: ${symbol} - ${e.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Get a historical price for a symbol
+   * Uses the close of the last trading day on or before the date from a short history window,
+   * so dates falling on weekends or holidays still resolve
    * @param {string} symbol - Ticker symbol
    * @param {Date} date - The date for the price
    * @return {number} The historical price
    */
   getHistoricalPrice(symbol, date) {
     try {
-      // Format date as YYYY-MM-DD
-      const formattedDate = Utilities.formatDate(date, "GMT", "yyyy-MM-dd");
-      
-      // Convert date to UNIX timestamp (seconds)
-      const period1 = Math.floor(date.getTime() / 1000);
-      
-      // Add one day to get data for the specific date
-      const nextDay = new Date(date);
-      nextDay.setDate(nextDay.getDate() + 1);
-      const period2 = Math.floor(nextDay.getTime() / 1000);
-      
-      const encodedSymbol = this.encodeSymbol(symbol);
-      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodedSymbol}?interval=1d&period1=${period1}&period2=${period2}`;
-      const options = {
-        muteHttpExceptions: true,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36'
-        }
-      };
-      
-      const response = UrlFetchApp.fetch(url, options).getContentText();
-      const json = JSON.parse(response);
-      
-      // Check for API errors
-      if (json.chart && json.chart.error) {
-        Logger.log(`Yahoo Finance API 오류: ${symbol} - ${json.chart.error.description}`);
-        return 0;
-      }
-      
-      if (json.chart && json.chart.result && json.chart.result.length > 0) {
-        // Try to get the adjusted close price
-        if (json.chart.result[0].indicators && 
-            json.chart.result[0].indicators.adjclose && 
-            json.chart.result[0].indicators.adjclose.length > 0 &&
-            json.chart.result[0].indicators.adjclose[0].adjclose &&
-            json.chart.result[0].indicators.adjclose[0].adjclose.length > 0) {
-            
-          for (let i = 0; i < json.chart.result[0].indicators.adjclose[0].adjclose.length; i++) {
-            if (json.chart.result[0].indicators.adjclose[0].adjclose[i] !== null && 
-                !isNaN(json.chart.result[0].indicators.adjclose[0].adjclose[i])) {
-              return json.chart.result[0].indicators.adjclose[0].adjclose[i];
-            }
-          }
-        }
-        
-        // If adjusted close is not available, try regular close
-        if (json.chart.result[0].indicators && 
-            json.chart.result[0].indicators.quote && 
-            json.chart.result[0].indicators.quote.length > 0) {
-          
-          const quote = json.chart.result[0].indicators.quote[0];
-          
-          if (quote.close && quote.close.length > 0) {
-            // Return the first valid close price
-            for (let i = 0; i < quote.close.length; i++) {
-              if (quote.close[i] !== null && !isNaN(quote.close[i])) {
-                return quote.close[i];
-              }
-            }
-          }
-        }
+      const price = this.getHistoricalPriceFromHistory(symbol, date);
+      if (price !== null) {
+        return price;
       }
       
+      const formattedDate = Utilities.formatDate(date, "GMT", "yyyy-MM-dd");
       Logger.log(`Yahoo Finance API에서 날짜(${formattedDate})에 대한 가격 정보가 없음: ${symbol}`);
     } catch (e) {
       Logger.log(`Yahoo Finance 과거 가격 가져오기 실패: ${symbol} - ${e.message}`);
@@ -185,76 +139,249 @@ class YahooFinanceProvider extends DataProvider {
     return 0;
   }
   
+  /**
+   * Fetch daily bars from the chart API for a date range
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Raw bars
+   * @protected
+   */
+  fetchHistory(symbol, from, to) {
+    const response = fetchRequest(this.getHistoryRequest(symbol, from, to)).getContentText();
+    return this.parseChartHistory(symbol, JSON.parse(response));
+  }
+  
+  /**
+   * Get the dividends and splits in a date range from the chart API events
+   * Yahoo restates past dividends for later splits, like its split-adjusted closes.
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Actions of {date, type, value, adjusted} sorted by date
+   */
+  getCorporateActions(symbol, from, to) {
+    const response = fetchRequest(this.getCorporateActionsRequest(symbol, from, to)).getContentText();
+    return this.parseCorporateActions(symbol, JSON.parse(response));
+  }
+  
+  /**
+   * Describe the chart request made by getCorporateActions()
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Request objects
+   */
+  buildCorporateActionRequests(symbol, from, to) {
+    return [this.getCorporateActionsRequest(symbol, from, to)];
+  }
+  
+  /**
+   * Describe the current price request when the price date is today
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} date - Date of the price lookup
+   * @return {Array<Object>} Request objects
+   */
+  buildPriceRequests(symbol, date) {
+    return !date || this.isToday(date) ? [this.getCurrentPriceRequest(symbol)] : [];
+  }
+  
+  /**
+   * Describe the chart request made by fetchHistory()
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Array<Object>} Request objects
+   */
+  buildHistoryRequests(symbol, from, to) {
+    return [this.getHistoryRequest(symbol, from, to)];
+  }
+  
+  /**
+   * Build the chart API request for the latest price
+   * @param {string} symbol - Ticker symbol
+   * @return {Object} Request object
+   * @private
+   */
+  getCurrentPriceRequest(symbol) {
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${this.encodeSymbol(symbol)}?interval=1d&range=1d`;
+    return Object.assign({ url: url }, this.getRequestOptions());
+  }
+  
+  /**
+   * Build the chart API request for daily bars in a date range
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Object} Request object
+   * @private
+   */
+  getHistoryRequest(symbol, from, to) {
+    // period2 is exclusive, so extend it past the end of the last day
+    const period1 = Math.floor(new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1).getTime() / 1000);
+    const period2 = Math.floor(new Date(to.getFullYear(), to.getMonth(), to.getDate() + 2).getTime() / 1000);
+    
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${this.encodeSymbol(symbol)}?interval=1d&period1=${period1}&period2=${period2}`;
+    return Object.assign({ url: url }, this.getRequestOptions());
+  }
+  
+  /**
+   * Build the chart API request for the dividend and split events in a date range
+   * Events keep their own dates at any interval, so monthly bars keep the response small.
+   * @param {string} symbol - Ticker symbol
+   * @param {Date} from - First date of the range
+   * @param {Date} to - Last date of the range
+   * @return {Object} Request object
+   * @private
+   */
+  getCorporateActionsRequest(symbol, from, to) {
+    const period1 = Math.floor(new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1).getTime() / 1000);
+    const period2 = Math.floor(new Date(to.getFullYear(), to.getMonth(), to.getDate() + 2).getTime() / 1000);
+    
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${this.encodeSymbol(symbol)}?interval=1mo&period1=${period1}&period2=${period2}&events=div%2Csplits`;
+    return Object.assign({ url: url }, this.getRequestOptions());
+  }
+  
+  /**
+   * UrlFetchApp options shared by every Yahoo Finance request
+   * @return {Object} Options
+   * @private
+   */
+  getRequestOptions() {
+    return {
+      muteHttpExceptions: true,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36'
+      }
+    };
+  }
+  
+  /**
+   * Convert a chart API response into raw bars
+   * Timestamps are converted to trading days in the exchange's own timezone
+   * @param {string} symbol - Ticker symbol (for logging)
+   * @param {Object} json - Parsed chart API response
+   * @return {Array<Object>} Raw bars
+   */
+  parseChartHistory(symbol, json) {
+    if (json.chart && json.chart.error) {
+      Logger.log(`Yahoo Finance API 오류: ${symbol} - ${json.chart.error.description}`);
+      return [];
+    }
+    
+    const result = json.chart && json.chart.result && json.chart.result[0];
+    if (!result || !result.timestamp || !result.indicators || !result.indicators.quote) {
+      return [];
+    }
+    
+    const timezone = (result.meta && result.meta.exchangeTimezoneName) || 'UTC';
+    const quote = result.indicators.quote[0] || {};
+    const adjclose = result.indicators.adjclose && result.indicators.adjclose[0] ?
+      result.indicators.adjclose[0].adjclose || [] : [];
+    
+    return result.timestamp.map((timestamp, i) => ({
+      date: Utilities.formatDate(new Date(timestamp * 1000), timezone, 'yyyy-MM-dd'),
+      open: quote.open ? quote.open[i] : null,
+      high: quote.high ? quote.high[i] : null,
+      low: quote.low ? quote.low[i] : null,
+      close: quote.close ? quote.close[i] : null,
+      adjClose: adjclose[i],
+      volume: quote.volume ? quote.volume[i] : null
+    }));
+  }
+  
+  /**
+   * Convert the events of a chart API response into corporate actions
+   * @param {string} symbol - Ticker symbol (for logging)
+   * @param {Object} json - Parsed chart API response
+   * @return {Array<Object>} Actions of {date, type, value, adjusted} sorted by date
+   */
+  parseCorporateActions(symbol, json) {
+    if (json.chart && json.chart.error) {
+      Logger.log(`Yahoo Finance API 오류: ${symbol} - ${json.chart.error.description}`);
+      return [];
+    }
+    
+    const result = json.chart && json.chart.result && json.chart.result[0];
+    const events = (result && result.events) || {};
+    const timezone = (result && result.meta && result.meta.exchangeTimezoneName) || 'UTC';
+    const toDate = timestamp => this.parseBarDate(Utilities.formatDate(new Date(timestamp * 1000), timezone, 'yyyy-MM-dd'));
+    const actions = [];
+    
+    for (const dividend of Object.values(events.dividends || {})) {
+      const amount = this.toNumber(dividend.amount);
+      if (amount !== null && amount > 0) {
+        actions.push({ date: toDate(dividend.date), type: 'dividend', value: amount, adjusted: true });
+      }
+    }
+    
+    for (const split of Object.values(events.splits || {})) {
+      const numerator = this.toNumber(split.numerator);
+      const denominator = this.toNumber(split.denominator);
+      if (numerator > 0 && denominator > 0 && numerator !== denominator) {
+        actions.push({ date: toDate(split.date), type: 'split', value: numerator / denominator, adjusted: true });
+      }
+    }
+    
+    return actions.sort((a, b) => a.date - b.date);
+  }
+  
   /**
    * Get the highest price for a symbol
    * @param {string} symbol - Ticker symbol
    * @return {number} The highest price in the last 52 weeks
    */
   getHighPrice(symbol) {
+    return this.getFiftyTwoWeekPrice(symbol, 'fiftyTwoWeekHigh', '최고가',
+      (history, yearAgo) => DataProvider.getHighestPrice(history, yearAgo));
+  }
+  
+  /**
+   * Get the lowest price for a symbol
+   * @param {string} symbol - Ticker symbol
+   * @return {number} The lowest price in the last 52 weeks
+   */
+  getLowPrice(symbol) {
+    return this.getFiftyTwoWeekPrice(symbol, 'fiftyTwoWeekLow', '최저가',
+      (history, yearAgo) => DataProvider.getLowestPrice(history, yearAgo));
+  }
+  
+  /**
+   * Get a 52-week price level from the quote endpoint, or else from a year of daily history
+   * @param {string} symbol - Ticker symbol
+   * @param {string} field - Quote field (fiftyTwoWeekHigh or fiftyTwoWeekLow)
+   * @param {string} label - Price description for logging (최고가, 최저가)
+   * @param {Function} fromHistory - Callback (history, yearAgo) returning the level from daily bars
+   * @return {number} The price level, or 0 if it is not available
+   * @private
+   */
+  getFiftyTwoWeekPrice(symbol, field, label, fromHistory) {
     try {
       const encodedSymbol = this.encodeSymbol(symbol);
       
-      // First try the quote endpoint which is more reliable for 52-week high
+      // First try the quote endpoint which is more reliable for 52-week levels
       const quoteUrl = `https://query1.finance.yahoo.com/v7/finance/quote?symbols=${encodedSymbol}`;
-      const options = {
-        muteHttpExceptions: true,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36'
-        }
-      };
-      
-      const quoteResponse = UrlFetchApp.fetch(quoteUrl, options).getContentText();
+      const quoteResponse = fetchUrl(quoteUrl, this.getRequestOptions()).getContentText();
       const quoteJson = JSON.parse(quoteResponse);
       
       if (quoteJson.quoteResponse && 
           quoteJson.quoteResponse.result && 
           quoteJson.quoteResponse.result.length > 0 &&
-          quoteJson.quoteResponse.result[0].fiftyTwoWeekHigh) {
-        return quoteJson.quoteResponse.result[0].fiftyTwoWeekHigh;
+          quoteJson.quoteResponse.result[0][field]) {
+        return quoteJson.quoteResponse.result[0][field];
       }
       
-      // Fallback to chart API if quote doesn't have the data
-      const chartUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodedSymbol}?interval=1d&range=1y`;
-      
-      const chartResponse = UrlFetchApp.fetch(chartUrl, options).getContentText();
-      const chartJson = JSON.parse(chartResponse);
-      
-      if (chartJson.chart && chartJson.chart.error) {
-        Logger.log(`Yahoo Finance API 오류: ${symbol} - ${chartJson.chart.error.description}`);
-        return 0;
-      }
-      
-      if (chartJson.chart && chartJson.chart.result && chartJson.chart.result.length > 0) {
-        // Try to get the 52-week high from meta data
-        if (chartJson.chart.result[0].meta && chartJson.chart.result[0].meta.fiftyTwoWeekHigh) {
-          return chartJson.chart.result[0].meta.fiftyTwoWeekHigh;
-        }
-        
-        // If not available in meta, calculate from historical data
-        if (chartJson.chart.result[0].indicators && 
-            chartJson.chart.result[0].indicators.quote && 
-            chartJson.chart.result[0].indicators.quote.length > 0) {
-          
-          const quote = chartJson.chart.result[0].indicators.quote[0];
-          
-          if (quote.high && quote.high.length > 0) {
-            // Find the highest value in the array
-            let highestPrice = 0;
-            for (let i = 0; i < quote.high.length; i++) {
-              if (quote.high[i] !== null && !isNaN(quote.high[i]) && quote.high[i] > highestPrice) {
-                highestPrice = quote.high[i];
-              }
-            }
-            if (highestPrice > 0) {
-              return highestPrice;
-            }
-          }
-        }
+      // Fallback to a year of daily history if quote doesn't have the data
+      const today = new Date();
+      const yearAgo = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate());
+      const price = fromHistory(this.getHistory(symbol, yearAgo, today), yearAgo);
+      if (price !== null) {
+        return price;
       }
       
-      Logger.log(`Yahoo Finance API에서 52주 최고가 정보가 없음: ${symbol}`);
+      Logger.log(`Yahoo Finance API에서 52주 ${label} 정보가 없음: ${symbol}`);
     } catch (e) {
-      Logger.log(`Yahoo Finance 52주 최고가 가져오기 실패: ${symbol} - ${e.message}`);
+      Logger.log(`Yahoo Finance 52주 ${label} 가져오기 실패: ${symbol} - ${e.message}`);
     }
     
     return 0;
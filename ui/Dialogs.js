@@ -117,7 +117,9 @@ function showTickerManager() {
       '컬럼 형식:\n' +
       '- 이름: 표시할 티커 이름\n' +
       '- 티커: 심볼 코드 (예: AAPL, 005930.KS)\n' +
-      '- 소스: 데이터 소스 (google, yahoo, naver)',
+      '- 소스: 데이터 소스 (google, yahoo, naver)\n' +
+      '  쉼표로 여러 소스를 지정하면 순서대로 대체 조회합니다 (예: naver,yahoo,google)\n' +
+      '- 시작일 (선택): 설정 이후(ITD) 수익률의 기준일',
       SpreadsheetApp.getUi().ButtonSet.OK
     );
   } catch (error) {
@@ -198,7 +200,8 @@ function showHelp() {
         <ul>
           <li><strong>이름:</strong> 대시보드에 표시될 종목 이름</li>
           <li><strong>티커:</strong> 데이터 소스에서 사용하는 심볼 코드 (예: AAPL, 005930.KS)</li>
-          <li><strong>소스:</strong> 데이터를 가져올 소스 (google, yahoo, naver 중 하나)</li>
+          <li><strong>소스:</strong> 데이터를 가져올 소스 (google, yahoo, naver). 쉼표로 구분해 여러 소스를 지정하면 앞의 소스에서 값을 가져오지 못한 항목을 다음 소스에서 조회합니다 (예: <code>naver,yahoo,google</code>)</li>
+          <li><strong>시작일 (선택):</strong> 설정 이후(ITD) 수익률의 기준일. 헤더 이름으로 찾으므로 어느 열에 두어도 됩니다</li>
         </ul>
         
         <div class="note">
@@ -212,7 +215,10 @@ function showHelp() {
           <li><strong>월간 수익률:</strong> 참조일로부터 30일 전 대비 수익률</li>
           <li><strong>YTD 수익률:</strong> 참조일이 속한 연도의 1월 1일 대비 수익률</li>
           <li><strong>고점 대비 수익률:</strong> 52주 고점 대비 수익률</li>
+          <li><strong>저점 대비 수익률:</strong> 52주 저점 대비 상승률 (LOW)</li>
         </ul>
+        <p>표시할 기간은 설정 시트의 <code>RETURN_PERIODS</code>에서 선택합니다 (예: <code>1D, MTD, QTD, YTD, 1Y, 3Y, ITD, HIGH</code>). 대시보드 열은 입력한 순서대로 배치됩니다.</p>
+        <p><code>ANNUALIZED_PERIODS</code>에 지정한 기간(기본값: <code>3Y, 5Y, ITD</code>)은 연환산 수익률(CAGR)로 표시됩니다. 실제 기간이 1년 미만이면 누적 수익률을 표시합니다.</p>
         
         <h2>지원되는 데이터 소스</h2>
         <p>다음 데이터 소스를 지원합니다:</p>
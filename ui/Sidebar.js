@@ -14,6 +14,16 @@ function showSidebar() {
   SpreadsheetApp.getUi().showSidebar(html);
 }
 
+/**
+ * Show the sidebar for managing scheduled refreshes
+ */
+function showScheduleSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('ScheduleSidebar')
+      .setTitle('자동 업데이트 일정')
+      .setWidth(300);
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
 /**
  * Update the dashboard when called from the sidebar
  * Simple wrapper for calling from the sidebar UI
@@ -91,4 +101,81 @@ function getCurrentReferenceDateForSidebar() {
  */
 function getProgressForSidebar() {
   return getProgress();
-} 
\ No newline at end of file
+}
+
+/**
+ * Get the refresh schedules and supported markets for the schedule sidebar
+ * @return {Object} Result object with schedules and markets
+ */
+function getSchedulesForSidebar() {
+  try {
+    const marketTimeManager = new MarketTimeManager();
+    const schedules = getRefreshSchedules().map(schedule => ({
+      id: schedule.id,
+      marketName: marketTimeManager.markets[schedule.market].name,
+      time: formatScheduleTime(schedule),
+      timezone: schedule.timezone
+    }));
+    const markets = Object.keys(marketTimeManager.markets).map(code => {
+      const closeTime = marketTimeManager.markets[code].closeTime;
+      return {
+        code: code,
+        name: marketTimeManager.markets[code].name,
+        close: formatScheduleTime({ hour: Math.floor(closeTime), minute: Math.round((closeTime % 1) * 60) })
+      };
+    });
+    
+    return { 
+      success: true, 
+      schedules: schedules,
+      markets: markets
+    };
+  } catch (error) {
+    Logger.log(`사이드바를 위한 자동 업데이트 일정 가져오기 오류: ${error.message}`);
+    return { 
+      success: false, 
+      message: `자동 업데이트 일정을 가져오는 중 오류가 발생했습니다: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Add a refresh schedule from the schedule sidebar
+ * @param {string} market - Market region code
+ * @param {string} time - Local market time as HH:mm, empty for the default
+ * @return {Object} Result object with the updated schedules
+ */
+function addScheduleFromSidebar(market, time) {
+  try {
+    const schedule = addRefreshSchedule(market, time || null);
+    return Object.assign(getSchedulesForSidebar(), {
+      message: `${formatScheduleTime(schedule)} (${schedule.timezone}) 자동 업데이트 일정이 추가되었습니다.`
+    });
+  } catch (error) {
+    Logger.log(`사이드바에서 자동 업데이트 일정 추가 오류: ${error.message}`);
+    return { 
+      success: false, 
+      message: `일정 추가 중 오류가 발생했습니다: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Remove a refresh schedule from the schedule sidebar
+ * @param {string} id - Schedule ID
+ * @return {Object} Result object with the updated schedules
+ */
+function removeScheduleFromSidebar(id) {
+  try {
+    removeRefreshSchedule(id);
+    return Object.assign(getSchedulesForSidebar(), {
+      message: "자동 업데이트 일정이 삭제되었습니다."
+    });
+  } catch (error) {
+    Logger.log(`사이드바에서 자동 업데이트 일정 삭제 오류: ${error.message}`);
+    return { 
+      success: false, 
+      message: `일정 삭제 중 오류가 발생했습니다: ${error.message}`
+    };
+  }
+}
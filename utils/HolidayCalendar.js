@@ -0,0 +1,670 @@
+/**
+ * Performance Dashboard Ticker - Holiday Calendar Module
+ *
+ * Exchange holiday calendars consulted by every trading-day calculation.
+ * Holidays are generated from rules for KRX (kr), NYSE/NASDAQ (us), SSE (cn),
+ * HKEX (hk) and LSE (eu), and can be adjusted with the Holidays override sheet
+ * for ad-hoc closures such as election days or days of national mourning.
+ */
+
+/**
+ * Lunisolar holiday dates that cannot be derived from Gregorian rules.
+ * Each entry is [month, day] in the Gregorian calendar.
+ * Years outside this table fall back to the solar rules only; add the missing
+ * closures to the Holidays sheet until the table is extended.
+ */
+const LUNAR_HOLIDAY_TABLE = {
+  2020: { newYear: [1, 25], qingming: [4, 4], buddha: [4, 30], dragonBoat: [6, 25], midAutumn: [10, 1], doubleNinth: [10, 25] },
+  2021: { newYear: [2, 12], qingming: [4, 4], buddha: [5, 19], dragonBoat: [6, 14], midAutumn: [9, 21], doubleNinth: [10, 14] },
+  2022: { newYear: [2, 1], qingming: [4, 5], buddha: [5, 8], dragonBoat: [6, 3], midAutumn: [9, 10], doubleNinth: [10, 4] },
+  2023: { newYear: [1, 22], qingming: [4, 5], buddha: [5, 27], dragonBoat: [6, 22], midAutumn: [9, 29], doubleNinth: [10, 23] },
+  2024: { newYear: [2, 10], qingming: [4, 4], buddha: [5, 15], dragonBoat: [6, 10], midAutumn: [9, 17], doubleNinth: [10, 11] },
+  2025: { newYear: [1, 29], qingming: [4, 4], buddha: [5, 5], dragonBoat: [5, 31], midAutumn: [10, 6], doubleNinth: [10, 29] },
+  2026: { newYear: [2, 17], qingming: [4, 5], buddha: [5, 24], dragonBoat: [6, 19], midAutumn: [9, 25], doubleNinth: [10, 18] },
+  2027: { newYear: [2, 6], qingming: [4, 5], buddha: [5, 13], dragonBoat: [6, 9], midAutumn: [9, 15], doubleNinth: [10, 8] },
+  2028: { newYear: [1, 26], qingming: [4, 4], buddha: [5, 2], dragonBoat: [5, 28], midAutumn: [10, 3], doubleNinth: [10, 26] },
+  2029: { newYear: [2, 13], qingming: [4, 4], buddha: [5, 20], dragonBoat: [6, 16], midAutumn: [9, 22], doubleNinth: [10, 16] },
+  2030: { newYear: [2, 3], qingming: [4, 5], buddha: [5, 9], dragonBoat: [6, 5], midAutumn: [9, 12], doubleNinth: [10, 5] }
+};
+
+/**
+ * Exchange names accepted in the 시장 column of the Holidays sheet, mapped to market regions
+ */
+const HOLIDAY_MARKET_ALIASES = {
+  'kr': 'kr', 'krx': 'kr', 'kospi': 'kr', 'kosdaq': 'kr', '한국': 'kr',
+  'us': 'us', 'nyse': 'us', 'nasdaq': 'us', '미국': 'us',
+  'cn': 'cn', 'sse': 'cn', 'szse': 'cn', '중국': 'cn',
+  'hk': 'hk', 'hkex': 'hk', '홍콩': 'hk',
+  'eu': 'eu', 'lse': 'eu', '유럽': 'eu', '영국': 'eu',
+  'all': 'all', '전체': 'all'
+};
+
+/**
+ * Shared calendar instance so the override sheet is read once per execution
+ */
+let HOLIDAY_CALENDAR_INSTANCE = null;
+
+/**
+ * Get the shared holiday calendar
+ * @return {HolidayCalendar} The holiday calendar
+ */
+function getHolidayCalendar() {
+  if (!HOLIDAY_CALENDAR_INSTANCE) {
+    HOLIDAY_CALENDAR_INSTANCE = new HolidayCalendar();
+  }
+  return HOLIDAY_CALENDAR_INSTANCE;
+}
+
+/**
+ * HolidayCalendar class for exchange holiday lookups
+ */
+class HolidayCalendar {
+  constructor() {
+    this.holidayCache = {};  // region -> year -> { 'yyyy-MM-dd': name }
+    this.overrides = null;   // Lazily loaded rows from the Holidays sheet
+  }
+
+  /**
+   * Check if a date is an exchange holiday for a market
+   * @param {string} marketRegion - Market region code (kr, us, cn, hk, eu)
+   * @param {Date} date - The date to check (calendar date in the script timezone)
+   * @return {boolean} True if the exchange is closed for a holiday
+   */
+  isHoliday(marketRegion, date) {
+    return this.getHolidayName(marketRegion, date) !== null;
+  }
+
+  /**
+   * Check if a date is a trading day (weekday and not a holiday) for a market
+   * @param {string} marketRegion - Market region code
+   * @param {Date} date - The date to check
+   * @return {boolean} True if the exchange is open on that date
+   */
+  isTradingDay(marketRegion, date) {
+    const day = date.getDay();
+    if (day === 0 || day === 6) {
+      return false;
+    }
+    return !this.isHoliday(marketRegion, date);
+  }
+
+  /**
+   * Get the holiday name for a date
+   * @param {string} marketRegion - Market region code
+   * @param {Date} date - The date to check
+   * @return {string|null} Holiday name or null if not a holiday
+   */
+  getHolidayName(marketRegion, date) {
+    if (!marketRegion || !date || isNaN(date.getTime())) {
+      return null;
+    }
+
+    const holidays = this.getHolidays(marketRegion, date.getFullYear());
+    const key = this.toDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    return holidays.hasOwnProperty(key) ? holidays[key] : null;
+  }
+
+  /**
+   * Get all holidays for a market and year, including sheet overrides
+   * @param {string} marketRegion - Market region code
+   * @param {number} year - Calendar year
+   * @return {Object} Map of 'yyyy-MM-dd' to holiday name
+   */
+  getHolidays(marketRegion, year) {
+    if (!this.holidayCache[marketRegion]) {
+      this.holidayCache[marketRegion] = {};
+    }
+
+    if (!this.holidayCache[marketRegion][year]) {
+      const holidays = this.generateHolidays(marketRegion, year);
+      this.applyOverrides(holidays, marketRegion, year);
+      this.holidayCache[marketRegion][year] = holidays;
+    }
+
+    return this.holidayCache[marketRegion][year];
+  }
+
+  /**
+   * Generate the rule-based holidays for a market and year
+   * @param {string} marketRegion - Market region code
+   * @param {number} year - Calendar year
+   * @return {Object} Map of 'yyyy-MM-dd' to holiday name
+   */
+  generateHolidays(marketRegion, year) {
+    switch (marketRegion) {
+      case 'kr':
+        return this.generateKrxHolidays(year);
+      case 'us':
+        return this.generateNyseHolidays(year);
+      case 'cn':
+        return this.generateSseHolidays(year);
+      case 'hk':
+        return this.generateHkexHolidays(year);
+      case 'eu':
+        return this.generateLseHolidays(year);
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * KRX holidays (Korea Exchange)
+   * @param {number} year - Calendar year
+   * @return {Object} Map of 'yyyy-MM-dd' to holiday name
+   * @private
+   */
+  generateKrxHolidays(year) {
+    const holidays = {};
+    const lunar = this.getLunarDates(year);
+
+    this.addHoliday(holidays, new Date(year, 0, 1), '신정');
+    this.addHoliday(holidays, new Date(year, 2, 1), '삼일절');
+    this.addHoliday(holidays, new Date(year, 4, 1), '근로자의 날');
+    this.addHoliday(holidays, new Date(year, 4, 5), '어린이날');
+    this.addHoliday(holidays, new Date(year, 5, 6), '현충일');
+    this.addHoliday(holidays, new Date(year, 7, 15), '광복절');
+    this.addHoliday(holidays, new Date(year, 9, 3), '개천절');
+    this.addHoliday(holidays, new Date(year, 9, 9), '한글날');
+    this.addHoliday(holidays, new Date(year, 11, 25), '성탄절');
+
+    const seollal = lunar ? this.addLunarHolidayPeriod(holidays, year, lunar.newYear, -1, 1, '설날') : [];
+    const chuseok = lunar ? this.addLunarHolidayPeriod(holidays, year, lunar.midAutumn, -1, 1, '추석') : [];
+    if (lunar) {
+      this.addHoliday(holidays, this.fromMonthDay(year, lunar.buddha), '부처님오신날');
+    }
+
+    // Substitute holidays (대체공휴일)
+    // Seollal and Chuseok: a day falling on Sunday or on another holiday is replaced
+    for (const period of [seollal, chuseok]) {
+      for (const day of period) {
+        if (day.date.getDay() === 0 || day.overlapped) {
+          this.addSubstituteHoliday(holidays, day.date, `${day.name} 대체휴일`);
+        }
+      }
+    }
+
+    // Children's day on a weekend (since 2014), national days (since 2021),
+    // Buddha's birthday and Christmas (since 2023)
+    const weekendSubstitutes = [[new Date(year, 4, 5), '어린이날']];
+    if (year >= 2021) {
+      weekendSubstitutes.push(
+        [new Date(year, 2, 1), '삼일절'],
+        [new Date(year, 7, 15), '광복절'],
+        [new Date(year, 9, 3), '개천절'],
+        [new Date(year, 9, 9), '한글날']
+      );
+    }
+    if (year >= 2023) {
+      weekendSubstitutes.push([new Date(year, 11, 25), '성탄절']);
+      if (lunar) {
+        weekendSubstitutes.push([this.fromMonthDay(year, lunar.buddha), '부처님오신날']);
+      }
+    }
+    for (const [date, name] of weekendSubstitutes) {
+      const day = date.getDay();
+      if (day === 0 || day === 6) {
+        this.addSubstituteHoliday(holidays, date, `${name} 대체휴일`);
+      }
+    }
+
+    // Children's day coinciding with Buddha's birthday also gets a substitute
+    if (lunar && this.isSameMonthDay(lunar.buddha, [5, 5])) {
+      this.addSubstituteHoliday(holidays, new Date(year, 4, 5), '어린이날 대체휴일');
+    }
+
+    // Year-end closing: the last weekday of the year that is not already a holiday
+    const yearEnd = new Date(year, 11, 31);
+    while (yearEnd.getDay() === 0 || yearEnd.getDay() === 6 || this.hasHoliday(holidays, yearEnd)) {
+      yearEnd.setDate(yearEnd.getDate() - 1);
+    }
+    this.addHoliday(holidays, yearEnd, '연말 휴장일');
+
+    return holidays;
+  }
+
+  /**
+   * NYSE/NASDAQ holidays
+   * @param {number} year - Calendar year
+   * @return {Object} Map of 'yyyy-MM-dd' to holiday name
+   * @private
+   */
+  generateNyseHolidays(year) {
+    const holidays = {};
+
+    // New Year's Day: Sunday moves to Monday, Saturday is not observed
+    const newYear = new Date(year, 0, 1);
+    if (newYear.getDay() === 0) {
+      this.addHoliday(holidays, new Date(year, 0, 2), "New Year's Day (observed)");
+    } else if (newYear.getDay() !== 6) {
+      this.addHoliday(holidays, newYear, "New Year's Day");
+    }
+
+    this.addHoliday(holidays, this.getNthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+    this.addHoliday(holidays, this.getNthWeekday(year, 1, 1, 3), "Washington's Birthday");
+    this.addHoliday(holidays, this.addDays(this.getEasterSunday(year), -2), 'Good Friday');
+    this.addHoliday(holidays, this.getLastWeekday(year, 4, 1), 'Memorial Day');
+    if (year >= 2022) {
+      this.addHoliday(holidays, this.getObservedDate(new Date(year, 5, 19)), 'Juneteenth');
+    }
+    this.addHoliday(holidays, this.getObservedDate(new Date(year, 6, 4)), 'Independence Day');
+    this.addHoliday(holidays, this.getNthWeekday(year, 8, 1, 1), 'Labor Day');
+    this.addHoliday(holidays, this.getNthWeekday(year, 10, 4, 4), 'Thanksgiving Day');
+    this.addHoliday(holidays, this.getObservedDate(new Date(year, 11, 25)), 'Christmas Day');
+
+    return holidays;
+  }
+
+  /**
+   * LSE holidays (England and Wales bank holidays)
+   * @param {number} year - Calendar year
+   * @return {Object} Map of 'yyyy-MM-dd' to holiday name
+   * @private
+   */
+  generateLseHolidays(year) {
+    const holidays = {};
+    const easter = this.getEasterSunday(year);
+
+    this.addHoliday(holidays, this.addDays(easter, -2), 'Good Friday');
+    this.addHoliday(holidays, this.addDays(easter, 1), 'Easter Monday');
+    this.addHoliday(holidays, this.getNthWeekday(year, 4, 1, 1), 'Early May Bank Holiday');
+    this.addHoliday(holidays, this.getLastWeekday(year, 4, 1), 'Spring Bank Holiday');
+    this.addHoliday(holidays, this.getLastWeekday(year, 7, 1), 'Summer Bank Holiday');
+
+    // Fixed-date holidays move to the next free weekday when they fall on a weekend; the weekday
+    // ones are added first so that a Sunday Christmas moves past a Monday Boxing Day
+    const fixed = [
+      [new Date(year, 0, 1), "New Year's Day"],
+      [new Date(year, 11, 25), 'Christmas Day'],
+      [new Date(year, 11, 26), 'Boxing Day']
+    ];
+    const isWeekend = date => date.getDay() === 0 || date.getDay() === 6;
+    for (const [date, name] of fixed.filter(([date]) => !isWeekend(date))) {
+      this.addHoliday(holidays, date, name);
+    }
+    for (const [date, name] of fixed.filter(([date]) => isWeekend(date))) {
+      this.addSubstituteHoliday(holidays, date, `${name} (substitute)`);
+    }
+
+    return holidays;
+  }
+
+  /**
+   * SSE holidays (Shanghai Stock Exchange)
+   * The official schedule is announced yearly by the State Council; these rules
+   * approximate it and the Holidays sheet can correct individual days.
+   * @param {number} year - Calendar year
+   * @return {Object} Map of 'yyyy-MM-dd' to holiday name
+   * @private
+   */
+  generateSseHolidays(year) {
+    const holidays = {};
+    const lunar = this.getLunarDates(year);
+
+    this.addHoliday(holidays, this.getNearestWeekday(new Date(year, 0, 1)), '元旦');
+    for (let day = 1; day <= 5; day++) {
+      this.addHoliday(holidays, new Date(year, 4, day), '劳动节');
+    }
+    for (let day = 1; day <= 7; day++) {
+      this.addHoliday(holidays, new Date(year, 9, day), '国庆节');
+    }
+
+    if (lunar) {
+      this.addLunarHolidayPeriod(holidays, year, lunar.newYear, -1, 6, '春节');
+      this.addHoliday(holidays, this.getNearestWeekday(this.fromMonthDay(year, lunar.qingming)), '清明节');
+      this.addHoliday(holidays, this.getNearestWeekday(this.fromMonthDay(year, lunar.dragonBoat)), '端午节');
+      this.addHoliday(holidays, this.getNearestWeekday(this.fromMonthDay(year, lunar.midAutumn)), '中秋节');
+    }
+
+    return holidays;
+  }
+
+  /**
+   * HKEX holidays (Hong Kong Exchanges)
+   * @param {number} year - Calendar year
+   * @return {Object} Map of 'yyyy-MM-dd' to holiday name
+   * @private
+   */
+  generateHkexHolidays(year) {
+    const holidays = {};
+    const lunar = this.getLunarDates(year);
+    const easter = this.getEasterSunday(year);
+
+    // Holidays falling on Sunday or on another holiday move to the next free day; the moves are made
+    // once every holiday is in place, so a Sunday Christmas moves past the weekday after it
+    const shifted = [];
+    const addSundayShifted = (date, name) => {
+      if (date.getDay() === 0 || this.hasHoliday(holidays, date)) {
+        shifted.push([date, name]);
+      } else {
+        this.addHoliday(holidays, date, name);
+      }
+    };
+
+    addSundayShifted(new Date(year, 0, 1), "New Year's Day");
+    this.addHoliday(holidays, this.addDays(easter, -2), 'Good Friday');
+    this.addHoliday(holidays, this.addDays(easter, -1), 'Day following Good Friday');
+    this.addHoliday(holidays, this.addDays(easter, 1), 'Easter Monday');
+    addSundayShifted(new Date(year, 4, 1), 'Labour Day');
+    addSundayShifted(new Date(year, 6, 1), 'HKSAR Establishment Day');
+    addSundayShifted(new Date(year, 9, 1), 'National Day');
+    addSundayShifted(new Date(year, 11, 25), 'Christmas Day');
+    addSundayShifted(new Date(year, 11, 26), 'First weekday after Christmas Day');
+
+    if (lunar) {
+      const newYearDays = this.addLunarHolidayPeriod(holidays, year, lunar.newYear, 0, 2, 'Lunar New Year');
+      if (newYearDays.some(day => day.date.getDay() === 0)) {
+        this.addSubstituteHoliday(holidays, newYearDays[newYearDays.length - 1].date, 'Lunar New Year (observed)');
+      }
+      addSundayShifted(this.fromMonthDay(year, lunar.qingming), 'Ching Ming Festival');
+      addSundayShifted(this.fromMonthDay(year, lunar.buddha), "Birthday of the Buddha");
+      addSundayShifted(this.fromMonthDay(year, lunar.dragonBoat), 'Tuen Ng Festival');
+      addSundayShifted(this.addDays(this.fromMonthDay(year, lunar.midAutumn), 1), 'Day following Mid-Autumn Festival');
+      addSundayShifted(this.fromMonthDay(year, lunar.doubleNinth), 'Chung Yeung Festival');
+    }
+
+    for (const [date, name] of shifted) {
+      this.addSubstituteHoliday(holidays, date, `${name} (observed)`);
+    }
+
+    return holidays;
+  }
+
+  /**
+   * Apply the Holidays sheet overrides to a generated holiday map
+   * @param {Object} holidays - Map of 'yyyy-MM-dd' to holiday name (modified in place)
+   * @param {string} marketRegion - Market region code
+   * @param {number} year - Calendar year
+   * @private
+   */
+  applyOverrides(holidays, marketRegion, year) {
+    const yearPrefix = `${year}-`;
+
+    for (const override of this.loadOverrides()) {
+      if (override.market !== 'all' && override.market !== marketRegion) continue;
+      if (override.date.indexOf(yearPrefix) !== 0) continue;
+
+      if (override.closed) {
+        holidays[override.date] = override.description || '임시 휴장일';
+      } else {
+        delete holidays[override.date];
+      }
+    }
+  }
+
+  /**
+   * Load ad-hoc closures and openings from the Holidays sheet
+   * @return {Array<Object>} Overrides with date key, market, closed flag and description
+   */
+  loadOverrides() {
+    if (this.overrides !== null) {
+      return this.overrides;
+    }
+
+    this.overrides = [];
+
+    try {
+      const sheet = SS.getSheetByName(CONFIG.SHEETS.HOLIDAYS);
+      if (!sheet || sheet.getLastRow() <= 1) {
+        return this.overrides;
+      }
+
+      const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+
+      for (const row of rows) {
+        const dateKey = this.parseOverrideDate(row[0]);
+        const market = HOLIDAY_MARKET_ALIASES[String(row[1] || 'all').toLowerCase().trim()];
+
+        if (!dateKey || !market) {
+          if (row.some(cell => cell !== '')) {
+            Logger.log(`잘못된 휴장일 데이터: ${row.join(', ')}`);
+          }
+          continue;
+        }
+
+        const type = String(row[2] || '휴장').trim().toLowerCase();
+        this.overrides.push({
+          date: dateKey,
+          market: market,
+          closed: !(type === '개장' || type === 'open'),
+          description: String(row[3] || '')
+        });
+      }
+
+      Logger.log(`휴장일 시트에서 ${this.overrides.length}개의 항목을 불러왔습니다.`);
+    } catch (error) {
+      Logger.log(`휴장일 시트 읽기 오류: ${error.message}`);
+    }
+
+    return this.overrides;
+  }
+
+  /**
+   * Parse a date cell from the Holidays sheet
+   * @param {Date|string} value - Cell value
+   * @return {string|null} Date key in yyyy-MM-dd format or null if invalid
+   * @private
+   */
+  parseOverrideDate(value) {
+    if (value instanceof Date && !isNaN(value.getTime())) {
+      return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    }
+
+    const match = String(value || '').trim().match(/^(\d{4})[-.\/](\d{1,2})[-.\/](\d{1,2})$/);
+    if (!match) {
+      return null;
+    }
+    return this.toDateKey(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+
+  /**
+   * Get the lunisolar holiday dates for a year
+   * @param {number} year - Calendar year
+   * @return {Object|null} Lunar holiday table entry or null if the year is not covered
+   * @private
+   */
+  getLunarDates(year) {
+    const lunar = LUNAR_HOLIDAY_TABLE[year];
+    if (!lunar) {
+      Logger.log(`경고: ${year}년 음력 휴일 데이터가 없습니다. 휴장일 시트에 직접 추가하세요.`);
+      return null;
+    }
+    return lunar;
+  }
+
+  /**
+   * Add a run of consecutive holidays around a lunar date
+   * @param {Object} holidays - Holiday map (modified in place)
+   * @param {number} year - Calendar year
+   * @param {Array<number>} monthDay - [month, day] of the lunar holiday
+   * @param {number} startOffset - First day offset relative to the holiday
+   * @param {number} endOffset - Last day offset relative to the holiday
+   * @param {string} name - Holiday name
+   * @return {Array<Object>} Days added, with a flag for days that overlapped another holiday
+   * @private
+   */
+  addLunarHolidayPeriod(holidays, year, monthDay, startOffset, endOffset, name) {
+    const center = this.fromMonthDay(year, monthDay);
+    const days = [];
+
+    for (let offset = startOffset; offset <= endOffset; offset++) {
+      const date = this.addDays(center, offset);
+      const overlapped = this.hasHoliday(holidays, date);
+      this.addHoliday(holidays, date, name);
+      days.push({ date: date, name: name, overlapped: overlapped });
+    }
+
+    return days;
+  }
+
+  /**
+   * Add a substitute holiday on the first weekday after the given date that is not already a holiday
+   * @param {Object} holidays - Holiday map (modified in place)
+   * @param {Date} date - The original holiday date
+   * @param {string} name - Substitute holiday name
+   * @private
+   */
+  addSubstituteHoliday(holidays, date, name) {
+    let substitute = this.addDays(date, 1);
+    while (substitute.getDay() === 0 || substitute.getDay() === 6 || this.hasHoliday(holidays, substitute)) {
+      substitute = this.addDays(substitute, 1);
+    }
+    this.addHoliday(holidays, substitute, name);
+  }
+
+  /**
+   * Add a holiday to the map, keeping the first name if the date is already present
+   * @private
+   */
+  addHoliday(holidays, date, name) {
+    const key = this.toDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    if (!holidays[key]) {
+      holidays[key] = name;
+    }
+  }
+
+  /**
+   * Check whether the map already contains a date
+   * @private
+   */
+  hasHoliday(holidays, date) {
+    return holidays.hasOwnProperty(this.toDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate()));
+  }
+
+  /**
+   * US-style observance: Saturday moves to Friday, Sunday moves to Monday
+   * @param {Date} date - Holiday date
+   * @return {Date} Observed date
+   * @private
+   */
+  getObservedDate(date) {
+    if (date.getDay() === 6) return this.addDays(date, -1);
+    if (date.getDay() === 0) return this.addDays(date, 1);
+    return date;
+  }
+
+  /**
+   * Nearest weekday: Saturday moves to Friday, Sunday moves to Monday
+   * @private
+   */
+  getNearestWeekday(date) {
+    return this.getObservedDate(date);
+  }
+
+  /**
+   * Get the nth occurrence of a weekday in a month
+   * @param {number} year - Calendar year
+   * @param {number} month - Month index (0-11)
+   * @param {number} weekday - Day of week (0 = Sunday)
+   * @param {number} n - Occurrence (1-based)
+   * @return {Date} The matching date
+   * @private
+   */
+  getNthWeekday(year, month, weekday, n) {
+    const first = new Date(year, month, 1);
+    const offset = (weekday - first.getDay() + 7) % 7;
+    return new Date(year, month, 1 + offset + (n - 1) * 7);
+  }
+
+  /**
+   * Get the last occurrence of a weekday in a month
+   * @param {number} year - Calendar year
+   * @param {number} month - Month index (0-11)
+   * @param {number} weekday - Day of week (0 = Sunday)
+   * @return {Date} The matching date
+   * @private
+   */
+  getLastWeekday(year, month, weekday) {
+    const last = new Date(year, month + 1, 0);
+    const offset = (last.getDay() - weekday + 7) % 7;
+    return new Date(year, month, last.getDate() - offset);
+  }
+
+  /**
+   * Get Easter Sunday (Gregorian calendar, anonymous algorithm)
+   * @param {number} year - Calendar year
+   * @return {Date} Easter Sunday
+   * @private
+   */
+  getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * @private
+   */
+  fromMonthDay(year, monthDay) {
+    return new Date(year, monthDay[0] - 1, monthDay[1]);
+  }
+
+  /**
+   * @private
+   */
+  isSameMonthDay(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+  }
+
+  /**
+   * @private
+   */
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * @private
+   */
+  toDateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+}
+
+/**
+ * Get or create the Holidays override sheet
+ * @return {Sheet} The holidays sheet
+ */
+function getOrCreateHolidaySheet() {
+  let sheet = SS.getSheetByName(CONFIG.SHEETS.HOLIDAYS);
+
+  if (!sheet) {
+    sheet = SS.insertSheet(CONFIG.SHEETS.HOLIDAYS);
+
+    const headerRange = sheet.getRange(1, 1, 1, 4);
+    headerRange.setValues([['날짜', '시장', '구분', '설명']]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E3F2FD');
+    sheet.getRange(1, 2).setNote('kr(KRX), us(NYSE/NASDAQ), cn(SSE), hk(HKEX), eu(LSE) 또는 all');
+    sheet.getRange(1, 3).setNote('휴장: 임시 휴장일 추가, 개장: 규칙으로 계산된 휴일을 거래일로 변경');
+    sheet.setFrozenRows(1);
+
+    Logger.log('휴장일 시트를 생성했습니다.');
+  }
+
+  return sheet;
+}
+
+/**
+ * Open the Holidays override sheet from the menu
+ */
+function openHolidaySheet() {
+  try {
+    const sheet = getOrCreateHolidaySheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  } catch (error) {
+    Logger.log(`휴장일 시트 열기 오류: ${error.message}`);
+    showErrorAlert('휴장일 시트 열기 실패', error.message);
+  }
+}
@@ -30,4 +30,42 @@ function getDashboardSheet() {
     Logger.log(`대시보드 시트를 생성하는 중 오류가 발생했습니다: ${error.message}`);
     throw error;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Find a column in a header row by any of its accepted names
+ * @param {Array} headerRow - Values of the header row
+ * @param {Array<string>} names - Accepted header names (case-insensitive)
+ * @return {number} Zero-based column index, or -1 if the column is not present
+ */
+function findHeaderIndex(headerRow, names) {
+  const accepted = names.map(name => name.toLowerCase());
+  return headerRow.findIndex(header => accepted.includes(String(header).trim().toLowerCase()));
+}
+
+/**
+ * Convert a sheet cell to a date
+ * @param {Date|string} value - Cell value (a Date for date-formatted cells, or text such as 2024-01-31)
+ * @return {Date|null} The date, or null if the cell is empty or not a date
+ */
+function parseSheetDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  
+  const match = String(value || '').trim().match(/^(\d{4})[-.\/](\d{1,2})[-.\/](\d{1,2})$/);
+  return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+}
+
+/**
+ * Add rows at the bottom of a sheet until it reaches the given row
+ * Ranges below the last row of the grid cannot be written, so sheets that grow by appending call this first.
+ * @param {Sheet} sheet - The sheet
+ * @param {number} lastRow - Last row about to be written
+ */
+function ensureSheetRows(sheet, lastRow) {
+  const needed = lastRow - sheet.getMaxRows();
+  if (needed > 0) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), needed);
+  }
+}